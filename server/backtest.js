@@ -0,0 +1,220 @@
+// ─── Beta Ranking Backtest ────────────────────────────────────────
+// Replays recorded history under a candidate ranking config and reports
+// how the top picks per alpha would actually have done. Powers
+// POST /api/backtest — compare a config against the live one
+// (betaScanService.getRankConfig(): constants + calibrated signal
+// multipliers) before touching the constants.
+//
+// History = beta_relations rows with a beta_snapshots row at the chosen
+// horizon (betaPerformance.js). Each row is re-ranked with
+// computeBetaRank(row, config) using what was recorded at detection:
+// signals, relationship_type, ai_score and beta pair age. Rows recorded
+// before ai_score / beta_pair_created_at existed rank as an unscored
+// ai_match and without the recency factor — `coverage` says how many.
+//
+// A snapshot with a NULL beta price (no pairs left) counts as -100%.
+// Leaving rugs out would flatter every config equally but hide the ones
+// that pick more of them.
+
+const db = require('./db')
+const { computeBetaRank, RANK_CONFIG, getRankConfig } = require('./betaScanService')
+const { HORIZONS } = require('./betaPerformance')
+
+const MAX_ROWS  = 20000
+const MAX_TOP_N = 20
+const MAX_TIER  = 100   // sanity bound on any override value
+
+// ─── Config ───────────────────────────────────────────────────────
+
+const badConfig = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_CONFIG'
+  return err
+}
+
+const checkNumber = (path, value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_TIER) {
+    throw badConfig(`${path} must be a number between 0 and ${MAX_TIER}`)
+  }
+  return value
+}
+
+// Overrides are partial — anything not given keeps the live value.
+// Tier maps merge key by key, so { signalTiers: { lore: 4 } } changes one tier.
+const OPEN_SECTIONS = new Set(['signalTiers', 'relationshipTiers', 'signalMultipliers', 'comboMultipliers'])
+
+function resolveConfig (overrides = {}) {
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    throw badConfig('config must be an object')
+  }
+  const config = {}
+  for (const [section, defaults] of Object.entries(getRankConfig())) {
+    const given = overrides[section] ?? {}
+    if (typeof given !== 'object' || Array.isArray(given)) throw badConfig(`config.${section} must be an object`)
+    for (const key of Object.keys(given)) {
+      if (!OPEN_SECTIONS.has(section) && !(key in defaults)) throw badConfig(`config.${section}.${key} is not a ranking constant`)
+      checkNumber(`config.${section}.${key}`, given[key])
+    }
+    config[section] = { ...defaults, ...given }
+  }
+  const unknown = Object.keys(overrides).filter(k => !(k in RANK_CONFIG))
+  if (unknown.length) throw badConfig(`unknown config section: ${unknown.join(', ')}`)
+  return config
+}
+
+// ─── History ──────────────────────────────────────────────────────
+
+async function loadHistory ({ horizon, days }) {
+  const { rows } = await db.query(`
+    SELECT
+      br.alpha_address,
+      br.beta_address,
+      t.symbol,
+      br.signals,
+      br.relationship_type,
+      br.ai_score,
+      br.confirmed_count,
+      br.first_seen,
+      br.beta_pair_created_at,
+      br.beta_price_at_detection,
+      br.alpha_price_at_detection,
+      bs.beta_price,
+      bs.alpha_price
+    FROM beta_relations br
+    JOIN beta_snapshots bs ON bs.relation_id = br.id AND bs.horizon = $1
+    LEFT JOIN tokens t ON t.address = br.beta_address
+    WHERE br.first_seen > NOW() - ($2 || ' days')::INTERVAL
+      AND br.beta_price_at_detection > 0
+    ORDER BY br.first_seen DESC
+    LIMIT ${MAX_ROWS}
+  `, [horizon, days])
+
+  const pctChange = (now, then) => (now != null && then > 0 ? (now / then - 1) * 100 : null)
+
+  return rows.map(r => {
+    const firstSeen     = new Date(r.first_seen).getTime()
+    const pairCreatedAt = r.beta_pair_created_at ? new Date(r.beta_pair_created_at).getTime() : null
+    const betaPrice     = r.beta_price  != null ? parseFloat(r.beta_price)  : null
+    const alphaPrice    = r.alpha_price != null ? parseFloat(r.alpha_price) : null
+    return {
+      alphaAddress:     r.alpha_address,
+      address:          r.beta_address,
+      symbol:           r.symbol,
+      signalSources:    r.signals || [],
+      relationshipType: r.relationship_type,
+      aiScore:          r.ai_score != null ? parseFloat(r.ai_score) : null,
+      confirmedCount:   r.confirmed_count || 0,
+      // Age at detection, not now — recency is judged as it was when ranked
+      ageMs:            pairCreatedAt ? Math.max(firstSeen - pairCreatedAt, 1) : null,
+      rugged:           betaPrice == null,
+      betaReturn:       betaPrice == null ? -100 : pctChange(betaPrice, parseFloat(r.beta_price_at_detection)),
+      alphaReturn:      pctChange(alphaPrice, parseFloat(r.alpha_price_at_detection)),
+    }
+  })
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────
+
+const round = (n) => (n == null ? null : Math.round(n * 100) / 100)
+
+const median = (values) => {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid    = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+const summarise = (rows, hitThresholdPct) => {
+  const returns = rows.map(r => r.betaReturn)
+  const outperf = rows.filter(r => r.alphaReturn != null).map(r => r.betaReturn - r.alphaReturn)
+  return {
+    count:             rows.length,
+    hitRate:           rows.length ? round(rows.filter(r => r.betaReturn >= hitThresholdPct).length / rows.length) : null,
+    avgReturn:         rows.length ? round(returns.reduce((a, b) => a + b, 0) / rows.length) : null,
+    medianReturn:      round(median(returns)),
+    avgOutperformance: outperf.length ? round(outperf.reduce((a, b) => a + b, 0) / outperf.length) : null,
+    rugRate:           rows.length ? round(rows.filter(r => r.rugged).length / rows.length) : null,
+  }
+}
+
+const groupBy = (rows, keysOf, hitThresholdPct) => {
+  const groups = new Map()
+  for (const row of rows) {
+    for (const key of keysOf(row)) {
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(row)
+    }
+  }
+  return Object.fromEntries(
+    [...groups.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([key, group]) => [key, summarise(group, hitThresholdPct)])
+  )
+}
+
+// Top-N picks per alpha under `config`, scored on realised return.
+// Ties (ranks are coarse) break on confirmed_count, then address, so the
+// same config always picks the same rows.
+function evaluate (rows, config, { topN, hitThresholdPct }) {
+  const byAlpha = new Map()
+  for (const row of rows) {
+    if (!byAlpha.has(row.alphaAddress)) byAlpha.set(row.alphaAddress, [])
+    byAlpha.get(row.alphaAddress).push({ ...row, betaRank: computeBetaRank(row, config) })
+  }
+
+  const picks = []
+  for (const betas of byAlpha.values()) {
+    betas.sort((a, b) =>
+      b.betaRank - a.betaRank ||
+      b.confirmedCount - a.confirmedCount ||
+      a.address.localeCompare(b.address))
+    picks.push(...betas.slice(0, topN))
+  }
+
+  return {
+    topN:               summarise(picks, hitThresholdPct),
+    byRelationshipType: groupBy(picks, r => [r.relationshipType || 'UNCLASSIFIED'], hitThresholdPct),
+    bySignal:           groupBy(picks, r => (r.signalSources.length ? r.signalSources : ['none']), hitThresholdPct),
+  }
+}
+
+// ─── Entry point ──────────────────────────────────────────────────
+
+// Returns { params, coverage, universe, baseline, candidate, delta }.
+// universe = every evaluated row regardless of ranking — the floor a
+// config has to beat. Throws BAD_CONFIG on invalid input.
+async function runBacktest ({ config, horizon = '24h', days = 30, topN = 5, hitThresholdPct = 0 } = {}) {
+  if (!HORIZONS.some(h => h.horizon === horizon)) {
+    throw badConfig(`horizon must be one of ${HORIZONS.map(h => h.horizon).join(', ')}`)
+  }
+  days            = Math.min(Math.max(parseInt(days) || 30, 1), 90)
+  topN            = Math.min(Math.max(parseInt(topN) || 5, 1), MAX_TOP_N)
+  hitThresholdPct = Number.isFinite(Number(hitThresholdPct)) ? Number(hitThresholdPct) : 0
+
+  const candidateConfig = resolveConfig(config)
+  const rows = await loadHistory({ horizon, days })
+  const opts = { topN, hitThresholdPct }
+
+  const baseline  = evaluate(rows, getRankConfig(), opts)
+  const candidate = evaluate(rows, candidateConfig, opts)
+
+  return {
+    params: { horizon, days, topN, hitThresholdPct, config: candidateConfig },
+    coverage: {
+      rows:        rows.length,
+      alphas:      new Set(rows.map(r => r.alphaAddress)).size,
+      withAiScore: rows.filter(r => r.aiScore != null).length,
+      withPairAge: rows.filter(r => r.ageMs != null).length,
+      truncated:   rows.length === MAX_ROWS,
+    },
+    universe: summarise(rows, hitThresholdPct),
+    baseline,
+    candidate,
+    delta: {
+      hitRate:   round((candidate.topN.hitRate ?? 0)   - (baseline.topN.hitRate ?? 0)),
+      avgReturn: round((candidate.topN.avgReturn ?? 0) - (baseline.topN.avgReturn ?? 0)),
+    },
+  }
+}
+
+module.exports = { runBacktest, resolveConfig, evaluate }
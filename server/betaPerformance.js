@@ -0,0 +1,149 @@
+// ─── Beta Performance Tracker ─────────────────────────────────────
+// Measures what a beta actually did after we called it. beta_relations
+// stores the beta + alpha price at detection; this job snapshots both
+// prices again at +1h, +6h, +24h and +7d into beta_snapshots.
+//
+// Each horizon is taken once. A relation that was missed for longer than
+// the horizon's grace window (server down, DexScreener outage) skips that
+// horizon rather than storing a late price under the wrong label. A token
+// with no pairs left is recorded with a NULL price — usually a rug.
+//
+// Stats (PERFORMANCE_JOIN, joined into beta-history / past-runners /
+// runner-betas):
+//   snapshots      — { '1h': { betaReturn, alphaReturn, takenAt }, ... } (%)
+//   maxGain        — best beta return across snapshots (%)
+//   maxDrawdown    — worst beta return across snapshots, capped at 0 (%)
+//   outperformance — beta minus alpha return at the latest snapshot (pts)
+// Snapshots are point samples, so maxGain / maxDrawdown are the best and
+// worst of four observations, not the true intraday extremes. A snapshot
+// with no price (or 0) counts as -100% — same as backtest.js and
+// telegram_channels.js — so rugs stay in the stats instead of dropping out.
+
+const db = require('./db')
+
+const DEXSCREENER_BASE = 'https://api.dexscreener.com'
+const DEX_BATCH        = 30    // DexScreener /tokens accepts up to 30 addresses
+const MAX_PER_RUN      = 400   // relation×horizon rows per run — bounds API calls
+
+// age → grace: how late a snapshot may still be taken
+const HORIZONS = [
+  { horizon: '1h',  age: '1 hour',   grace: '30 minutes' },
+  { horizon: '6h',  age: '6 hours',  grace: '2 hours'    },
+  { horizon: '24h', age: '24 hours', grace: '6 hours'    },
+  { horizon: '7d',  age: '7 days',   grace: '1 day'      },
+]
+
+// ─── Prices ───────────────────────────────────────────────────────
+// Deepest-liquidity pair per base token — a thin side pool can print any price.
+// pairCreatedAt is the token's oldest pair (ms).
+const fetchPrices = async (addresses) => {
+  const prices = new Map()   // address → { symbol, price, mcap, liquidity, volume24h, priceChange24h, pairCreatedAt }
+  const failed = new Set()   // addresses whose batch errored — unknown, not missing
+  for (let i = 0; i < addresses.length; i += DEX_BATCH) {
+    const batch = addresses.slice(i, i + DEX_BATCH)
+    try {
+      const res = await fetch(`${DEXSCREENER_BASE}/latest/dex/tokens/${batch.join(',')}`, {
+        headers: { 'User-Agent': 'BetaPlays/1.0' },
+        signal:  AbortSignal.timeout(8000),
+      })
+      if (!res.ok) throw new Error(`DexScreener ${res.status}`)
+      const data = await res.json()
+      for (const pair of (data.pairs || [])) {
+        const addr      = pair.baseToken?.address
+        const liquidity = pair.liquidity?.usd || 0
+        if (!addr || !batch.includes(addr)) continue
+        const prev = prices.get(addr)
+        // Age is the token's oldest pair, whichever pool is deepest
+        const pairCreatedAt = Math.min(prev?.pairCreatedAt || Infinity, pair.pairCreatedAt || Infinity)
+        if (prev) prev.pairCreatedAt = Number.isFinite(pairCreatedAt) ? pairCreatedAt : null
+        if ((prev?.liquidity ?? -1) >= liquidity) continue
+        prices.set(addr, {
+          symbol: pair.baseToken?.symbol || null,
+          price: parseFloat(pair.priceUsd) || null,
+          mcap:  pair.marketCap || pair.fdv || null,
+          liquidity,
+          volume24h:      pair.volume?.h24 || 0,
+          priceChange24h: parseFloat(pair.priceChange?.h24) || 0,
+          pairCreatedAt:  Number.isFinite(pairCreatedAt) ? pairCreatedAt : null,
+        })
+      }
+    } catch (err) {
+      // Whole batch unknown — leave it out so those rows retry next run
+      console.warn('[BetaPerf] Price batch failed:', err.message)
+      batch.forEach(a => failed.add(a))
+    }
+  }
+  return { prices, failed }
+}
+
+// ─── Snapshot job ─────────────────────────────────────────────────
+async function runSnapshots () {
+  if (!process.env.DATABASE_URL) return
+
+  const horizons = HORIZONS.map((h, i) => `($${i * 3 + 1}, $${i * 3 + 2}::INTERVAL, $${i * 3 + 3}::INTERVAL)`).join(', ')
+  const { rows: due } = await db.query(`
+    SELECT br.id, br.alpha_address, br.beta_address, h.horizon
+    FROM beta_relations br
+    CROSS JOIN (VALUES ${horizons}) AS h(horizon, age, grace)
+    WHERE br.beta_price_at_detection IS NOT NULL
+      AND br.first_seen <= NOW() - h.age
+      AND br.first_seen >  NOW() - h.age - h.grace
+      AND NOT EXISTS (
+        SELECT 1 FROM beta_snapshots s WHERE s.relation_id = br.id AND s.horizon = h.horizon
+      )
+    ORDER BY br.first_seen
+    LIMIT ${MAX_PER_RUN}
+  `, HORIZONS.flatMap(h => [h.horizon, h.age, h.grace]))
+  if (due.length === 0) return
+
+  const addresses = [...new Set(due.flatMap(r => [r.beta_address, r.alpha_address]))]
+  const { prices, failed } = await fetchPrices(addresses)
+
+  // A failed batch retries next run; a token with no pairs is stored as NULL
+  const rows = due.filter(r => !failed.has(r.beta_address) && !failed.has(r.alpha_address))
+  if (rows.length === 0) return
+
+  await db.query(`
+    INSERT INTO beta_snapshots (relation_id, horizon, beta_price, alpha_price, beta_mcap)
+    SELECT * FROM unnest($1::int[], $2::text[], $3::numeric[], $4::numeric[], $5::numeric[])
+    ON CONFLICT (relation_id, horizon) DO NOTHING
+  `, [
+    rows.map(r => r.id),
+    rows.map(r => r.horizon),
+    rows.map(r => prices.get(r.beta_address)?.price  ?? null),
+    rows.map(r => prices.get(r.alpha_address)?.price ?? null),
+    rows.map(r => prices.get(r.beta_address)?.mcap   ?? null),
+  ])
+  console.log(`[BetaPerf] ${rows.length} snapshots taken (${due.length - rows.length} deferred)`)
+}
+
+// ─── Stats ────────────────────────────────────────────────────────
+// LEFT JOIN LATERAL for any query that has beta_relations aliased as `br`.
+// Select perf.snapshots, perf."maxGain", perf."maxDrawdown", perf.outperformance.
+const PERFORMANCE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT
+      json_object_agg(s.horizon, json_build_object(
+        'betaReturn',  s.beta_ret,
+        'alphaReturn', s.alpha_ret,
+        'takenAt',     s.taken_at
+      ))                                                 AS snapshots,
+      MAX(s.beta_ret)                                    AS "maxGain",
+      LEAST(MIN(s.beta_ret), 0)                          AS "maxDrawdown",
+      (array_agg(s.beta_ret - s.alpha_ret ORDER BY s.taken_at DESC)
+        FILTER (WHERE s.beta_ret IS NOT NULL AND s.alpha_ret IS NOT NULL))[1] AS outperformance
+    FROM (
+      SELECT
+        bs.horizon,
+        bs.taken_at,
+        COALESCE(
+          (NULLIF(bs.beta_price, 0) / NULLIF(br.beta_price_at_detection, 0) - 1) * 100,
+          CASE WHEN br.beta_price_at_detection > 0 THEN -100 END
+        )::float8                                                                         AS beta_ret,
+        ((bs.alpha_price / NULLIF(br.alpha_price_at_detection, 0) - 1) * 100)::float8 AS alpha_ret
+      FROM beta_snapshots bs
+      WHERE bs.relation_id = br.id
+    ) s
+  ) perf ON true`
+
+module.exports = { runSnapshots, fetchPrices, PERFORMANCE_JOIN, HORIZONS }
@@ -0,0 +1,106 @@
+// ─── BetaPlays — Beta Relation Writes ─────────────────────────────
+// The one write path for beta_relations, shared by POST /api/record-betas
+// (client scans) and the server-side beta scan (betaScanService.js):
+//   - 6h dedup per alpha:beta pair — confirmed_count counts sightings at
+//     most once per window, not once per 90s price refresh / 10min rescan
+//   - every write goes through db.writeQueue
+//   - brand-new relations are pushed to stream subscribers ('betas'
+//     event) and the Discord feed
+//   - HIGH launch bundles (bundles.js) are never written — the server scan
+//     drops them already; client scans have no RPC, so betas younger than
+//     NEW_BETA_MS get the same bounded launch check here
+//
+// The dedup map is in-memory and resets on restart (Render redeploy).
+// ──────────────────────────────────────────────────────────────────
+
+const db          = require('./db')
+const eventStream = require('./eventStream')
+const discordBot  = require('./discord_bot')
+const bundles     = require('./bundles')
+
+const BETA_WRITE_TTL = 6 * 60 * 60 * 1000   // matches the score cache
+
+// Same window and wait as betaScanService's launch check
+const NEW_BETA_MS          = 3 * 24 * 60 * 60 * 1000
+const LAUNCH_CHECK_WAIT_MS = 8000
+
+const writeSeen = new Map()   // 'alpha:beta' → expiresAt
+
+const hasBetaWritten = (alphaAddr, betaAddr) => {
+  const key = `${alphaAddr}:${betaAddr}`
+  const exp = writeSeen.get(key)
+  if (!exp) return false
+  if (Date.now() > exp) { writeSeen.delete(key); return false }
+  return true
+}
+const markBetaWritten = (alphaAddr, betaAddr) =>
+  writeSeen.set(`${alphaAddr}:${betaAddr}`, Date.now() + BETA_WRITE_TTL)
+
+// betas: record-betas payload — [{ address, symbol, name, logoUrl, signals,
+// score, relationshipType, betaPriceAtDetection, alphaPriceAtDetection,
+// betaMcapAtDetection, aiScore, pairCreatedAt }]. Pairs written inside the
+// dedup window and HIGH-bundled launches are skipped. Resolves to
+// { inserted, errors }.
+async function record (alphaAddress, betas) {
+  const fresh = betas.filter(b => b.address && b.symbol && !hasBetaWritten(alphaAddress, b.address))
+  const isNew = (b) => b.pairCreatedAt && Date.now() - new Date(b.pairCreatedAt).getTime() < NEW_BETA_MS
+  await bundles.prefetch(fresh.filter(isNew).map(b => b.address), LAUNCH_CHECK_WAIT_MS)
+
+  const valid    = fresh.filter(b => bundles.peek(b.address)?.level !== 'HIGH')
+  const errors   = []
+  const inserted = []
+
+  for (const beta of valid) {
+    await db.writeQueue.run(async () => {
+      try {
+        await db.query(`
+          INSERT INTO tokens (address, symbol, name, logo_url)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (address) DO UPDATE SET
+            last_seen = NOW(),
+            name      = COALESCE(EXCLUDED.name, tokens.name)
+        `, [beta.address, beta.symbol, beta.name || null, beta.logoUrl || null])
+
+        const result = await db.query(`
+          INSERT INTO beta_relations
+            (alpha_address, beta_address, signals, score, relationship_type,
+             beta_price_at_detection, alpha_price_at_detection, beta_mcap_at_detection,
+             ai_score, beta_pair_created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (alpha_address, beta_address) DO UPDATE SET
+            last_seen       = NOW(),
+            signals         = EXCLUDED.signals,
+            score           = EXCLUDED.score,
+            confirmed_count = beta_relations.confirmed_count + 1
+          RETURNING (xmax = 0) AS inserted
+        `, [
+          alphaAddress,
+          beta.address,
+          beta.signals || [],
+          beta.score || null,
+          beta.relationshipType || null,
+          beta.betaPriceAtDetection   || null,
+          beta.alphaPriceAtDetection  || null,
+          beta.betaMcapAtDetection    || null,
+          beta.aiScore                ?? null,
+          beta.pairCreatedAt ? new Date(beta.pairCreatedAt) : null,
+        ])
+        markBetaWritten(alphaAddress, beta.address)
+        if (result.rows[0]?.inserted) inserted.push({ address: beta.address, symbol: beta.symbol })
+      } catch {
+        errors.push(beta.address)
+      }
+    }).catch(() => errors.push(beta.address))
+  }
+
+  if (inserted.length) {
+    eventStream.publish('betas', { alphaAddress, betas: inserted })
+    discordBot.postBetas(alphaAddress, inserted).catch(() => {})
+  }
+  return { inserted, errors }
+}
+
+module.exports = {
+  record,
+  hasBetaWritten,
+}
@@ -0,0 +1,1004 @@
+// ─── Beta Scan Service ────────────────────────────────────────────
+// Server-side port of the useBetas.js multi-vector scan. Runs ONCE per
+// alpha, stores the merged + ranked list in server_cache and serves it to
+// every client via GET /api/betas/:alphaAddress. Previously every browser
+// ran the full scan itself — N viewers of the same alpha meant N times the
+// DEXScreener calls and N times the Vector 8 LLM quota.
+//
+// Vectors (same numbering as useBetas.js):
+//   V0        AI concept expansion — loopback /api/expand-alpha (server cache)
+//   V1+V1b+V2 unified DEX search   — keyword / description / lore terms
+//                                    (live lore document, else the bundled LORE_MAP)
+//                                    + approved community lore ('community_lore')
+//   V3        morphology           — ticker variants + cross-term variants
+//   V3b       exact-match OG scan  — same ticker, low liq floor
+//   V4        PumpFun              — loopback /api/pumpfun (returns [] while disabled)
+//   V5        LP pairs             — alpha paired directly against another token
+//   V9        description match    — beta's own description references the alpha
+//   V10/V11   Telegram / Twitter   — in-process service caches, no HTTP hop
+//   V8        AI classification    — loopback /api/score-betas (same fallback chain)
+//
+// Stays client-side:
+//   - Vision (V7) — Pro-gated per viewer, Gemini quota is per request
+//   - Sibling scan — depends on the viewer's resolved parent alpha
+//   - MetaSeed — reads the viewer's local szn cache
+//
+// Ranking MUST match useBetas.js (mergeAndScore / computeBetaRank).
+// If you change SIGNAL_TIER_MAP or RELATIONSHIP_TIER_MAP there, change them here.
+
+const db              = require('./db')
+const bundles         = require('./bundles')
+const betaRelations   = require('./betaRelations')
+const signalWeights   = require('./signalWeights')
+const telegramService = require('./telegramService')
+const twitterService  = require('./twitterService')
+const loreStore       = require('./loreStore')
+const communityLore   = require('./communityLore')
+
+const DEXSCREENER_BASE = 'https://api.dexscreener.com'
+
+const MIN_LIQUIDITY    = 1000
+const MIN_LIQUIDITY_OG = 250
+const MAX_BETAS        = 40
+const AI_BATCH_SIZE    = 8
+const AI_MIN_SCORE     = 0.55
+const AI_TIER_SCORES   = { STRONG: 0.80, PLAUSIBLE: 0.52, REJECT: 0.10 }
+
+const SCAN_TTL_MS      = 10 * 60 * 1000   // serve a stored scan for 10 min before rescanning
+const PARTIAL_TTL_MS   = 60 * 1000        // a scan with failed V8 batches — rescan soon
+const SCAN_CACHE_HOURS = 24               // server_cache row lives longer — stale beats empty
+const MAX_SCANS        = 3                // concurrent scans per instance
+const MEM_CACHE_MAX    = 500              // alphas held in memCache
+
+// ─── DEX queue ────────────────────────────────────────────────────
+// Same shape as DEX_QUEUE in useBetas.js — max 4 in flight, 250ms spacing,
+// identical URLs share one request for 5 minutes. Shared across all scans
+// so concurrent alphas can't stampede DEXScreener together.
+const DEX_QUEUE = (() => {
+  let running   = 0
+  const MAX     = 4
+  const DELAY   = 250
+  const waiting = []
+  const cache   = new Map()  // url → Promise<json>
+
+  const next = () => {
+    if (waiting.length > 0 && running < MAX) waiting.shift()()
+  }
+
+  const get = (url) => {
+    if (cache.has(url)) return cache.get(url)
+
+    const req = (async () => {
+      if (running >= MAX) await new Promise(resolve => waiting.push(resolve))
+      running++
+      try {
+        const res = await fetch(url, { signal: AbortSignal.timeout(8000) })
+        if (!res.ok) throw new Error(`DEX ${res.status}`)
+        return await res.json()
+      } finally {
+        running--
+        await new Promise(r => setTimeout(r, DELAY))
+        next()
+      }
+    })()
+
+    cache.set(url, req)
+    req.then(() => setTimeout(() => cache.delete(url), 5 * 60 * 1000))
+       .catch(() => cache.delete(url))
+    return req
+  }
+
+  return { get }
+})()
+
+// ─── Search term helpers (ported from useBetas.js) ────────────────
+const BANNED_GENERIC_TERMS = new Set([
+  'solana','sol','ethereum','eth','bitcoin','btc','blockchain','crypto','defi',
+  'web3','nft','dao','dex','cex','swap','bridge','layer','mainnet','testnet',
+  'token','coin','chain','contract','wallet','hodl','hold','buy','sell',
+  'moon','pump','dump','rug','launch','fair','presale','airdrop','stake',
+  'yield','farm','pool','liquidity','market','price','chart','volume',
+  'cute','cool','nice','good','bad','big','small','tiny','little','great',
+  'best','first','new','old','real','based','pure','mega','ultra','super',
+  'wild','dark','bright','funny','fun','happy','sad','angry','mad',
+  'animal','pet','friend','buddy','pal','mate','guy','dude','bro','sir',
+  'king','queen','lord','master','hero','legend','god','devil','boss',
+  'thing','stuff','item','object','entity','creature','being','life',
+  'the','and','for','with','from','into','onto','upon','over','under',
+])
+
+const isValidSearchTerm = (term) => {
+  if (!term || typeof term !== 'string') return false
+  const t = term.trim()
+  const isEmoji = [...t].length === 1 && /\p{Emoji}/u.test(t)
+  if (!isEmoji && t.length < 3) return false
+  if (/[=<>:]/.test(t)) return false
+  if (/\s/.test(t) && t.split(/\s+/).length > 3) return false
+  if (/^[1-9A-HJ-NP-Za-km-z]{40,}$/.test(t)) return false
+  if (!isEmoji && BANNED_GENERIC_TERMS.has(t.toLowerCase())) return false
+  return true
+}
+
+// "EmptyHand" → ["emptyhand", "empty hand"] — DEX indexes both ticker and name
+const expandSearchTerms = (terms) => [...new Set(terms.flatMap(term => {
+  if (!term || typeof term !== 'string') return []
+  const t = term.trim()
+  if (/[a-z][A-Z]/.test(t)) {
+    const parts = t.replace(/([A-Z])/g, ' $1').trim().split(/\s+/)
+    return [parts.join('').toLowerCase(), parts.join(' ').toLowerCase()]
+  }
+  if (/\s/.test(t)) return [t.toLowerCase()]
+  return [t]
+}))].filter(isValidSearchTerm)
+
+const getNameTerms = (symbol, name) => {
+  if (!name || name === 'Unknown') return []
+  if (name.toLowerCase() === symbol.toLowerCase()) return []
+  const symLower = symbol.toLowerCase()
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length >= 3 && !w.includes(symLower) && !symLower.includes(w))
+    .slice(0, 4)
+}
+
+const DECOMP_SUFFIXES = ['COIN','CAT','DOG','HAT','WIF','INU','MOON','KING','APE','BOY','MAN','GIRL','AI','GPT']
+const DECOMP_PREFIXES = ['BABY','MINI','GIGA','MEGA','SUPER','REAL','TURBO','CHAD','DARK','EVIL','BASED','LITTLE','BIG']
+
+const decomposeSymbol = (symbol) => {
+  const s = symbol.toUpperCase()
+  const parts = new Set()
+  DECOMP_SUFFIXES.forEach(suffix => {
+    if (s.endsWith(suffix) && s.length - suffix.length >= 3) parts.add(s.slice(0, -suffix.length))
+  })
+  DECOMP_PREFIXES.forEach(prefix => {
+    if (s.startsWith(prefix) && s.length - prefix.length >= 3) parts.add(s.slice(prefix.length))
+  })
+  symbol
+    .replace(/([A-Z][a-z]+)/g, ' $1')
+    .trim().split(/\s+/)
+    .filter(p => p.length >= 3)
+    .forEach(p => parts.add(p.toUpperCase()))
+  parts.delete(s)
+  return [...parts].map(p => p.toLowerCase())
+}
+
+const DESC_STOP_WORDS = new Set([
+  'this','that','with','from','have','will','just','your','they','their','about',
+  'coin','token','meme','memecoin','solana','crypto','community','first','only',
+  'most','more','best','official','project','holders','launch','pump','moon',
+])
+
+// Light V1b — the client's cluster scoring needs the full lore map; the
+// server takes the 4 most distinctive description words instead.
+const extractDescriptionKeywords = (description, symbol, name) => {
+  if (!description) return []
+  const own = new Set([symbol.toLowerCase(), (name || '').toLowerCase()])
+  return [...new Set(
+    description
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length >= 4 && !DESC_STOP_WORDS.has(w) && !own.has(w))
+  )].filter(isValidSearchTerm).slice(0, 4)
+}
+
+const VARIANT_PREFIXES = ['BABY','MINI','GIGA','MEGA','SUPER','BASED','REAL','OG','TURBO','CHAD','DEGEN','FAT','TINY','EVIL','DARK']
+const VARIANT_SUFFIXES = ['INU','WIF','HAT','CAT','DOG','AI','GPT','2','PRO','MOON','ETTE','GIRL','EVIL','DARK']
+const MEME_SUFFIXES    = ['WIF','CAT','HAT','INU','MASK','PEPE','BABY','EVIL','DARK']
+
+const generateTickerVariants = (symbol) => {
+  const s = symbol.toUpperCase()
+  return [
+    ...VARIANT_PREFIXES.map(p => `${p}${s}`),
+    ...VARIANT_SUFFIXES.map(x => `${s}${x}`),
+  ]
+}
+
+const buildCrossTermVariants = (v0Terms = []) => {
+  const SKIP = new Set(['coin','token','sol','solana','crypto','meme','baby','evil','dark','the','a','of'])
+  const variants = []
+  for (const term of v0Terms.filter(t => t.length >= 3 && !SKIP.has(t.toLowerCase())).slice(0, 5)) {
+    for (const suffix of MEME_SUFFIXES) {
+      const joined = `${term}${suffix}`.toLowerCase()
+      if (joined.length >= 5 && isValidSearchTerm(joined)) variants.push(joined)
+    }
+  }
+  return [...new Set(variants)]
+}
+
+// ─── Entry gates (ported from useBetas.js — keep in sync) ─────────
+const getBetaMinLiqRatio = (mcap) => {
+  if (mcap < 100_000)     return 0.005
+  if (mcap < 1_000_000)   return 0.010
+  if (mcap < 10_000_000)  return 0.005
+  if (mcap < 100_000_000) return 0.002
+  return 0.001
+}
+
+const isHealthyBetaLiquidity = (p) => {
+  const liq  = p.liquidity?.usd || 0
+  const mcap = p.marketCap || p.fdv || 0
+  if (liq < 500) return false
+  if (p.info?.freezable === true) return false
+  if (mcap === 0) return liq >= MIN_LIQUIDITY
+  return liq / mcap >= getBetaMinLiqRatio(mcap)
+}
+
+// Launch bundles (bundles.js) — server-only, there's no RPC in the browser.
+// Betas younger than NEW_BETA_MS get their launch analysed while V8 runs;
+// a HIGH bundle is dropped like thin liquidity. Analyses that miss the wait
+// land in the cache and gate the next scan.
+const NEW_BETA_MS          = 3 * 24 * 60 * 60 * 1000
+const LAUNCH_CHECK_WAIT_MS = 8000
+
+const isNewBeta     = (b) => !!b.ageMs && b.ageMs < NEW_BETA_MS
+const isCleanLaunch = (b) => bundles.peek(b.address)?.level !== 'HIGH'
+
+// What BetaRow's bundle badge needs — null until analysed. A partial
+// analysis only misses links, so its level is a floor and still shown.
+const launchSummary = (address) => {
+  const r = bundles.peek(address)
+  if (r?.status !== 'ok' && r?.status !== 'partial') return null
+  return {
+    level:            r.level,
+    supplyPct:        r.supplyPct,
+    deployerPct:      r.deployerPct,
+    linkedBuyers:     r.linkedBuyers,
+    linkedPct:        r.linkedPct,
+    fundedByDeployer: r.fundedByDeployer,
+  }
+}
+
+const isActiveBeta = (p) => {
+  const mcap  = p.marketCap || p.fdv || 0
+  const vol   = p.volume?.h24 || 0
+  const txns  = (p.txns?.h24?.buys || 0) + (p.txns?.h24?.sells || 0)
+  const ageMs = p.pairCreatedAt ? Date.now() - p.pairCreatedAt : null
+  if (ageMs !== null && ageMs < 2 * 60 * 60 * 1000) return true
+  if (mcap > 1_000_000 && vol < 100) return false
+  const minTxns = mcap < 100_000 ? 3 : mcap < 1_000_000 ? 8 : mcap < 10_000_000 ? 10 : 20
+  return txns >= minTxns
+}
+
+const isDeadBeta = (b) => {
+  const signals = []
+  const vol24h  = b.volume24h || 0
+  const ageDays = b.ageMs ? b.ageMs / 86400000 : null
+  if ((parseFloat(b.priceChange24h) || 0) <= -75)            signals.push('dumped')
+  if (vol24h < 500)                                          signals.push('no_volume')
+  if ((b.txns24h || 0) < 3)                                  signals.push('no_txns')
+  if ((b.liquidity || 0) < 1000)                             signals.push('low_liq')
+  if (ageDays !== null && ageDays > 30 && vol24h < 5000)     signals.push('abandoned')
+  return { isDead: signals.length >= 3, signals, signalCount: signals.length }
+}
+
+const isBaseCurrency = (symbol) => ['SOL', 'USDC', 'USDT'].includes(symbol)
+
+// ─── Ranking (ported from useBetas.js — keep in sync) ─────────────
+const SIGNAL_TIER_MAP = {
+  direct_derivative: 5,
+  lp_pair:           5,
+  og_match:          4,
+  morphology:        4,
+  keyword:           4,
+  desc_match:        4,
+  description:       3,
+  lore:              3,
+  pumpfun:           2,
+  sibling:           2,
+}
+
+const RELATIONSHIP_TIER_MAP = {
+  TWIN:      4,
+  EVIL_TWIN: 4,
+  UNIVERSE:  3,
+  COUNTER:   3,
+  ECHO:      2,
+  SECTOR:    2,
+  SPIN:      1,
+}
+
+// Every constant computeBetaRank uses. POST /api/backtest (backtest.js)
+// re-ranks history under a modified copy — the defaults are what ships.
+// signalMultipliers / comboMultipliers are empty here; getRankConfig()
+// fills them from the calibrated weight table (signalWeights.js).
+const RANK_CONFIG = {
+  signalTiers:       SIGNAL_TIER_MAP,
+  relationshipTiers: RELATIONSHIP_TIER_MAP,
+  signalMultipliers: {},
+  comboMultipliers:  {},   // exact signal set ('ai_match+keyword') → rank multiplier
+  aiMatch:           { strongScore: 0.75, strongTier: 3, tier: 2 },
+  convergence:       { perSource: 0.5, max: 1.5 },
+  recency:           { windowDays: 7, factor: 1.2 },
+}
+
+// Live config — the constants plus the latest calibrated multipliers.
+const getRankConfig = () => {
+  const weights = signalWeights.getWeights()
+  if (!weights) return RANK_CONFIG
+  const multipliers = (table) => Object.fromEntries(
+    Object.entries(table || {}).map(([key, w]) => [key, w.multiplier])
+  )
+  return { ...RANK_CONFIG, signalMultipliers: multipliers(weights.sources), comboMultipliers: multipliers(weights.combos) }
+}
+
+const computeBetaRank = (beta, config = getRankConfig()) => {
+  const { signalTiers, relationshipTiers, signalMultipliers, comboMultipliers, aiMatch, convergence, recency } = config
+  const sources = beta.signalSources || []
+
+  let signalTier = 1
+  for (const s of sources) {
+    const base = s === 'ai_match'
+      ? ((beta.aiScore || 0) >= aiMatch.strongScore ? aiMatch.strongTier : aiMatch.tier)
+      : (signalTiers[s] || 1)
+    const tier = base * (signalMultipliers[s] ?? 1)
+    if (tier > signalTier) signalTier = tier
+  }
+
+  const relTier = relationshipTiers[beta.relationshipType] || 1
+
+  const uniqueSources    = new Set(sources.filter(s => s !== 'sibling')).size
+  const convergenceBonus = Math.min((uniqueSources - 1) * convergence.perSource, convergence.max)
+
+  const ageMs         = beta.ageMs || (beta.pairCreatedAt ? Date.now() - beta.pairCreatedAt : null)
+  const recencyFactor = ageMs && ageMs < recency.windowDays * 86400000 ? recency.factor : 1.0
+
+  const comboFactor = comboMultipliers[signalWeights.comboKey(sources)] ?? 1
+
+  const rank = signalTier * relTier * (1 + convergenceBonus) * recencyFactor * comboFactor
+  return Math.round(rank * 10) / 10
+}
+
+const getMcapRatio = (alphaMcap, betaMcap) => {
+  if (!alphaMcap || !betaMcap) return null
+  return Math.round(alphaMcap / betaMcap)
+}
+
+const formatBeta = (pair, sources = []) => {
+  const ageMs    = pair.pairCreatedAt ? Date.now() - pair.pairCreatedAt : null
+  const ageDays  = ageMs ? Math.floor(ageMs / 86400000)             : null
+  const ageHours = ageMs ? Math.floor((ageMs % 86400000) / 3600000) : null
+  const ageLabel = ageDays > 0 ? `${ageDays}d` : ageHours > 0 ? `${ageHours}h` : ageMs !== null ? '<1h' : '—'
+  return {
+    id:             pair.pairAddress || pair.baseToken?.address,
+    symbol:         pair.baseToken?.symbol || '???',
+    name:           pair.baseToken?.name   || 'Unknown',
+    address:        pair.baseToken?.address || '',
+    pairAddress:    pair.pairAddress || '',
+    priceUsd:       pair.priceUsd || '0',
+    priceChange24h: pair.priceChange?.h24 || 0,
+    volume24h:      pair.volume?.h24    || 0,
+    marketCap:      pair.marketCap || pair.fdv || 0,
+    liquidity:      pair.liquidity?.usd || 0,
+    logoUrl:        pair.info?.imageUrl || null,
+    pairCreatedAt:  pair.pairCreatedAt  || null,
+    description:    pair.info?.description || '',
+    ageLabel, ageMs,
+    txns24h:        (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0),
+    signalSources:  sources,
+    tokenClass:     null,
+    dexUrl:         `https://dexscreener.com/solana/${pair.baseToken?.address || pair.pairAddress}`,
+    priceRefreshedAt: Date.now(),
+  }
+}
+
+// OG / RIVAL / SPIN — same-symbol groups with at least one strong signal
+const STRONG_SIGNALS = new Set(['lp_pair','og_match','morphology','telegram_signal','desc_match','ai_match','visual_match'])
+const classifyTokens = (betas) => {
+  const isClassifiable = (b) => {
+    const srcs = b.signalSources || []
+    return srcs.some(s => STRONG_SIGNALS.has(s)) || srcs.filter(s => s !== 'sibling').length >= 2
+  }
+  const groups = {}
+  betas.filter(isClassifiable).forEach(b => {
+    const sym = b.symbol.toUpperCase()
+    if (!groups[sym]) groups[sym] = []
+    groups[sym].push(b)
+  })
+
+  const classified = []
+  Object.values(groups).forEach(group => {
+    if (group.length === 1) { classified.push({ ...group[0], tokenClass: null }); return }
+    const sorted = [...group].sort((a, b) => (a.pairCreatedAt || Infinity) - (b.pairCreatedAt || Infinity))
+    const og = sorted[0]
+    sorted.forEach((token, i) => {
+      if (i === 0) { classified.push({ ...token, tokenClass: 'OG' }); return }
+      const isRival =
+        (token.marketCap || 0) >= (og.marketCap || 1) * 0.8 ||
+        (token.volume24h || 0) > (og.volume24h || 1)
+      classified.push({ ...token, tokenClass: isRival ? 'RIVAL' : 'SPIN' })
+    })
+  })
+  const unclassified = betas.filter(b => !isClassifiable(b)).map(b => ({ ...b, tokenClass: null }))
+  return [...classified, ...unclassified]
+}
+
+const sortLPFirst = (a, b) => {
+  const aIsLP = a.signalSources?.includes('lp_pair') ? 1 : 0
+  const bIsLP = b.signalSources?.includes('lp_pair') ? 1 : 0
+  if (bIsLP !== aIsLP) return bIsLP - aIsLP
+  return b.betaRank - a.betaRank
+}
+
+// Merge + dedupe by contract address, classify, rank. Mirrors mergeAndScore.
+const mergeAndScore = (rawResults, alphaSymbol, alphaMcap) => {
+  const seen = new Map()
+  for (const { pair, sources } of rawResults) {
+    const key = pair.baseToken?.address
+    const sym = (pair.baseToken?.symbol || '').toUpperCase()
+    if (!key || sym === alphaSymbol.toUpperCase()) continue
+    if (seen.has(key)) {
+      const existing = seen.get(key)
+      existing.signalSources = [...new Set([...existing.signalSources, ...sources])]
+    } else {
+      seen.set(key, formatBeta(pair, sources))
+    }
+  }
+
+  return classifyTokens([...seen.values()].filter(b => !isBaseCurrency(b.symbol)))
+    .map(b => ({ ...b, mcapRatio: getMcapRatio(alphaMcap, b.marketCap), betaRank: computeBetaRank(b) }))
+    .sort(sortLPFirst)
+    .slice(0, 30)
+}
+
+// ─── Vectors ──────────────────────────────────────────────────────
+const searchDEX = async (term) => {
+  try {
+    const data = await DEX_QUEUE.get(`${DEXSCREENER_BASE}/latest/dex/search?q=${encodeURIComponent(term)}`)
+    return (data?.pairs || []).filter(p => p.chainId === 'solana')
+  } catch { return [] }
+}
+
+// ─── Lore map ─────────────────────────────────────────────────────
+// The client searches LORE_MAP terms (getSearchTerms / getConcepts in
+// src/data/lore_map.js). Same source here: the live lore document from
+// loreStore, else the map bundled with the frontend. lore_map.js is ESM,
+// hence the dynamic import — a deploy without src/ just searches without it.
+let bundledLoreMap = null   // Promise<loreMap>
+
+const getLoreMap = async () => {
+  try {
+    const current = await loreStore.getCurrent()
+    if (current?.lore?.loreMap) return current.lore.loreMap
+  } catch (err) {
+    console.warn('[BetaScan] live lore unavailable — using bundled map:', err.message)
+  }
+  if (!bundledLoreMap) {
+    bundledLoreMap = import('../src/data/lore_map.js')
+      .then(m => m.getBundledLore().loreMap)
+      .catch(err => {
+        console.warn('[BetaScan] bundled lore map unavailable:', err.message)
+        return {}
+      })
+  }
+  return bundledLoreMap
+}
+
+// getSearchTerms / getConcepts without the community merge
+const loreTerms    = (loreMap, symbol) => loreMap[symbol.toUpperCase()]?.terms    || [symbol.toLowerCase()]
+const loreConcepts = (loreMap, symbol) => loreMap[symbol.toUpperCase()]?.concepts || [symbol.toLowerCase()]
+
+// Approved community entries for an alpha — by symbol and by mint, as
+// getCommunityTerms does on the client. Never throws.
+const getCommunityEntries = async (alpha) => {
+  try {
+    const upper = alpha.symbol.toUpperCase()
+    return (await communityLore.approved())
+      .filter(e => e.symbol?.toUpperCase() === upper || (e.address && e.address === alpha.address))
+  } catch (err) {
+    console.warn('[BetaScan] community lore unavailable:', err.message)
+    return []
+  }
+}
+
+// V1 + V1b + V2 — one DEX call per unique term, provenance tracked per term
+const fetchDEXSearchBetas = async (alpha, descKeywords, v0Terms) => {
+  const [loreMap, community] = await Promise.all([getLoreMap(), getCommunityEntries(alpha)])
+  const alphaName = alpha.name || ''
+  const termSources = new Map()
+  const addTerms = (terms, source) => {
+    for (const t of terms) {
+      if (!isValidSearchTerm(t)) continue
+      if (!termSources.has(t)) termSources.set(t, new Set())
+      termSources.get(t).add(source)
+    }
+  }
+
+  // Community lore — kept out of the keyword origin below: one
+  // human-vetted source, not a fake convergence
+  const communityTerms = [...new Set(community.flatMap(e => [...(e.terms || []), ...(e.concepts || [])]))]
+  addTerms(communityTerms,                        'community_lore')
+
+  addTerms(getNameTerms(alpha.symbol, alphaName), 'keyword')
+  addTerms(loreTerms(loreMap, alpha.symbol).filter(t => !communityTerms.includes(t)), 'keyword')
+  addTerms(decomposeSymbol(alpha.symbol),         'keyword')
+  addTerms([alpha.symbol.toLowerCase()],          'keyword')
+  addTerms(descKeywords,                          'description')
+  // V2 — lore concepts for the symbol and (when it differs) the name
+  addTerms(loreConcepts(loreMap, alpha.symbol),   'lore')
+  // getConcepts merges the symbol's community concepts in — so does this
+  addTerms(community.filter(e => e.symbol?.toUpperCase() === alpha.symbol.toUpperCase())
+    .flatMap(e => e.concepts || []),              'lore')
+  if (alphaName && alphaName.toLowerCase() !== alpha.symbol.toLowerCase())
+    addTerms(loreConcepts(loreMap, alphaName),    'lore')
+  addTerms(getNameTerms(alpha.symbol, alphaName), 'lore')
+  // V0 terms are the AI's lore concepts — tagged both ways, as on the client
+  addTerms(v0Terms,                               'keyword')
+  addTerms(v0Terms,                               'lore')
+
+  const results = []
+  for (const [term, sourceSet] of termSources) {
+    const srcs = [...sourceSet]
+    const isLiteralSourceOnly = srcs.every(s => s === 'keyword' || s === 'description')
+    const termLower = term.toLowerCase()
+    const hits = (await searchDEX(term)).filter(p =>
+      (p.liquidity?.usd || 0) >= MIN_LIQUIDITY &&
+      isHealthyBetaLiquidity(p) &&
+      isActiveBeta(p) &&
+      p.baseToken?.address !== alpha.address &&
+      !isBaseCurrency(p.baseToken?.symbol) &&
+      (!isLiteralSourceOnly || (
+        p.baseToken?.symbol?.toLowerCase().includes(termLower) ||
+        p.baseToken?.name?.toLowerCase().includes(termLower)
+      ))
+    )
+    hits.forEach(p => results.push({ pair: p, sources: srcs }))
+  }
+  return results
+}
+
+// V3 — ticker variants must match the searched symbol exactly
+const fetchMorphologyBetas = async (alphaSymbol, v0Terms) => {
+  const variants = [...new Set([
+    ...generateTickerVariants(alphaSymbol).filter(isValidSearchTerm),
+    ...buildCrossTermVariants(v0Terms),
+  ])].slice(0, 25)
+
+  const results = []
+  for (const variant of variants) {
+    ;(await searchDEX(variant))
+      .filter(p =>
+        isHealthyBetaLiquidity(p) &&
+        isActiveBeta(p) &&
+        (p.liquidity?.usd || 0) >= MIN_LIQUIDITY &&
+        p.baseToken?.symbol?.toUpperCase() === variant.toUpperCase()
+      )
+      .forEach(p => results.push({ pair: p, sources: ['morphology'] }))
+  }
+  return results
+}
+
+// V3b — dormant same-ticker OGs. Pass 3 recovers known OGs from
+// beta_relations (the client uses localStorage for the same job).
+const fetchExactMatchOGs = async (alpha) => {
+  const results = []
+  const seen    = new Set()
+  const addResult = (pair) => {
+    const addr = pair.baseToken?.address
+    if (!addr || addr === alpha.address || seen.has(addr)) return
+    if ((pair.liquidity?.usd || 0) < MIN_LIQUIDITY_OG) return
+    if (pair.baseToken?.symbol?.toUpperCase() !== alpha.symbol.toUpperCase()) return
+    seen.add(addr)
+    results.push({ pair, sources: ['og_match'] })
+  }
+
+  if (isValidSearchTerm(alpha.symbol)) (await searchDEX(alpha.symbol)).forEach(addResult)
+
+  if (process.env.DATABASE_URL) {
+    try {
+      const { rows } = await db.query(`
+        SELECT beta_address FROM beta_relations
+        WHERE alpha_address = $1 AND 'og_match' = ANY(signals)
+        LIMIT 30
+      `, [alpha.address])
+      const known = rows.map(r => r.beta_address).filter(a => !seen.has(a))
+      if (known.length > 0) {
+        const data = await DEX_QUEUE.get(`${DEXSCREENER_BASE}/latest/dex/tokens/${known.join(',')}`)
+        ;(data?.pairs || [])
+          .filter(p => p.chainId === 'solana')
+          .sort((a, b) => (b.volume?.h24 || 0) - (a.volume?.h24 || 0))
+          .forEach(addResult)
+      }
+    } catch { /* non-fatal */ }
+  }
+  return results
+}
+
+// V5 — alpha paired directly against another (non-base) token
+const COMMON_BASE_TOKENS = new Set([
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So',
+  'bSo13r4TkiE4KumL71LsHTPpL2euBYLFx6h9HP3piy1',
+])
+
+const fetchLPPairBetas = (alphaPairs, alphaAddress) =>
+  alphaPairs
+    .filter(p => {
+      if ((p.liquidity?.usd || 0) < MIN_LIQUIDITY || !isHealthyBetaLiquidity(p)) return false
+      const baseAddr  = p.baseToken?.address  || ''
+      const quoteAddr = p.quoteToken?.address || ''
+      if (baseAddr !== alphaAddress && quoteAddr !== alphaAddress) return false
+      const otherAddr = baseAddr === alphaAddress ? quoteAddr : baseAddr
+      return otherAddr && otherAddr !== alphaAddress && !COMMON_BASE_TOKENS.has(otherAddr)
+    })
+    .map(p => ({ pair: p, sources: ['lp_pair'] }))
+
+// V4 — PumpFun via our own proxy. The proxy is 503 during the CDN outage,
+// which lands here as an empty result.
+const fetchPumpFunBetas = async (alpha, terms, baseUrl) => {
+  const allTerms = [...new Set(terms.map(t => t.toLowerCase()))]
+  if (allTerms.length === 0) return []
+  const results = []
+  for (const sort of ['last_trade_timestamp', 'market_cap']) {
+    try {
+      const res = await fetch(
+        `${baseUrl}/api/pumpfun?path=coins&sort=${sort}&order=DESC&limit=100&includeNsfw=false`,
+        { signal: AbortSignal.timeout(8000) }
+      )
+      if (!res.ok) continue
+      const coins = await res.json()
+      ;(Array.isArray(coins) ? coins : [])
+        .filter(coin => {
+          const hay = `${coin.name} ${coin.symbol} ${coin.description || ''}`.toLowerCase()
+          return coin.mint !== alpha.address && allTerms.some(t => hay.includes(t))
+        })
+        .slice(0, sort === 'market_cap' ? 10 : 15)
+        .forEach(coin => results.push({
+          pair: {
+            pairAddress:   coin.mint,
+            baseToken:     { symbol: coin.symbol, name: coin.name, address: coin.mint },
+            priceUsd:      coin.usd_market_cap ? String(coin.usd_market_cap / (coin.total_supply || 1e9)) : '0',
+            priceChange:   { h24: 0 },
+            volume:        { h24: coin.volume || 0 },
+            marketCap:     coin.usd_market_cap || 0,
+            liquidity:     { usd: coin.virtual_sol_reserves ? coin.virtual_sol_reserves * 150 : 0 },
+            info:          { imageUrl: coin.image_uri || null, description: coin.description || '' },
+            pairCreatedAt: coin.created_timestamp,
+          },
+          sources: ['pumpfun'],
+        }))
+    } catch { /* non-fatal */ }
+  }
+  return results
+}
+
+// V10 / V11 — read the poller caches directly, no HTTP hop
+const socialToResults = (results, signal) => (results || []).map(r => ({
+  pair: {
+    chainId:     'solana',
+    pairAddress: r.pairAddress || r.address,
+    baseToken:   { address: r.address, symbol: r.symbol, name: r.name },
+    priceUsd:    r.priceUsd || '0',
+    liquidity:   { usd: r.liquidity || 0 },
+    volume:      { h24: r.volume24h || 0 },
+    priceChange: { h1: r.priceChange?.h1 || 0, h24: r.priceChange?.h24 || 0 },
+    fdv:         r.fdv || 0,
+  },
+  sources: r.tied ? [signal, signal.replace('_signal', '_tied')] : [signal],
+}))
+
+// V9 — beta's own description references the alpha
+const DESC_GENERIC_WORDS = new Set([
+  'sol','solana','meme','memecoin','coin','token','the','a','an','is','on',
+  'of','to','and','in','for','with','this','that','are','was','has','have',
+  'its','our','your','from','just','like','crypto','defi','web3','based',
+])
+
+const applyDescriptionMatch = (betas, alpha, descKeywords) => {
+  const symLow  = alpha.symbol.toLowerCase()
+  const nameLow = (alpha.name || '').toLowerCase()
+  const dollar  = `$${symLow}`
+  const keywords = descKeywords
+    .map(k => k.toLowerCase())
+    .filter(k => k.length >= 5 && !DESC_GENERIC_WORDS.has(k))
+
+  return betas.map(b => {
+    const desc = (b.description || '').toLowerCase()
+    if (desc.length < 10) return b
+
+    const matched = []
+    if (desc.includes(dollar))                              matched.push(dollar)
+    else if (symLow.length >= 3 && desc.includes(symLow))   matched.push(symLow)
+    else if (nameLow.length >= 4 && desc.includes(nameLow)) matched.push(nameLow)
+    const keywordHits = keywords.filter(k => desc.includes(k))
+    if (keywordHits.length >= 2) matched.push(...keywordHits)
+    if (matched.length === 0) return b
+
+    const isExplicit = matched.some(t => t === dollar || t === symLow || t === nameLow)
+    return {
+      ...b,
+      signalSources:  [...new Set([...(b.signalSources || []), 'desc_match'])],
+      descMatchType:  isExplicit ? 'explicit' : 'keyword_overlap',
+      descMatchTerms: [...new Set(matched)],
+    }
+  })
+}
+
+// ─── Vector 8: AI classification via /api/score-betas ─────────────
+// Condensed version of buildClassificationPrompt in useAIBetaScoring.js —
+// same tier output format so the score mapping stays identical.
+const buildClassificationPrompt = (alpha, batch, relationshipHints) => {
+  const hints = Object.entries(relationshipHints || {})
+    .map(([term, type]) => `  "${term}" → ${type}`)
+    .join('\n')
+  const candidates = batch.map((c, i) => [
+    `[${i}] ${c.symbol}`,
+    c.name        ? `    Name: ${c.name}` : null,
+    c.description ? `    Description: ${c.description.slice(0, 200)}` : null,
+    c.signalSources?.length ? `    Found by: ${c.signalSources.join(', ')}` : null,
+  ].filter(Boolean).join('\n')).join('\n\n')
+
+  return `You are a crypto-native degen analyst on Solana CT.
+Identify genuine beta plays for the alpha — tokens degens ape BECAUSE the alpha is running,
+due to shared lore, universe, or narrative opposition. Superficial connections are rejected.
+
+ALPHA TOKEN:
+Symbol: ${alpha.symbol}${alpha.name ? `\nName: ${alpha.name}` : ''}${alpha.description ? `\nDescription: "${alpha.description.slice(0, 300)}"` : ''}${hints ? `\nNARRATIVE HINTS from concept expansion:\n${hints}` : ''}
+
+CANDIDATE TOKENS:
+${candidates}
+
+RELATIONSHIP TYPES: TWIN (same concept), COUNTER (opposite pole), ECHO (consequence/child),
+UNIVERSE (same franchise/world), SECTOR (same category), EVIL_TWIN (explicit dark version), SPIN (loose derivative).
+
+TIERS: STRONG = CT connects instantly. PLAUSIBLE = clear link but needs lore. REJECT = CT would not connect.
+"Both are meme tokens on Solana" is always REJECT.
+
+Respond ONLY with a JSON array, no markdown:
+[{"index":0,"tier":"STRONG","relationshipType":"TWIN","reason":"..."}]`
+}
+
+// failedBatches: batches with no answer (LLM error / 429) — their
+// candidates are neither confirmed nor rejected.
+const classifyRelationships = async (alpha, candidates, relationshipHints, baseUrl) => {
+  const classified = new Map()
+  const rejected   = new Set()
+  let failedBatches = 0
+
+  for (let i = 0; i < candidates.length; i += AI_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + AI_BATCH_SIZE)
+    if (i > 0) await new Promise(r => setTimeout(r, 2500))
+    try {
+      const res = await fetch(`${baseUrl}/api/score-betas`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ prompt: buildClassificationPrompt(alpha, batch, relationshipHints) }),
+        signal:  AbortSignal.timeout(60000),
+      })
+      if (!res.ok) throw new Error(`score-betas ${res.status}`)
+      const scores = await res.json()
+      if (!Array.isArray(scores)) throw new Error('unexpected score-betas response')
+
+      const mentioned = new Set()
+      for (const r of scores) {
+        const candidate = batch[r.index]
+        if (!candidate) continue
+        mentioned.add(r.index)
+        const score = r.tier ? (AI_TIER_SCORES[r.tier] ?? 0.10) : (r.score ?? 0.10)
+        if (score >= AI_MIN_SCORE) {
+          classified.set(candidate.address, {
+            aiScore:          score,
+            relationshipType: r.relationshipType || r.type || 'SPIN',
+            aiReason:         r.reason || null,
+          })
+        } else {
+          rejected.add(candidate.address)
+        }
+      }
+      batch.forEach((c, idx) => { if (!mentioned.has(idx)) rejected.add(c.address) })
+    } catch (err) {
+      // Batch failed entirely — we don't know, so neither confirm nor reject
+      failedBatches++
+      console.warn(`[BetaScan] $${alpha.symbol} — V8 batch ${i / AI_BATCH_SIZE + 1} failed:`, err.message)
+    }
+  }
+  return { classified, rejected, failedBatches }
+}
+
+// ─── Alpha resolution ─────────────────────────────────────────────
+// Clients only send an address — resolve symbol/name/mcap from the
+// alpha's highest-volume Solana pair. Returns the pair list too so V5
+// doesn't need a second tokens/ call.
+const resolveAlpha = async (address) => {
+  const data  = await DEX_QUEUE.get(`${DEXSCREENER_BASE}/latest/dex/tokens/${address}`)
+  const pairs = (data?.pairs || []).filter(p => p.chainId === 'solana')
+  const main  = pairs
+    .filter(p => p.baseToken?.address === address)
+    .sort((a, b) => (b.volume?.h24 || 0) - (a.volume?.h24 || 0))[0]
+  if (!main) return { alpha: null, pairs }
+  return {
+    alpha: {
+      address,
+      symbol:      main.baseToken.symbol || '',
+      name:        main.baseToken.name   || '',
+      logoUrl:     main.info?.imageUrl   || null,
+      description: main.info?.description || '',
+      marketCap:   main.marketCap || main.fdv || 0,
+      priceUsd:    main.priceUsd || null,
+    },
+    pairs,
+  }
+}
+
+// ─── Full scan ────────────────────────────────────────────────────
+const runScan = async (address, baseUrl) => {
+  const started = Date.now()
+  const { alpha, pairs: alphaPairs } = await resolveAlpha(address)
+  if (!alpha?.symbol) return null
+
+  // V0 — expansion is cached server-side per alpha, so this is usually free
+  let expansion = {}
+  try {
+    const res = await fetch(`${baseUrl}/api/expand-alpha`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ ...alpha, skipVision: true }),
+      signal:  AbortSignal.timeout(45000),
+    })
+    if (res.ok) expansion = await res.json()
+  } catch (err) {
+    console.warn(`[BetaScan] $${alpha.symbol} — expansion failed (continuing without):`, err.message)
+  }
+
+  const v0Terms      = expandSearchTerms(expansion.searchTerms || [])
+  const descKeywords = extractDescriptionKeywords(alpha.description, alpha.symbol, alpha.name)
+
+  const [dexRes, morphRes, ogRes, pumpRes] = await Promise.allSettled([
+    fetchDEXSearchBetas(alpha, descKeywords, v0Terms),
+    fetchMorphologyBetas(alpha.symbol, v0Terms),
+    fetchExactMatchOGs(alpha),
+    fetchPumpFunBetas(alpha, [...getNameTerms(alpha.symbol, alpha.name), ...v0Terms, ...descKeywords], baseUrl),
+  ])
+  const settled = (r) => r.status === 'fulfilled' ? r.value : []
+
+  const raw = [
+    ...settled(dexRes),
+    ...settled(morphRes),
+    ...settled(ogRes),
+    ...settled(pumpRes),
+    ...fetchLPPairBetas(alphaPairs, address),
+    ...socialToResults(telegramService.getTelegramBetas(alpha.symbol), 'telegram_signal'),
+    ...socialToResults(twitterService.getTwitterBetas(alpha.symbol),   'twitter_signal'),
+  ]
+
+  const merged    = applyDescriptionMatch(mergeAndScore(raw, alpha.symbol, alpha.marketCap), alpha, descKeywords)
+  const launchCheck = bundles.prefetch(merged.filter(isNewBeta).map(b => b.address), LAUNCH_CHECK_WAIT_MS)
+  const { classified, rejected, failedBatches } = await classifyRelationships(alpha, merged, expansion.relationshipHints, baseUrl)
+  await launchCheck
+
+  // Same removal rules as the client's V8 merge: on-chain signals can't be
+  // argued with, explicit rejects are honoured, dead tokens are dropped.
+  // Bundled launches go regardless of signal — that's the token, not the link.
+  const UNCHALLENGEABLE = new Set(['lp_pair', 'og_match'])
+  const betas = merged
+    .map(b => {
+      const ai = classified.get(b.address)
+      return ai ? { ...b, ...ai, signalSources: [...new Set([...b.signalSources, 'ai_match'])] } : b
+    })
+    .filter(b => {
+      const srcs = b.signalSources || []
+      if (srcs.some(s => UNCHALLENGEABLE.has(s))) return true
+      if (rejected.has(b.address)) return false
+      const noRelationship = !b.relationshipType || b.relationshipType === 'SPIN'
+      return !(srcs.length === 1 && noRelationship && (b.aiScore || 0) < 0.45)
+    })
+    .reduce((acc, b) => {
+      if (b.signalSources.includes('lp_pair') || b.signalSources.includes('og_match')) {
+        acc.push(b)
+        return acc
+      }
+      const { isDead, signals, signalCount } = isDeadBeta(b)
+      if (!isDead) acc.push({ ...b, decaySignals: signals, decayCount: signalCount })
+      return acc
+    }, [])
+    .filter(isCleanLaunch)
+    .map(b => ({ ...b, launch: launchSummary(b.address), betaRank: computeBetaRank(b) }))
+    .sort(sortLPFirst)
+    .slice(0, MAX_BETAS)
+
+  console.log(`[BetaScan] $${alpha.symbol} — ${raw.length} raw hits → ${merged.length} merged → ${betas.length} ranked (${Math.round((Date.now() - started) / 1000)}s)${failedBatches ? ` — ${failedBatches} V8 batch(es) failed` : ''}`)
+
+  return { alpha, betas, scannedAt: Date.now(), partial: failedBatches > 0 }
+}
+
+// ─── Persistence ──────────────────────────────────────────────────
+// server_cache holds the full ranked list (what clients render);
+// beta_relations gets the same rows /api/record-betas would write, through
+// the same path (betaRelations.js) — same 6h dedup, same write queue, same
+// 'betas' stream event — so history and past-runners keep building without
+// a client in the loop.
+const recordScan = async (scan) => {
+  await db.cacheSet(`betas:${scan.alpha.address}`, scan, SCAN_CACHE_HOURS)
+  if (!process.env.DATABASE_URL) return
+
+  const { errors } = await betaRelations.record(scan.alpha.address, scan.betas.map(b => ({
+    address:               b.address,
+    symbol:                b.symbol,
+    name:                  b.name,
+    logoUrl:               b.logoUrl,
+    signals:               b.signalSources,
+    score:                 b.betaRank,
+    relationshipType:      b.relationshipType,
+    betaPriceAtDetection:  b.priceUsd,
+    alphaPriceAtDetection: scan.alpha.priceUsd,
+    betaMcapAtDetection:   b.marketCap,
+    aiScore:               b.aiScore,
+    pairCreatedAt:         b.pairCreatedAt,
+  })))
+  if (errors.length) console.warn(`[BetaScan] $${scan.alpha.symbol} — ${errors.length} relation writes failed`)
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+// memCache: address → scan. In front of server_cache like the other
+// hot caches in index.js — a hit costs zero DB egress. Capped at
+// MEM_CACHE_MAX, least recently stored out first.
+// inFlight: address → Promise. Concurrent requests for the same alpha
+// share one scan instead of starting their own; at most MAX_SCANS run at
+// once, since any caller can start one per valid address.
+const memCache = new Map()
+const inFlight = new Map()
+
+const isFresh = (scan) => scan && Date.now() - scan.scannedAt < (scan.partial ? PARTIAL_TTL_MS : SCAN_TTL_MS)
+
+const remember = (address, scan) => {
+  memCache.delete(address)
+  memCache.set(address, scan)
+  if (memCache.size > MEM_CACHE_MAX) memCache.delete(memCache.keys().next().value)
+}
+
+async function getStoredScan (address) {
+  const mem = memCache.get(address)
+  if (mem) return mem
+  const stored = await db.cacheGet(`betas:${address}`).catch(() => null)
+  if (stored?.betas) remember(address, stored)
+  return stored?.betas ? stored : null
+}
+
+// Starts (or joins) a scan for this alpha. Resolves to the scan, or null
+// if the address couldn't be resolved to a Solana pair. Rejects with
+// code SCAN_BUSY when MAX_SCANS are already running.
+function scanAlpha (address, baseUrl) {
+  if (inFlight.has(address)) return inFlight.get(address)
+  if (inFlight.size >= MAX_SCANS) {
+    const err = new Error('beta scan capacity reached')
+    err.code = 'SCAN_BUSY'
+    return Promise.reject(err)
+  }
+
+  const job = runScan(address, baseUrl)
+    .then(async scan => {
+      if (!scan) return null
+      remember(address, scan)
+      // Half-classified — served to whoever is waiting and held here for
+      // PARTIAL_TTL_MS, but never stored as the shared answer or recorded
+      if (scan.partial) return scan
+      await recordScan(scan).catch(err => console.warn('[BetaScan] record failed:', err.message))
+      return scan
+    })
+    .finally(() => inFlight.delete(address))
+
+  inFlight.set(address, job)
+  return job
+}
+
+function isScanning (address) {
+  return inFlight.has(address)
+}
+
+module.exports = {
+  getStoredScan,
+  scanAlpha,
+  runScan,
+  isScanning,
+  isFresh,
+  computeBetaRank,
+  mergeAndScore,
+  RANK_CONFIG,
+  getRankConfig,
+  SIGNAL_TIER_MAP,
+  RELATIONSHIP_TIER_MAP,
+}
@@ -0,0 +1,262 @@
+// ─── Chat Bot Query Commands ──────────────────────────────────────
+// The read-only commands both chat bots answer, shared so Telegram
+// (telegram_bot.js) and Discord (discord_bot.js) give the same answers
+// from the same queries:
+//   betas $SYM|CA    top-ranked betas from beta_relations
+//   alpha $SYM|CA    token summary — latest run, ATH, run count, betas
+//   top              current live runners (alpha_runs, last 2h)
+//   szn              active narratives (news + novel Szn cards)
+//   watch [$SYM|CA]  add to the linked wallet's watchlist (no arg = list it)
+//   unwatch $SYM|CA  remove from the linked wallet's watchlist
+//
+// Each bot resolves its own linked wallet and markup — createCommands()
+// takes a formatter (formats.html / formats.markdown) and the bot's
+// "link your wallet first" text, and returns functions that resolve to a
+// message string ready to send.
+
+const db              = require('./db')
+const newsService     = require('./newsService')
+const betaPerformance = require('./betaPerformance')
+
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+const LIST_LIMIT = 10
+
+// ─── Formatting ───────────────────────────────────────────────────
+
+const fmtUsd = (n) => {
+  const v = parseFloat(n)
+  if (!v) return '—'
+  if (v >= 1e9) return `$${(v / 1e9).toFixed(2)}B`
+  if (v >= 1e6) return `$${(v / 1e6).toFixed(2)}M`
+  if (v >= 1e3) return `$${(v / 1e3).toFixed(1)}K`
+  return `$${v.toFixed(0)}`
+}
+
+const fmtPct = (n) => {
+  if (n == null || isNaN(parseFloat(n))) return '—'
+  const v = parseFloat(n)
+  return `${v >= 0 ? '+' : ''}${v.toFixed(0)}%`
+}
+
+const fmtAgo = (ts) => {
+  if (!ts) return '—'
+  const mins = Math.floor((Date.now() - new Date(ts).getTime()) / 60000)
+  if (mins < 60)   return `${mins}m ago`
+  if (mins < 1440) return `${Math.floor(mins / 60)}h ago`
+  return `${Math.floor(mins / 1440)}d ago`
+}
+
+// Every helper escapes its own text — callers pass raw strings.
+const escHtml = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escMd   = (str) => String(str ?? '').replace(/[\\*_~`|[\]<>#]/g, '\\$&')
+
+const formats = {
+  // Telegram parse_mode: 'HTML'
+  html: {
+    esc:    escHtml,
+    bold:   (s) => `<b>${escHtml(s)}</b>`,
+    italic: (s) => `<i>${escHtml(s)}</i>`,
+    code:   (s) => `<code>${escHtml(s)}</code>`,
+    link:   (url, label) => `<a href="${url}">${escHtml(label)}</a>`,
+  },
+  // Discord message markdown — <url> in a masked link suppresses the embed
+  markdown: {
+    esc:    escMd,
+    bold:   (s) => `**${escMd(s)}**`,
+    italic: (s) => `*${escMd(s)}*`,
+    code:   (s) => `\`${String(s ?? '').replace(/`/g, '')}\``,
+    link:   (url, label) => `[${escMd(label)}](<${url}>)`,
+  },
+}
+
+const dexUrl = (address) => `https://dexscreener.com/solana/${address}`
+
+// ─── Lookups ──────────────────────────────────────────────────────
+
+// $SYM or contract address → tokens row. For a ticker shared by several
+// tokens, prefer one that has actually run as an alpha, then the biggest.
+async function resolveToken (arg) {
+  const query = (arg || '').trim().replace(/^\$/, '')
+  if (!query) return null
+  const byAddress = ADDRESS_RE.test(query)
+  const { rows } = await db.query(
+    `SELECT address, symbol, name, logo_url, category, ath_mcap, ath_at, peak_mcap, total_run_count, last_run_at
+     FROM tokens
+     WHERE ${byAddress ? 'address = $1' : 'UPPER(symbol) = UPPER($1)'}
+     ORDER BY (last_run_at IS NOT NULL) DESC, COALESCE(ath_mcap, peak_mcap, 0) DESC, last_seen DESC
+     LIMIT 1`,
+    [query]
+  )
+  return rows[0] || null
+}
+
+// ─── Commands ─────────────────────────────────────────────────────
+
+function createCommands ({ fmt, notLinked }) {
+  const { esc, bold, italic, code, link } = fmt
+  const dexLink = (address, label) => link(dexUrl(address), label)
+
+  async function betas (arg) {
+    if (!arg) return 'Usage: /betas $SYMBOL or contract address'
+    const alpha = await resolveToken(arg)
+    if (!alpha) return `No token found for ${bold(arg)}.`
+
+    const { rows } = await db.query(`
+      SELECT br.beta_address, t.symbol, br.score, br.relationship_type, br.confirmed_count,
+             br.beta_mcap_at_detection, perf."maxGain"
+      FROM beta_relations br
+      JOIN tokens t ON t.address = br.beta_address
+      ${betaPerformance.PERFORMANCE_JOIN}
+      WHERE br.alpha_address = $1
+      ORDER BY br.score DESC NULLS LAST, br.confirmed_count DESC
+      LIMIT ${LIST_LIMIT}
+    `, [alpha.address])
+    if (!rows.length) return `No betas recorded for ${bold(`$${alpha.symbol}`)} yet — open it in the app to scan.`
+
+    const lines = rows.map((b, i) => {
+      const parts = [
+        `rank ${parseFloat(b.score) || '—'}`,
+        b.relationship_type,
+        b.confirmed_count > 1 ? `seen ${b.confirmed_count}×` : null,
+        b.maxGain != null ? `best ${fmtPct(b.maxGain)}` : null,
+      ].filter(Boolean)
+      return `${i + 1}. ${dexLink(b.beta_address, `$${b.symbol}`)} — ${esc(parts.join(' · '))}`
+    })
+    return `💎 ${bold(`Betas for $${alpha.symbol}`)}\n\n${lines.join('\n')}`
+  }
+
+  async function alpha (arg) {
+    if (!arg) return 'Usage: /alpha $SYMBOL or contract address'
+    const token = await resolveToken(arg)
+    if (!token) return `No token found for ${bold(arg)}.`
+
+    const [{ rows: [run] }, { rows: [counts] }] = await Promise.all([
+      db.query(
+        `SELECT mcap, volume_24h, price_change_24h, liquidity, timestamp
+         FROM alpha_runs WHERE token_address = $1 ORDER BY timestamp DESC LIMIT 1`,
+        [token.address]
+      ),
+      db.query('SELECT COUNT(*)::int AS betas FROM beta_relations WHERE alpha_address = $1', [token.address]),
+    ])
+
+    const lines = [
+      `🚀 ${bold(`$${token.symbol}`)} — ${esc(token.name || token.symbol)}`,
+      token.category ? `Narrative: ${esc(token.category)}` : null,
+      '',
+      run
+        ? `MCap ${fmtUsd(run.mcap)} · 24h ${fmtPct(run.price_change_24h)} · Vol ${fmtUsd(run.volume_24h)} · Liq ${fmtUsd(run.liquidity)}\n${italic(`as of ${fmtAgo(run.timestamp)}`)}`
+        : 'Not seen in the live feed yet.',
+      token.ath_mcap ? `ATH ${fmtUsd(token.ath_mcap)} (${fmtAgo(token.ath_at)})` : null,
+      `Runs: ${token.total_run_count || 0} · Betas found: ${counts.betas}`,
+      '',
+      `${dexLink(token.address, 'DEXScreener')} · ${code(token.address)}`,
+    ]
+    return lines.filter(l => l !== null).join('\n')
+  }
+
+  async function top () {
+    const { rows } = await db.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (r.token_address)
+          r.token_address, t.symbol, r.mcap, r.volume_24h, r.price_change_24h
+        FROM alpha_runs r
+        JOIN tokens t ON t.address = r.token_address
+        WHERE r.timestamp > NOW() - INTERVAL '2 hours'
+        ORDER BY r.token_address, r.timestamp DESC
+      ) latest
+      ORDER BY volume_24h DESC NULLS LAST
+      LIMIT ${LIST_LIMIT}
+    `)
+    if (!rows.length) return 'No live runners in the last 2 hours.'
+    const lines = rows.map((r, i) =>
+      `${i + 1}. ${dexLink(r.token_address, `$${r.symbol}`)} — MCap ${fmtUsd(r.mcap)} · 24h ${fmtPct(r.price_change_24h)} · Vol ${fmtUsd(r.volume_24h)}`
+    )
+    return `🔥 ${bold('Live runners')}\n\n${lines.join('\n')}`
+  }
+
+  async function szn () {
+    const [news, { rows: novel }] = await Promise.all([
+      newsService.getNewsNarratives().catch(() => []),
+      db.query(`
+        SELECT DISTINCT ON (key) key, label, score,
+               CASE WHEN jsonb_typeof(tokens) = 'array' THEN jsonb_array_length(tokens) END AS token_count
+        FROM narratives
+        WHERE timestamp > NOW() - INTERVAL '24 hours'
+        ORDER BY key, timestamp DESC
+      `),
+    ])
+    const sections = []
+    if (news.length) {
+      sections.push(`${bold('News-driven')}\n` + news.map(n =>
+        `• ${esc(n.category)}${n.headline ? ` — ${italic(n.headline)}` : ''}`
+      ).join('\n'))
+    }
+    if (novel.length) {
+      const ranked = [...novel].sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, LIST_LIMIT)
+      sections.push(`${bold('On-chain Szns')}\n` + ranked.map(n =>
+        `• ${esc(n.label)} — score ${n.score || 0}${n.token_count ? ` · ${n.token_count} tokens` : ''}`
+      ).join('\n'))
+    }
+    if (!sections.length) return 'No active narratives right now.'
+    return `📡 ${bold('Active narratives')}\n\n${sections.join('\n\n')}`
+  }
+
+  // ─── Watchlist (linked wallet only) ───────────────────────────
+
+  async function watch (wallet, arg) {
+    if (!wallet) return notLinked
+
+    if (!arg) {
+      const { rows } = await db.query(
+        'SELECT token_address, symbol FROM watchlist WHERE wallet_address = $1 ORDER BY added_at DESC LIMIT 25',
+        [wallet]
+      )
+      if (!rows.length) return 'Your watchlist is empty. Add one with /watch $SYMBOL'
+      return `👀 ${bold('Your watchlist')}\n\n${rows.map(r => `• ${dexLink(r.token_address, `$${r.symbol || r.token_address.slice(0, 6)}`)}`).join('\n')}`
+    }
+
+    const token = await resolveToken(arg)
+    if (!token) return `No token found for ${bold(arg)}.`
+    // Entry price/mcap like the app's own add — the price alert job and the
+    // watchlist P&L both measure from price_at_add. Unknown stays NULL.
+    const { prices } = await betaPerformance.fetchPrices([token.address])
+    const live = prices.get(token.address)
+    try {
+      const result = await db.query(
+        `INSERT INTO watchlist (wallet_address, token_address, symbol, name, price_at_add, logo_url, mcap_at_add)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (wallet_address, token_address) DO NOTHING`,
+        [wallet, token.address, token.symbol, token.name || null,
+         live?.price || null, token.logo_url || null, live?.mcap || null]
+      )
+      return result.rowCount
+        ? `✅ Watching ${bold(`$${token.symbol}`)}.`
+        : `Already watching ${bold(`$${token.symbol}`)}.`
+    } catch (err) {
+      // watchlist.wallet_address → users — wallet linked but never signed in
+      if (err.code === '23503') return 'Sign in to the app once with this wallet, then try again.'
+      throw err
+    }
+  }
+
+  async function unwatch (wallet, arg) {
+    if (!arg) return 'Usage: /unwatch $SYMBOL or contract address'
+    if (!wallet) return notLinked
+
+    // Match the wallet's own entries first — the ticker may not be in tokens
+    const query = arg.trim().replace(/^\$/, '')
+    const { rows } = await db.query(
+      `DELETE FROM watchlist
+       WHERE wallet_address = $1 AND (token_address = $2 OR UPPER(symbol) = UPPER($2))
+       RETURNING symbol`,
+      [wallet, query]
+    )
+    return rows.length
+      ? `🗑️ Removed ${bold(`$${rows.map(r => r.symbol).join(', $')}`)} from your watchlist.`
+      : `${bold(arg)} isn't on your watchlist.`
+  }
+
+  return { betas, alpha, top, szn, watch, unwatch }
+}
+
+module.exports = { createCommands, resolveToken, formats, fmtUsd, fmtPct, fmtAgo, dexUrl, ADDRESS_RE }
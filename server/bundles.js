@@ -0,0 +1,309 @@
+// ─── BetaPlays — Launch Bundle Detection ──────────────────────────
+// Reads a token's first slots from Solana RPC and estimates how much of
+// the supply was taken at launch by the deployer and wallets tied to it —
+// the classic "bundled" launch, where the dev buys the curve through a
+// handful of fresh wallets in the creation block and dumps on whoever
+// finds the beta later.
+//
+//   launch window       the creation slot + LAUNCH_SLOTS - 1; the oldest
+//                       signature on the mint is the creation tx, its fee
+//                       payer the deployer
+//   launch buyers       signers whose balance of the mint went up in a
+//                       window tx (curves and pool vaults never sign)
+//   funding             each buyer's last FUNDING_LOOKBACK txs before its
+//                       launch buy, looking for SOL sent by the deployer —
+//                       or by a wallet that also funded another buyer
+//
+// A shared funder can be an exchange hot wallet, so linked wallets alone
+// only reach MED; HIGH needs them (or the deployer) to hold real supply,
+// or the deployer to have funded several buyers outright.
+//
+// Launch history never changes, so results are cached for days —
+// per instance and in server_cache. An analysis where a funding lookup
+// failed is 'partial' (a missed funder can hide a link) and only cached
+// for PARTIAL_TTL_MS, so the next request retries it. peek() is the synchronous read the
+// beta scan gates on; prefetch() fills the cache within a time budget.
+//
+// RPC: solanaRpc.js. Tokens with more than MAX_PAGES × 1000 signatures
+// can't be walked back to their launch cheaply and come back UNKNOWN.
+// ──────────────────────────────────────────────────────────────────
+
+const { PublicKey } = require('@solana/web3.js')
+const db = require('./db')
+const { connection, createLimiter } = require('./solanaRpc')
+
+// ─── Config ───────────────────────────────────────────────────────
+const CACHE_TTL_MS        = 7 * 24 * 60 * 60 * 1000
+const PARTIAL_TTL_MS      = 30 * 60 * 1000
+const MAX_ANALYSES        = 2       // concurrent analyses per instance
+const MAX_PAGES           = 5       // signature pages (1000 each) walked back to launch
+const LAUNCH_SLOTS        = 2
+const MAX_LAUNCH_TXS      = 100
+const MAX_FUNDING_CHECKS  = 15      // largest launch buyers traced back to their funder
+const FUNDING_LOOKBACK    = 10
+const TX_BATCH            = 25
+const MAX_IN_FLIGHT       = 200     // prefetch() stops queueing past this
+
+// Percent of supply
+const HIGH_LAUNCH_PCT     = 50      // bought in the launch window, by anyone
+const MED_LAUNCH_PCT      = 20
+const HIGH_LINKED_PCT     = 25      // held by the deployer + linked buyers
+const MED_LINKED_PCT      = 15
+
+const cache    = new Map()   // address → { at, ttl, result }
+const inFlight = new Map()   // address → Promise
+const limited  = createLimiter(MAX_ANALYSES)
+
+const badBundle = (message, code = 'BAD_BUNDLE') => {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+const toKey = (address) => {
+  try { return new PublicKey(address) }
+  catch { throw badBundle('address must be a Solana mint address') }
+}
+
+const pctOf = (amount, supply) => supply > 0n ? Number(amount * 10000n / supply) / 100 : 0
+const round2 = (n) => Math.round(n * 100) / 100
+// [wallet, { amount }] entries, largest buy first
+const byAmount = (a, b) => (b[1].amount > a[1].amount ? 1 : b[1].amount < a[1].amount ? -1 : 0)
+
+async function parsedTxs (signatures) {
+  const txs = []
+  for (let i = 0; i < signatures.length; i += TX_BATCH) {
+    txs.push(...await connection.getParsedTransactions(
+      signatures.slice(i, i + TX_BATCH),
+      { maxSupportedTransactionVersion: 0 }
+    ))
+  }
+  return txs.filter(Boolean)
+}
+
+// ─── Launch window ────────────────────────────────────────────────
+
+// Oldest-first signatures in the launch window, or null when the token
+// has too much history to reach its launch
+async function launchSignatures (mintKey) {
+  const all = []
+  let before
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const sigs = await connection.getSignaturesForAddress(mintKey, { before, limit: 1000 })
+    all.push(...sigs)
+    if (sigs.length < 1000) {
+      if (!all.length) throw badBundle('no transactions for this mint', 'NO_MINT')
+      const launchSlot = all[all.length - 1].slot
+      return all
+        .filter(s => s.slot < launchSlot + LAUNCH_SLOTS && !s.err)
+        .reverse()
+        .slice(0, MAX_LAUNCH_TXS)
+    }
+    before = sigs[sigs.length - 1].signature
+  }
+  return null
+}
+
+// wallet → { amount, signature } for every signer that received the mint
+function readBuys (txs, mint) {
+  const buys = new Map()
+  for (const tx of txs) {
+    if (tx.meta?.err) continue
+    const keys    = tx.transaction.message.accountKeys
+    const signers = new Set(keys.filter(k => k.signer).map(k => k.pubkey.toBase58()))
+    const deltas  = new Map()   // owner → bigint
+    const tally   = (balances, sign) => {
+      for (const b of balances || []) {
+        if (b.mint !== mint || !b.owner) continue
+        deltas.set(b.owner, (deltas.get(b.owner) || 0n) + sign * BigInt(b.uiTokenAmount.amount))
+      }
+    }
+    tally(tx.meta.preTokenBalances, -1n)
+    tally(tx.meta.postTokenBalances, 1n)
+
+    for (const [owner, delta] of deltas) {
+      if (delta <= 0n || !signers.has(owner)) continue
+      const buy = buys.get(owner) || { amount: 0n, signature: tx.transaction.signatures[0] }
+      buy.amount += delta
+      buys.set(owner, buy)
+    }
+  }
+  return buys
+}
+
+// ─── Funding ──────────────────────────────────────────────────────
+
+// Wallets that sent SOL to `wallet` in its last FUNDING_LOOKBACK txs
+// before `signature` — top-level and inner (CPI) system transfers
+async function fundersOf (wallet, signature) {
+  const sigs = await connection.getSignaturesForAddress(new PublicKey(wallet), { before: signature, limit: FUNDING_LOOKBACK })
+  const txs  = await parsedTxs(sigs.filter(s => !s.err).map(s => s.signature))
+  const funders = new Set()
+  for (const tx of txs) {
+    const ixs = [
+      ...tx.transaction.message.instructions,
+      ...(tx.meta?.innerInstructions || []).flatMap(i => i.instructions),
+    ]
+    for (const ix of ixs) {
+      if (ix.program !== 'system' || !ix.parsed?.info) continue
+      const { type, info } = ix.parsed
+      const to = type === 'createAccount' ? info.newAccount : info.destination
+      if (['transfer', 'transferWithSeed', 'createAccount'].includes(type) && to === wallet && info.source !== wallet) {
+        funders.add(info.source)
+      }
+    }
+  }
+  return funders
+}
+
+// ─── Score ────────────────────────────────────────────────────────
+
+function level ({ supplyPct, linkedPct, linkedBuyers, fundedByDeployer }) {
+  if (supplyPct >= HIGH_LAUNCH_PCT || linkedPct >= HIGH_LINKED_PCT || fundedByDeployer >= 2) return 'HIGH'
+  if (supplyPct >= MED_LAUNCH_PCT || linkedPct >= MED_LINKED_PCT || linkedBuyers >= 2 || fundedByDeployer >= 1) return 'MED'
+  return 'LOW'
+}
+
+function risks (r) {
+  const out = []
+  if (r.supplyPct >= MED_LAUNCH_PCT)  out.push(`${r.supplyPct}% of supply bought in the launch block${LAUNCH_SLOTS > 1 ? 's' : ''}`)
+  if (r.deployerPct > 0)              out.push(`Deployer bought ${r.deployerPct}% at launch`)
+  if (r.fundedByDeployer)             out.push(`${r.fundedByDeployer} launch buyer${r.fundedByDeployer > 1 ? 's' : ''} funded by the deployer`)
+  if (r.linkedBuyers)                 out.push(`${r.linkedBuyers} linked launch wallet${r.linkedBuyers > 1 ? 's' : ''} — with the deployer, ${r.linkedPct}% of supply`)
+  return out
+}
+
+// ─── Analysis ─────────────────────────────────────────────────────
+
+async function runAnalysis (address) {
+  const mintKey = toKey(address)
+  const sigs    = await launchSignatures(mintKey)
+  if (!sigs) {
+    return { address, analysedAt: Date.now(), status: 'too_active', level: 'UNKNOWN', risks: [] }
+  }
+
+  const [txs, { value: { amount } }] = await Promise.all([
+    parsedTxs(sigs.map(s => s.signature)),
+    connection.getTokenSupply(mintKey),
+  ])
+  const supply   = BigInt(amount)
+  const creation = txs.find(tx => tx.transaction.signatures[0] === sigs[0].signature) || txs[0]
+  const deployer = creation?.transaction.message.accountKeys[0]?.pubkey.toBase58() || null
+  const buys     = readBuys(txs, address)
+
+  // Trace the largest non-deployer buyers back to whoever sent them SOL
+  const traced = [...buys.entries()]
+    .filter(([wallet]) => wallet !== deployer)
+    .sort(byAmount)
+    .slice(0, MAX_FUNDING_CHECKS)
+  const funders = new Map()   // wallet → Set<funder>
+  let fundingFailed = 0
+  for (const [wallet, buy] of traced) {
+    funders.set(wallet, await fundersOf(wallet, buy.signature).catch(() => { fundingFailed++; return new Set() }))
+  }
+
+  const fundedBy = new Map()  // funder → [wallet] — deployer excluded
+  for (const [wallet, set] of funders) {
+    for (const f of set) {
+      if (f === deployer) continue
+      fundedBy.set(f, [...(fundedBy.get(f) || []), wallet])
+    }
+  }
+  const commonFunders = [...fundedBy.entries()]
+    .filter(([, wallets]) => wallets.length >= 2)
+    .map(([funder, wallets]) => ({ funder, buyers: wallets.length }))
+  const shared  = new Set(commonFunders.flatMap(c => fundedBy.get(c.funder)))
+  const fromDev = new Set([...funders].filter(([, set]) => deployer && set.has(deployer)).map(([w]) => w))
+  const linked  = new Set([...shared, ...fromDev])
+
+  const deployerAmount = buys.get(deployer)?.amount || 0n
+  let launchAmount = 0n
+  let linkedAmount = deployerAmount
+  for (const [wallet, buy] of buys) {
+    launchAmount += buy.amount
+    if (linked.has(wallet)) linkedAmount += buy.amount
+  }
+
+  const result = {
+    address,
+    analysedAt:       Date.now(),
+    status:           fundingFailed ? 'partial' : 'ok',
+    fundingFailed,
+    launchSlot:       sigs[0].slot,
+    launchTxs:        txs.length,
+    deployer,
+    supplyPct:        round2(pctOf(launchAmount, supply)),
+    deployerPct:      round2(pctOf(deployerAmount, supply)),
+    buyers:           buys.size,
+    linkedBuyers:     linked.size,
+    linkedPct:        round2(pctOf(linkedAmount, supply)),
+    fundedByDeployer: fromDev.size,
+    commonFunders,
+    topBuyers: [...buys.entries()]
+      .sort(byAmount)
+      .slice(0, 10)
+      .map(([wallet, buy]) => ({
+        wallet,
+        pct:      round2(pctOf(buy.amount, supply)),
+        deployer: wallet === deployer,
+        linked:   linked.has(wallet),
+      })),
+  }
+  result.level = level(result)
+  result.risks = risks(result)
+  return result
+}
+
+// Cached analysis — per instance, then server_cache, then RPC. Concurrent
+// requests for the same token share one analysis.
+async function analyse (address) {
+  toKey(address)
+  const hit = cache.get(address)
+  if (hit && Date.now() - hit.at < hit.ttl) return hit.result
+  if (inFlight.has(address)) return inFlight.get(address)
+
+  const job = (async () => {
+    const shared = await db.cacheGet(`bundle:${address}`)
+    const result = shared || await limited(() => runAnalysis(address))
+    const ttl    = result.status === 'partial' ? PARTIAL_TTL_MS : CACHE_TTL_MS
+    if (!shared) {
+      db.cacheSet(`bundle:${address}`, result, ttl / 3_600_000)
+      console.log(`[Bundles] ${address.slice(0, 6)}… ${result.level}${result.status === 'ok' ? ` — ${result.supplyPct}% at launch, ${result.linkedBuyers} linked` : ` (${result.status})`}`)
+    }
+    cache.set(address, { at: Date.now(), ttl, result })
+    return result
+  })().finally(() => inFlight.delete(address))
+  inFlight.set(address, job)
+  return job
+}
+
+// Cached result or null — never touches RPC
+function peek (address) {
+  const hit = cache.get(address)
+  return hit && Date.now() - hit.at < hit.ttl ? hit.result : null
+}
+
+// Starts analyses for any uncached addresses and waits up to waitMs for
+// them; slower ones keep running and land in the cache for next time.
+async function prefetch (addresses, waitMs) {
+  const jobs = []
+  for (const address of addresses) {
+    if (peek(address)) continue
+    if (!inFlight.has(address) && inFlight.size >= MAX_IN_FLIGHT) break
+    jobs.push(analyse(address).catch(err => console.warn(`[Bundles] ${address.slice(0, 6)}… failed:`, err.message)))
+  }
+  if (!jobs.length) return
+  let timer
+  await Promise.race([
+    Promise.allSettled(jobs),
+    new Promise(resolve => { timer = setTimeout(resolve, waitMs) }),
+  ])
+  clearTimeout(timer)
+}
+
+module.exports = {
+  analyse,
+  peek,
+  prefetch,
+  LAUNCH_SLOTS,
+}
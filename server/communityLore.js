@@ -0,0 +1,191 @@
+// ─── BetaPlays — Community Lore ───────────────────────────────────
+// Beta connections only degens know ("if X runs, Y is the play").
+//
+// A signed-in wallet submits an entry for an alpha — symbol (and
+// optionally its address) → related terms, concepts and universe. Other
+// wallets vote +1 / -1 while it's pending (not on their own entries):
+//   score ≥ QUEUE_SCORE  → queued for a moderator
+//   score ≤ REJECT_SCORE → rejected
+// Votes never approve — only a moderator (roles.js) moves an entry to
+// approved, so wallets alone can't put terms into search. Moderators can
+// approve / reject (or reopen) any entry at any time.
+//
+// Approved entries are served by GET /api/community-lore; the frontend
+// merges them into the lore map (loadCommunityLore() in lore_map.js) so
+// getSearchTerms sees them, and useBetas searches their terms as the
+// 'community_lore' signal source.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+
+// ─── Config ───────────────────────────────────────────────────────
+const QUEUE_SCORE       = 3
+const REJECT_SCORE      = -3
+const MAX_PENDING       = 5       // open submissions per wallet
+const MAX_TERMS         = 20      // terms / concepts per entry
+const MAX_WORD          = 40
+const APPROVED_TTL_MS   = 60 * 1000
+const STATUSES          = ['pending', 'queued', 'approved', 'rejected']
+
+let approvedCache = null   // { at, entries } — GET /api/community-lore, per instance
+
+const SYMBOL_RE  = /^[^\s$]{1,32}$/u
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+
+const badLore = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_COMMUNITY_LORE'
+  return err
+}
+
+// ─── Validation ───────────────────────────────────────────────────
+
+const wordList = (raw, where, { required = false } = {}) => {
+  if (raw === undefined || raw === null) raw = []
+  if (!Array.isArray(raw)) throw badLore(`${where} must be an array of strings`)
+  const words = [...new Set(raw.map(w => {
+    if (typeof w !== 'string' || !w.trim() || w.trim().length > MAX_WORD) throw badLore(`${where}: entries must be 1–${MAX_WORD} char strings`)
+    return w.trim().toLowerCase()
+  }))]
+  if (words.length > MAX_TERMS) throw badLore(`${where}: at most ${MAX_TERMS} entries`)
+  if (required && !words.length) throw badLore(`${where} required`)
+  return words
+}
+
+// Body: { symbol, address?, terms, concepts?, universe?, note? }
+function validate (body) {
+  const symbol = String(body?.symbol || '').trim().replace(/^\$/, '').toUpperCase()
+  if (!SYMBOL_RE.test(symbol)) throw badLore('symbol required (no spaces, ≤ 32 chars)')
+  const address = body.address ? String(body.address).trim() : null
+  if (address && !ADDRESS_RE.test(address)) throw badLore('address must be a Solana mint address')
+  const universe = body.universe ? String(body.universe).trim().toLowerCase() : null
+  if (universe && universe.length > MAX_WORD) throw badLore(`universe: at most ${MAX_WORD} chars`)
+  return {
+    symbol,
+    address,
+    terms:    wordList(body.terms, 'terms', { required: true }),
+    concepts: wordList(body.concepts, 'concepts'),
+    universe,
+    note:     String(body.note || '').trim().slice(0, 280) || null,
+  }
+}
+
+// t = table alias prefix ('l.') for joined / UPDATE … FROM queries
+const columns = (t = '') => `${t}id, ${t}alpha_symbol AS symbol, ${t}alpha_address AS address, ${t}terms,
+  ${t}concepts, ${t}universe, ${t}note, ${t}submitted_by AS "submittedBy", ${t}status, ${t}score,
+  ${t}reviewed_by AS "reviewedBy", ${t}created_at AS "createdAt", ${t}updated_at AS "updatedAt"`
+
+// ─── Submissions ──────────────────────────────────────────────────
+
+async function submit (body, wallet) {
+  const entry = validate(body)
+  const { rows: [{ pending }] } = await db.query(
+    `SELECT COUNT(*)::int AS pending FROM community_lore WHERE submitted_by = $1 AND status = 'pending'`,
+    [wallet]
+  )
+  if (pending >= MAX_PENDING) throw badLore(`at most ${MAX_PENDING} pending submissions per wallet — wait for votes`)
+  const { rows: [row] } = await db.query(`
+    INSERT INTO community_lore (alpha_symbol, alpha_address, terms, concepts, universe, note, submitted_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${columns()}
+  `, [entry.symbol, entry.address, entry.terms, entry.concepts, entry.universe, entry.note, wallet])
+  console.log(`[CommunityLore] #${row.id} $${row.symbol} submitted by ${wallet.slice(0, 6)}… — [${row.terms.join(', ')}]`)
+  return row
+}
+
+// Voting list — newest first, with the caller's own vote (myVote: 1 | -1 | 0)
+async function list ({ status = 'pending', symbol, limit } = {}, wallet = null) {
+  if (!STATUSES.includes(status)) throw badLore(`status must be one of ${STATUSES.join(', ')}`)
+  const { rows } = await db.query(`
+    SELECT ${columns('l.')},
+           COALESCE(v.vote, 0)::int AS "myVote"
+    FROM community_lore l
+    LEFT JOIN community_lore_votes v ON v.lore_id = l.id AND v.wallet = $2
+    WHERE l.status = $1
+      AND ($3::text IS NULL OR l.alpha_symbol = $3)
+    ORDER BY l.created_at DESC
+    LIMIT $4
+  `, [status, wallet, symbol ? String(symbol).replace(/^\$/, '').toUpperCase() : null, Math.min(Math.max(parseInt(limit) || 50, 1), 200)])
+  return rows
+}
+
+// vote: 1 | -1, or 0 to take a vote back. Pending entries only.
+// Returns the updated entry, or null when it doesn't exist.
+async function vote (id, wallet, value) {
+  const v = parseInt(value)
+  if (![1, -1, 0].includes(v)) throw badLore('vote must be 1, -1 or 0')
+  const { rows: [entry] } = await db.query(
+    `SELECT submitted_by, status FROM community_lore WHERE id = $1`, [id]
+  )
+  if (!entry) return null
+  if (entry.submitted_by === wallet) throw badLore("can't vote on your own submission")
+  if (entry.status !== 'pending') throw badLore(`entry already ${entry.status}`)
+
+  if (v) {
+    await db.query(`
+      INSERT INTO community_lore_votes (lore_id, wallet, vote) VALUES ($1, $2, $3)
+      ON CONFLICT (lore_id, wallet) DO UPDATE SET vote = EXCLUDED.vote, created_at = NOW()
+    `, [id, wallet, v])
+  } else {
+    await db.query(`DELETE FROM community_lore_votes WHERE lore_id = $1 AND wallet = $2`, [id, wallet])
+  }
+
+  // Re-score and settle in one statement — status only moves while still pending
+  const { rows: [row] } = await db.query(`
+    UPDATE community_lore l SET
+      score      = s.score,
+      status     = CASE
+                     WHEN l.status <> 'pending'  THEN l.status
+                     WHEN s.score >= $2          THEN 'queued'
+                     WHEN s.score <= $3          THEN 'rejected'
+                     ELSE 'pending'
+                   END,
+      updated_at = NOW()
+    FROM (SELECT COALESCE(SUM(vote), 0)::int AS score FROM community_lore_votes WHERE lore_id = $1) s
+    WHERE l.id = $1
+    RETURNING ${columns('l.')}
+  `, [id, QUEUE_SCORE, REJECT_SCORE])
+  if (row.status !== 'pending') {
+    console.log(`[CommunityLore] #${id} $${row.symbol} ${row.status} by vote (score ${row.score})`)
+  }
+  return { ...row, myVote: v }
+}
+
+// Moderation — any status, any time; the only way to approved.
+// Returns null when missing.
+async function setStatus (id, status, wallet) {
+  if (!STATUSES.includes(status)) throw badLore(`status must be one of ${STATUSES.join(', ')}`)
+  const { rows } = await db.query(`
+    UPDATE community_lore SET status = $2, reviewed_by = $3, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${columns()}
+  `, [id, status, wallet])
+  if (rows[0]) approvedCache = null
+  return rows[0] || null
+}
+
+// ─── Approved feed ────────────────────────────────────────────────
+
+// Approved entries for the frontend lore map — highest score first
+async function approved () {
+  if (!process.env.DATABASE_URL) return []
+  if (approvedCache && Date.now() - approvedCache.at < APPROVED_TTL_MS) return approvedCache.entries
+  const { rows } = await db.query(`
+    SELECT id, alpha_symbol AS symbol, alpha_address AS address, terms, concepts, universe, score
+    FROM community_lore
+    WHERE status = 'approved'
+    ORDER BY score DESC, id
+  `)
+  approvedCache = { at: Date.now(), entries: rows }
+  return rows
+}
+
+module.exports = {
+  submit,
+  list,
+  vote,
+  setStatus,
+  approved,
+  QUEUE_SCORE,
+  REJECT_SCORE,
+}
@@ -7,6 +7,7 @@
 //   db.init()   — creates tables if they don't exist (called at boot)
 //   db.query()  — thin wrapper around pool.query with error logging
 //   db.pool     — raw Pool instance (for transactions if ever needed)
+//   db.writeQueue — run(fn) with at most 2 writes in flight
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { Pool } = require('pg')
@@ -286,6 +287,434 @@ const MIGRATIONS = [
     created_at     TIMESTAMPTZ DEFAULT NOW()
   )`,
   `CREATE INDEX IF NOT EXISTS idx_ads_active ON ads(is_active, expires_at)`,
+
+  // Session 33 — Background job scheduler (jobScheduler.js)
+  // One row per job — last run + counters, upserted after every run.
+  // running_until is the cross-instance lease taken under an advisory lock;
+  // NULL when idle, expires on its own if the running instance dies.
+  `CREATE TABLE IF NOT EXISTS jobs (
+    name             TEXT PRIMARY KEY,
+    schedule_ms      INTEGER,
+    last_started_at  TIMESTAMPTZ,
+    last_finished_at TIMESTAMPTZ,
+    last_duration_ms INTEGER,
+    last_status      TEXT CHECK (last_status IN ('ok','error')),
+    last_error       TEXT,
+    run_count        INTEGER DEFAULT 0,
+    error_count      INTEGER DEFAULT 0,
+    running_until    TIMESTAMPTZ,
+    instance         TEXT
+  )`,
+
+  // Session 34 — LLM router quota accounting (llmRouter.js)
+  // One row per provider per UTC day. Instances add their deltas every
+  // minute; exhausted_until persists daily-limit 429s across restarts.
+  `CREATE TABLE IF NOT EXISTS llm_usage (
+    provider        TEXT NOT NULL,
+    day             DATE NOT NULL,
+    requests        INTEGER DEFAULT 0,
+    tokens          BIGINT  DEFAULT 0,
+    errors          INTEGER DEFAULT 0,
+    rate_limited    INTEGER DEFAULT 0,
+    exhausted_until TIMESTAMPTZ,
+    updated_at      TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (provider, day)
+  )`,
+
+  // Session 35 — Beta performance snapshots (betaPerformance.js)
+  // One row per relation per horizon (1h / 6h / 24h / 7d after first_seen).
+  // Returns are computed against beta_relations.*_price_at_detection at read time.
+  `CREATE TABLE IF NOT EXISTS beta_snapshots (
+    relation_id INTEGER NOT NULL REFERENCES beta_relations(id) ON DELETE CASCADE,
+    horizon     TEXT NOT NULL CHECK (horizon IN ('1h','6h','24h','7d')),
+    beta_price  NUMERIC,
+    alpha_price NUMERIC,
+    beta_mcap   NUMERIC,
+    taken_at    TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (relation_id, horizon)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_beta_first_seen ON beta_relations(first_seen)`,
+
+  // Session 35 — ranking inputs at detection, so POST /api/backtest can
+  // recompute computeBetaRank (ai_match tier + recency) for historical rows
+  `ALTER TABLE beta_relations ADD COLUMN IF NOT EXISTS ai_score             NUMERIC`,
+  `ALTER TABLE beta_relations ADD COLUMN IF NOT EXISTS beta_pair_created_at TIMESTAMPTZ`,
+
+  // Session 36 — Signal weight calibration (signalWeights.js)
+  // beta_hits: server copy of useBetaFeedback hits (watchlist add / DEXScreener
+  // click) — misses already arrive as not_beta rows in token_flags.
+  // signal_weights: every published table; the newest row is live.
+  `CREATE TABLE IF NOT EXISTS beta_hits (
+    id         SERIAL PRIMARY KEY,
+    address    TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_beta_hits_address ON beta_hits(address)`,
+  `CREATE TABLE IF NOT EXISTS signal_weights (
+    id          SERIAL PRIMARY KEY,
+    weights     JSONB NOT NULL,
+    computed_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+
+  // Session 37 — Telegram bot query commands resolve $TICKER case-insensitively
+  `CREATE INDEX IF NOT EXISTS idx_tokens_symbol_upper ON tokens(UPPER(symbol))`,
+
+  // Session 38 — Signed one-time Telegram link tokens (telegram_bot.js)
+  // Minted by POST /api/alerts/telegram-link for the JWT wallet; the bot
+  // redeems one by setting used_at, so a token links exactly one chat.
+  `CREATE TABLE IF NOT EXISTS telegram_link_tokens (
+    id             TEXT PRIMARY KEY,
+    wallet_address TEXT NOT NULL,
+    expires_at     TIMESTAMPTZ NOT NULL,
+    used_at        TIMESTAMPTZ,
+    created_at     TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_tg_link_wallet ON telegram_link_tokens(wallet_address)`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS telegram_username  TEXT`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS telegram_linked_at TIMESTAMPTZ`,
+
+  // Session 39 — Discord bot (discord_bot.js)
+  // Link tokens are shared with Telegram, told apart by platform.
+  // discord_subscriptions: one row per channel + feed, filters as JSONB.
+  // discord_feed_posts: claims an alpha / narrative so only one instance posts it.
+  `ALTER TABLE telegram_link_tokens ADD COLUMN IF NOT EXISTS platform TEXT NOT NULL DEFAULT 'telegram'`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS discord_user_id   TEXT`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS discord_username  TEXT`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS discord_linked_at TIMESTAMPTZ`,
+  `CREATE INDEX IF NOT EXISTS idx_alert_settings_discord ON alert_settings(discord_user_id) WHERE discord_user_id IS NOT NULL`,
+  `CREATE TABLE IF NOT EXISTS discord_subscriptions (
+    channel_id  TEXT NOT NULL,
+    feed        TEXT NOT NULL CHECK (feed IN ('new_alpha', 'narrative', 'new_beta')),
+    guild_id    TEXT NOT NULL,
+    filters     JSONB NOT NULL DEFAULT '{}',
+    created_by  TEXT,
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (channel_id, feed)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_discord_subs_feed ON discord_subscriptions(feed)`,
+  `CREATE TABLE IF NOT EXISTS discord_feed_posts (
+    feed       TEXT NOT NULL,
+    item_key   TEXT NOT NULL,
+    posted_at  TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (feed, item_key)
+  )`,
+
+  // Session 40 — Outbound webhooks (webhooks.js)
+  // webhooks: per-wallet endpoints with an event filter and HMAC secret.
+  // failure_count is consecutive failed attempts; the webhook is disabled
+  // when it crosses the threshold. webhook_deliveries is both the retry
+  // queue (status 'pending' + next_attempt_at) and the delivery log.
+  `CREATE TABLE IF NOT EXISTS webhooks (
+    id                SERIAL PRIMARY KEY,
+    wallet_address    TEXT NOT NULL,
+    url               TEXT NOT NULL,
+    events            TEXT[] NOT NULL,
+    secret            TEXT NOT NULL,
+    active            BOOLEAN NOT NULL DEFAULT true,
+    failure_count     INTEGER NOT NULL DEFAULT 0,
+    disabled_at       TIMESTAMPTZ,
+    disabled_reason   TEXT,
+    last_delivery_at  TIMESTAMPTZ,
+    last_status_code  INTEGER,
+    created_at        TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_webhooks_wallet ON webhooks(wallet_address)`,
+  `CREATE INDEX IF NOT EXISTS idx_webhooks_events ON webhooks USING GIN(events) WHERE active`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id                BIGSERIAL PRIMARY KEY,
+    webhook_id        INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event             TEXT NOT NULL,
+    payload           JSONB NOT NULL,
+    status            TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts          INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at   TIMESTAMPTZ,
+    last_status_code  INTEGER,
+    last_error        TEXT,
+    created_at        TIMESTAMPTZ DEFAULT NOW(),
+    delivered_at      TIMESTAMPTZ
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'`,
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at DESC)`,
+
+  // Session 41 — Telegram channel registry + per-channel scoring (telegram_channels.js)
+  // weight is calibrated hourly from the channel's signals; manual_weight
+  // pins it. The seed is the former hardcoded list and only runs on an
+  // empty table, so channels removed by an admin stay removed.
+  // telegram_signals gains channel attribution, the beta price at the
+  // message and its 24h return; the unique index dedupes re-polled messages.
+  `CREATE TABLE IF NOT EXISTS telegram_channels (
+    id              SERIAL PRIMARY KEY,
+    handle          TEXT NOT NULL,
+    name            TEXT,
+    active          BOOLEAN NOT NULL DEFAULT true,
+    weight          NUMERIC NOT NULL DEFAULT 1.0,
+    manual_weight   NUMERIC,
+    signals_scored  INTEGER NOT NULL DEFAULT 0,
+    hit_rate        NUMERIC,
+    avg_return      NUMERIC,
+    scored_at       TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_telegram_channels_handle ON telegram_channels(LOWER(handle))`,
+  `INSERT INTO telegram_channels (handle, name)
+   SELECT * FROM (VALUES
+     ('charliedegens',    'Charlie Degens'),
+     ('WordsGC',          'Word''s Public Memecoin Chat'),
+     ('realsolanahome',   'Solana Home'),
+     ('Blessedmemecalls', 'Blessed Meme Calls')
+   ) AS seed(handle, name)
+   WHERE NOT EXISTS (SELECT 1 FROM telegram_channels)`,
+  `ALTER TABLE telegram_signals
+     ADD COLUMN IF NOT EXISTS channel_id           INTEGER REFERENCES telegram_channels(id) ON DELETE SET NULL,
+     ADD COLUMN IF NOT EXISTS beta_price_at_signal NUMERIC,
+     ADD COLUMN IF NOT EXISTS beta_return_24h      NUMERIC,
+     ADD COLUMN IF NOT EXISTS scored_at            TIMESTAMPTZ`,
+  `UPDATE telegram_signals s SET channel_id = c.id
+   FROM telegram_channels c
+   WHERE s.channel_id IS NULL AND LOWER(s.channel) = LOWER(c.handle)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_telegram_signals_unique ON telegram_signals(channel, alpha_symbol, beta_address, message_ts)`,
+  `CREATE INDEX IF NOT EXISTS idx_telegram_signals_channel ON telegram_signals(channel_id, message_ts DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_telegram_signals_unscored ON telegram_signals(message_ts) WHERE beta_return_24h IS NULL`,
+
+  // Session 42 — Telegram message archive + persisted holding pool (telegramArchive.js)
+  // telegram_messages: every polled message with its extraction result,
+  // replayed by reprocess_telegram.js. outcome: hype | too_few_terms |
+  // no_beta | held | matched. telegram_holding_pool restores the
+  // in-memory pool after a restart.
+  `CREATE TABLE IF NOT EXISTS telegram_messages (
+    id            BIGSERIAL PRIMARY KEY,
+    channel       TEXT NOT NULL,
+    channel_id    INTEGER REFERENCES telegram_channels(id) ON DELETE SET NULL,
+    message_id    BIGINT NOT NULL,
+    message_ts    TIMESTAMPTZ NOT NULL,
+    text          TEXT NOT NULL,
+    terms         JSONB NOT NULL DEFAULT '[]',
+    alpha_symbol  TEXT,
+    beta_terms    JSONB NOT NULL DEFAULT '[]',
+    betas         JSONB NOT NULL DEFAULT '[]',
+    outcome       TEXT NOT NULL,
+    processed_at  TIMESTAMPTZ DEFAULT NOW(),
+    created_at    TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (channel, message_id)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_telegram_messages_ts ON telegram_messages(message_ts)`,
+  `CREATE TABLE IF NOT EXISTS telegram_holding_pool (
+    id          BIGSERIAL PRIMARY KEY,
+    term        TEXT NOT NULL,
+    type        TEXT NOT NULL,
+    channel     TEXT NOT NULL,
+    channel_id  INTEGER REFERENCES telegram_channels(id) ON DELETE SET NULL,
+    confidence  NUMERIC,
+    message_ts  TIMESTAMPTZ NOT NULL,
+    held_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (channel, term, message_ts)
+  )`,
+
+  // Session 43 — Ingested social-post signals (twitterService.js, Vector 11)
+  // One row per (post, beta). result is the cached beta as served by
+  // /api/twitter-betas; every instance loads new rows into its cache.
+  `CREATE TABLE IF NOT EXISTS social_signals (
+    id            BIGSERIAL PRIMARY KEY,
+    source        TEXT NOT NULL,
+    post_key      TEXT NOT NULL,
+    author        TEXT,
+    post_url      TEXT,
+    post_ts       TIMESTAMPTZ NOT NULL,
+    alpha_symbol  TEXT NOT NULL,
+    beta_address  TEXT NOT NULL,
+    result        JSONB NOT NULL,
+    confidence    NUMERIC,
+    created_at    TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (source, post_key, beta_address)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_social_signals_post_ts ON social_signals(post_ts DESC)`,
+
+  // Session 44 — Narrative heat timeline (narrativeHistory.js)
+  // One row per narrative per 'narrative-snapshot' run; score/heat are
+  // recomputed server-side from the member tokens the client reported.
+  `CREATE TABLE IF NOT EXISTS narrative_snapshots (
+    id            BIGSERIAL PRIMARY KEY,
+    key           TEXT NOT NULL,
+    label         TEXT NOT NULL,
+    source        TEXT,
+    score         INTEGER NOT NULL,
+    heat          TEXT NOT NULL,
+    token_count   INTEGER NOT NULL,
+    total_volume  NUMERIC,
+    tokens        JSONB,
+    snapshot_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_narrative_snapshots_key_at ON narrative_snapshots(key, snapshot_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_narrative_snapshots_at ON narrative_snapshots(snapshot_at)`,
+
+  // Session 45 — Narrative rotation detector (narrativeRotation.js)
+  // live_volume: whole live feed's 24h volume at the snapshot (share
+  // denominator); is_dominant: the clients' betaplays_dominant_narrative.
+  `ALTER TABLE narrative_snapshots ADD COLUMN IF NOT EXISTS live_volume NUMERIC`,
+  `ALTER TABLE narrative_snapshots ADD COLUMN IF NOT EXISTS is_dominant BOOLEAN NOT NULL DEFAULT false`,
+  `CREATE TABLE IF NOT EXISTS narrative_rotations (
+    id                 SERIAL PRIMARY KEY,
+    from_key           TEXT NOT NULL,
+    from_label         TEXT,
+    to_key             TEXT NOT NULL,
+    to_label           TEXT,
+    from_share_before  NUMERIC,
+    from_share_now     NUMERIC,
+    to_share_before    NUMERIC,
+    to_share_now       NUMERIC,
+    details            JSONB,
+    detected_at        TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_narrative_rotations_to ON narrative_rotations(to_key, detected_at DESC)`,
+  `ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS narrative_rotation BOOLEAN DEFAULT true`,
+
+  // Session 46 — Admin-editable lore map (loreStore.js)
+  // Append-only: every save / restore is a row, the newest id is live.
+  // data: { loreMap, categories, categoryTraits, metaseedBlocked }
+  `CREATE TABLE IF NOT EXISTS lore_versions (
+    id          SERIAL PRIMARY KEY,
+    data        JSONB NOT NULL,
+    note        TEXT,
+    created_by  TEXT,
+    created_at  TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  // Session 47 — Community lore submissions (communityLore.js)
+  // Wallet-submitted alpha → terms/concepts/universe entries, voted on by
+  // other wallets. score = SUM(community_lore_votes.vote), kept in sync on vote.
+  `CREATE TABLE IF NOT EXISTS community_lore (
+    id            SERIAL PRIMARY KEY,
+    alpha_symbol  TEXT NOT NULL,
+    alpha_address TEXT,
+    terms         TEXT[] NOT NULL DEFAULT '{}',
+    concepts      TEXT[] NOT NULL DEFAULT '{}',
+    universe      TEXT,
+    note          TEXT,
+    submitted_by  TEXT NOT NULL,
+    status        TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+    score         INTEGER NOT NULL DEFAULT 0,
+    reviewed_by   TEXT,
+    created_at    TIMESTAMPTZ DEFAULT NOW(),
+    updated_at    TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_community_lore_status ON community_lore(status, score DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_community_lore_symbol ON community_lore(alpha_symbol)`,
+  `CREATE TABLE IF NOT EXISTS community_lore_votes (
+    lore_id    INTEGER NOT NULL REFERENCES community_lore(id) ON DELETE CASCADE,
+    wallet     TEXT NOT NULL,
+    vote       SMALLINT NOT NULL CHECK (vote IN (-1, 1)),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (lore_id, wallet)
+  )`,
+  // Session 48 — Legend promotion (legends.js)
+  // tokens gains the two inputs record-alphas didn't keep: the pair's
+  // creation date (token age) and peak liquidity.
+  `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS pair_created_at TIMESTAMPTZ`,
+  `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS peak_liquidity  NUMERIC DEFAULT 0`,
+  // Permanent — rows are never deleted or re-evaluated once promoted.
+  // metrics: the numbers the token qualified with, at promotion time.
+  `CREATE TABLE IF NOT EXISTS legends (
+    address      TEXT PRIMARY KEY,
+    symbol       TEXT NOT NULL,
+    name         TEXT,
+    logo_url     TEXT,
+    category     TEXT,
+    promoted_by  TEXT NOT NULL DEFAULT 'algorithm',
+    metrics      JSONB,
+    promoted_at  TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  // Session 49 — Wallet roles + admin audit log (roles.js)
+  `CREATE TABLE IF NOT EXISTS wallet_roles (
+    wallet      TEXT NOT NULL,
+    role        TEXT NOT NULL CHECK (role IN ('admin','moderator','ads-reviewer')),
+    granted_by  TEXT,
+    granted_at  TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (wallet, role)
+  )`,
+  `CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id          BIGSERIAL PRIMARY KEY,
+    actor       TEXT NOT NULL,
+    action      TEXT NOT NULL,
+    target      TEXT,
+    details     JSONB,
+    created_at  TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_actor ON admin_audit_log(actor, id DESC)`,
+  // Session 50 — Wallet-weighted community flags + moderator review queue (flags.js)
+  // Pre-existing anonymous rows keep wallet NULL and no longer count.
+  `ALTER TABLE token_flags ADD COLUMN IF NOT EXISTS wallet TEXT`,
+  `ALTER TABLE token_flags ADD COLUMN IF NOT EXISTS weight NUMERIC DEFAULT 0`,
+  `ALTER TABLE token_flags ADD COLUMN IF NOT EXISTS outcome TEXT CHECK (outcome IN ('upheld','dismissed'))`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_flags_wallet_once ON token_flags(address, flag_type, wallet) WHERE wallet IS NOT NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_flags_wallet ON token_flags(wallet) WHERE wallet IS NOT NULL`,
+  `CREATE TABLE IF NOT EXISTS flag_reviews (
+    id           SERIAL PRIMARY KEY,
+    address      TEXT NOT NULL,
+    symbol       TEXT,
+    flag_type    TEXT NOT NULL CHECK (flag_type IN ('rug','honeypot','not_beta')),
+    status       TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','upheld','dismissed')),
+    reviewed_by  TEXT,
+    opened_at    TIMESTAMPTZ DEFAULT NOW(),
+    reviewed_at  TIMESTAMPTZ,
+    UNIQUE (address, flag_type)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_flag_reviews_status ON flag_reviews(status, opened_at)`,
+
+  // Session 51 — One beta hit per wallet / IP per beta (POST /api/beta-hit)
+  `ALTER TABLE beta_hits ADD COLUMN IF NOT EXISTS hitter TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_beta_hits_once ON beta_hits(address, hitter) WHERE hitter IS NOT NULL`,
+
+  // Session 52 — Drop Telegram chats linked before signed link tokens
+  // (Session 38). Only the verified bot flow sets telegram_linked_at, so a
+  // chat id without it was self-reported — those wallets re-link via /start.
+  `UPDATE alert_settings SET telegram_chat_id = NULL, telegram_username = NULL
+   WHERE telegram_chat_id IS NOT NULL AND telegram_linked_at IS NULL`,
+
+  // Session 53 — Server-scored narrative snapshots (narrativeHistory.js)
+  // narrative_reports: each signed-in wallet's latest Szn membership report.
+  // members: every member address, so the next snapshot can carry a
+  // narrative no fresh report mentions. server_metrics: scored from
+  // DexScreener — the rotation detector reads only those rows.
+  `CREATE TABLE IF NOT EXISTS narrative_reports (
+    wallet_address TEXT PRIMARY KEY,
+    narratives     JSONB NOT NULL,
+    reported_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_narrative_reports_at ON narrative_reports(reported_at)`,
+  `ALTER TABLE narrative_snapshots ADD COLUMN IF NOT EXISTS members        TEXT[]`,
+  `ALTER TABLE narrative_snapshots ADD COLUMN IF NOT EXISTS server_metrics BOOLEAN NOT NULL DEFAULT false`,
+
+  // Session 54 — Community lore votes queue for a moderator (communityLore.js)
+  // Entries approved by vote alone (no reviewed_by) go back to the queue.
+  `ALTER TABLE community_lore DROP CONSTRAINT IF EXISTS community_lore_status_check`,
+  `ALTER TABLE community_lore ADD CONSTRAINT community_lore_status_check
+   CHECK (status IN ('pending','queued','approved','rejected'))`,
+  `UPDATE community_lore SET status = 'queued', updated_at = NOW()
+   WHERE status = 'approved' AND reviewed_by IS NULL`,
+
+  // Session 55 — Moderator legend revoke (DELETE /api/legends/:address).
+  // A revoked row stays so the promotion job skips the token for good.
+  `ALTER TABLE legends ADD COLUMN IF NOT EXISTS revoked_at    TIMESTAMPTZ`,
+  `ALTER TABLE legends ADD COLUMN IF NOT EXISTS revoked_by    TEXT`,
+  `ALTER TABLE legends ADD COLUMN IF NOT EXISTS revoke_reason TEXT`,
+
+  // Session 56 — Folio mcap at call as read by the server (POST /api/folio/call).
+  // Flag reputation (flags.js) scores folio hits against this, never mcap_at_call.
+  `ALTER TABLE folio ADD COLUMN IF NOT EXISTS verified_mcap_at_call NUMERIC`,
+
+  // Session 57 — Folio peak mcap as read by the server ('folio-peaks' job).
+  // Flag reputation counts a hit against this or a beta_snapshots mcap,
+  // never the client-written tokens.ath_mcap / peak_mcap.
+  `ALTER TABLE folio ADD COLUMN IF NOT EXISTS verified_peak_mcap NUMERIC`,
+  `CREATE INDEX IF NOT EXISTS idx_beta_relations_beta ON beta_relations(beta_address)`,
+
+  // Session 58 — Legend candidates the promotion job checked and rejected
+  // (legends.js). Off the shortlist until retry_at.
+  `CREATE TABLE IF NOT EXISTS legend_rejections (
+    address    TEXT PRIMARY KEY,
+    reason     TEXT,
+    checked_at TIMESTAMPTZ DEFAULT NOW(),
+    retry_at   TIMESTAMPTZ NOT NULL
+  )`,
 ]
 
 async function init () {
@@ -392,4 +821,31 @@ async function loadExpansionCache (expansionCache) {
   }
 }
 
-module.exports = { pool, init, query, cacheGet, cacheSet, loadExpansionCache }
\ No newline at end of file
+// ─── Write queue ─────────────────────────────────────────────────────────────
+// Caps fire-and-forget writes at 2 concurrent so a burst (300+ record-alpha
+// calls on boot, a big beta scan) can't take every pool connection — reads
+// always get through. index.js calls it DB_WRITE_QUEUE.
+const writeQueue = (() => {
+  let running   = 0
+  const MAX     = 2
+  const waiting = []
+
+  const next = () => {
+    if (waiting.length > 0 && running < MAX) waiting.shift()()
+  }
+
+  const run = (fn) => new Promise((resolve, reject) => {
+    const exec = async () => {
+      running++
+      try   { resolve(await fn()) }
+      catch (err) { reject(err) }
+      finally { running--; next() }
+    }
+    if (running < MAX) exec()
+    else waiting.push(exec)
+  })
+
+  return { run, get size() { return running + waiting.length } }
+})()
+
+module.exports = { pool, init, query, cacheGet, cacheSet, loadExpansionCache, writeQueue }
\ No newline at end of file
@@ -0,0 +1,565 @@
+// ─── BetaPlays Discord Bot ────────────────────────────────────────────────────
+// Same alerts and query commands as the Telegram bot (telegram_bot.js), plus
+// channel feeds for communities. Runs on Discord's HTTP interactions — Discord
+// POSTs slash commands to /api/discord/interactions and we answer over REST,
+// so there's no gateway connection to hold open on Render.
+//
+// Linking (alert DMs):
+//   1. User taps "Link" next to Discord in app settings → POST /api/alerts/discord-link
+//      mints a one-time code for the JWT wallet (linkTokens.js, platform 'discord')
+//   2. User runs /link code:CODE — in a DM with the bot or any server it's in
+//   3. Bot redeems the code → saves discord_user_id to alert_settings
+//   4. createNotification → sendAlert() DMs the linked user
+//   5. /unlink in Discord or DELETE /api/alerts/discord-link in the app unlinks
+// Discord only delivers DMs to users who share a server with the bot or have
+// added the app to their account — the app shows the install link for that.
+//
+// Query commands (anyone, botCommands.js — same answers as Telegram):
+//   /betas /alpha /top /szn, and /watch /unwatch for linked users
+//
+// Channel feeds (Manage Server permission):
+//   /subscribe feed:<new_alpha|narrative|new_beta> [min_mcap] [narrative] [alpha]
+//   /unsubscribe feed, /subscriptions
+// One row per channel + feed in discord_subscriptions; filters are JSONB
+// ({ minMcap, narrative, alpha, alphaSymbol }). postAlpha / postNarrative /
+// postBetas are called where those events originate. Alphas and narratives
+// are claimed in discord_feed_posts first — every instance sees the same new
+// alpha via report-alphas, only the one that claims it posts.
+//
+// Env: DISCORD_BOT_TOKEN, DISCORD_APPLICATION_ID, DISCORD_PUBLIC_KEY
+// Developer portal: Interactions Endpoint URL → https://<api>/api/discord/interactions
+
+const nacl        = require('tweetnacl')
+const db          = require('./db')
+const eventStream = require('./eventStream')
+const linkTokens  = require('./linkTokens')
+const { createCommands, resolveToken, formats, fmtUsd, dexUrl } = require('./botCommands')
+
+const API_URL     = 'https://discord.com/api/v10'
+const APP_URL     = 'https://betaplays.fun/app'
+const MAX_CONTENT = 2000
+const FEED_RETENTION_DAYS = 7
+
+const BOT_TOKEN  = process.env.DISCORD_BOT_TOKEN
+const APP_ID     = process.env.DISCORD_APPLICATION_ID
+const PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY
+const ENABLED    = !!(BOT_TOKEN && APP_ID && PUBLIC_KEY)
+
+// User install — adds the app to the user's account, enough for DMs
+const INSTALL_URL = APP_ID
+  ? `https://discord.com/oauth2/authorize?client_id=${APP_ID}&integration_type=1&scope=applications.commands`
+  : null
+
+// Discord API constants
+const EPHEMERAL       = 1 << 6
+const SUPPRESS_EMBEDS = 1 << 2
+const MANAGE_GUILD    = 1n << 5n
+const ADMINISTRATOR   = 1n << 3n
+const OPT_STRING      = 3
+const OPT_NUMBER      = 10
+
+const FEEDS = {
+  new_alpha: { label: 'new runners', filters: ['min_mcap', 'narrative'] },
+  narrative: { label: 'narratives',  filters: ['narrative'] },
+  new_beta:  { label: 'beta plays',  filters: ['min_mcap', 'alpha'] },
+}
+
+const fmt = formats.markdown
+const dmChannels = new Map()  // discord user id → DM channel id
+
+// ─── REST ────────────────────────────────────────────────────────────────────
+
+// One retry on 429 after Discord's retry_after (capped). Errors carry the
+// HTTP status so callers can tell a gone channel from a blip. The path is
+// left out of the message — webhook paths embed the interaction token.
+async function api (method, path, body, { auth = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(auth ? { Authorization: `Bot ${BOT_TOKEN}` } : {}),
+      },
+      body:   body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(10_000),
+    })
+    if (res.status === 429 && attempt === 0) {
+      const { retry_after: retryAfter = 1 } = await res.json().catch(() => ({}))
+      await new Promise(resolve => setTimeout(resolve, Math.min(retryAfter, 10) * 1000))
+      continue
+    }
+    if (!res.ok) {
+      const err = new Error(`Discord ${method} failed: ${res.status}`)
+      err.status = res.status
+      throw err
+    }
+    return res.status === 204 ? null : res.json()
+  }
+}
+
+const clip = (text) => (text.length > MAX_CONTENT ? `${text.slice(0, MAX_CONTENT - 1)}…` : text)
+
+// allowed_mentions: none — token names and headlines are user-controlled
+const sendToChannel = (channelId, content, flags = 0) =>
+  api('POST', `/channels/${channelId}/messages`, {
+    content: clip(content),
+    allowed_mentions: { parse: [] },
+    flags,
+  })
+
+async function sendDm (userId, content) {
+  let channelId = dmChannels.get(userId)
+  if (!channelId) {
+    const channel = await api('POST', '/users/@me/channels', { recipient_id: userId })
+    channelId = channel.id
+    dmChannels.set(userId, channelId)
+  }
+  await sendToChannel(channelId, content, SUPPRESS_EMBEDS)
+}
+
+// ─── Slash command definitions ───────────────────────────────────────────────
+// Bulk-overwritten on every boot (PUT is idempotent). User-facing commands
+// work in servers, the bot DM and as a user-installed app; feed management
+// needs the bot in the server.
+
+const USER_CONTEXTS  = { integration_types: [0, 1], contexts: [0, 1, 2] }
+const ADMIN_CONTEXTS = { integration_types: [0], contexts: [0], default_member_permissions: String(MANAGE_GUILD) }
+
+const tokenOption = (required) => ({
+  type: OPT_STRING, name: 'token', description: '$SYMBOL or contract address', required,
+})
+const feedOption = {
+  type: OPT_STRING, name: 'feed', description: 'Which feed', required: true,
+  choices: Object.entries(FEEDS).map(([value, { label }]) => ({ name: label, value })),
+}
+
+const SLASH_COMMANDS = [
+  { name: 'betas',   description: 'Top beta plays for a token',              options: [tokenOption(true)],  ...USER_CONTEXTS },
+  { name: 'alpha',   description: 'Token summary',                           options: [tokenOption(true)],  ...USER_CONTEXTS },
+  { name: 'top',     description: 'Live runners right now',                                                 ...USER_CONTEXTS },
+  { name: 'szn',     description: 'Active narratives',                                                      ...USER_CONTEXTS },
+  { name: 'watch',   description: 'Add to your watchlist (no token lists it)', options: [tokenOption(false)], ...USER_CONTEXTS },
+  { name: 'unwatch', description: 'Remove from your watchlist',              options: [tokenOption(true)],  ...USER_CONTEXTS },
+  {
+    name: 'link', description: 'Link your BetaPlays wallet for alert DMs', ...USER_CONTEXTS,
+    options: [{ type: OPT_STRING, name: 'code', description: 'Code from Settings → Alerts in the app', required: true }],
+  },
+  { name: 'unlink',  description: 'Stop alert DMs',                                                         ...USER_CONTEXTS },
+  {
+    name: 'subscribe', description: 'Post a BetaPlays feed in this channel', ...ADMIN_CONTEXTS,
+    options: [
+      feedOption,
+      { type: OPT_NUMBER, name: 'min_mcap',  description: 'Only tokens at or above this market cap (USD)', min_value: 0 },
+      { type: OPT_STRING, name: 'narrative', description: 'Only this narrative, e.g. AI', max_length: 50 },
+      { type: OPT_STRING, name: 'alpha',     description: 'Beta feed only: betas of this $SYMBOL or CA' },
+    ],
+  },
+  { name: 'unsubscribe',   description: 'Stop a feed in this channel', options: [feedOption], ...ADMIN_CONTEXTS },
+  { name: 'subscriptions', description: 'Feeds posted in this channel',                       ...ADMIN_CONTEXTS },
+]
+
+// ─── Account linking ─────────────────────────────────────────────────────────
+
+const NOT_LINKED = 'Link your wallet first — tap **Link** next to Discord under **Settings → Alerts** in the app, then run the /link command it shows.'
+
+const commands = createCommands({ fmt, notLinked: NOT_LINKED })
+
+async function linkedWallet (userId) {
+  const { rows } = await db.query(
+    'SELECT wallet_address FROM alert_settings WHERE discord_user_id = $1 LIMIT 1',
+    [userId]
+  )
+  return rows[0]?.wallet_address || null
+}
+
+// Mint a code for an authenticated wallet (POST /api/alerts/discord-link).
+async function createLinkToken (wallet) {
+  if (!ENABLED) throw new Error('Discord bot not configured')
+  const { token, expiresAt } = await linkTokens.createLinkToken('discord', wallet, BOT_TOKEN)
+  return { token, command: `/link code:${token}`, installUrl: INSTALL_URL, expiresAt }
+}
+
+async function cmdLink ({ user, options }) {
+  const wallet = await linkTokens.redeemLinkToken('discord', (options.code || '').trim(), BOT_TOKEN)
+  if (!wallet) return '⚠️ This code is invalid or has expired. Tap **Link** in the app again to get a fresh one.'
+
+  const username = user.username || null
+  await db.query(
+    `INSERT INTO alert_settings (wallet_address, discord_user_id, discord_username, discord_linked_at)
+     VALUES ($1, $2, $3, now())
+     ON CONFLICT (wallet_address)
+     DO UPDATE SET discord_user_id = $2, discord_username = $3, discord_linked_at = now(), updated_at = now()`,
+    [wallet, user.id, username]
+  )
+  eventStream.publish('discord', { linked: true, username }, { wallet })
+  console.log(`[DiscordBot] Linked wallet ${wallet.slice(0, 8)}… to user ${user.id}`)
+  return `✅ **Linked!** Wallet \`${wallet.slice(0, 4)}…${wallet.slice(-4)}\` will now get alert DMs from this bot.\n\nManage which alerts fire under **Settings → Alerts** in the app.`
+}
+
+async function cmdUnlink ({ user }) {
+  const { rows } = await db.query(
+    `UPDATE alert_settings
+     SET discord_user_id = NULL, discord_username = NULL, discord_linked_at = NULL, updated_at = now()
+     WHERE discord_user_id = $1
+     RETURNING wallet_address`,
+    [user.id]
+  )
+  for (const { wallet_address: wallet } of rows) {
+    eventStream.publish('discord', { linked: false }, { wallet })
+  }
+  return rows.length
+    ? '🔕 Discord alerts unlinked. You can re-link anytime from the app.'
+    : 'No wallet is linked to this Discord account.'
+}
+
+// App-side unlink (DELETE /api/alerts/discord-link). DMs the user so they
+// aren't left wondering why alerts stopped. Returns true if a user was linked.
+async function unlinkWallet (wallet) {
+  const { rows } = await db.query(
+    `UPDATE alert_settings AS a
+     SET discord_user_id = NULL, discord_username = NULL, discord_linked_at = NULL, updated_at = now()
+     FROM (SELECT discord_user_id FROM alert_settings WHERE wallet_address = $1) AS prev
+     WHERE a.wallet_address = $1 AND prev.discord_user_id IS NOT NULL
+     RETURNING prev.discord_user_id`,
+    [wallet]
+  )
+  if (!rows.length) return false
+  if (ENABLED) {
+    await sendDm(rows[0].discord_user_id,
+      `🔕 Wallet \`${wallet.slice(0, 4)}…${wallet.slice(-4)}\` was unlinked from the app. Alerts stopped.`
+    ).catch(err => console.warn('[DiscordBot] Unlink DM failed:', err.message))
+  }
+  eventStream.publish('discord', { linked: false }, { wallet })
+  return true
+}
+
+// ─── Channel subscriptions ───────────────────────────────────────────────────
+
+const canManage = (permissions) => {
+  try {
+    return (BigInt(permissions || 0) & (MANAGE_GUILD | ADMINISTRATOR)) !== 0n
+  } catch {
+    return false
+  }
+}
+
+const describeFilters = (filters) => {
+  const parts = [
+    filters.minMcap   ? `MCap ≥ ${fmtUsd(filters.minMcap)}` : null,
+    filters.narrative ? `narrative "${fmt.esc(filters.narrative)}"` : null,
+    filters.alpha     ? `betas of ${fmt.bold(`$${filters.alphaSymbol}`)}` : null,
+  ].filter(Boolean)
+  return parts.length ? ` (${parts.join(', ')})` : ''
+}
+
+// Shared guard — default_member_permissions hides the commands from members
+// without Manage Server, but server admins can override that per role.
+const adminGuard = ({ guildId, permissions }) => {
+  if (!guildId) return 'Feeds can only be managed in a server channel.'
+  if (!canManage(permissions)) return '🔒 You need the **Manage Server** permission to change feeds.'
+  return null
+}
+
+async function cmdSubscribe (ctx) {
+  const denied = adminGuard(ctx)
+  if (denied) return denied
+
+  const { feed, min_mcap: minMcap, narrative, alpha } = ctx.options
+  const spec = FEEDS[feed]
+  if (!spec) return 'Unknown feed.'
+  const given = { min_mcap: minMcap, narrative, alpha }
+  const unsupported = Object.keys(given).filter(k => given[k] != null && !spec.filters.includes(k))
+  if (unsupported.length) return `The ${spec.label} feed can't filter by ${unsupported.join(', ')}.`
+
+  const filters = {}
+  if (minMcap > 0) filters.minMcap = minMcap
+  if (narrative?.trim()) filters.narrative = narrative.trim()
+  if (alpha) {
+    const token = await resolveToken(alpha)
+    if (!token) return `No token found for ${fmt.bold(alpha)}.`
+    filters.alpha       = token.address
+    filters.alphaSymbol = token.symbol
+  }
+
+  await db.query(
+    `INSERT INTO discord_subscriptions (channel_id, feed, guild_id, filters, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (channel_id, feed)
+     DO UPDATE SET filters = EXCLUDED.filters, created_by = EXCLUDED.created_by, created_at = now()`,
+    [ctx.channelId, feed, ctx.guildId, JSON.stringify(filters), ctx.user.id]
+  )
+  return `✅ This channel now gets **${spec.label}**${describeFilters(filters)}.\nThe bot needs permission to send messages here — the feed is removed if a post is rejected.`
+}
+
+async function cmdUnsubscribe (ctx) {
+  const denied = adminGuard(ctx)
+  if (denied) return denied
+  const { feed } = ctx.options
+  const { rowCount } = await db.query(
+    'DELETE FROM discord_subscriptions WHERE channel_id = $1 AND feed = $2',
+    [ctx.channelId, feed]
+  )
+  return rowCount
+    ? `🔕 Stopped **${FEEDS[feed]?.label || feed}** in this channel.`
+    : `This channel isn't subscribed to **${FEEDS[feed]?.label || feed}**.`
+}
+
+async function cmdSubscriptions (ctx) {
+  const denied = adminGuard(ctx)
+  if (denied) return denied
+  const { rows } = await db.query(
+    'SELECT feed, filters FROM discord_subscriptions WHERE channel_id = $1 ORDER BY feed',
+    [ctx.channelId]
+  )
+  if (!rows.length) return 'No feeds in this channel. Add one with /subscribe.'
+  return `📬 **Feeds in this channel**\n\n${rows.map(r =>
+    `• ${FEEDS[r.feed]?.label || r.feed}${describeFilters(r.filters || {})}`
+  ).join('\n')}`
+}
+
+// ─── Interactions ────────────────────────────────────────────────────────────
+
+// ephemeral — only the caller sees the reply (personal or admin commands)
+const HANDLERS = {
+  betas:         { run: ({ options }) => commands.betas(options.token) },
+  alpha:         { run: ({ options }) => commands.alpha(options.token) },
+  top:           { run: () => commands.top() },
+  szn:           { run: () => commands.szn() },
+  watch:         { ephemeral: true, run: async ({ user, options }) => commands.watch(await linkedWallet(user.id), options.token) },
+  unwatch:       { ephemeral: true, run: async ({ user, options }) => commands.unwatch(await linkedWallet(user.id), options.token) },
+  link:          { ephemeral: true, run: cmdLink },
+  unlink:        { ephemeral: true, run: cmdUnlink },
+  subscribe:     { ephemeral: true, run: cmdSubscribe },
+  unsubscribe:   { ephemeral: true, run: cmdUnsubscribe },
+  subscriptions: { ephemeral: true, run: cmdSubscriptions },
+}
+
+// Ed25519 over timestamp + raw body — Discord drops the endpoint if
+// unsigned requests are accepted, so this runs before anything else.
+function verifyRequest (rawBody, signature, timestamp) {
+  if (!ENABLED || !rawBody || !signature || !timestamp) return false
+  try {
+    return nacl.sign.detached.verify(
+      Buffer.concat([Buffer.from(timestamp), rawBody]),
+      Buffer.from(signature, 'hex'),
+      Buffer.from(PUBLIC_KEY, 'hex')
+    )
+  } catch {
+    return false
+  }
+}
+
+const reply = (content) => ({ type: 4, data: { content, flags: EPHEMERAL } })
+
+// Returns { response, followUp }. The route sends `response` (a deferred
+// "thinking…" ack — commands hit the DB and Discord allows 3s) and then
+// calls followUp(), which edits the ack into the real answer.
+function handleInteraction (interaction) {
+  if (interaction.type === 1) return { response: { type: 1 } }   // PING
+  if (interaction.type !== 2) return { response: reply('Unsupported interaction.') }
+
+  const name    = interaction.data?.name
+  const handler = HANDLERS[name]
+  if (!handler) return { response: reply('Unknown command.') }
+
+  const ctx = {
+    options:     Object.fromEntries((interaction.data.options || []).map(o => [o.name, o.value])),
+    user:        interaction.member?.user || interaction.user,
+    guildId:     interaction.guild_id || null,
+    channelId:   interaction.channel_id,
+    permissions: interaction.member?.permissions,
+  }
+
+  const followUp = async () => {
+    let content
+    if (!process.env.DATABASE_URL) {
+      content = '⚠️ Data is unavailable right now — try again later.'
+    } else {
+      try {
+        content = await handler.run(ctx)
+      } catch (err) {
+        console.error(`[DiscordBot] /${name} error:`, err.message)
+        content = '⚠️ Something went wrong. Please try again.'
+      }
+    }
+    await api('PATCH', `/webhooks/${APP_ID}/${interaction.token}/messages/@original`,
+      { content: clip(content), allowed_mentions: { parse: [] } },
+      { auth: false }
+    ).catch(err => console.error(`[DiscordBot] /${name} reply error:`, err.message))
+  }
+
+  return { response: { type: 5, data: { flags: handler.ephemeral ? EPHEMERAL : 0 } }, followUp }
+}
+
+// ─── Feeds ───────────────────────────────────────────────────────────────────
+
+const matches = (filters, { mcap, category }) =>
+  (!filters.minMcap   || (parseFloat(mcap) || 0) >= filters.minMcap) &&
+  (!filters.narrative || (category || '').toLowerCase().includes(filters.narrative.toLowerCase()))
+
+// A channel that rejects a post (bot kicked, channel deleted, no access)
+// won't accept the next one either — drop its subscriptions.
+async function dropChannel (channelId, err) {
+  if (err.status !== 403 && err.status !== 404) {
+    console.error('[DiscordBot] Feed post error:', err.message)
+    return
+  }
+  await db.query('DELETE FROM discord_subscriptions WHERE channel_id = $1', [channelId]).catch(() => {})
+  console.warn(`[DiscordBot] Channel ${channelId} rejected a post (${err.status}) — subscriptions removed`)
+}
+
+// render(filters) → message or null (filtered out). `key` claims the item
+// in discord_feed_posts so it's posted once across instances; null skips it.
+async function fanOut (feed, key, render) {
+  if (!ENABLED || !process.env.DATABASE_URL) return
+  try {
+    const { rows: subs } = await db.query(
+      'SELECT channel_id, filters FROM discord_subscriptions WHERE feed = $1',
+      [feed]
+    )
+    if (!subs.length) return
+    if (key) {
+      const claimed = await db.query(
+        'INSERT INTO discord_feed_posts (feed, item_key) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [feed, key]
+      )
+      if (!claimed.rowCount) return
+    }
+    // Sequential — Discord rate-limits per route, a burst only buys 429s
+    for (const sub of subs) {
+      const content = render(sub.filters || {})
+      if (!content) continue
+      await sendToChannel(sub.channel_id, content, SUPPRESS_EMBEDS)
+        .catch(err => dropChannel(sub.channel_id, err))
+    }
+  } catch (err) {
+    console.error(`[DiscordBot] ${feed} feed error:`, err.message)
+  }
+}
+
+// report-alphas — same trigger (and volume floor) as notifyNewAlpha
+async function postAlpha (alpha) {
+  if (!ENABLED || !process.env.DATABASE_URL) return
+  const { rows: [token] } = await db.query('SELECT category FROM tokens WHERE address = $1', [alpha.address])
+    .catch(() => ({ rows: [] }))
+  const item = { mcap: alpha.marketCap, category: token?.category }
+  await fanOut('new_alpha', alpha.address, (filters) => {
+    if (!matches(filters, item)) return null
+    return [
+      `🚀 ${fmt.bold(`New runner: $${alpha.symbol}`)} — ${fmt.esc(alpha.name || alpha.symbol)}`,
+      [`MCap ${fmtUsd(alpha.marketCap)}`, item.category ? `Narrative: ${fmt.esc(item.category)}` : null].filter(Boolean).join(' · '),
+      `${fmt.link(dexUrl(alpha.address), 'DEXScreener')} · ${fmt.link(APP_URL, 'Open BetaPlays')}`,
+    ].join('\n')
+  })
+}
+
+// newsService.onNarrativeActive — once per activation; keyed by day so a
+// narrative that cools off and comes back tomorrow is posted again.
+async function postNarrative (narrative) {
+  const key = `${narrative.category}:${new Date().toISOString().slice(0, 10)}`
+  await fanOut('narrative', key, (filters) => {
+    if (!matches(filters, { category: narrative.category })) return null
+    return [
+      `📡 ${fmt.bold(`Narrative active: ${narrative.category}`)}`,
+      narrative.headline ? fmt.italic(narrative.headline) : null,
+      fmt.link(APP_URL, 'Open BetaPlays'),
+    ].filter(Boolean).join('\n')
+  })
+}
+
+// New beta_relations rows — same payload as the 'betas' stream event. The
+// insert itself is the claim (only one writer sees xmax = 0), so no key.
+async function postBetas (alphaAddress, betas) {
+  if (!ENABLED || !betas?.length || !process.env.DATABASE_URL) return
+  try {
+    const { rows } = await db.query(`
+      SELECT br.beta_address, COALESCE(t.symbol, '') AS symbol, br.relationship_type,
+             br.beta_mcap_at_detection AS mcap, a.symbol AS alpha_symbol
+      FROM beta_relations br
+      LEFT JOIN tokens t ON t.address = br.beta_address
+      LEFT JOIN tokens a ON a.address = br.alpha_address
+      WHERE br.alpha_address = $1 AND br.beta_address = ANY($2)
+      ORDER BY br.score DESC NULLS LAST
+    `, [alphaAddress, betas.map(b => b.address)])
+    if (!rows.length) return
+
+    const symbols     = new Map(betas.map(b => [b.address, b.symbol]))
+    const alphaSymbol = rows[0].alpha_symbol || alphaAddress.slice(0, 6)
+    await fanOut('new_beta', null, (filters) => {
+      if (filters.alpha && filters.alpha !== alphaAddress) return null
+      const listed = rows.filter(r => matches(filters, { mcap: r.mcap })).slice(0, 10)
+      if (!listed.length) return null
+      const lines = listed.map(r => {
+        const parts = [r.mcap ? `MCap ${fmtUsd(r.mcap)}` : null, r.relationship_type].filter(Boolean)
+        const label = `$${r.symbol || symbols.get(r.beta_address) || r.beta_address.slice(0, 6)}`
+        return `• ${fmt.link(dexUrl(r.beta_address), label)}${parts.length ? ` — ${fmt.esc(parts.join(' · '))}` : ''}`
+      })
+      return `💎 ${fmt.bold(`New betas for $${alphaSymbol}`)}\n\n${lines.join('\n')}`
+    })
+  } catch (err) {
+    console.error('[DiscordBot] new_beta feed error:', err.message)
+  }
+}
+
+// Job: claims only need to outlive the window in which instances race
+async function pruneFeedPosts () {
+  if (!process.env.DATABASE_URL) return
+  await db.query(
+    `DELETE FROM discord_feed_posts WHERE posted_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [FEED_RETENTION_DAYS]
+  )
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+// sendAlert — called from createNotification alongside the Telegram DM
+// type: 'new_alpha' | 'new_beta' | 'narrative_active' | 'narrative_rotation' | 'telegram_signal' | 'price_move'
+async function sendAlert (wallet, type, title, body) {
+  if (!ENABLED) return
+  try {
+    const { rows } = await db.query(
+      `SELECT discord_user_id FROM alert_settings
+       WHERE wallet_address = $1 AND discord_user_id IS NOT NULL`,
+      [wallet]
+    )
+    if (!rows.length) return
+
+    const icon = {
+      new_alpha:          '🚀',
+      new_beta:           '💎',
+      narrative_active:   '📡',
+      narrative_rotation: '🔄',
+      telegram_signal:    '📢',
+    }[type] || '🔔'
+
+    await sendDm(rows[0].discord_user_id,
+      `${icon} ${fmt.bold(title)}\n${fmt.esc(body)}\n\n${fmt.link(APP_URL, 'Open BetaPlays →')}`
+    )
+  } catch (err) {
+    console.error('[DiscordBot] sendAlert error:', err.message)
+  }
+}
+
+function init () {
+  if (!ENABLED) {
+    console.log('[DiscordBot] No DISCORD_BOT_TOKEN / DISCORD_APPLICATION_ID / DISCORD_PUBLIC_KEY — bot disabled')
+    return
+  }
+  api('PUT', `/applications/${APP_ID}/commands`, SLASH_COMMANDS)
+    .then(() => console.log(`[DiscordBot] Registered ${SLASH_COMMANDS.length} slash commands`))
+    .catch(err => console.warn('[DiscordBot] Command registration failed:', err.message))
+}
+
+module.exports = {
+  init,
+  isEnabled: () => ENABLED,
+  verifyRequest,
+  handleInteraction,
+  sendAlert,
+  createLinkToken,
+  unlinkWallet,
+  postAlpha,
+  postNarrative,
+  postBetas,
+  pruneFeedPosts,
+}
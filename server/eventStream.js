@@ -0,0 +1,162 @@
+// ─── Event Stream — Server-Sent Events push channel ──────────────
+// Replaces frontend polling for the feed, betas and notifications.
+// One long-lived GET /api/stream per tab; the server pushes:
+//   alpha        — new alpha entered the live feed (report-alphas trigger)
+//   betas        — new beta_relations rows for an alpha (record-betas / server scan)
+//   narrative    — a narrative went active (news poller)
+//   rotation     — volume rotating from one narrative to another (narrativeRotation.js)
+//   notification — per-wallet notification (createNotification) — authed streams only
+//   telegram     — per-wallet Telegram link state changed (bot link / app unlink)
+//   discord      — per-wallet Discord link state changed (/link, /unlink, app unlink)
+//
+// Multi-instance: Render runs several instances behind one URL, so a client
+// is connected to ONE of them while the event may originate on another.
+// When DATABASE_DIRECT_URL is set, publish() goes through Postgres
+// NOTIFY and every instance LISTENs and fans out to its own clients.
+// LISTEN needs a session connection — the PgBouncer transaction pooler in
+// DATABASE_URL can't hold one, hence the separate direct URL.
+// Without it, events are delivered to clients on the publishing instance only.
+//
+// Payloads stay small (NOTIFY caps at 8KB) — clients refetch details
+// from the regular endpoints when they need more than the event carries.
+//
+// Event ids are assigned by the publishing instance and travel with the
+// event, so every instance delivers the same id and Last-Event-ID replay
+// works wherever the client reconnects. They're microsecond timestamps
+// (ms × 1000 + a per-ms counter), so they keep increasing across restarts
+// too — ordering across instances is as good as their clocks.
+
+const { Client } = require('pg')
+
+const CHANNEL        = 'betaplays_events'
+const HEARTBEAT_MS   = 25_000   // below Render's 30s idle proxy timeout
+const REPLAY_BUFFER  = 100      // broadcast events kept for Last-Event-ID replay
+const RETRY_MS       = 5_000    // EventSource reconnect delay hint
+
+const clients = new Set()       // { res, wallet }
+const recent  = []              // [{ id, type, data }] — broadcast only, never wallet events
+let lastId    = 0
+let listener  = null
+let heartbeat = null
+
+// compression() buffers writes until the response ends — flush every chunk
+// or events sit in the gzip buffer indefinitely.
+const send = (res, chunk) => {
+  res.write(chunk)
+  if (typeof res.flush === 'function') res.flush()
+}
+
+const write = (res, id, type, data) => {
+  send(res, `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+const nextEventId = () => {
+  lastId = Math.max(Date.now() * 1000, lastId + 1)
+  return lastId
+}
+
+// Deliver to this instance's clients. wallet = null → broadcast.
+const deliver = ({ id = nextEventId(), type, data, wallet }) => {
+  if (!wallet) {
+    recent.push({ id, type, data })
+    if (recent.length > REPLAY_BUFFER) recent.shift()
+  }
+  for (const client of clients) {
+    if (wallet && client.wallet !== wallet) continue
+    try { write(client.res, id, type, data) } catch { /* socket gone — close handler cleans up */ }
+  }
+}
+
+// ─── Postgres LISTEN (cross-instance fan-out) ─────────────────────
+const connectListener = async () => {
+  if (!process.env.DATABASE_DIRECT_URL) return
+  const client = new Client({
+    connectionString: process.env.DATABASE_DIRECT_URL,
+    ssl: process.env.DATABASE_DIRECT_URL.includes('supabase') ? { rejectUnauthorized: false } : false,
+  })
+  const reconnect = () => {
+    if (listener !== client) return
+    listener = null
+    client.end().catch(() => {})
+    setTimeout(() => connectListener().catch(() => {}), RETRY_MS)
+  }
+  client.on('error', (err) => {
+    console.warn('[EventStream] Listener error — reconnecting:', err.message)
+    reconnect()
+  })
+  client.on('end', reconnect)
+  client.on('notification', (msg) => {
+    try { deliver(JSON.parse(msg.payload)) } catch { /* malformed payload */ }
+  })
+  try {
+    await client.connect()
+    await client.query(`LISTEN ${CHANNEL}`)
+    listener = client
+    console.log('[EventStream] Listening for cross-instance events')
+  } catch (err) {
+    console.warn('[EventStream] Listener connect failed — local delivery only:', err.message)
+    client.end().catch(() => {})
+    setTimeout(() => connectListener().catch(() => {}), RETRY_MS * 6)
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+// Attach an SSE response. wallet is the verified JWT wallet, or null for
+// anonymous streams (which never receive notification events).
+function subscribe (req, res, wallet = null) {
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache, no-transform',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  send(res, `retry: ${RETRY_MS}\n\n`)
+
+  // Replay broadcast events the client missed while reconnecting. The
+  // browser sends Last-Event-ID on its own retries; a fresh EventSource
+  // (new stream ticket) passes it as ?lastEventId instead.
+  const seenId = parseInt(req.headers['last-event-id'] || req.query?.lastEventId) || 0
+  if (seenId > 0) {
+    for (const e of recent) if (e.id > seenId) write(res, e.id, e.type, e.data)
+  }
+
+  const client = { res, wallet }
+  clients.add(client)
+  req.on('close', () => clients.delete(client))
+}
+
+// Publish an event. Goes through NOTIFY when the listener is up so every
+// instance sees it; otherwise delivered locally.
+function publish (type, data, { wallet = null } = {}) {
+  const event = { id: nextEventId(), type, data, wallet }
+  if (listener) {
+    const payload = JSON.stringify(event)
+    if (payload.length < 7900) {
+      listener.query('SELECT pg_notify($1, $2)', [CHANNEL, payload])
+        .catch(() => deliver(event))
+      return
+    }
+  }
+  deliver(event)
+}
+
+function clientCount () {
+  return clients.size
+}
+
+function init () {
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const client of clients) {
+        try { send(client.res, ': ping\n\n') } catch { /* cleaned up on close */ }
+      }
+    }, HEARTBEAT_MS)
+  }
+  connectListener().catch(() => {})
+  if (!process.env.DATABASE_DIRECT_URL) {
+    console.log('[EventStream] DATABASE_DIRECT_URL not set — events delivered to this instance only')
+  }
+}
+
+module.exports = { init, subscribe, publish, clientCount }
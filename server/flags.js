@@ -0,0 +1,271 @@
+// ─── BetaPlays — Community Flags ──────────────────────────────────
+// rug / honeypot / not_beta flags from signed-in wallets — one per wallet
+// per token per type — each weighted by the flagger's track record, so a
+// script with a thousand requests (or a pile of fresh wallets) can't
+// bury a legit beta.
+//
+// Weight (snapshotted on the flag row when it's cast):
+//   BASE_WEIGHT                                      every wallet — ~0, a wallet
+//       with no track record barely counts
+//   + FOLIO_BONUS × folio hit rate                   ≥ MIN_CALLS verified folio
+//       calls; a hit = peak mcap ≥ HIT_MULT × mcap at call. Both sides are
+//       server reads from DexScreener: the mcap at call
+//       (verified_mcap_at_call), and the peak since — the 'folio-peaks' job
+//       (verified_peak_mcap) or a beta-performance snapshot. Client-written
+//       mcaps (mcap_at_call, tokens.ath_mcap / peak_mcap) never count
+//   + ACCURACY_STEP × (upheld − dismissed) flags     moderator outcomes
+//   clamped to MIN_WEIGHT … MAX_WEIGHT
+//
+// A token / type is contested once its weighted score reaches QUEUE_SCORE —
+// it's queued for a moderator, who upholds (type confirmed, flaggers gain
+// accuracy) or dismisses it (its flags stop counting, flaggers lose
+// accuracy). Fresh flags after a dismissal can queue it again. Scores only
+// decide what gets reviewed: the frontend badges and sinks a beta for
+// confirmed types alone.
+//
+// GET /api/flags serves the weighted scores. Anonymous rows from before
+// Session 50 have no wallet and count for nothing.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+const { fetchPrices } = require('./betaPerformance')
+
+// ─── Config ───────────────────────────────────────────────────────
+const FLAG_TYPES     = ['rug', 'honeypot', 'not_beta']
+const BASE_WEIGHT    = 0.05
+const FOLIO_BONUS    = 1.0
+const MIN_CALLS      = 3
+const HIT_MULT       = 2
+const ACCURACY_STEP  = 0.25
+const MIN_WEIGHT     = 0
+const MAX_WEIGHT     = 3.0
+const QUEUE_SCORE    = 2
+const FLAGS_TTL_MS   = 2 * 60 * 1000     // full table, per instance
+const REP_TTL_MS     = 10 * 60 * 1000    // per wallet, per instance
+const PEAK_WINDOW    = '30 days'         // calls whose peak is still tracked
+const MAX_PEAK_READS = 300               // folio tokens read per job run
+
+let flagsCache = null            // { at, flags } — GET /api/flags
+const repCache = new Map()       // wallet → { at, rep }
+
+const badFlag = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_FLAG'
+  return err
+}
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// ─── Reputation ───────────────────────────────────────────────────
+
+async function reputation (wallet) {
+  const hit = repCache.get(wallet)
+  if (hit && Date.now() - hit.at < REP_TTL_MS) return hit.rep
+  const { rows: [r] } = await db.query(`
+    SELECT
+      (SELECT COUNT(*) FROM folio f
+        WHERE f.wallet_address = $1 AND f.verified_mcap_at_call > 0)::int             AS calls,
+      (SELECT COUNT(*) FROM folio f
+        WHERE f.wallet_address = $1 AND f.verified_mcap_at_call > 0
+          AND GREATEST(
+            COALESCE(f.verified_peak_mcap, 0),
+            COALESCE((SELECT MAX(s.beta_mcap) FROM beta_snapshots s
+                      JOIN beta_relations br ON br.id = s.relation_id
+                      WHERE br.beta_address = f.token_address AND s.taken_at >= f.called_at), 0)
+          ) >= f.verified_mcap_at_call * $2)::int                                     AS hits,
+      (SELECT COUNT(*) FROM token_flags WHERE wallet = $1 AND outcome = 'upheld')::int    AS upheld,
+      (SELECT COUNT(*) FROM token_flags WHERE wallet = $1 AND outcome = 'dismissed')::int AS dismissed
+  `, [wallet, HIT_MULT])
+
+  let weight = BASE_WEIGHT
+  if (r.calls >= MIN_CALLS) weight += FOLIO_BONUS * (r.hits / r.calls)
+  weight += ACCURACY_STEP * (r.upheld - r.dismissed)
+  const rep = { ...r, weight: round2(Math.min(Math.max(weight, MIN_WEIGHT), MAX_WEIGHT)) }
+  repCache.set(wallet, { at: Date.now(), rep })
+  return rep
+}
+
+// Raises verified_peak_mcap on recent verified calls that aren't hits yet
+// from a live DexScreener read. Scheduled as the 'folio-peaks' job in
+// index.js.
+async function trackFolioPeaks () {
+  if (!process.env.DATABASE_URL) return
+  const { rows } = await db.query(`
+    SELECT DISTINCT token_address FROM folio
+    WHERE verified_mcap_at_call > 0
+      AND called_at > NOW() - $1::INTERVAL
+      AND COALESCE(verified_peak_mcap, 0) < verified_mcap_at_call * $2
+    LIMIT ${MAX_PEAK_READS}
+  `, [PEAK_WINDOW, HIT_MULT])
+  if (!rows.length) return
+
+  const { prices } = await fetchPrices(rows.map(r => r.token_address))
+  const read = rows.map(r => r.token_address).filter(a => prices.get(a)?.mcap > 0)
+  if (!read.length) return
+  await db.query(`
+    UPDATE folio f SET verified_peak_mcap = GREATEST(COALESCE(f.verified_peak_mcap, 0), p.mcap)
+    FROM unnest($1::text[], $2::numeric[]) AS p(address, mcap)
+    WHERE f.token_address = p.address
+      AND f.verified_mcap_at_call > 0
+      AND f.called_at > NOW() - $3::INTERVAL
+  `, [read, read.map(a => prices.get(a).mcap), PEAK_WINDOW])
+  console.log(`[Flags] Folio peaks read for ${read.length}/${rows.length} tokens`)
+}
+
+// ─── Scores ───────────────────────────────────────────────────────
+
+// { [address]: { symbol, rug, honeypot, not_beta, flaggers: {type: n}, confirmed: [type] } }
+// rug / honeypot / not_beta are weighted scores — same keys the raw counts used.
+async function scores (address = null) {
+  if (!address && flagsCache && Date.now() - flagsCache.at < FLAGS_TTL_MS) return flagsCache.flags
+  const [{ rows }, { rows: upheld }] = await Promise.all([
+    db.query(`
+      SELECT address, MAX(symbol) AS symbol, flag_type,
+             SUM(weight)::float8 AS score, COUNT(*)::int AS flaggers
+      FROM token_flags
+      WHERE wallet IS NOT NULL
+        AND outcome IS DISTINCT FROM 'dismissed'
+        AND ($1::text IS NULL OR address = $1)
+      GROUP BY address, flag_type
+    `, [address]),
+    db.query(`
+      SELECT address, symbol, flag_type FROM flag_reviews
+      WHERE status = 'upheld' AND ($1::text IS NULL OR address = $1)
+    `, [address]),
+  ])
+
+  const flags = {}
+  const entry = (row) => flags[row.address] ||= {
+    symbol: row.symbol, rug: 0, honeypot: 0, not_beta: 0, flaggers: {}, confirmed: [],
+  }
+  for (const row of rows) {
+    const e = entry(row)
+    e[row.flag_type]          = round2(row.score)
+    e.flaggers[row.flag_type] = row.flaggers
+  }
+  for (const row of upheld) entry(row).confirmed.push(row.flag_type)
+
+  if (!address) flagsCache = { at: Date.now(), flags }
+  return flags
+}
+
+// ─── Flagging ─────────────────────────────────────────────────────
+
+// Body: { address, symbol?, flagType }. Returns { duplicate, weight, flags }
+// — flags: the token's scores after this flag.
+async function submit (body, wallet) {
+  const address  = String(body?.address || '').trim()
+  const flagType = body?.flagType
+  if (!address || !FLAG_TYPES.includes(flagType)) throw badFlag('address and valid flagType required')
+  const symbol = String(body.symbol || '').slice(0, 32)
+
+  const { weight } = await reputation(wallet)
+  const { rowCount } = await db.query(`
+    INSERT INTO token_flags (address, symbol, flag_type, wallet, weight) VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (address, flag_type, wallet) WHERE wallet IS NOT NULL DO NOTHING
+  `, [address, symbol, flagType, wallet, weight])
+
+  if (rowCount) {
+    flagsCache = null
+    console.log(`[Flags] $${symbol} flagged as ${flagType} by ${wallet.slice(0, 6)}… (weight ${weight})`)
+    await queueIfContested(address, symbol, flagType)
+  }
+  const flags = (await scores(address))[address] || null
+  return { duplicate: !rowCount, weight, flags }
+}
+
+// Opens (or, after a dismissal, reopens) a review once the live score —
+// flags no moderator has ruled on — reaches QUEUE_SCORE. Upheld stays upheld.
+async function queueIfContested (address, symbol, flagType) {
+  const { rowCount } = await db.query(`
+    INSERT INTO flag_reviews (address, symbol, flag_type)
+    SELECT $1, $2, $3
+    WHERE (SELECT COALESCE(SUM(weight), 0) FROM token_flags
+           WHERE address = $1 AND flag_type = $3 AND wallet IS NOT NULL AND outcome IS NULL) >= $4
+    ON CONFLICT (address, flag_type) DO UPDATE SET
+      status = 'open', opened_at = NOW(), reviewed_by = NULL, reviewed_at = NULL
+    WHERE flag_reviews.status = 'dismissed'
+  `, [address, symbol, flagType, QUEUE_SCORE])
+  if (rowCount) console.log(`[Flags] $${symbol} ${flagType} contested — queued for review`)
+}
+
+// ─── Moderation ───────────────────────────────────────────────────
+
+// Moderator queue — oldest first. hits: watchlist adds / DEX clicks in the
+// last 7 days (users still treating it as a beta), the counter-evidence.
+async function queue ({ status = 'open', limit } = {}) {
+  if (!['open', 'upheld', 'dismissed'].includes(status)) throw badFlag('status must be open, upheld or dismissed')
+  const { rows } = await db.query(`
+    SELECT r.id, r.address, r.symbol, r.flag_type AS "flagType", r.status,
+           r.reviewed_by AS "reviewedBy", r.opened_at AS "openedAt", r.reviewed_at AS "reviewedAt",
+           s.score, s.flaggers, h.hits
+    FROM flag_reviews r
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(weight), 0)::float8 AS score, COUNT(*)::int AS flaggers
+      FROM token_flags f
+      WHERE f.address = r.address AND f.flag_type = r.flag_type AND f.wallet IS NOT NULL
+        AND f.outcome IS NOT DISTINCT FROM (CASE WHEN r.status = 'open' THEN NULL ELSE r.status END)
+    ) s ON true
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*)::int AS hits FROM beta_hits
+      WHERE address = r.address AND created_at > NOW() - INTERVAL '7 days'
+    ) h ON true
+    WHERE r.status = $1
+    ORDER BY ${status === 'open' ? 'r.opened_at' : 'r.reviewed_at DESC'}
+    LIMIT $2
+  `, [status, Math.min(Math.max(parseInt(limit) || 50, 1), 200)])
+  return rows
+}
+
+// status: 'upheld' | 'dismissed'. Settles every unruled flag of that token /
+// type, which feeds the flaggers' accuracy. Returns null when missing.
+// Two moderators ruling at once: only the first UPDATE matches 'open'.
+async function review (id, status, wallet) {
+  if (!['upheld', 'dismissed'].includes(status)) throw badFlag('status must be upheld or dismissed')
+  const { rows: [row], rowCount: ruled } = await db.query(`
+    UPDATE flag_reviews SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+    WHERE id = $1 AND status = 'open'
+    RETURNING id, address, symbol, flag_type AS "flagType", status
+  `, [id, status, wallet])
+  if (!ruled) {
+    const { rows: [r] } = await db.query(`SELECT status FROM flag_reviews WHERE id = $1`, [id])
+    if (!r) return null
+    throw badFlag(`review already ${r.status}`)
+  }
+
+  const { rowCount } = await db.query(`
+    UPDATE token_flags SET outcome = $3
+    WHERE address = $1 AND flag_type = $2 AND wallet IS NOT NULL AND outcome IS NULL
+  `, [row.address, row.flagType, status])
+  flagsCache = null
+  repCache.clear()
+  console.log(`[Flags] $${row.symbol} ${row.flagType} ${status} (${rowCount} flags settled)`)
+  return { ...row, settled: rowCount }
+}
+
+// Deletes a token's flags (one type or all) and their reviews. Returns rows removed.
+async function clear (address, type = null) {
+  if (type && !FLAG_TYPES.includes(type)) throw badFlag('type must be rug, honeypot, or not_beta')
+  const { rowCount } = await db.query(
+    `DELETE FROM token_flags WHERE address = $1 AND ($2::text IS NULL OR flag_type = $2)`,
+    [address, type]
+  )
+  await db.query(
+    `DELETE FROM flag_reviews WHERE address = $1 AND ($2::text IS NULL OR flag_type = $2)`,
+    [address, type]
+  )
+  flagsCache = null
+  return rowCount
+}
+
+module.exports = {
+  FLAG_TYPES,
+  QUEUE_SCORE,
+  reputation,
+  trackFolioPeaks,
+  scores,
+  submit,
+  queue,
+  review,
+  clear,
+}
@@ -0,0 +1,147 @@
+// ─── HTTP Tape — record/replay for upstream fetch() calls ────────
+// Makes a beta scan reproducible: record every upstream request/response
+// (DexScreener, pump.fun, Birdeye, Helius, Groq/OpenRouter/Gemini) once,
+// then replay the exact same responses offline.
+//
+//   HTTP_TAPE=record   — real network; each response is written to disk
+//   HTTP_TAPE=replay   — no network; responses come from disk, a request
+//                        with no fixture fails like a network error
+//   HTTP_TAPE_DIR      — fixture directory (default server/fixtures/http)
+//
+// Works by wrapping globalThis.fetch, so every caller is covered without
+// changes — fetchWithRetry, fetchTopAlphasForScan, betaScanService,
+// telegramService.searchDEX, llmRouter. install() must run before the
+// first request. Loopback calls (the server calling its own /api/*) pass
+// through untouched — only the upstream call behind them is taped.
+//
+// Fixture key = method + URL + body, with credentials redacted (query
+// keys like key= / api-key=, and path segments like Telegram's
+// /bot<token>/; never headers), so a recording made with one set of API
+// keys replays with another — and no key is written to disk. Identical requests are numbered
+// in call order; replay serves them in the same order and repeats the
+// last one if the scan asks more times than were recorded.
+//
+// Not covered: axios (newsService) and the MTProto Telegram client.
+
+const fs     = require('fs')
+const path   = require('path')
+const crypto = require('crypto')
+
+const MODE = process.env.HTTP_TAPE === 'record' || process.env.HTTP_TAPE === 'replay'
+  ? process.env.HTTP_TAPE
+  : null
+const DIR  = path.resolve(process.env.HTTP_TAPE_DIR || path.join(__dirname, 'fixtures', 'http'))
+
+const SECRET_PARAMS = /^(key|api[-_]?key|apikey|token|auth|access[-_]?token|secret)$/i
+const SECRET_PATH   = /\/bot\d+:[\w-]+/g   // Telegram Bot API — the token is a path segment
+const LOOPBACK      = new Set(['localhost', '127.0.0.1', '[::1]', '::1'])
+const TEXT_TYPES    = /json|text|xml|javascript|x-www-form-urlencoded/i
+
+const sequence = new Map()   // fixture key → calls seen this session
+let   realFetch = null
+
+const redactUrl = (raw) => {
+  const url = new URL(raw)
+  url.pathname = url.pathname.replace(SECRET_PATH, '/botREDACTED')
+  for (const name of [...url.searchParams.keys()]) {
+    if (SECRET_PARAMS.test(name)) url.searchParams.set(name, 'REDACTED')
+  }
+  return url.toString()
+}
+
+const bodyText = (body) => {
+  if (body == null) return ''
+  if (typeof body === 'string') return body
+  if (body instanceof URLSearchParams) return body.toString()
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) return Buffer.from(body).toString('base64')
+  return String(body)
+}
+
+const fixtureName = (method, url, body) => {
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16)
+  const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_')
+  return `${host}_${hash}`
+}
+
+const nextIndex = (key) => {
+  const n = sequence.get(key) || 0
+  sequence.set(key, n + 1)
+  return n
+}
+
+// ─── Record ───────────────────────────────────────────────────────
+const record = async (key, request, response) => {
+  const buf         = Buffer.from(await response.clone().arrayBuffer())
+  const contentType = response.headers.get('content-type') || ''
+  const isText      = TEXT_TYPES.test(contentType)
+  const fixture = {
+    request,
+    response: {
+      status:   response.status,
+      headers:  { 'content-type': contentType },
+      encoding: isText ? 'utf8' : 'base64',
+      body:     buf.toString(isText ? 'utf8' : 'base64'),
+    },
+    recordedAt: new Date().toISOString(),
+  }
+  const file = path.join(DIR, `${key}_${nextIndex(key)}.json`)
+  await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2))
+}
+
+// ─── Replay ───────────────────────────────────────────────────────
+const replay = async (key, request) => {
+  const n = nextIndex(key)
+  let file = path.join(DIR, `${key}_${n}.json`)
+  if (!fs.existsSync(file)) {
+    // Asked more often than recorded — repeat the last recorded response
+    let last = n - 1
+    while (last >= 0 && !fs.existsSync(path.join(DIR, `${key}_${last}.json`))) last--
+    if (last < 0) {
+      const err = new TypeError(`fetch failed — no tape fixture for ${request.method} ${request.url}`)
+      err.cause = { code: 'HTTP_TAPE_MISS' }
+      throw err
+    }
+    file = path.join(DIR, `${key}_${last}.json`)
+  }
+  const { response } = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  const body = response.status === 204 || response.status === 304
+    ? null
+    : Buffer.from(response.body, response.encoding)
+  return new Response(body, { status: response.status, headers: response.headers })
+}
+
+// ─── fetch wrapper ────────────────────────────────────────────────
+const tapedFetch = async (input, init = {}) => {
+  const rawUrl = typeof input === 'string' ? input : (input.url || String(input))
+  const url    = new URL(rawUrl)
+  if (LOOPBACK.has(url.hostname)) return realFetch(input, init)
+
+  const method  = (init.method || input.method || 'GET').toUpperCase()
+  const request = { method, url: redactUrl(rawUrl), body: bodyText(init.body) }
+  const key     = fixtureName(request.method, request.url, request.body)
+
+  if (MODE === 'replay') return replay(key, request)
+
+  const response = await realFetch(input, init)
+  try {
+    await record(key, request, response)
+  } catch (err) {
+    console.warn('[HttpTape] Record failed (non-fatal):', err.message)
+  }
+  return response
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+// Patch globalThis.fetch when HTTP_TAPE is set. No-op otherwise.
+function install () {
+  if (!MODE || realFetch) return
+  fs.mkdirSync(DIR, { recursive: true })
+  realFetch = globalThis.fetch
+  globalThis.fetch = tapedFetch
+  console.log(`[HttpTape] ${MODE === 'record' ? 'Recording' : 'Replaying'} upstream HTTP — ${DIR}`)
+}
+
+const isActive = () => realFetch !== null
+
+module.exports = { install, isActive, MODE, DIR }
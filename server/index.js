@@ -1,18 +1,40 @@
 // ─── BetaPlays Backend ────────────────────────────────────────────
 // Endpoints:
 //   POST /api/score-betas      — Vector 8 AI scoring
-//                                Chain: Groq 70b → Groq Scout → OR Llama 70b → OR DeepSeek R1
-//                                → Kimi K2.5 → OR Qwen 72b → Hunter Alpha → Gemini Flash
-//                                → OR Gemini Flash → Kimi K2 Thinking → Groq 8b (last resort)
-//   POST /api/categorize-szn   — Narrative categorization (same chain)
-//   POST /api/analyze-vision   — Logo analysis: Gemini Flash → Groq vision → Healer Alpha
+//   POST /api/categorize-szn   — Narrative categorization
+//   POST /api/analyze-vision   — Logo analysis
+//                                AI provider chains per task live in llmRouter.js
 //   GET  /api/birdeye          — Birdeye data proxy
 //   GET  /api/pumpfun          — PumpFun CORS proxy
+//   GET  /api/betas/:address   — Server-side beta scan, shared across clients
+//   GET  /api/stream           — SSE push channel (feed, betas, narratives, notifications); authed via POST /api/stream/ticket
+//   GET  /api/jobs             — background job status (schedule, last run, errors)
+//   POST /api/backtest         — re-rank recorded betas under a candidate ranking config
+//   GET  /api/signal-weights   — calibrated signal multipliers used by the ranking functions
+//   POST /api/discord/interactions — Discord slash commands (signed by Discord, see discord_bot.js)
+//   /api/webhooks              — per-wallet outbound webhooks for alert events (see webhooks.js)
+//   /api/admin/telegram-channels — Telegram channel registry + track records (admin role)
+//   GET  /api/lore             — live lore map + narrative categories (versioned, edited via /api/admin/lore)
+//   GET  /api/community-lore   — moderator-approved community lore entries (submitted + voted via /api/community-lore/*)
+//   GET  /api/legends          — OGs promoted by the legend-promotion job (see legends.js)
+//   /api/admin/roles, /api/admin/audit — wallet roles (admin / moderator / ads-reviewer) + admin action log (see roles.js)
+//   GET  /api/flags            — reputation-weighted community flag scores; /api/flags/queue for moderators (see flags.js)
+//   GET  /api/safety/:address  — on-chain risk score: mint/freeze authority, LP status, holder concentration (see safety.js)
+//   POST /api/safety           — the same scores for a whole beta list in one request (BetaRow badges)
+//   GET  /api/bundles/:address — launch bundle check: supply sniped at launch, buyers linked to the deployer (see bundles.js)
+//   POST /api/social/ingest    — external collectors push posts for Vector 11 (API key, see twitterService.js)
+//   GET  /api/narratives/:key/history — Szn narrative heat timeline + trend (see narrativeHistory.js)
+//   GET  /api/narratives/rotation — latest meta rotation (see narrativeRotation.js)
+//   GET  /api/narratives/trends — heat trend per Szn narrative (see narrativeHistory.js)
 //   GET  /health               — uptime check
 //
 // Keys live ONLY in server/.env — never in the frontend.
 // Required: GROQ_API_KEY, GEMINI_API_KEY
-// Optional: OPENROUTER_API_KEY (free at openrouter.ai — used as final fallback for Vector 8)
+// Optional: OPENROUTER_API_KEY (free at openrouter.ai — fallback models in every AI chain)
+//           LOCAL_LLM_URL (OpenAI-compatible self-hosted model — see llmRouter.js)
+//           SOLANA_RPC_URL (safety + bundle scanner RPC — e.g. a local test validator, see solanaRpc.js)
+//           SOCIAL_INGEST_KEYS (comma-separated API keys for POST /api/social/ingest)
+// Debug:    HTTP_TAPE=record|replay (reproducible scans — see httpTape.js, replay_scan.js)
 
 const express     = require('express')
 const cors        = require('cors')
@@ -20,13 +42,37 @@ const rateLimit   = require('express-rate-limit')
 const compression = require('compression')
 const jwt       = require('jsonwebtoken')
 const nacl      = require('tweetnacl')
+const crypto    = require('crypto')
 const { PublicKey } = require('@solana/web3.js')
 require('dotenv').config({ path: require('path').join(__dirname, '.env') })
+// HTTP_TAPE=record|replay — must wrap fetch before any module makes a request
+require('./httpTape').install()
 
 const telegramService = require('./telegramService')
+const telegramChannels = require('./telegram_channels')
+const telegramArchive  = require('./telegramArchive')
 const twitterService  = require('./twitterService')
+const narrativeHistory = require('./narrativeHistory')
+const narrativeRotation = require('./narrativeRotation')
+const loreStore       = require('./loreStore')
+const communityLore   = require('./communityLore')
+const legends         = require('./legends')
+const roles           = require('./roles')
+const flags           = require('./flags')
+const safety          = require('./safety')
+const bundles         = require('./bundles')
 const newsService     = require('./newsService')
 const telegramBot     = require('./telegram_bot')
+const discordBot      = require('./discord_bot')
+const webhooks        = require('./webhooks')
+const betaScanService = require('./betaScanService')
+const betaRelations   = require('./betaRelations')
+const eventStream     = require('./eventStream')
+const jobScheduler    = require('./jobScheduler')
+const llmRouter       = require('./llmRouter')
+const betaPerformance = require('./betaPerformance')
+const backtest        = require('./backtest')
+const signalWeights   = require('./signalWeights')
 const db = require('./db')
 const { cacheGet, cacheSet, loadExpansionCache } = require('./db')
 
@@ -34,36 +80,13 @@ const app = express()
 app.set('trust proxy', 1) // Required for correct IP/rate-limiting behind Render's reverse proxy
 app.use(compression()) // gzip all responses — cuts egress 60-80%
 app.use(cors())
-app.use(express.json({ limit: '10mb' }))
-
-// ─── Groq 70b daily limit tracker ─────────────────────────────────
-// Groq's free tier caps llama-3.3-70b at ~100K tokens/day (resets UTC midnight).
-// Instead of attempting it on every request and always failing + falling back,
-// we track the first 429 with a daily-limit signature and skip it until reset.
-// Per-minute TPM limits are NOT tracked here — those resolve in seconds.
-let groq70bDailyLimitHit  = false
-let groq70bLimitResetTime = 0
-
-function isGroq70bAvailable () {
-  if (!groq70bDailyLimitHit) return true
-  if (Date.now() > groq70bLimitResetTime) {
-    groq70bDailyLimitHit  = false
-    groq70bLimitResetTime = 0
-    console.log('[Groq70b] Daily limit reset — re-enabling')
-    return true
-  }
-  return false
-}
-
-function markGroq70bDailyLimitHit () {
-  groq70bDailyLimitHit = true
-  // Next UTC midnight
-  const now = new Date()
-  groq70bLimitResetTime = Date.UTC(
-    now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1
-  )
-  console.warn(`[Groq70b] Daily limit hit — skipping until ${new Date(groq70bLimitResetTime).toISOString()}`)
-}
+// Discord signs the exact request bytes — keep them for that one route
+app.use(express.json({
+  limit:  '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/discord/interactions') req.rawBody = buf
+  },
+}))
 
 // ─── PumpFun / PumpPortal cache (10-minute TTL) ────────────────────
 // PumpFun CDN has chronic 530 outages. We cache the last good response
@@ -97,28 +120,12 @@ const l1Get = (key) => {
 const l1Set = (key, val, ttlHours) =>
   _l1.set(key, { val, exp: Date.now() + ttlHours * 3600 * 1000 })
 
-// ─── record-betas dedup — skip re-writes for known alpha:beta pairs ───────────
-// Prevents hammering Supabase when same alpha is rescanned (every 90s price refresh
-// triggers record-betas). In-memory Map keyed by 'alphaAddress:betaAddress'.
-// Resets naturally on server restart (Render redeploy). 6h TTL matches score cache.
-const _betaWriteSeen = new Map() // key → expiresAt timestamp
-const BETA_WRITE_TTL = 6 * 60 * 60 * 1000 // 6 hours
-const hasBetaWritten = (alphaAddr, betaAddr) => {
-  const key = `${alphaAddr}:${betaAddr}`
-  const exp = _betaWriteSeen.get(key)
-  if (!exp) return false
-  if (Date.now() > exp) { _betaWriteSeen.delete(key); return false }
-  return true
-}
-const markBetaWritten = (alphaAddr, betaAddr) =>
-  _betaWriteSeen.set(`${alphaAddr}:${betaAddr}`, Date.now() + BETA_WRITE_TTL)
-
 const pumpFunCache = new Map()  // key: query string → { data, ts }
 const PUMPFUN_CACHE_TTL = 10 * 60 * 1000  // 10 minutes
 
 // Outage cooldown — when both PumpFun AND PumpPortal fail, mark as down
 // for 5 minutes. Skips all PumpFun calls immediately instead of waiting
-// 8s × 2 timeouts on every request. Same pattern as Groq 70b daily limit.
+// 8s × 2 timeouts on every request. Same idea as the LLM router's daily exhaustion.
 let pumpFunOutageUntil = 0
 const PUMPFUN_OUTAGE_COOLDOWN = 5 * 60 * 1000  // 5 minutes
 const isPumpFunDown = () => Date.now() < pumpFunOutageUntil
@@ -128,10 +135,18 @@ const markPumpFunDown = () => {
 }
 
 // Rate limiting — split limits so vision batches don't eat the shared quota
+// The server's own loopback calls (betaScanService, proactive scan) come
+// straight from the socket with no proxy hop — they'd all share one
+// 127.0.0.1 bucket, so they skip the limit. betaScanService caps its
+// concurrent scans instead.
+const LOOPBACK_IPS = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1'])
+const isLoopback = (req) => !req.headers['x-forwarded-for'] && LOOPBACK_IPS.has(req.socket.remoteAddress)
 const limiter = rateLimit({
   windowMs: 60 * 1000,
   max: 60,
   message: { error: 'Too many requests, slow down degen' },
+  // Signed by Discord — every server's commands arrive from Discord's own IPs
+  skip: (req) => req.originalUrl === '/api/discord/interactions' || isLoopback(req),
 })
 const visionLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -141,276 +156,6 @@ const visionLimiter = rateLimit({
 app.use('/api/analyze-vision', visionLimiter)
 app.use('/api/', limiter)
 
-// ─── Groq helper ──────────────────────────────────────────────────
-const callGroq = async (prompt, systemPrompt = null) => {
-  const GROQ_KEY = process.env.GROQ_API_KEY
-  if (!GROQ_KEY) throw new Error('GROQ_API_KEY not configured')
-
-  const messages = []
-  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt })
-  messages.push({ role: 'user', content: prompt })
-
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type':  'application/json',
-      'Authorization': `Bearer ${GROQ_KEY}`,
-    },
-    body: JSON.stringify({
-      model:       'llama-3.3-70b-versatile',
-      max_tokens:  1000,
-      temperature: 0.1,
-      messages,
-    }),
-  })
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Groq error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.choices?.[0]?.message?.content || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  return JSON.parse(clean)
-}
-
-// ─── Groq Fast helper (llama-3.1-8b-instant) ────────────────────
-// Separate model = separate TPD quota (500k/day vs 70b's 100k/day).
-// Used for structured output tasks that don't need 70B reasoning:
-//   - Vector 0A concept expansion
-// Vector 8 classification stays on 70b for quality.
-const callGroqFast = async (prompt, systemPrompt = null) => {
-  const GROQ_KEY = process.env.GROQ_API_KEY
-  if (!GROQ_KEY) throw new Error('GROQ_API_KEY not configured')
-
-  const messages = []
-  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt })
-  messages.push({ role: 'user', content: prompt })
-
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type':  'application/json',
-      'Authorization': `Bearer ${GROQ_KEY}`,
-    },
-    body: JSON.stringify({
-      model:       'llama-3.1-8b-instant',
-      max_tokens:  1200,
-      temperature: 0.1,
-      messages,
-    }),
-  })
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Groq error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.choices?.[0]?.message?.content || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  return JSON.parse(clean)
-}
-
-// ─── Gemini helper ────────────────────────────────────────────────
-const callGemini = async (parts) => {
-  const GEMINI_KEY = process.env.GEMINI_API_KEY
-  if (!GEMINI_KEY) throw new Error('GEMINI_API_KEY not configured')
-
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contents: [{ parts }] }),
-    }
-  )
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Gemini error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.candidates?.[0]?.content?.parts?.[0]?.text || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  if (!clean) throw new Error('Gemini returned empty response')
-  try {
-    return JSON.parse(clean)
-  } catch (parseErr) {
-    console.error('[Gemini] JSON parse failed. Raw:', clean.slice(0, 300))
-    throw new Error(`Gemini response was not valid JSON: ${parseErr.message}`)
-  }
-}
-
-// ─── MiMo V2 Omni vision fallback ────────────────────────────────
-// Previously "Healer Alpha" — that model was deprecated March 18, 2026
-// and replaced by xiaomi/mimo-v2-omni on OpenRouter.
-// Omni-modal model supporting vision. Used when Gemini + Groq both exhausted.
-const callHealerVision = async (parts, prompt) => {
-  const OR_KEY = process.env.OPENROUTER_API_KEY
-  if (!OR_KEY) throw new Error('OPENROUTER_API_KEY not configured')
-
-  // MiMo V2 Omni uses OpenAI-compatible vision format
-  const content = []
-  parts.forEach(p => {
-    if (p.text) {
-      content.push({ type: 'text', text: p.text })
-    } else if (p.inline_data) {
-      content.push({
-        type: 'image_url',
-        image_url: { url: `data:${p.inline_data.mime_type};base64,${p.inline_data.data}` }
-      })
-    }
-  })
-
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type':  'application/json',
-      'Authorization': `Bearer ${OR_KEY}`,
-      'HTTP-Referer':  'https://betaplays.app',
-      'X-Title':       'BetaPlays',
-    },
-    body: JSON.stringify({
-      model: 'xiaomi/mimo-v2-omni',
-      max_tokens: 1000,
-      temperature: 0.1,
-      messages: [
-        { role: 'system', content: 'You are a crypto analyst. Always respond with valid JSON only.' },
-        { role: 'user', content },
-      ],
-    }),
-  })
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`MiMo V2 Omni error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.choices?.[0]?.message?.content || ''
-  return JSON.parse(text.replace(/```json|```/g, '').trim())
-}
-
-// ─── Gemini text scoring helper ──────────────────────────────────
-// Uses the same Gemini key as vision but for pure text tasks.
-// Gemini Flash has a generous free quota (15 req/min, 1500/day).
-const callGeminiText = async (systemPrompt, userPrompt) => {
-  const GEMINI_KEY = process.env.GEMINI_API_KEY
-  if (!GEMINI_KEY) throw new Error('GEMINI_API_KEY not configured')
-
-  const body = {
-    systemInstruction: { parts: [{ text: systemPrompt }] },
-    contents: [{ role: 'user', parts: [{ text: userPrompt }] }],
-    generationConfig: { temperature: 0.1, maxOutputTokens: 1000 },
-  }
-
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_KEY}`,
-    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
-  )
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Gemini text error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.candidates?.[0]?.content?.parts?.[0]?.text || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  if (!clean) throw new Error('Gemini text returned empty response')
-  return JSON.parse(clean)
-}
-
-// ─── Groq Vision fallback helper ─────────────────────────────────
-// Used when Gemini quota is exhausted. Accepts same image data,
-// formats it for Groq's OpenAI-compatible vision API.
-const callGroqVision = async (mode, withImages, alpha = null) => {
-  const GROQ_KEY = process.env.GROQ_API_KEY
-  if (!GROQ_KEY) throw new Error('GROQ_API_KEY not configured')
-
-  const contentParts = []
-
-  if (mode === 'classify') {
-    withImages.forEach((t, i) => {
-      contentParts.push({
-        type: 'image_url',
-        image_url: { url: `data:${t.img.mimeType};base64,${t.img.base64}` },
-      })
-      contentParts.push({ type: 'text', text: `[${i}] Token: $${t.symbol} (${t.name || 'unknown'})` })
-    })
-    contentParts.push({
-      type: 'text',
-      text: `For each token image above, identify the narrative/theme and give a 1-sentence description.
-Respond ONLY with a JSON array. No markdown. Example:
-[
-  {"index":0,"category":"cats","description":"Orange cat with glowing eyes"},
-  {"index":1,"category":"aliens","description":"Green alien holding a sign"},
-  {"index":2,"category":null,"description":"Abstract geometric logo, unclear theme"}
-]`,
-    })
-  } else {
-    // compare mode
-    contentParts.push({
-      type: 'image_url',
-      image_url: { url: `data:${alpha.img.mimeType};base64,${alpha.img.base64}` },
-    })
-    contentParts.push({ type: 'text', text: `ALPHA TOKEN: $${alpha.symbol} — analyzing for beta plays.` })
-    withImages.forEach((c, i) => {
-      contentParts.push({
-        type: 'image_url',
-        image_url: { url: `data:${c.img.mimeType};base64,${c.img.base64}` },
-      })
-      contentParts.push({ type: 'text', text: `[${i}] $${c.symbol} (${c.name || ''})` })
-    })
-    contentParts.push({
-      type: 'text',
-      text: `Score each candidate's visual relatedness to the ALPHA (0.0 to 1.0).
-Respond ONLY with a JSON array. No markdown. Example:
-[
-  {"index":0,"visualScore":0.92,"visualReason":"Same frog character, recolored green"},
-  {"index":1,"visualScore":0.3,"visualReason":"Different animal entirely, unrelated"}
-]`,
-    })
-  }
-
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type':  'application/json',
-      'Authorization': `Bearer ${GROQ_KEY}`,
-    },
-    body: JSON.stringify({
-      model:       'meta-llama/llama-4-scout-17b-16e-instruct',
-      max_tokens:  1000,
-      temperature: 0.1,
-      messages: [{ role: 'user', content: contentParts }],
-    }),
-  })
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Groq vision error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.choices?.[0]?.message?.content || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  try {
-    return JSON.parse(clean)
-  } catch (parseErr) {
-    console.error('[GroqVision] JSON parse failed. Raw:', clean.slice(0, 300))
-    throw new Error(`Groq vision response was not valid JSON: ${parseErr.message}`)
-  }
-}
-
-// ─── Vision provider helper ───────────────────────────────────────
-// Tries Gemini first. If quota is exhausted, falls back to Groq vision.
-const isGeminiQuotaError = (err) =>
-  err.message.includes('429') || err.message.includes('quota') || err.message.includes('RESOURCE_EXHAUSTED')
-
 // ─── Server-side expansion cache ─────────────────────────────────
 // Shared across ALL users. One expansion per alpha, not per user.
 // Key: token address. Value: { data, timestamp, mcap }
@@ -596,69 +341,7 @@ Respond ONLY with valid JSON, no markdown:
 {"universe":"PERSON_ATHLETE","searchTerms":["term1","term2"],"relationshipHints":{"term1":"TWIN","term2":"COUNTER"},"category":"football"}`
 }
 
-// Vector 0B: Image expansion via Groq vision (called when Gemini quota exhausted)
-const callGroqImageExpansion = async (symbol, name, imgData) => {
-  const GROQ_KEY = process.env.GROQ_API_KEY
-  if (!GROQ_KEY) throw new Error('GROQ_API_KEY not configured')
-
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${GROQ_KEY}` },
-    body: JSON.stringify({
-      model: 'meta-llama/llama-4-scout-17b-16e-instruct',
-      max_tokens: 250,
-      temperature: 0.1,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image_url',
-            image_url: { url: `data:${imgData.mimeType};base64,${imgData.base64}` },
-          },
-          {
-            type: 'text',
-            text: `This is the logo of Solana meme token $${symbol}${name && name.toLowerCase() !== symbol.toLowerCase() ? ' (' + name + ')' : ''}.
-
-Step 1 — IDENTIFY THE SUBJECT: What is the main character or object? Be specific about species/type.
-  Good: "holstein cow", "shiba inu dog", "pepe frog", "raccoon", "astronaut"
-  Bad: "animal", "character", "creature"
-
-Step 2 — NOTABLE ACCESSORIES or ACTIONS: What is it wearing or doing that makes it unique?
-  Good: "red baseball cap", "crying expression", "holding sign", "wearing suit"
-  Bad: "colorful", "cute", "big eyes" — these describe every cartoon, useless
-
-Step 3 — DEGEN ANGLE: What narrative would a meme token creator derive from this image?
-  A cow farting → fart, gas, methane | A dog with hat → dogwif | A sad frog → pepe, feels
-
-Output 3-5 terms: the SUBJECT (most important), then accessories, then the degen narrative angle.
-
-Also note mood (happy/evil/stoic/chaotic/sad/angry).
-
-Step 4 — VISUAL COUNTERS: What would be the visual opposite or antagonist of this logo?
-  A cute panda → wolf, predator, hunter | A king → rebel, peasant, anarchist
-  Trump → democrat, opponent | A bull → bear | Kawaii → dark, edgy, villain
-  List 2–4 searchable counter concepts (not generic descriptors like "opposite").
-
-Respond ONLY with valid JSON. No markdown:
-{"visualTerms":["cow","bovine","fart","farm"],"visualCounters":["vegetable","vegan","farmer"],"mood":"happy","visualHints":{"cow":"TWIN","fart":"TWIN","farm":"UNIVERSE"}}`,
-          },
-        ],
-      }],
-    }),
-  })
-
-  if (!response.ok) {
-    const err = await response.text()
-    throw new Error(`Groq vision error ${response.status}: ${err}`)
-  }
-
-  const data  = await response.json()
-  const text  = data.choices?.[0]?.message?.content || ''
-  const clean = text.replace(/```json|```/g, '').trim()
-  return JSON.parse(clean)
-}
-
-// Vector 0B: Image expansion parts for Gemini
+// Vector 0B: Image expansion parts — Gemini-style, the router converts per provider
 const buildImageExpansionParts = (symbol, name, imgData) => [
   {
     text: `This is the logo of Solana meme token $${symbol}${name && name.toLowerCase() !== symbol.toLowerCase() ? ' (' + name + ')' : ''}.`,
@@ -714,10 +397,6 @@ const fetchImageAsBase64 = async (url) => {
   }
 }
 
-// Filter images to only those Groq can handle (no GIFs, no broken data)
-const filterForGroq = (items) =>
-  items.filter(t => t.img && GROQ_SUPPORTED_TYPES.includes(t.img.mimeType))
-
 // ─── Retry helper ─────────────────────────────────────────────────
 // Retries a fetch call up to maxRetries times with exponential backoff.
 // Handles both 429 (rate limit) and 5xx (gateway/server errors).
@@ -747,7 +426,7 @@ const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
 // ─── Health check ─────────────────────────────────────────────────
 app.get('/health', (req, res) => res.json({ ok: true }))
 
-// ─── Vector 8: AI beta scoring (Groq) ────────────────────────────
+// ─── Vector 8: AI beta scoring (LLM router) ──────────────────────
 app.post('/api/score-betas', async (req, res) => {
   try {
     const { prompt } = req.body
@@ -761,183 +440,15 @@ app.post('/api/score-betas', async (req, res) => {
 - How degens think: "if X pumps, what else would I ape into immediately?"
 Always respond with valid JSON only — no explanation, no markdown fences.`
 
-    // ── Unified fallback chain ────────────────────────────────────
-    // Order: strongest/most-available first, weakest last.
-    // 8b-instant moved to LAST — it's too weak for relationship scoring.
-    // Gemini Flash added mid-chain — uses existing key, 1500 req/day free.
-    const GROQ_KEY = process.env.GROQ_API_KEY
-    const OR_KEY   = process.env.OPENROUTER_API_KEY
-    const OR_HEADERS = { 'HTTP-Referer': 'https://betaplays.app', 'X-Title': 'BetaPlays' }
-
-    const messages = [
-      { role: 'system', content: SYSTEM },
-      { role: 'user',   content: prompt },
-    ]
-
-    // Helper: call any OpenAI-compatible endpoint
-    const tryOpenAI = async (url, key, model, extraHeaders = {}) => {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}`, ...extraHeaders },
-        body: JSON.stringify({ model, max_tokens: 1000, temperature: 0.1, messages }),
-      })
-      if (!response.ok) {
-        const errText = await response.text()
-        if (response.status === 429) {
-          const err = new Error('429')
-          // Tag as daily limit if error body mentions per-day quota
-          err.dailyLimit = errText.toLowerCase().includes('day') || errText.toLowerCase().includes('tpd')
-          throw err
-        }
-        throw new Error(`${response.status}: ${errText}`)
-      }
-      const data  = await response.json()
-      const text  = data.choices?.[0]?.message?.content || ''
-      return JSON.parse(text.replace(/```json|```/g, '').trim())
-    }
-
-    // ── Fallback chain — ordered by quality for relationship scoring ──
-    // 1.  Groq 70b           — fast, reliable, 100K TPD
-    // 2.  Groq Scout 17b     — separate Groq quota
-    // 3.  OR Llama 3.3 70b   — same quality as Groq 70b, free
-    // 4.  OR DeepSeek R1     — strong reasoning, consistent JSON
-    // 5.  Kimi K2.5          — 1T params, strong reasoning+general, free
-    // 6.  OR Qwen 2.5 72b    — solid alternative, free
-    // 7.  Hunter Alpha        — 1T params, large context, free (benchmarks "okay")
-    // 8.  Gemini Flash        — existing key, 1500 req/day
-    // 9.  OR Gemini Flash exp — free tier backup
-    // 10. Kimi K2 Thinking   — best reasoning but slow + needs temp=1.0
-    // 11. Groq 8b-instant    — last resort, too weak for nuanced scoring
-
-    // 1. Groq 70b — 100K TPD, best Groq quality
-    if (GROQ_KEY && isGroq70bAvailable()) {
-      try {
-        const result = await tryOpenAI('https://api.groq.com/openai/v1/chat/completions', GROQ_KEY, 'llama-3.3-70b-versatile')
-        return res.json(result)
-      } catch (e) {
-        if (e.message !== '429') throw e
-        // Distinguish TPM (per-minute) vs daily — daily errors mention 'day' in body
-        if (e.dailyLimit) markGroq70bDailyLimitHit()
-        else console.warn('[Vector8] llama-3.3-70b-versatile TPM hit — falling back')
-      }
-    } else if (groq70bDailyLimitHit) {
-      console.warn('[Vector8] Groq 70b daily limit active — skipping to Scout')
-    }
-
-    // 2. Groq Scout 17b — separate quota
-    if (GROQ_KEY) {
-      try {
-        const result = await tryOpenAI('https://api.groq.com/openai/v1/chat/completions', GROQ_KEY, 'meta-llama/llama-4-scout-17b-16e-instruct')
-        console.log('[Vector8] Groq fallback: llama-4-scout-17b')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] llama-4-scout-17b quota hit') }
-    }
-
-    // 3. OR Llama 3.3 70b — same quality as Groq 70b
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'meta-llama/llama-3.3-70b-instruct:free', OR_HEADERS)
-        console.log('[Vector8] OR fallback: llama-3.3-70b-instruct:free')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] OR llama-3.3-70b quota hit') }
-    }
-
-    // 4. OR DeepSeek V3 — R1:free removed from OR April 2026, V3-5 is replacement
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'deepseek/deepseek-chat-v3-0324:free', OR_HEADERS)
-        console.log('[Vector8] OR fallback: deepseek-v3-5:free')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] OR deepseek-v3-5 quota hit') }
-    }
-
-    // 5. Kimi K2.5 — 1T params, strong reasoning, free on OpenRouter
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'moonshotai/kimi-k2.5', OR_HEADERS)
-        console.log('[Vector8] OR fallback: kimi-k2.5')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] Kimi K2.5 quota hit') }
-    }
-
-    // 5b. Gemma 4 31B — #3 open model, reasoning mode, strong classification quality
-    // Released April 2025. Free on OpenRouter. Better reasoning than Qwen/Hunter.
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'google/gemma-4-31b-it', OR_HEADERS)
-        console.log('[Vector8] OR fallback: gemma-4-31b-it')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] Gemma 4 31B quota hit') }
-    }
-
-    // 6. OR Qwen 2.5 72b — solid alternative
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'qwen/qwen-2.5-72b-instruct:free', OR_HEADERS)
-        console.log('[Vector8] OR fallback: qwen-2.5-72b:free')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] OR qwen-2.5-72b quota hit') }
-    }
-
-    // 7. MiMo V2 Omni — formerly "Hunter Alpha", replaced March 18 2026
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'xiaomi/mimo-v2-omni', OR_HEADERS)
-        console.log('[Vector8] OR fallback: mimo-v2-omni')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] MiMo V2 Omni quota hit') }
-    }
-
-    // 8. Gemini Flash — existing key, 1500 req/day
-    try {
-      const result = await callGeminiText(SYSTEM, prompt)
-      console.log('[Vector8] Gemini Flash fallback used')
-      return res.json(result)
-    } catch (e) {
-      if (!isGeminiQuotaError(e)) throw e
-      console.warn('[Vector8] Gemini Flash quota hit')
-    }
-
-    // 9. OR Gemini Flash exp — free tier backup
-    if (OR_KEY) {
-      try {
-        const result = await tryOpenAI('https://openrouter.ai/api/v1/chat/completions', OR_KEY, 'google/gemini-2.0-flash-exp:free', OR_HEADERS)
-        console.log('[Vector8] OR fallback: gemini-2.0-flash-exp:free')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] OR gemini-flash quota hit') }
-    }
-
-    // 10. Kimi K2 Thinking — best reasoning but slow, needs temp=1.0 for reliability
-    if (OR_KEY) {
-      try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OR_KEY}`, ...OR_HEADERS },
-          body: JSON.stringify({ model: 'moonshotai/kimi-k2-thinking', max_tokens: 1000, temperature: 1.0, messages }),
-        })
-        if (!response.ok) { const t = await response.text(); if (response.status === 429) throw new Error('429'); throw new Error(t) }
-        const data = await response.json()
-        const text = data.choices?.[0]?.message?.content || ''
-        const result = JSON.parse(text.replace(/```json|```/g, '').trim())
-        console.log('[Vector8] OR fallback: kimi-k2-thinking')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] Kimi K2 Thinking quota hit') }
-    }
-
-    // 11. Groq 8b-instant — LAST RESORT only (too weak for nuanced scoring)
-    if (GROQ_KEY) {
-      try {
-        const result = await tryOpenAI('https://api.groq.com/openai/v1/chat/completions', GROQ_KEY, 'llama-3.1-8b-instant')
-        console.warn('[Vector8] ⚠️  8b-instant last resort — scoring quality degraded')
-        return res.json(result)
-      } catch (e) { if (e.message !== '429') throw e; console.warn('[Vector8] 8b-instant quota hit') }
-    }
-
-    // All models exhausted
-    console.error('[Vector8] All models quota-exhausted for today')
-    res.status(429).json({ error: 'All AI models quota exhausted. Resets at midnight UTC.' })
+    // Provider chain lives in llmRouter (task 'scoring') — 70b first, 8b-instant last
+    const { result } = await llmRouter.complete('scoring', { system: SYSTEM, prompt, tag: 'Vector8' })
+    res.json(result)
 
   } catch (err) {
+    if (err.code === 'LLM_EXHAUSTED') {
+      console.error('[Vector8] All models quota-exhausted for today')
+      return res.status(429).json({ error: err.message })
+    }
     console.error('Score error:', err.message)
     res.status(500).json({ error: err.message })
   }
@@ -979,36 +490,15 @@ const expandTokenToCache = async (token) => {
   const cached = expansionCache.get(token.address)
   if (isExpansionCacheValid(cached, token.marketCap, false)) return false // already warm
 
-  const OR_KEY = process.env.OPENROUTER_API_KEY
   const expansionPrompt = buildExpansionPrompt(token)
   const expansionSystem = `You are a crypto-native degen and narrative analyst on Solana CT. You deeply understand meme token naming conventions, CT culture, and how narratives spawn derivative tokens. Always respond with valid JSON only — no explanation, no markdown.`
   let textResult = null
 
-  if (isGroq70bAvailable()) {
-    try {
-      textResult = await callGroq(expansionPrompt, expansionSystem)
-    } catch (e) {
-      if (e.message?.includes('429') || e.message?.includes('daily')) markGroq70bDailyLimitHit()
-    }
-  }
-
-  if (!textResult && OR_KEY) {
-    try {
-      const r = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OR_KEY}`, 'HTTP-Referer': 'https://betaplays.app', 'X-Title': 'BetaPlays' },
-        body: JSON.stringify({ model: 'google/gemma-4-26b-a4b-it', max_tokens: 1200, temperature: 0.1, messages: [{ role: 'system', content: expansionSystem }, { role: 'user', content: expansionPrompt }] }),
-      })
-      if (r.ok) {
-        const d = await r.json()
-        textResult = JSON.parse((d.choices?.[0]?.message?.content || '').replace(/```json|```/g, '').trim())
-      }
-    } catch { /* fall through to Gemini */ }
-  }
-
-  if (!textResult) {
-    try { textResult = await callGeminiText(expansionSystem, expansionPrompt) } catch { /* silent */ }
-  }
+  try {
+    ({ result: textResult } = await llmRouter.complete('expansion', {
+      system: expansionSystem, prompt: expansionPrompt, maxTokens: 1200, tag: 'Warmup',
+    }))
+  } catch { /* all models failed — logged below */ }
 
   if (textResult) {
     console.log(`[Vector0] $${token.symbol} universe: ${textResult.universe || 'unclassified'} → ${(textResult.searchTerms||[]).length} search terms: [${(textResult.searchTerms||[]).slice(0,8).join(', ')}]`)
@@ -1066,7 +556,8 @@ app.get('/api/cache-status', (req, res) => {
     cacheSize:          expansionCache.size,
     queueLength:        warmupQueue.length,
     warmupRunning,
-    groq70bLimitActive: groq70bDailyLimitHit,
+    groq70bLimitActive: llmRouter.isExhausted('groq-70b'),
+    llmUsage:           llmRouter.getUsage(),
     pumpFunDown:        isPumpFunDown(),
     entries,
   })
@@ -1105,8 +596,6 @@ app.post('/api/expand-alpha', async (req, res) => {
     const { address, symbol, name, description, logoUrl, marketCap, forceRefresh, skipVision } = req.body
     if (!address || !symbol) return res.status(400).json({ error: 'address and symbol required' })
 
-    const OR_KEY = process.env.OPENROUTER_API_KEY  // needed for Gemma 4 calls
-
     // Check server-side cache first
     const cached = expansionCache.get(address)
     if (isExpansionCacheValid(cached, marketCap, forceRefresh)) {
@@ -1117,13 +606,9 @@ app.post('/api/expand-alpha', async (req, res) => {
     console.log(`[Vector0] Expanding $${symbol}${forceRefresh ? ' (forced refresh)' : ''}...`)
 
     // ── Vector 0A: Text expansion ─────────────────────────────────
-    // Model chain priority:
-    //   1. Groq 70b          — fastest, reliable, known quality (100K TPD)
-    //   2. Gemma 4 26B MoE   — #6 open model, fast MoE (3.8B active params),
-    //                          free on OpenRouter, comparable quality to 31B
-    //   3. Gemini Flash      — generous quota (1500/day), strong reasoning
-    //   empty if all fail    — symbol decomposition carries the search
-    //                          (better than broken 8b JSON cached as 0 terms)
+    // llmRouter task 'expansion': Groq 70b → Gemma 4 26B MoE → Gemini Flash.
+    // Empty if all fail — symbol decomposition carries the search
+    // (better than broken 8b JSON cached as 0 terms).
     let searchTerms      = []
     let relationshipHints = {}
     let detectedCategory  = null  // V0A-inferred narrative category — feeds MetaSeed + category seeding
@@ -1133,72 +618,14 @@ app.post('/api/expand-alpha', async (req, res) => {
       const expansionSystem = `You are a crypto-native degen and narrative analyst on Solana CT. You deeply understand meme token naming conventions, CT culture, and how narratives spawn derivative tokens. Always respond with valid JSON only — no explanation, no markdown.`
 
       let textResult = null
-
-      // 1. Groq 70b — fastest, best quota for our usage
-      if (isGroq70bAvailable()) {
-        try {
-          console.log(`[Vector0A] $${symbol} — trying Groq 70b...`)
-          textResult = await callGroq(expansionPrompt, expansionSystem)
-          console.log(`[Vector0A] $${symbol} → Groq 70b → ${(textResult?.searchTerms||[]).length} terms`)
-        } catch (groq70Err) {
-          if (groq70Err.message?.includes('429') || groq70Err.message?.includes('rate') || groq70Err.message?.includes('daily')) {
-            markGroq70bDailyLimitHit()
-            console.warn(`[Vector0A] Groq 70b quota hit — trying Gemma 4 26B MoE`)
-          } else {
-            console.warn(`[Vector0A] Groq 70b error:`, groq70Err.message)
-          }
-        }
-      } else {
-        console.log(`[Vector0A] $${symbol} — Groq 70b daily limit active, trying Gemma 4 26B MoE`)
-      }
-
-      // 2. Gemma 4 26B MoE — #6 open model, fast inference (3.8B active params)
-      // Free on OpenRouter. Strong reasoning, 256K context, native function calling.
-      // MoE variant chosen over 31B for speed — comparable quality, much faster.
-      if (!textResult && OR_KEY) {
-        try {
-          console.log(`[Vector0A] $${symbol} — trying Gemma 4 26B MoE...`)
-          const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Content-Type':  'application/json',
-              'Authorization': `Bearer ${OR_KEY}`,
-              'HTTP-Referer':  'https://betaplays.app',
-              'X-Title':       'BetaPlays',
-            },
-            body: JSON.stringify({
-              model:       'google/gemma-4-26b-a4b-it',
-              max_tokens:  1200,
-              temperature: 0.1,
-              messages: [
-                { role: 'system', content: expansionSystem },
-                { role: 'user',   content: expansionPrompt },
-              ],
-            }),
-          })
-          if (!response.ok) {
-            const errText = await response.text()
-            throw new Error(`Gemma 4 MoE ${response.status}: ${errText.slice(0, 100)}`)
-          }
-          const data = await response.json()
-          const text = data.choices?.[0]?.message?.content || ''
-          const clean = text.replace(/```json|```/g, '').trim()
-          textResult = JSON.parse(clean)
-          console.log(`[Vector0A] $${symbol} → Gemma 4 26B MoE → ${(textResult?.searchTerms||[]).length} terms`)
-        } catch (gemma4Err) {
-          console.warn(`[Vector0A] Gemma 4 26B MoE failed:`, gemma4Err.message)
-        }
-      }
-
-      // 3. Gemini Flash — generous quota fallback
-      if (!textResult) {
-        try {
-          console.log(`[Vector0A] $${symbol} — trying Gemini Flash...`)
-          textResult = await callGeminiText(expansionSystem, expansionPrompt)
-          console.log(`[Vector0A] $${symbol} → Gemini Flash → ${(textResult?.searchTerms||[]).length} terms`)
-        } catch (geminiErr) {
-          console.warn(`[Vector0A] Gemini Flash failed:`, geminiErr.message)
-        }
+      try {
+        const { result, provider } = await llmRouter.complete('expansion', {
+          system: expansionSystem, prompt: expansionPrompt, maxTokens: 1200, tag: 'Vector0A',
+        })
+        textResult = result
+        console.log(`[Vector0A] $${symbol} → ${provider} → ${(textResult?.searchTerms||[]).length} terms`)
+      } catch (llmErr) {
+        console.warn(`[Vector0A] $${symbol} — expansion chain failed:`, llmErr.message)
       }
 
       if (!textResult) {
@@ -1237,112 +664,18 @@ app.post('/api/expand-alpha', async (req, res) => {
       try {
         const imgData = await fetchImageAsBase64(logoUrl)
         if (imgData && GROQ_SUPPORTED_TYPES.includes(imgData.mimeType)) {
-
-          // 1. Gemini — primary vision model
+          // llmRouter task 'logo': Gemini → Gemma 4 31B → Groq Scout
           try {
-            const parts  = buildImageExpansionParts(symbol, name, imgData)
-            const result = await callGemini(parts)
-            visualTerms  = result.visualTerms || []
-                    visualCounters = result.visualCounters || []
-            visualHints  = result.visualHints  || {}
-            mood         = result.mood         || null
-            console.log(`[Vector0B] $${symbol} → ${visualTerms.length} visual terms via Gemini`)
-          } catch (geminiErr) {
-            if (isGeminiQuotaError(geminiErr)) {
-              console.warn(`[Vector0B] Gemini quota — trying Gemma 4 31B vision for $${symbol}`)
-
-              // 2. Gemma 4 31B — superior vision benchmarks, free on OpenRouter
-              // Handles charts, diagrams, logos better than Gemini on visual tasks.
-              // Uses same prompt structure as Groq vision (OpenAI-compatible format).
-              if (OR_KEY) {
-                try {
-                  const visionContent = [
-                    {
-                      type: 'image_url',
-                      image_url: { url: `data:${imgData.mimeType};base64,${imgData.base64}` },
-                    },
-                    {
-                      type: 'text',
-                      text: `This is the logo of Solana meme token $${symbol}${name && name.toLowerCase() !== symbol.toLowerCase() ? ' (' + name + ')' : ''}.
-
-Step 1 — IDENTIFY THE SUBJECT: What is the main character or object? Be specific about species/type.
-  Good: "holstein cow", "shiba inu dog", "pepe frog", "raccoon", "astronaut"
-  Bad: "animal", "character", "creature"
-
-Step 2 — NOTABLE ACCESSORIES or ACTIONS: What is it wearing or doing that makes it unique?
-  Good: "red baseball cap", "crying expression", "holding sign", "wearing suit"
-  Bad: "colorful", "cute", "big eyes"
-
-Step 3 — DEGEN NARRATIVE ANGLE: What narrative would a meme token creator derive from this image?
-  Cow farting → fart, gas, methane | Dog with hat → dogwif | Sad frog → pepe, feels
-
-Output 3-5 terms: the SUBJECT (most important), then accessories, then degen narrative angle.
-Also note mood (happy/evil/stoic/chaotic/sad/angry).
-
-Step 4 — VISUAL COUNTERS: What would be the visual opposite or antagonist of this logo?
-  A cute panda → wolf, predator, hunter | A king → rebel, peasant, anarchist
-  Trump → democrat, opponent | A bull → bear | Kawaii → dark, edgy, villain
-  List 2–4 searchable counter concepts (not generic descriptors like "opposite").
-
-Respond ONLY with valid JSON. No markdown:
-{"visualTerms":["cow","bovine","fart","farm"],"visualCounters":["vegetable","vegan","farmer"],"mood":"happy","visualHints":{"cow":"TWIN","fart":"TWIN","farm":"UNIVERSE"}}`,
-                    },
-                  ]
-                  const gemma4Res = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                      'Content-Type':  'application/json',
-                      'Authorization': `Bearer ${OR_KEY}`,
-                      'HTTP-Referer':  'https://betaplays.app',
-                      'X-Title':       'BetaPlays',
-                    },
-                    body: JSON.stringify({
-                      model:       'google/gemma-4-31b-it',
-                      max_tokens:  400,
-                      temperature: 0.1,
-                      messages: [{ role: 'user', content: visionContent }],
-                    }),
-                  })
-                  if (!gemma4Res.ok) throw new Error(`Gemma 4 vision ${gemma4Res.status}`)
-                  const gemma4Data = await gemma4Res.json()
-                  const gemma4Text = gemma4Data.choices?.[0]?.message?.content || ''
-                  const result = JSON.parse(gemma4Text.replace(/```json|```/g, '').trim())
-                  visualTerms  = result.visualTerms || []
-                    visualCounters = result.visualCounters || []
-                  visualHints  = result.visualHints  || {}
-                  mood         = result.mood         || null
-                  console.log(`[Vector0B] $${symbol} → ${visualTerms.length} visual terms via Gemma 4 31B`)
-                } catch (gemma4Err) {
-                  console.warn(`[Vector0B] Gemma 4 31B vision failed:`, gemma4Err.message)
-
-                  // 3. Groq vision — last resort
-                  try {
-                    const result = await callGroqImageExpansion(symbol, name, imgData)
-                    visualTerms  = result.visualTerms || []
-                    visualCounters = result.visualCounters || []
-                    visualHints  = result.visualHints  || {}
-                    mood         = result.mood         || null
-                    console.log(`[Vector0B] $${symbol} → ${visualTerms.length} visual terms via Groq`)
-                  } catch (groqErr) {
-                    console.warn(`[Vector0B] Groq vision fallback failed:`, groqErr.message)
-                  }
-                }
-              } else {
-                // No OR key — fall straight to Groq vision
-                try {
-                  const result = await callGroqImageExpansion(symbol, name, imgData)
-                  visualTerms  = result.visualTerms || []
-                    visualCounters = result.visualCounters || []
-                  visualHints  = result.visualHints  || {}
-                  mood         = result.mood         || null
-                  console.log(`[Vector0B] $${symbol} → ${visualTerms.length} visual terms via Groq`)
-                } catch (groqErr) {
-                  console.warn(`[Vector0B] Groq vision fallback failed:`, groqErr.message)
-                }
-              }
-            } else {
-              console.warn(`[Vector0B] Gemini error (non-quota):`, geminiErr.message)
-            }
+            const { result, provider } = await llmRouter.complete('logo', {
+              parts: buildImageExpansionParts(symbol, name, imgData), maxTokens: 400, tag: 'Vector0B',
+            })
+            visualTerms    = result.visualTerms    || []
+            visualCounters = result.visualCounters || []
+            visualHints    = result.visualHints    || {}
+            mood           = result.mood           || null
+            console.log(`[Vector0B] $${symbol} → ${visualTerms.length} visual terms via ${provider}`)
+          } catch (visionErr) {
+            console.warn(`[Vector0B] Logo expansion failed for $${symbol}:`, visionErr.message)
           }
         }
       } catch (imgErr) {
@@ -1375,7 +708,7 @@ Respond ONLY with valid JSON. No markdown:
   }
 })
 
-// ─── Szn categorization (Groq) ────────────────────────────────────
+// ─── Szn categorization (LLM router) ──────────────────────────────
 // Body: { tokens: [{symbol, name, description, address}], knownCategories: {...} }
 app.post('/api/categorize-szn', async (req, res) => {
   try {
@@ -1433,92 +766,25 @@ Respond ONLY with a JSON array:
   {"index":2,"category":null,"newNarrative":null}
 ]`
 
-    const GROQ_KEY = process.env.GROQ_API_KEY
-    const OR_KEY   = process.env.OPENROUTER_API_KEY
-    const SYSTEM   = `You are a crypto-native degen on Solana CT. You deeply understand how meme narratives cluster and what degens call things. You know that $WHISKERS = cats, $BARKY = dogs, $GORK = a novel creature narrative, $NGMI = internet culture, $COPE = humor/CT slang. You understand CT naming conventions — wif, inu, pepe, baby, evil prefixes/suffixes. Always respond with valid JSON only — no explanation, no markdown fences.`
-    const messages = [
-      { role: 'system', content: SYSTEM },
-      { role: 'user',   content: prompt },
-    ]
-
-    // Same ordered chain as score-betas — 8b-instant last
-    const OR_HEADERS = { 'HTTP-Referer': 'https://betaplays.app', 'X-Title': 'BetaPlays' }
-
-    const tryModel = async (url, key, model, extraHeaders = {}) => {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}`, ...extraHeaders },
-        body: JSON.stringify({ model, max_tokens: 1000, temperature: 0.1, messages }),
-      })
-      if (!response.ok) {
-        const errText = await response.text()
-        if (response.status === 429) throw new Error('429')
-        throw new Error(`${response.status}:${errText}`)
-      }
-      const data  = await response.json()
-      const text  = data.choices?.[0]?.message?.content || ''
-      return JSON.parse(text.replace(/```json|```/g, '').trim())
-    }
-
-    const CHAIN = [
-      { url: 'https://api.groq.com/openai/v1/chat/completions',   key: GROQ_KEY, model: 'llama-3.3-70b-versatile',                      headers: {},         tag: 'Groq 70b'           },
-      { url: 'https://api.groq.com/openai/v1/chat/completions',   key: GROQ_KEY, model: 'meta-llama/llama-4-scout-17b-16e-instruct',     headers: {},         tag: 'Groq Scout'         },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'meta-llama/llama-3.3-70b-instruct:free',        headers: OR_HEADERS, tag: 'OR llama-70b'       },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'deepseek/deepseek-chat-v3-0324:free',                 headers: OR_HEADERS, tag: 'OR deepseek-v3-5'  },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'moonshotai/kimi-k2.5',                          headers: OR_HEADERS, tag: 'Kimi K2.5'          },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'qwen/qwen-2.5-72b-instruct:free',               headers: OR_HEADERS, tag: 'OR qwen-72b'        },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'xiaomi/mimo-v2-omni',                              headers: OR_HEADERS, tag: 'MiMo V2 Omni'       },
-      { url: 'https://openrouter.ai/api/v1/chat/completions',     key: OR_KEY,   model: 'google/gemini-2.0-flash-exp:free',              headers: OR_HEADERS, tag: 'OR gemini-flash'    },
-      { url: 'https://api.groq.com/openai/v1/chat/completions',   key: GROQ_KEY, model: 'llama-3.1-8b-instant',                         headers: {},         tag: 'Groq 8b (last resort)' },
-    ]
-
-    for (const { url, key, model, headers, tag } of CHAIN) {
-      if (!key) continue
-      try {
-        const result = await tryModel(url, key, model, headers)
-        if (tag !== 'Groq 70b') console.log(`[SznAI] Fallback used: ${tag}`)
-        return res.json(result)
-      } catch (err) {
-        if (err.message === '429') { console.warn(`[SznAI] ${tag} quota hit`); continue }
-        throw err
-      }
-    }
-
-    // Gemini Flash — separate call format, 1500 req/day
-    try {
-      const result = await callGeminiText(SYSTEM, prompt)
-      console.log('[SznAI] Gemini Flash fallback used')
-      return res.json(result)
-    } catch (e) { console.warn('[SznAI] Gemini Flash failed:', e.message) }
-
-    // Kimi K2 Thinking — best reasoning, slower, temp=1.0
-    if (OR_KEY) {
-      try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${OR_KEY}`, ...OR_HEADERS },
-          body: JSON.stringify({ model: 'moonshotai/kimi-k2-thinking', max_tokens: 1000, temperature: 1.0, messages }),
-        })
-        if (!response.ok) { const t = await response.text(); if (response.status === 429) throw new Error('429'); throw new Error(t) }
-        const data = await response.json()
-        const text = data.choices?.[0]?.message?.content || ''
-        const result = JSON.parse(text.replace(/```json|```/g, '').trim())
-        console.log('[SznAI] Kimi K2 Thinking fallback used')
-        return res.json(result)
-      } catch (e) { console.warn('[SznAI] Kimi K2 Thinking failed:', e.message) }
-    }
+    const SYSTEM = `You are a crypto-native degen on Solana CT. You deeply understand how meme narratives cluster and what degens call things. You know that $WHISKERS = cats, $BARKY = dogs, $GORK = a novel creature narrative, $NGMI = internet culture, $COPE = humor/CT slang. You understand CT naming conventions — wif, inu, pepe, baby, evil prefixes/suffixes. Always respond with valid JSON only — no explanation, no markdown fences.`
 
-    res.status(429).json({ error: 'All AI models quota exhausted. Resets at midnight UTC.' })
+    // Provider chain lives in llmRouter (task 'szn') — same order as score-betas
+    const { result } = await llmRouter.complete('szn', { system: SYSTEM, prompt, tag: 'SznAI' })
+    res.json(result)
   } catch (err) {
+    if (err.code === 'LLM_EXHAUSTED') return res.status(429).json({ error: err.message })
     console.error('Categorize error:', err.message)
     res.status(500).json({ error: err.message })
   }
 })
 
-// ─── Vision analysis (Gemini Flash) ──────────────────────────────
+// ─── Vision analysis (LLM router) ─────────────────────────────────
 // Two modes:
 //   classify: Body { mode: 'classify', tokens: [{symbol, name, logoUrl, address}] }
 //   compare:  Body { mode: 'compare',  alpha: {..., logoUrl}, candidates: [{...logoUrl}] }
+// llmRouter task 'vision': Gemini → Groq Scout (jpeg/png/webp only) → MiMo V2 Omni
+const VISION_SYSTEM = 'You are a crypto analyst. Always respond with valid JSON only.'
+
 app.post('/api/analyze-vision', async (req, res) => {
   try {
     const { mode, tokens, alpha, candidates } = req.body
@@ -1555,24 +821,7 @@ Respond ONLY with a JSON array. No markdown. Example:
 ]`,
       })
 
-      let result
-      try {
-        result = await callGemini(parts)
-        console.log('[Vision] Gemini classify OK')
-      } catch (geminiErr) {
-        if (!isGeminiQuotaError(geminiErr)) throw geminiErr
-        console.warn('[Vision] Gemini quota exhausted — trying Groq vision')
-        try {
-          const groqCompatible = filterForGroq(withImages)
-          if (groqCompatible.length === 0) { res.json([]); return }
-          result = await callGroqVision('classify', groqCompatible)
-          console.log('[Vision] Groq vision classify OK')
-        } catch (groqErr) {
-          console.warn('[Vision] Groq vision failed — trying MiMo V2 Omni')
-          result = await callHealerVision(parts, 'classify')
-          console.log('[Vision] MiMo V2 Omni classify OK')
-        }
-      }
+      const { result } = await llmRouter.complete('vision', { system: VISION_SYSTEM, parts, tag: 'Vision classify' })
       const enriched = result.map(r => ({
         ...r,
         address: withImages[r.index]?.address,
@@ -1632,26 +881,7 @@ Respond ONLY with a JSON array. No markdown. Example:
 ]`,
       })
 
-      let result
-      try {
-        result = await callGemini(parts)
-        console.log('[Vision] Gemini compare OK')
-      } catch (geminiErr) {
-        if (!isGeminiQuotaError(geminiErr)) throw geminiErr
-        console.warn('[Vision] Gemini quota exhausted — trying Groq vision')
-        try {
-          const alphaWithImg = { ...alpha, img: alphaImg }
-          if (!GROQ_SUPPORTED_TYPES.includes(alphaImg.mimeType)) { res.json([]); return }
-          const groqCompatible = filterForGroq(withImages)
-          if (groqCompatible.length === 0) { res.json([]); return }
-          result = await callGroqVision('compare', groqCompatible, alphaWithImg)
-          console.log('[Vision] Groq vision compare OK')
-        } catch (groqErr) {
-          console.warn('[Vision] Groq vision failed — trying MiMo V2 Omni')
-          result = await callHealerVision(parts, 'compare')
-          console.log('[Vision] MiMo V2 Omni compare OK')
-        }
-      }
+      const { result } = await llmRouter.complete('vision', { system: VISION_SYSTEM, parts, tag: 'Vision compare' })
       const enriched = result.map(r => ({
         ...r,
         address: withImages[r.index]?.address,
@@ -1664,6 +894,7 @@ Respond ONLY with a JSON array. No markdown. Example:
     }
 
   } catch (err) {
+    if (err.code === 'LLM_EXHAUSTED') return res.status(429).json({ error: err.message })
     console.error('Vision error:', err.message)
     res.status(500).json({ error: err.message })
   }
@@ -2244,31 +1475,60 @@ app.get('/api/pumpfun', async (req, res) => {
   }
 })
 
+// ─── Server-side beta discovery ──────────────────────────────────
+
+// GET /api/betas/:alphaAddress
+// Full multi-vector beta scan, run once on the server and shared by every
+// client (see betaScanService.js). Responses:
+//   200 { status: 'ready',      betas, alpha, scannedAt } — fresh result
+//   200 { status: 'refreshing', betas, alpha, scannedAt } — stale result, rescan running
+//   202 { status: 'scanning',   betas: [], retryAfter }   — first scan still running,
+//                                                           or every scan slot is busy
+//   404 — address doesn't resolve to a Solana pair
+// A request waits up to BETA_SCAN_WAIT_MS for an in-flight scan before
+// returning 202, so most first-time viewers get a result in one round trip.
+const BETA_SCAN_WAIT_MS = 25_000
+
+app.get('/api/betas/:alphaAddress', async (req, res) => {
+  const { alphaAddress } = req.params
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(alphaAddress)) {
+    return res.status(400).json({ error: 'invalid address' })
+  }
+
+  try {
+    const stored = await betaScanService.getStoredScan(alphaAddress)
+    if (betaScanService.isFresh(stored)) {
+      return res.json({ status: 'ready', fromCache: true, ...stored })
+    }
+
+    const scan    = betaScanService.scanAlpha(alphaAddress, `http://localhost:${PORT}`)
+    const timeout = new Promise(resolve => setTimeout(() => resolve('pending'), BETA_SCAN_WAIT_MS))
+    const result  = await Promise.race([scan, timeout])
+      .catch(err => { if (err.code === 'SCAN_BUSY') return 'pending'; throw err })
+
+    if (result === 'pending') {
+      if (stored) return res.json({ status: 'refreshing', ...stored })
+      return res.status(202).json({ status: 'scanning', betas: [], retryAfter: 10 })
+    }
+    if (!result) return res.status(404).json({ error: 'alpha not found' })
+    return res.json({ status: 'ready', fromCache: false, ...result })
+  } catch (err) {
+    console.error('[BetaScan] error:', err.message)
+    return res.status(500).json({ error: 'beta scan failed' })
+  }
+})
+
 // ─── Telegram Vector 10 endpoints ────────────────────────────────
 
 // GET /api/telegram-betas?symbol=WIF
 // Returns pre-computed cached beta results for a given alpha symbol.
-// Zero processing on request — all heavy work happens in background poller.
+// Zero processing on request — all heavy work happens in background poller,
+// which also records each signal (telegram_signals) as it's detected.
 app.get('/api/telegram-betas', async (req, res) => {
   const { symbol } = req.query
   if (!symbol) return res.status(400).json({ error: 'symbol required' })
   const results = telegramService.getTelegramBetas(symbol)
 
-  // Persist any new signals to Supabase (fire-and-forget)
-  if (results?.length > 0) {
-    ;(async () => {
-      for (const r of results) {
-        try {
-          await db.query(`
-            INSERT INTO telegram_signals (alpha_symbol, beta_symbol, beta_address, channel, confidence)
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT DO NOTHING
-          `, [symbol, r.symbol || null, r.address || null, r.channel || null, r.confidence || 1.0])
-        } catch { /* non-fatal */ }
-      }
-    })()
-  }
-
   // If in-memory cache is empty (cold restart), try Supabase fallback
   if (!results || results.length === 0) {
     try {
@@ -2289,10 +1549,10 @@ app.get('/api/telegram-betas', async (req, res) => {
   return res.json({ symbol, results })
 })
 
-// ─── Twitter Vector 11 endpoint (stub) ───────────────────────────
+// ─── Twitter Vector 11 endpoints ─────────────────────────────────
 
 // GET /api/twitter-betas?symbol=WIF
-// Returns [] until Twitter credentials added to .env.
+// Betas found in posts pushed through /api/social/ingest — [] until any are.
 // Same interface as /api/telegram-betas — frontend treats them identically.
 app.get('/api/twitter-betas', (req, res) => {
   const { symbol } = req.query
@@ -2301,6 +1561,25 @@ app.get('/api/twitter-betas', (req, res) => {
   return res.json({ symbol, results })
 })
 
+// POST /api/social/ingest — push posts from an external collector
+// Header: X-API-Key: <one of SOCIAL_INGEST_KEYS>
+// Body: { posts: [{ source: 'twitter', author, text, timestamp, url }, …] } — max 100
+// Returns { accepted, duplicates, rejected: [{ index, error }], queued }.
+// Posts are analysed after the response; betas show up in /api/twitter-betas.
+app.post('/api/social/ingest', (req, res) => {
+  if (!twitterService.isActivated()) return res.status(503).json({ error: 'Social ingest not configured' })
+  if (!twitterService.checkIngestKey(req.get('x-api-key'))) return res.status(401).json({ error: 'Invalid API key' })
+  try {
+    const result = twitterService.ingest(req.body?.posts)
+    res.json({ ...result, queued: twitterService.getStats().queued })
+  } catch (err) {
+    if (err.code === 'BAD_POSTS')  return res.status(400).json({ error: err.message })
+    if (err.code === 'QUEUE_FULL') return res.status(429).json({ error: err.message })
+    console.error('[SocialIngest] Error:', err.message)
+    res.status(500).json({ error: 'Ingest failed' })
+  }
+})
+
 // ─── Database endpoints ───────────────────────────────────────────────────────
 
 // ── DB write queue ─────────────────────────────────────────────────────────────
@@ -2322,34 +1601,14 @@ const endpointCooldown = (key, ms) => {
   return true
 }
 
-const DB_WRITE_QUEUE = (() => {
-  let running   = 0
-  const MAX     = 2
-  const waiting = []
-
-  const next = () => {
-    if (waiting.length > 0 && running < MAX) waiting.shift()()
-  }
-
-  const run = (fn) => new Promise((resolve, reject) => {
-    const exec = async () => {
-      running++
-      try   { resolve(await fn()) }
-      catch (err) { reject(err) }
-      finally { running--; next() }
-    }
-    if (running < MAX) exec()
-    else waiting.push(exec)
-  })
-
-  return { run, get size() { return running + waiting.length } }
-})()
+// Lives in db.js so the server-side beta scan shares it (db.writeQueue)
+const DB_WRITE_QUEUE = db.writeQueue
 
 // POST /api/record-alphas  (batch — replaces /api/record-alpha)
 // Called fire-and-forget from useAlphas.js with the full fresh alpha list.
 // One request per refresh cycle instead of one per token — kills the connection
 // storm. Batched upserts keep connection usage low.
-// Body: { alphas: [{ address, symbol, name, logoUrl, marketCap, volume24h, priceChange24h, source, price }] }
+// Body: { alphas: [{ address, symbol, name, logoUrl, marketCap, volume24h, priceChange24h, source, price, liquidity }] }
 // POST /api/novel-narrative
 // Called by useNarrativeSzn when a novel Szn card forms (not in lore_map).
 // Writes to the narratives table so new categories persist across sessions.
@@ -2401,6 +1660,67 @@ app.post('/api/novel-narrative', async (req, res) => {
   }
 })
 
+const narrativeError = (res, err, what) => {
+  if (err.code === 'BAD_NARRATIVES') return res.status(400).json({ error: err.message })
+  console.error(`[NarrativeHistory] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// POST /api/report-narratives
+// Called by useNarrativeSzn for signed-in users with its current Szn cards
+// (throttled to one report per 5 min per client). Only membership is kept
+// — the 'narrative-snapshot' job merges every wallet's latest report and
+// scores the members from DexScreener itself (see narrativeHistory.js).
+// Body: { narratives: [{ key, label, source, tokens: [{ address }] }] }
+// Returns { ok, recorded }
+app.post('/api/report-narratives', requireAuth, async (req, res) => {
+  try {
+    const recorded = await narrativeHistory.report(req.body, req.user.wallet)
+    res.json({ ok: true, recorded })
+  } catch (err) {
+    narrativeError(res, err, 'Report')
+  }
+})
+
+// GET /api/narratives/trends
+// Heat timeline trend per narrative key over the last 6h of snapshots.
+// Returns { trends: { [key]: { direction, slope, scoreDelta, volumeDelta, points } } }
+app.get('/api/narratives/trends', async (req, res) => {
+  try {
+    res.json({ trends: await narrativeHistory.trends() })
+  } catch (err) {
+    narrativeError(res, err, 'Trends')
+  }
+})
+
+// GET /api/narratives/rotation
+// Most recent rotation (previous leader → challenger, volume shares before
+// and now) detected in the last 3h, or { rotation: null }. NarrativeTicker
+// loads it on mount; later ones arrive as 'rotation' SSE events.
+app.get('/api/narratives/rotation', async (req, res) => {
+  try {
+    res.json({ rotation: await narrativeRotation.latest() })
+  } catch (err) {
+    narrativeError(res, err, 'Rotation')
+  }
+})
+
+// GET /api/narratives/:key/history?hours=48
+// Heat timeline for one narrative — a point per snapshot (15 min) with
+// score, heat, token count, total volume and member tokens, plus the
+// peak and the current trend (heating / rolling_over / steady).
+// hours: 1–720 (30 days retention). 404 when the key has no snapshots.
+app.get('/api/narratives/:key/history', async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'Narrative history needs a database' })
+  try {
+    const timeline = await narrativeHistory.history(req.params.key, req.query.hours)
+    if (!timeline) return res.status(404).json({ error: 'No history for this narrative' })
+    res.json(timeline)
+  } catch (err) {
+    narrativeError(res, err, 'History')
+  }
+})
+
 // GET /api/run-counts?addresses=addr1,addr2,...
 // Returns how many times each token address has appeared in alpha_runs.
 // Used to show re-entry strength badge on live alpha cards.
@@ -2467,6 +1787,8 @@ app.post('/api/record-alphas', async (req, res) => {
         try {
           const mcap  = a.marketCap || 0
           const price = a.price     || null
+          // pair_created_at / peak_liquidity are left to the legend-promotion
+          // job, which reads them from DexScreener — never from this body
           await db.query(`
             INSERT INTO tokens (
               address, symbol, name, logo_url,
@@ -2762,82 +2084,112 @@ app.get('/api/parent-map', async (req, res) => {
 })
 
 // ─── Community Flags ──────────────────────────────────────────────
-// POST /api/flag-token
-// Records a community flag (rug/honeypot/not_beta) for a beta token.
-// Each row = one vote. Counts are aggregated on read.
+// Wallet-signed, reputation-weighted rug / honeypot / not_beta flags with
+// a moderator queue for contested tokens — see flags.js.
+
+const flagError = (res, err, what) => {
+  if (err.code === 'BAD_FLAG') return res.status(400).json({ error: err.message })
+  console.error(`[Flags] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// POST /api/flag-token — flag a beta (JWT required, one per wallet per token per type)
 // Body: { address, symbol, flagType }
-app.post('/api/flag-token', (req, res) => {
+// Returns { duplicate, weight, flags } — flags: the token's weighted scores
+app.post('/api/flag-token', requireAuth, async (req, res) => {
   if (!process.env.DATABASE_URL) return res.json({ ok: true, skipped: 'no db' })
-  const { address, symbol, flagType } = req.body
-  if (!address || !['rug','honeypot','not_beta'].includes(flagType)) {
-    return res.status(400).json({ error: 'address and valid flagType required' })
+  try {
+    res.json(await flags.submit(req.body, req.user.wallet))
+  } catch (err) {
+    flagError(res, err, 'Submit')
   }
+})
+
+// POST /api/beta-hit
+// Server copy of a useBetaFeedback hit (watchlist add / DEXScreener click).
+// Feeds signal calibration (signalWeights.js). Misses need no endpoint —
+// they are the not_beta flags above.
+// One hit per beta per hitter: the signed-in wallet when a Bearer token is
+// sent, else a hash of the caller IP — repeat clicks can't farm the weights.
+// Body: { address }
+app.post('/api/beta-hit', (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ ok: true, skipped: 'no db' })
+  const { address } = req.body
+  if (!address) return res.status(400).json({ error: 'address required' })
+  const hitter = optionalWallet(req)
+    || `ip:${crypto.createHash('sha256').update(`${JWT_SECRET}:${req.ip}`).digest('hex').slice(0, 32)}`
   res.json({ ok: true })
   DB_WRITE_QUEUE.run(async () => {
     try {
-      await db.query(
-        `INSERT INTO token_flags (address, symbol, flag_type) VALUES ($1, $2, $3)`,
-        [address, symbol || '', flagType]
-      )
-      console.log(`[Flags] $${symbol} flagged as ${flagType}`)
+      await db.query(`
+        INSERT INTO beta_hits (address, hitter) VALUES ($1, $2)
+        ON CONFLICT (address, hitter) WHERE hitter IS NOT NULL DO NOTHING
+      `, [address, hitter])
     } catch (err) {
-      console.error('[DB] flag-token error:', err.message)
+      console.error('[DB] beta-hit error:', err.message)
     }
   }).catch(() => {})
 })
 
 // GET /api/flags?address=xxx
-// Returns aggregated flag counts for a token (or all tokens if no address).
-// Shape matches betaplays_flags_v1 localStorage format:
-// { [address]: { rug: N, honeypot: N, not_beta: N, symbol: '...' } }
-// Cached in memory for 2 minutes — no need to hit DB on every mount.
-let _flagsCache     = null
-let _flagsCacheTime = 0
-const FLAGS_TTL_MS  = 2 * 60 * 1000
-
+// Weighted flag scores for a token (or every flagged token if no address):
+// { [address]: { symbol, rug, honeypot, not_beta, flaggers: { type: n }, confirmed: [type] } }
+// rug / honeypot / not_beta are reputation-weighted sums, not raw counts.
+// Full-table reads are cached for 2 minutes in flags.js.
 app.get('/api/flags', async (req, res) => {
   if (!process.env.DATABASE_URL) return res.json({ flags: {} })
-  const { address } = req.query
+  try {
+    res.json({ flags: await flags.scores(req.query.address || null) })
+  } catch (err) {
+    flagError(res, err, 'Scores')
+  }
+})
 
-  // Serve from cache for full-table requests (no address filter)
-  if (!address) {
-    const now = Date.now()
-    if (_flagsCache && (now - _flagsCacheTime) < FLAGS_TTL_MS) {
-      return res.json({ flags: _flagsCache })
-    }
+// GET /api/flags/me — the caller's flag weight and what it's built from (JWT required)
+app.get('/api/flags/me', requireAuth, async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ weight: null })
+  try {
+    res.json(await flags.reputation(req.user.wallet))
+  } catch (err) {
+    flagError(res, err, 'Reputation')
   }
+})
 
+// GET /api/flags/queue?status=open — moderator review queue (contested tokens)
+app.get('/api/flags/queue', requireRole('moderator'), async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ reviews: [] })
   try {
-    const params = address ? [address] : []
-    const where  = address ? 'WHERE address = $1' : ''
-    const result = await db.query(
-      `SELECT address, symbol,
-              SUM(CASE WHEN flag_type = 'rug'      THEN 1 ELSE 0 END) AS rug,
-              SUM(CASE WHEN flag_type = 'honeypot' THEN 1 ELSE 0 END) AS honeypot,
-              SUM(CASE WHEN flag_type = 'not_beta' THEN 1 ELSE 0 END) AS not_beta
-       FROM token_flags ${where}
-       GROUP BY address, symbol`,
-      params
-    )
-    const flags = {}
-    for (const row of result.rows) {
-      flags[row.address] = {
-        symbol:   row.symbol,
-        rug:      parseInt(row.rug)      || 0,
-        honeypot: parseInt(row.honeypot) || 0,
-        not_beta: parseInt(row.not_beta) || 0,
-      }
-    }
-    // Cache full-table results
-    if (!address) {
-      _flagsCache     = flags
-      _flagsCacheTime = Date.now()
-    }
-    return res.json({ flags })
+    res.json({ reviews: await flags.queue(req.query), queueScore: flags.QUEUE_SCORE })
   } catch (err) {
-    console.error('[DB] flags error:', err.message)
-    if (!address && _flagsCache) return res.json({ flags: _flagsCache })
-    return res.status(500).json({ error: 'db read failed' })
+    flagError(res, err, 'Queue')
+  }
+})
+
+// PATCH /api/flags/queue/:id — moderator rules on a contested token
+// Body: { status: 'upheld' | 'dismissed' }
+app.patch('/api/flags/queue/:id', requireRole('moderator'), async (req, res) => {
+  try {
+    const review = await flags.review(parseInt(req.params.id) || 0, req.body?.status, req.user.wallet)
+    if (!review) return res.status(404).json({ error: 'Review not found' })
+    await roles.audit(req.user.wallet, 'flag.review', review.address, { type: review.flagType, status: review.status, settled: review.settled })
+    res.json(review)
+  } catch (err) {
+    flagError(res, err, 'Review')
+  }
+})
+
+// DELETE /api/flags/:address?type=rug
+// Moderator — clears a token's flags (one flag type, or all of them) and their reviews.
+app.delete('/api/flags/:address', requireRole('moderator'), async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ ok: true, skipped: 'no db' })
+  const { address } = req.params
+  const type        = req.query.type || null
+  try {
+    const removed = await flags.clear(address, type)
+    if (removed) await roles.audit(req.user.wallet, 'flag.clear', address, { type: type || 'all', removed })
+    res.json({ ok: true, removed })
+  } catch (err) {
+    flagError(res, err, 'Clear')
   }
 })
 
@@ -2888,9 +2240,9 @@ app.get('/api/nominations', async (req, res) => {
 })
 
 // PATCH /api/nominations/:address
-// Admin — update nomination status (pending → approved/rejected).
+// Moderator — update nomination status (pending → approved/rejected).
 // Body: { status }
-app.patch('/api/nominations/:address', async (req, res) => {
+app.patch('/api/nominations/:address', requireRole('moderator'), async (req, res) => {
   if (!process.env.DATABASE_URL) return res.json({ ok: true, skipped: 'no db' })
   const { address } = req.params
   const { status }  = req.body
@@ -2898,10 +2250,11 @@ app.patch('/api/nominations/:address', async (req, res) => {
     return res.status(400).json({ error: 'status must be pending, approved, or rejected' })
   }
   try {
-    await db.query(
+    const { rowCount } = await db.query(
       `UPDATE nominations SET status = $1, updated_at = NOW() WHERE address = $2`,
       [status, address]
     )
+    if (rowCount) await roles.audit(req.user.wallet, 'nomination.status', address, { status })
     return res.json({ ok: true })
   } catch (err) {
     console.error('[DB] nomination status update error:', err.message)
@@ -2909,6 +2262,215 @@ app.patch('/api/nominations/:address', async (req, res) => {
   }
 })
 
+// ─── Community lore ────────────────────────────────────────────────
+// Wallet-submitted alpha → terms / concepts / universe. Votes queue an
+// entry; only a moderator approves it — see communityLore.js.
+
+const communityLoreError = (res, err, what) => {
+  if (err.code === 'BAD_COMMUNITY_LORE') return res.status(400).json({ error: err.message })
+  console.error(`[CommunityLore] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// GET /api/community-lore
+// Approved entries, merged into the frontend lore map (loadCommunityLore).
+// Shape: { entries: [ { id, symbol, address, terms, concepts, universe, score } ] }
+app.get('/api/community-lore', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=60')
+    res.json({ entries: await communityLore.approved() })
+  } catch (err) {
+    communityLoreError(res, err, 'Approved')
+  }
+})
+
+// GET /api/community-lore/submissions?status=pending|queued&symbol=
+// Voting queue (pending) or moderator queue (queued) — newest first, each with the caller's myVote (1 | -1 | 0).
+app.get('/api/community-lore/submissions', requireAuth, async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ submissions: [] })
+  try {
+    res.json({ submissions: await communityLore.list(req.query, req.user.wallet) })
+  } catch (err) {
+    communityLoreError(res, err, 'List')
+  }
+})
+
+// POST /api/community-lore
+// Body: { symbol, address?, terms: [], concepts?: [], universe?, note? }
+app.post('/api/community-lore', requireAuth, async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'No database' })
+  try {
+    res.json(await communityLore.submit(req.body || {}, req.user.wallet))
+  } catch (err) {
+    communityLoreError(res, err, 'Submit')
+  }
+})
+
+// POST /api/community-lore/:id/vote
+// Body: { vote: 1 | -1 | 0 } — 0 takes the vote back. Pending entries only,
+// not your own. Returns the entry with its new score and status ('queued'
+// once voted through — it still needs a moderator).
+app.post('/api/community-lore/:id/vote', requireAuth, async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'No database' })
+  try {
+    const entry = await communityLore.vote(parseInt(req.params.id) || 0, req.user.wallet, req.body?.vote)
+    if (!entry) return res.status(404).json({ error: 'Submission not found' })
+    res.json(entry)
+  } catch (err) {
+    communityLoreError(res, err, 'Vote')
+  }
+})
+
+// PATCH /api/community-lore/:id
+// Moderator — approve a queued submission, or moderate any regardless of
+// its votes. Body: { status: 'pending' | 'queued' | 'approved' | 'rejected' }
+app.patch('/api/community-lore/:id', requireRole('moderator'), async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'No database' })
+  try {
+    const entry = await communityLore.setStatus(parseInt(req.params.id) || 0, req.body?.status, req.user.wallet)
+    if (!entry) return res.status(404).json({ error: 'Submission not found' })
+    console.log(`[CommunityLore] #${entry.id} $${entry.symbol} → ${entry.status} (moderator)`)
+    await roles.audit(req.user.wallet, 'community_lore.status', entry.id, { symbol: entry.symbol, status: entry.status })
+    res.json(entry)
+  } catch (err) {
+    communityLoreError(res, err, 'Moderate')
+  }
+})
+
+// ─── Legends ───────────────────────────────────────────────────────
+// GET /api/legends
+// OGs promoted server-side — the frontend merges them into its static
+// LEGENDS. criteria = the thresholds the legend-promotion job applies.
+// Shape: { legends: [ { address, symbol, name, logoUrl, category, promotedBy, promotedAt, metrics } ], criteria }
+app.get('/api/legends', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300')
+    res.json({ legends: await legends.list(), criteria: legends.CRITERIA })
+  } catch (err) {
+    console.error('[Legends] List error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// DELETE /api/legends/:address
+// Moderator — revoke a promoted legend (audited). The job won't promote it
+// again. Body: { reason? }. 404 when it isn't an active promoted legend.
+app.delete('/api/legends/:address', requireRole('moderator'), async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'No database' })
+  try {
+    const legend = await legends.revoke(req.params.address, req.user.wallet, req.body?.reason)
+    if (!legend) return res.status(404).json({ error: 'Not an active promoted legend' })
+    console.log(`[Legends] $${legend.symbol} revoked by ${req.user.wallet.slice(0, 6)}…`)
+    await roles.audit(req.user.wallet, 'legend.revoke', legend.address, {
+      symbol: legend.symbol, promotedBy: legend.promotedBy, metrics: legend.metrics, reason: req.body?.reason || null,
+    })
+    res.json({ ok: true, legend })
+  } catch (err) {
+    console.error('[Legends] Revoke error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// ─── Token safety ──────────────────────────────────────────────────
+// On-chain risk score per token, read from Solana RPC — see safety.js.
+
+// GET /api/safety/:address?pair=<pairAddress>
+// { score 0–100, level LOW|MED|HIGH, risks: [{ key, label, points }],
+//   mintAuthority, freezeAuthority, extensions, lp: { status, dex, burnedPct },
+//   holders: { top1Pct, top10Pct, top, pools } }
+// pair (DexScreener pairAddress) lets Raydium pools report their LP burn —
+// used only when that pool trades this mint.
+// Per IP, SAFETY_SCANS_PER_MIN uncached scans a minute — BetaRow asks once
+// per row, and cached results don't count.
+const SAFETY_SCANS_PER_MIN = 30
+const safetyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max:      SAFETY_SCANS_PER_MIN,
+  message:  { error: 'Safety scan rate limit — slow down' },
+  skip:     (req) => !!safety.peek(req.params.address),
+})
+
+app.get('/api/safety/:address', safetyLimiter, async (req, res) => {
+  try {
+    res.json(await safety.scan(req.params.address, { pair: req.query.pair || null }))
+  } catch (err) {
+    if (err.code === 'BAD_SAFETY') return res.status(400).json({ error: err.message })
+    if (err.code === 'NO_MINT')    return res.status(404).json({ error: err.message })
+    console.error('[Safety] Scan error:', err.message)
+    res.status(502).json({ error: 'RPC error' })
+  }
+})
+
+// POST /api/safety  { tokens: [{ address, pair? }] }
+// → { results: { [address]: scan }, pending: [address] }
+// BetaRow's badges for a whole list in one request. Cached scans come back
+// at once; at most SAFETY_BATCH_SCANS uncached ones are scanned per request
+// and the rest come back in `pending` for the client to ask again — the
+// limiter keeps the RPC budget at SAFETY_SCANS_PER_MIN per IP. Tokens that
+// fail to scan are left out.
+const SAFETY_BATCH_MAX   = 60
+const SAFETY_BATCH_SCANS = 10
+const safetyBatchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max:      SAFETY_SCANS_PER_MIN / SAFETY_BATCH_SCANS,
+  message:  { error: 'Safety scan rate limit — slow down' },
+  skip:     (req) => Array.isArray(req.body?.tokens) && req.body.tokens.every(t => safety.peek(t?.address)),
+})
+
+app.post('/api/safety', safetyBatchLimiter, async (req, res) => {
+  const { tokens } = req.body || {}
+  if (!Array.isArray(tokens) || !tokens.length || tokens.length > SAFETY_BATCH_MAX) {
+    return res.status(400).json({ error: `tokens must be an array of 1–${SAFETY_BATCH_MAX}` })
+  }
+  const results = {}
+  const pending = []
+  let scans = 0
+  await Promise.all(tokens.map(async ({ address, pair } = {}) => {
+    if (typeof address !== 'string') return
+    const cached = safety.peek(address)
+    if (cached) { results[address] = cached; return }
+    if (scans >= SAFETY_BATCH_SCANS) { pending.push(address); return }
+    scans++
+    try {
+      results[address] = await safety.scan(address, { pair: typeof pair === 'string' ? pair : null })
+    } catch (err) {
+      if (err.code !== 'BAD_SAFETY' && err.code !== 'NO_MINT') console.error('[Safety] Scan error:', err.message)
+    }
+  }))
+  res.json({ results, pending })
+})
+
+// ─── Launch bundles ────────────────────────────────────────────────
+// Supply taken in the launch block(s) and how the buyers tie back to the
+// deployer — see bundles.js. The beta scan drops HIGH bundles itself.
+
+// Per IP, BUNDLE_ANALYSES_PER_MIN uncached analyses a minute — each one
+// walks the launch over RPC in the same queue the beta scan gates on.
+// Cached results don't count.
+const BUNDLE_ANALYSES_PER_MIN = 10
+const bundlesLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max:      BUNDLE_ANALYSES_PER_MIN,
+  message:  { error: 'Bundle check rate limit — slow down' },
+  skip:     (req) => !!bundles.peek(req.params.address),
+})
+
+// GET /api/bundles/:address
+// { status ok|partial|too_active, level LOW|MED|HIGH|UNKNOWN, risks: [label],
+//   launchSlot, deployer, supplyPct, deployerPct, buyers, linkedBuyers,
+//   linkedPct, fundedByDeployer, commonFunders: [{ funder, buyers }],
+//   topBuyers: [{ wallet, pct, deployer, linked }] }
+app.get('/api/bundles/:address', bundlesLimiter, async (req, res) => {
+  try {
+    res.json(await bundles.analyse(req.params.address))
+  } catch (err) {
+    if (err.code === 'BAD_BUNDLE') return res.status(400).json({ error: err.message })
+    if (err.code === 'NO_MINT')    return res.status(404).json({ error: err.message })
+    console.error('[Bundles] Analysis error:', err.message)
+    res.status(502).json({ error: 'RPC error' })
+  }
+})
+
 // GET /api/beta-count?address=xxx
 // Returns the number of confirmed betas ever found for a given alpha address.
 // Derived from beta_relations COUNT — no localStorage needed.
@@ -3068,55 +2630,17 @@ app.post('/api/record-betas', async (req, res) => {
   // Respond immediately — client never waits for this
   res.json({ ok: true, queued: betas.length })
 
-  // Filter to betas not written in the last 6h — eliminates redundant DB writes
-  // from the 90s price refresh cycle re-triggering record-betas for known pairs.
-  const valid = betas.filter(b => b.address && b.symbol && !hasBetaWritten(alphaAddress, b.address))
-  const errors = []
-
-  for (const beta of valid) {
-    await DB_WRITE_QUEUE.run(async () => {
-      try {
-        await db.query(`
-          INSERT INTO tokens (address, symbol, name, logo_url)
-          VALUES ($1, $2, $3, $4)
-          ON CONFLICT (address) DO UPDATE SET
-            last_seen = NOW(),
-            name      = COALESCE(EXCLUDED.name, tokens.name)
-        `, [beta.address, beta.symbol, beta.name || null, beta.logoUrl || null])
-
-        await db.query(`
-          INSERT INTO beta_relations
-            (alpha_address, beta_address, signals, score, relationship_type,
-             beta_price_at_detection, alpha_price_at_detection, beta_mcap_at_detection)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          ON CONFLICT (alpha_address, beta_address) DO UPDATE SET
-            last_seen       = NOW(),
-            signals         = EXCLUDED.signals,
-            score           = EXCLUDED.score,
-            confirmed_count = beta_relations.confirmed_count + 1
-        `, [
-          alphaAddress,
-          beta.address,
-          beta.signals || [],
-          beta.score || null,
-          beta.relationshipType || null,
-          beta.betaPriceAtDetection   || null,
-          beta.alphaPriceAtDetection  || null,
-          beta.betaMcapAtDetection    || null,
-        ])
-        markBetaWritten(alphaAddress, beta.address)
-      } catch (err) {
-        errors.push(beta.address)
-      }
-    }).catch(err => errors.push(beta.address))
-  }
-
+  // Pairs written in the last 6h are skipped — the 90s price refresh
+  // re-triggers record-betas for known pairs (see betaRelations.js).
+  const { errors } = await betaRelations.record(alphaAddress, betas)
   if (errors.length) console.error('[DB] record-betas partial errors:', errors)
 })
 
 // GET /api/beta-history?alpha=<address>&limit=50
 // Returns historical beta relationships for a given alpha address.
 // Ordered by confirmed_count desc — most consistently detected betas first.
+// Includes post-detection performance (snapshots, maxGain, maxDrawdown,
+// outperformance vs the alpha) — see betaPerformance.js.
 app.get('/api/beta-history', async (req, res) => {
   if (!process.env.DATABASE_URL) return res.json({ betas: [] })
   const { alpha } = req.query
@@ -3138,9 +2662,14 @@ app.get('/api/beta-history', async (req, res) => {
         br.last_seen      AS "lastSeen",
         br.confirmed_count AS "confirmedCount",
         br.beta_price_at_detection  AS "priceAtDetection",
-        br.beta_mcap_at_detection   AS "mcapAtDetection"
+        br.beta_mcap_at_detection   AS "mcapAtDetection",
+        perf.snapshots,
+        perf."maxGain",
+        perf."maxDrawdown",
+        perf.outperformance
       FROM beta_relations br
       JOIN tokens t ON t.address = br.beta_address
+      ${betaPerformance.PERFORMANCE_JOIN}
       WHERE br.alpha_address = $1
       ORDER BY br.confirmed_count DESC, br.last_seen DESC
       LIMIT $2
@@ -3158,6 +2687,7 @@ app.get('/api/beta-history', async (req, res) => {
 //   - how many times they ran (run_count)
 //   - peak mcap ever recorded
 //   - their confirmed beta relationships with performance data
+//     (detection price + post-detection snapshots — betaPerformance.js)
 //   - narrative category
 //   - source breakdown
 // Cache keyed by days — users can switch 7/30/90 day views, each gets its own cache entry
@@ -3235,9 +2765,14 @@ app.get('/api/past-runners', async (req, res) => {
             br.first_seen                  AS "firstSeen",
             br.beta_price_at_detection     AS "priceAtDetection",
             br.beta_mcap_at_detection      AS "mcapAtDetection",
-            br.alpha_price_at_detection    AS "alphaPriceAtDetection"
+            br.alpha_price_at_detection    AS "alphaPriceAtDetection",
+            perf.snapshots,
+            perf."maxGain",
+            perf."maxDrawdown",
+            perf.outperformance
           FROM beta_relations br
           JOIN tokens bt ON bt.address = br.beta_address
+          ${betaPerformance.PERFORMANCE_JOIN}
           WHERE br.alpha_address = rs.address
           ORDER BY br.confirmed_count DESC, br.score DESC
           LIMIT 5
@@ -3301,9 +2836,14 @@ app.get('/api/runner-betas', async (req, res) => {
         br.beta_price_at_detection     AS "priceAtDetection",
         br.beta_mcap_at_detection      AS "mcapAtDetection",
         br.alpha_price_at_detection    AS "alphaPriceAtDetection",
+        perf.snapshots,
+        perf."maxGain",
+        perf."maxDrawdown",
+        perf.outperformance,
         COUNT(*) OVER()                AS "totalCount"
       FROM beta_relations br
       JOIN tokens bt ON bt.address = br.beta_address
+      ${betaPerformance.PERFORMANCE_JOIN}
       WHERE br.alpha_address = $1
       ORDER BY br.confirmed_count DESC, br.score DESC
       LIMIT $2 OFFSET $3
@@ -3323,15 +2863,50 @@ app.get('/api/runner-betas', async (req, res) => {
       priceAtDetection:       parseFloat(b.priceAtDetection)      || null,
       mcapAtDetection:        parseFloat(b.mcapAtDetection)       || null,
       alphaPriceAtDetection:  parseFloat(b.alphaPriceAtDetection) || null,
+      snapshots:              b.snapshots      || null,
+      maxGain:                b.maxGain        ?? null,
+      maxDrawdown:            b.maxDrawdown    ?? null,
+      outperformance:         b.outperformance ?? null,
     }))
 
-    return res.json({ betas, total, offset, limit })
+    return res.json({ betas, total, offset, limit })
+  } catch (err) {
+    console.error('[DB] runner-betas error:', err.message)
+    return res.status(500).json({ error: 'db read failed' })
+  }
+})
+
+// POST /api/backtest
+// Body: { config?, horizon?: '1h'|'6h'|'24h'|'7d', days?: 30, topN?: 5, hitThresholdPct?: 0 }
+// config overrides RANK_CONFIG in betaScanService.js section by section, e.g.
+//   { "signalTiers": { "lore": 4 }, "convergence": { "perSource": 0.75 } }
+// Reports hit rate / average return of the top-N picks per alpha for the
+// shipping config (baseline) and the candidate, plus breakdowns by
+// relationship type and signal source. See backtest.js.
+const backtestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { error: 'Backtest rate limit — slow down' },
+})
+
+app.post('/api/backtest', backtestLimiter, async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.status(503).json({ error: 'database not configured' })
+  try {
+    return res.json(await backtest.runBacktest(req.body || {}))
   } catch (err) {
-    console.error('[DB] runner-betas error:', err.message)
-    return res.status(500).json({ error: 'db read failed' })
+    if (err.code === 'BAD_CONFIG') return res.status(400).json({ error: err.message })
+    console.error('[Backtest] error:', err.message)
+    return res.status(500).json({ error: 'backtest failed' })
   }
 })
 
+// GET /api/signal-weights
+// Latest published calibration table (signalWeights.js). weights: null means
+// no table yet (or SIGNAL_WEIGHTS=off) — clients keep their constants.
+app.get('/api/signal-weights', (req, res) => {
+  return res.json({ weights: signalWeights.getWeights() })
+})
+
 // Replaces per-user localStorage caches with a single server-side cache in Supabase.
 // One API call serves all users. TTL: score=10min, vision=24h (matches old localStorage TTLs).
 
@@ -3416,9 +2991,16 @@ app.post('/api/report-alphas', (req, res) => {
   for (const alpha of alphas) {
     if (alpha.address && !hasSeenAlpha(alpha.address)) {
       markAlphaSeen(alpha.address)
+      eventStream.publish('alpha', {
+        address:   alpha.address,
+        symbol:    alpha.symbol,
+        name:      alpha.name || '',
+        marketCap: alpha.marketCap || 0,
+      })
       // Only notify if the alpha has real volume (filters out noise on startup)
       if ((alpha.volume24h || 0) > 1000) {
         notifyNewAlpha(alpha).catch(() => {})
+        discordBot.postAlpha(alpha).catch(() => {})
       }
     }
   }
@@ -3453,7 +3035,7 @@ app.post('/api/report-alphas', (req, res) => {
 
   if (queued > 0) {
     console.log(`[Warmup] ${queued} new alphas queued for background expansion (queue size: ${warmupQueue.length})`)
-    drainWarmupQueue() // non-blocking — runs in background
+    jobScheduler.runNow('warmup-queue') // non-blocking — runs in background
   }
 
   return res.json({ ok: true, count: alphas.length, queued })
@@ -3474,12 +3056,11 @@ app.post('/api/report-alphas', (req, res) => {
 //     (a simple fetch) and recording the results. The AI calls piggyback
 //     on the existing fallback chain.
 //
-// Concurrency guard: proactiveScanRunning prevents overlapping runs.
+// Concurrency: runs as the 'proactive-beta-scan' job — the scheduler
+// prevents overlapping runs and keeps it to one instance at a time.
 // Rate limiting: 2s spacing between alphas, 400ms between requests within each.
 // Resource ceiling: top 10 alphas only — avoids hammering AI quotas.
 
-let proactiveScanRunning = false
-
 // Fetch top N live alphas from DEXScreener boosted + profiles feeds.
 // Mirrors the two cheapest alpha sources (no Birdeye key needed).
 const fetchTopAlphasForScan = async (limit = 10) => {
@@ -3745,64 +3326,44 @@ Respond ONLY with valid JSON array, no markdown:
   return recorded
 }
 
-// Main proactive scan loop — runs every 5 minutes
-const startProactiveBetaScanner = (port) => {
-  const baseUrl = `http://localhost:${port}`
-
-  const runScan = async () => {
-    if (proactiveScanRunning) {
-      console.log('[ProactiveScan] Previous scan still running — skipping this cycle')
-      return
-    }
-    proactiveScanRunning = true
-    const scanStart = Date.now()
-
-    try {
-      console.log('[ProactiveScan] Starting scan cycle...')
-      const alphas = await fetchTopAlphasForScan(10)
-
-      if (alphas.length === 0) {
-        console.log('[ProactiveScan] No alphas fetched — skipping cycle')
-        return
-      }
+// One proactive scan cycle — scheduled as the 'proactive-beta-scan' job
+const runProactiveBetaScan = async () => {
+  const baseUrl   = `http://localhost:${PORT}`
+  const scanStart = Date.now()
 
-      console.log(`[ProactiveScan] ${alphas.length} alphas to scan: ${alphas.map(a => '$' + a.symbol).join(', ')}`)
+  console.log('[ProactiveScan] Starting scan cycle...')
+  const alphas = await fetchTopAlphasForScan(10)
 
-      let totalRecorded = 0
+  if (alphas.length === 0) {
+    console.log('[ProactiveScan] No alphas fetched — skipping cycle')
+    return
+  }
 
-      for (const alpha of alphas) {
-        // Skip if beta_relations was updated in the last 6 minutes
-        const fresh = await isBetaRelationsFresh(alpha.address, 6)
-        if (fresh) {
-          console.log(`[ProactiveScan] $${alpha.symbol} — fresh, skipping`)
-          continue
-        }
+  console.log(`[ProactiveScan] ${alphas.length} alphas to scan: ${alphas.map(a => '$' + a.symbol).join(', ')}`)
 
-        try {
-          const n = await runProactiveScanForAlpha(alpha, baseUrl)
-          totalRecorded += n
-        } catch (err) {
-          console.warn(`[ProactiveScan] $${alpha.symbol} error:`, err.message)
-        }
+  let totalRecorded = 0
 
-        // 2s spacing between alphas — avoids rate-limit cascades
-        await new Promise(r => setTimeout(r, 2000))
-      }
+  for (const alpha of alphas) {
+    // Skip if beta_relations was updated in the last 6 minutes
+    const fresh = await isBetaRelationsFresh(alpha.address, 6)
+    if (fresh) {
+      console.log(`[ProactiveScan] $${alpha.symbol} — fresh, skipping`)
+      continue
+    }
 
-      const elapsed = Math.round((Date.now() - scanStart) / 1000)
-      console.log(`[ProactiveScan] Cycle complete — ${totalRecorded} betas recorded in ${elapsed}s`)
+    try {
+      const n = await runProactiveScanForAlpha(alpha, baseUrl)
+      totalRecorded += n
     } catch (err) {
-      console.error('[ProactiveScan] Cycle error:', err.message)
-    } finally {
-      proactiveScanRunning = false
+      console.warn(`[ProactiveScan] $${alpha.symbol} error:`, err.message)
     }
+
+    // 2s spacing between alphas — avoids rate-limit cascades
+    await new Promise(r => setTimeout(r, 2000))
   }
 
-  // First run after 60s (let server fully boot + warm up caches first)
-  setTimeout(runScan, 60 * 1000)
-  // Then every 5 minutes
-  setInterval(runScan, 5 * 60 * 1000)
-  console.log('[ProactiveScan] Scheduled — first run in 60s, then every 5min')
+  const elapsed = Math.round((Date.now() - scanStart) / 1000)
+  console.log(`[ProactiveScan] Cycle complete — ${totalRecorded} betas recorded in ${elapsed}s`)
 }
 
 // ─── Auth — Wallet Connect (Session 31) ───────────────────────────────────────
@@ -3825,6 +3386,30 @@ function requireAuth (req, res, next) {
   }
 }
 
+// optionalWallet(req) — the wallet from a valid Bearer token, else null.
+// For anonymous routes that only key or dedupe on the caller.
+function optionalWallet (req) {
+  const auth = req.headers.authorization
+  if (!auth?.startsWith('Bearer ')) return null
+  try { return jwt.verify(auth.slice(7), JWT_SECRET).wallet || null }
+  catch { return null }
+}
+
+// requireRole('moderator', …) — requireAuth, then the wallet must hold one
+// of the roles (admin passes every check — see roles.js). Sets req.roles.
+function requireRole (...allowed) {
+  return [requireAuth, async (req, res, next) => {
+    try {
+      req.roles = await roles.getRoles(req.user.wallet)
+      if (roles.allows(req.roles, allowed)) return next()
+      res.status(403).json({ error: `Requires role: ${allowed.join(' or ')}` })
+    } catch (err) {
+      console.error('[Roles] Lookup error:', err.message)
+      res.status(500).json({ error: 'DB error' })
+    }
+  }]
+}
+
 // GET /api/auth/nonce?wallet=<base58Address>
 // Returns a random nonce string the wallet must sign.
 app.get('/api/auth/nonce', (req, res) => {
@@ -3881,7 +3466,7 @@ app.post('/api/auth/verify', async (req, res) => {
   res.json({ token, wallet })
 })
 
-// GET /api/auth/me — returns user record (JWT required)
+// GET /api/auth/me — returns user record + roles (JWT required)
 app.get('/api/auth/me', requireAuth, async (req, res) => {
   try {
     const result = await db.query(
@@ -3889,7 +3474,7 @@ app.get('/api/auth/me', requireAuth, async (req, res) => {
       [req.user.wallet]
     )
     if (!result.rows.length) return res.status(404).json({ error: 'User not found' })
-    res.json(result.rows[0])
+    res.json({ ...result.rows[0], roles: await roles.getRoles(req.user.wallet) })
   } catch (err) {
     res.status(500).json({ error: 'DB error' })
   }
@@ -3976,7 +3561,8 @@ app.patch('/api/watchlist/:address/price-alert', requireAuth, async (req, res) =
 })
 
 // ─── Price Alert Job ──────────────────────────────────────────────────────────
-// Runs every 5 minutes. Checks current price of watchlist tokens against
+// Runs every 5 minutes as the 'price-alerts' job (one instance per cycle —
+// running it on every instance is what caused duplicate alerts). Checks current price of watchlist tokens against
 // price_at_add. Fires notification + Telegram DM if threshold crossed.
 // 24h cooldown per token to prevent spam.
 
@@ -4049,22 +3635,17 @@ async function runPriceAlertCheck () {
     }
   } catch (err) {
     console.error('[PriceAlert] Job error:', err.message)
+    throw err  // recorded as the job's last error
   }
 }
 
-// Start price alert job (every 5 min, first run after 2 min delay)
-setTimeout(() => {
-  runPriceAlertCheck()
-  setInterval(runPriceAlertCheck, 5 * 60 * 1000)
-}, 2 * 60 * 1000)
-
-// Clean up expired nonces every 10 minutes
-setInterval(() => {
+// Drop expired nonces — scheduled as the 'nonce-cleanup' job
+const cleanupNonces = () => {
   const now = Date.now()
   for (const [wallet, entry] of nonceStore.entries()) {
     if (now > entry.expiresAt) nonceStore.delete(wallet)
   }
-}, 10 * 60 * 1000)
+}
 
 // ─── End Auth ─────────────────────────────────────────────────────────────────
 
@@ -4163,11 +3744,15 @@ app.post('/api/folio/call', requireAuth, async (req, res) => {
     // Verify folio belongs to this wallet
     const folioCheck = await db.query(`SELECT id FROM folios WHERE id = $1 AND wallet_address = $2`, [folio_id, req.user.wallet])
     if (!folioCheck.rows.length) return res.status(403).json({ error: 'Folio not found' })
+    // Server-read mcap at call — the only one flag reputation trusts (flags.js).
+    // NULL when DexScreener has no pair or is down; the call still saves.
+    const { prices } = await betaPerformance.fetchPrices([token_address])
     await db.query(
-      `INSERT INTO folio (wallet_address, token_address, symbol, name, logo_url, price_at_call, mcap_at_call, folio_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO folio (wallet_address, token_address, symbol, name, logo_url, price_at_call, mcap_at_call, folio_id, verified_mcap_at_call)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        ON CONFLICT (wallet_address, token_address) DO UPDATE SET folio_id = $8`,
-      [req.user.wallet, token_address, symbol || null, name || null, logo_url || null, price_at_call || null, mcap_at_call || null, folio_id]
+      [req.user.wallet, token_address, symbol || null, name || null, logo_url || null, price_at_call || null, mcap_at_call || null, folio_id,
+       prices.get(token_address)?.mcap || null]
     )
     _leaderboardCache = null
     res.json({ ok: true })
@@ -4353,6 +3938,7 @@ const activeCache = {
 }
 
 const TREASURY_WALLET  = process.env.TREASURY_WALLET || '7LbtGZTToXYQ8FRnwBy6TfLMi4nMw2ge523mimwTSJUk'
+roles.setRootAdmins([TREASURY_WALLET])
 const BOOST_PRICE_SOL  = parseFloat(process.env.BOOST_PRICE_SOL || '1')
 const BOOST_MAX_SLOTS  = 3
 const BOOST_DURATION_MS = 24 * 60 * 60 * 1000 // 24 hours
@@ -4496,19 +4082,21 @@ app.post('/api/boosts/verify', requireAuth, async (req, res) => {
   }
 })
 
-// DELETE /api/boosts/:id — admin removal (JWT required — owner or treasury wallet only)
+// DELETE /api/boosts/:id — removal (JWT required — owner or ads-reviewer)
 app.delete('/api/boosts/:id', requireAuth, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT boosted_by_wallet FROM boosts WHERE id = $1`, [req.params.id]
+      `SELECT boosted_by_wallet, token_symbol FROM boosts WHERE id = $1`, [req.params.id]
     )
     if (result.rows.length === 0) return res.status(404).json({ error: 'Boost not found' })
 
     const isOwner    = result.rows[0].boosted_by_wallet === req.user.wallet
-    const isAdmin    = req.user.wallet === TREASURY_WALLET
+    const isAdmin    = !isOwner && roles.allows(await roles.getRoles(req.user.wallet), ['ads-reviewer'])
     if (!isOwner && !isAdmin) return res.status(403).json({ error: 'Not authorised' })
 
     await db.query(`UPDATE boosts SET is_active = FALSE WHERE id = $1`, [req.params.id])
+    activeCache.del('boosts')
+    if (isAdmin) await roles.audit(req.user.wallet, 'boost.remove', req.params.id, { symbol: result.rows[0].token_symbol, owner: result.rows[0].boosted_by_wallet })
     res.json({ ok: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -4669,19 +4257,21 @@ app.post('/api/listings/verify', requireAuth, async (req, res) => {
   }
 })
 
-// DELETE /api/listings/:id — owner or treasury wallet only (JWT required)
+// DELETE /api/listings/:id — owner or ads-reviewer only (JWT required)
 app.delete('/api/listings/:id', requireAuth, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT listed_by_wallet FROM listings WHERE id = $1`, [req.params.id]
+      `SELECT listed_by_wallet, token_symbol FROM listings WHERE id = $1`, [req.params.id]
     )
     if (result.rows.length === 0) return res.status(404).json({ error: 'Listing not found' })
 
     const isOwner = result.rows[0].listed_by_wallet === req.user.wallet
-    const isAdmin = req.user.wallet === TREASURY_WALLET
+    const isAdmin = !isOwner && roles.allows(await roles.getRoles(req.user.wallet), ['ads-reviewer'])
     if (!isOwner && !isAdmin) return res.status(403).json({ error: 'Not authorised' })
 
     await db.query(`UPDATE listings SET is_active = FALSE WHERE id = $1`, [req.params.id])
+    activeCache.del('listings')
+    if (isAdmin) await roles.audit(req.user.wallet, 'listing.remove', req.params.id, { symbol: result.rows[0].token_symbol, owner: result.rows[0].listed_by_wallet })
     res.json({ ok: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -4693,7 +4283,7 @@ app.delete('/api/listings/:id', requireAuth, async (req, res) => {
 // ─── Display Ads ──────────────────────────────────────────────────────────────
 // Crypto-adjacent project ads injected after beta row 3 in the beta panel.
 // Random rotation per beta panel load. Max 5 active ads simultaneously.
-// 0.5 SOL/day flat fee. Manual approval by treasury wallet admin.
+// 0.5 SOL/day flat fee. Manual approval by an ads-reviewer (roles.js).
 
 const AD_MAX_SLOTS   = 5
 const AD_PRICE_SOL   = parseFloat(process.env.AD_PRICE_SOL || '0.5')
@@ -4778,9 +4368,8 @@ app.post('/api/ads/submit', requireAuth, async (req, res) => {
   }
 })
 
-// PATCH /api/ads/:id/approve — treasury wallet approves ad and sets it live (JWT required)
-app.patch('/api/ads/:id/approve', requireAuth, async (req, res) => {
-  if (req.user.wallet !== TREASURY_WALLET) return res.status(403).json({ error: 'Admin only' })
+// PATCH /api/ads/:id/approve — ads-reviewer approves ad and sets it live (JWT required)
+app.patch('/api/ads/:id/approve', requireRole('ads-reviewer'), async (req, res) => {
   try {
     await expireAds()
     const activeCount = await db.query(`SELECT COUNT(*) FROM ads WHERE is_active = TRUE AND approved = TRUE`)
@@ -4799,27 +4388,32 @@ app.patch('/api/ads/:id/approve', requireAuth, async (req, res) => {
       WHERE id = $4
     `, [req.user.wallet, startsAt, expiresAt, req.params.id])
 
+    activeCache.del('ads')
     console.log(`[Ads] Approved: ${ad.project_name} — live until ${expiresAt.toISOString()}`)
+    await roles.audit(req.user.wallet, 'ad.approve', ad.id, { project: ad.project_name, expiresAt })
     res.json({ ok: true, expiresAt })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
-// DELETE /api/ads/:id — treasury wallet removes ad (JWT required)
-app.delete('/api/ads/:id', requireAuth, async (req, res) => {
-  if (req.user.wallet !== TREASURY_WALLET) return res.status(403).json({ error: 'Admin only' })
+// DELETE /api/ads/:id — ads-reviewer removes ad (JWT required)
+app.delete('/api/ads/:id', requireRole('ads-reviewer'), async (req, res) => {
   try {
-    await db.query(`UPDATE ads SET is_active = FALSE WHERE id = $1`, [req.params.id])
+    const { rows } = await db.query(
+      `UPDATE ads SET is_active = FALSE WHERE id = $1 RETURNING project_name`, [req.params.id]
+    )
+    if (!rows.length) return res.status(404).json({ error: 'Ad not found' })
+    activeCache.del('ads')
+    await roles.audit(req.user.wallet, 'ad.remove', req.params.id, { project: rows[0].project_name })
     res.json({ ok: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
-// GET /api/ads/pending — treasury wallet views pending submissions (JWT required)
-app.get('/api/ads/pending', requireAuth, async (req, res) => {
-  if (req.user.wallet !== TREASURY_WALLET) return res.status(403).json({ error: 'Admin only' })
+// GET /api/ads/pending — ads-reviewer views pending submissions (JWT required)
+app.get('/api/ads/pending', requireRole('ads-reviewer'), async (req, res) => {
   try {
     const result = await db.query(`
       SELECT id, project_name, tagline, logo_url, cta_text, cta_url, category, submitted_by, amount_sol, created_at
@@ -4991,35 +4585,50 @@ app.get('/api/subscriptions/status', async (req, res) => {
 
 // ─── Notifications & Alerts ──────────────────────────────────────────────────
 //
-// Notification types: new_alpha | new_beta | narrative_active | telegram_signal
+// Notification types: new_alpha | new_beta | narrative_active | narrative_rotation | telegram_signal
 //
 // createNotification — internal helper called from trigger points in this file
 // Saves to DB + fires Telegram DM if chat_id linked
 //
 async function createNotification (wallet, type, title, body, metadata = {}) {
   try {
-    await db.query(
+    const result = await db.query(
       `INSERT INTO notifications (wallet_address, type, title, body, metadata)
-       VALUES ($1, $2, $3, $4, $5)`,
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, type, title, body, metadata, read, created_at`,
       [wallet, type, title, body, JSON.stringify(metadata)]
     )
-    // Fire Telegram DM (non-blocking — failures don't affect the main flow)
+    // Push to the wallet's open tabs — same row shape as GET /api/notifications
+    if (result.rows[0]) eventStream.publish('notification', result.rows[0], { wallet })
+    // Fire Telegram + Discord DMs (non-blocking — failures don't affect the main flow)
     telegramBot.sendAlert(wallet, type, title, body).catch(() => {})
+    discordBot.sendAlert(wallet, type, title, body).catch(() => {})
+    // Broadcast types reach webhooks once, from notifyWalletsForType
+    if (!BROADCAST_ALERT_COLUMNS[type]) {
+      webhooks.dispatch(type, { title, body, ...metadata }, { wallet }).catch(() => {})
+    }
   } catch (err) {
     console.error('[Notifications] createNotification error:', err.message)
   }
 }
 
+// Broadcast alert type → alert_settings opt-in column
+const BROADCAST_ALERT_COLUMNS = {
+  new_alpha:          'new_alpha',
+  narrative_active:   'narrative_active',
+  narrative_rotation: 'narrative_rotation',
+  telegram_signal:    'telegram_signal',
+}
+
 // Notify all wallets that have a given alert type enabled
-// Used for broadcast events (new_alpha, narrative_active, telegram_signal)
+// Used for broadcast events (new_alpha, narrative_active, narrative_rotation, telegram_signal)
+// Webhooks subscribed to the type get it too — their event list is their
+// opt-in, independent of the alert_settings toggle.
 async function notifyWalletsForType (type, title, body, metadata = {}) {
   try {
-    const col = {
-      new_alpha:        'new_alpha',
-      narrative_active: 'narrative_active',
-      telegram_signal:  'telegram_signal',
-    }[type]
+    const col = BROADCAST_ALERT_COLUMNS[type]
     if (!col) return
+    webhooks.dispatch(type, { title, body, ...metadata }).catch(() => {})
 
     const result = await db.query(
       `SELECT wallet_address FROM alert_settings WHERE ${col} = true`
@@ -5052,6 +4661,36 @@ async function notifyWatchersOfToken (tokenAddress, title, body, metadata = {})
   }
 }
 
+// ─── Stream tickets ───────────────────────────────────────────────
+// EventSource can't set headers, so an authed stream needs a credential in
+// the query string — where access logs keep it. The session JWT never goes
+// there: clients swap it for a ticket that only opens a stream (own secret,
+// so it's useless as a Bearer token) and expires in STREAM_TICKET_TTL.
+// Stateless, so any instance can verify a ticket another one issued.
+const STREAM_TICKET_SECRET = `${JWT_SECRET}:stream`
+const STREAM_TICKET_TTL    = 60   // seconds — only has to outlive the connect
+
+// POST /api/stream/ticket (JWT required) → { ticket, expiresIn }
+app.post('/api/stream/ticket', requireAuth, (req, res) => {
+  const ticket = jwt.sign({ wallet: req.user.wallet }, STREAM_TICKET_SECRET, { expiresIn: STREAM_TICKET_TTL })
+  res.json({ ticket, expiresIn: STREAM_TICKET_TTL })
+})
+
+// GET /api/stream?ticket=<stream ticket>&lastEventId=<id>
+// Server-Sent Events push channel (see eventStream.js). Ticket is optional —
+// anonymous streams get the broadcast events (alpha / betas / narrative),
+// authed streams additionally get their wallet's notification events. A bad
+// or expired ticket is a 401, which closes the EventSource so the client
+// fetches a new ticket instead of the browser retrying the stale URL.
+app.get('/api/stream', (req, res) => {
+  let wallet = null
+  if (req.query.ticket) {
+    try { wallet = jwt.verify(req.query.ticket, STREAM_TICKET_SECRET).wallet }
+    catch { return res.status(401).json({ error: 'Invalid stream ticket' }) }
+  }
+  eventStream.subscribe(req, res, wallet)
+})
+
 // GET /api/notifications — unread + recent notifications for wallet (JWT required)
 app.get('/api/notifications', requireAuth, async (req, res) => {
   try {
@@ -5086,8 +4725,10 @@ app.post('/api/notifications/read', requireAuth, async (req, res) => {
 app.get('/api/alerts/settings', requireAuth, async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT new_alpha, new_beta, narrative_active, telegram_signal,
-              price_move, price_threshold, telegram_chat_id
+      `SELECT new_alpha, new_beta, narrative_active, narrative_rotation, telegram_signal,
+              price_move, price_threshold, telegram_chat_id,
+              telegram_username, telegram_linked_at,
+              discord_user_id, discord_username, discord_linked_at
        FROM alert_settings WHERE wallet_address = $1`,
       [req.user.wallet]
     )
@@ -5095,8 +4736,9 @@ app.get('/api/alerts/settings', requireAuth, async (req, res) => {
       // Return defaults — row gets created on first save
       return res.json({
         new_alpha: true, new_beta: true, narrative_active: true,
-        telegram_signal: true, price_move: false, price_threshold: 50,
-        telegram_chat_id: null,
+        narrative_rotation: true, telegram_signal: true, price_move: false, price_threshold: 50,
+        telegram_chat_id: null, telegram_username: null, telegram_linked_at: null,
+        discord_user_id: null, discord_username: null, discord_linked_at: null,
       })
     }
     res.json(result.rows[0])
@@ -5106,30 +4748,32 @@ app.get('/api/alerts/settings', requireAuth, async (req, res) => {
 })
 
 // POST /api/alerts/settings — upsert alert preferences (JWT required)
-// Body: any subset of { new_alpha, new_beta, narrative_active, telegram_signal, price_move, price_threshold }
+// Body: any subset of { new_alpha, new_beta, narrative_active, narrative_rotation, telegram_signal, price_move, price_threshold }
 app.post('/api/alerts/settings', requireAuth, async (req, res) => {
   const {
     new_alpha, new_beta, narrative_active, telegram_signal,
-    price_move, price_threshold,
+    price_move, price_threshold, narrative_rotation,
   } = req.body
   try {
     await db.query(
       `INSERT INTO alert_settings
          (wallet_address, new_alpha, new_beta, narrative_active, telegram_signal,
-          price_move, price_threshold, updated_at)
+          price_move, price_threshold, narrative_rotation, updated_at)
        VALUES ($1,
          COALESCE($2, true), COALESCE($3, true), COALESCE($4, true),
-         COALESCE($5, true), COALESCE($6, false), COALESCE($7, 50), now())
+         COALESCE($5, true), COALESCE($6, false), COALESCE($7, 50),
+         COALESCE($8, true), now())
        ON CONFLICT (wallet_address) DO UPDATE SET
-         new_alpha        = COALESCE($2, alert_settings.new_alpha),
-         new_beta         = COALESCE($3, alert_settings.new_beta),
-         narrative_active = COALESCE($4, alert_settings.narrative_active),
-         telegram_signal  = COALESCE($5, alert_settings.telegram_signal),
-         price_move       = COALESCE($6, alert_settings.price_move),
-         price_threshold  = COALESCE($7, alert_settings.price_threshold),
-         updated_at       = now()`,
+         new_alpha          = COALESCE($2, alert_settings.new_alpha),
+         new_beta           = COALESCE($3, alert_settings.new_beta),
+         narrative_active   = COALESCE($4, alert_settings.narrative_active),
+         telegram_signal    = COALESCE($5, alert_settings.telegram_signal),
+         price_move         = COALESCE($6, alert_settings.price_move),
+         price_threshold    = COALESCE($7, alert_settings.price_threshold),
+         narrative_rotation = COALESCE($8, alert_settings.narrative_rotation),
+         updated_at         = now()`,
       [req.user.wallet, new_alpha, new_beta, narrative_active, telegram_signal,
-       price_move, price_threshold ?? null]
+       price_move, price_threshold ?? null, narrative_rotation]
     )
     res.json({ ok: true })
   } catch (err) {
@@ -5137,6 +4781,342 @@ app.post('/api/alerts/settings', requireAuth, async (req, res) => {
   }
 })
 
+// POST /api/alerts/telegram-link — mint a one-time bot link for this wallet (JWT required)
+// Returns { token, url, expiresAt } — the app opens url (t.me/betaplaysbot?start=TOKEN).
+// The bot redeems the token once, within 10 minutes. See telegram_bot.js.
+app.post('/api/alerts/telegram-link', requireAuth, async (req, res) => {
+  if (!process.env.TELEGRAM_BOT_TOKEN) return res.status(503).json({ error: 'Telegram bot not configured' })
+  try {
+    res.json(await telegramBot.createLinkToken(req.user.wallet))
+  } catch (err) {
+    console.error('[TelegramBot] Link token error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// DELETE /api/alerts/telegram-link — unlink the Telegram chat from this wallet (JWT required)
+app.delete('/api/alerts/telegram-link', requireAuth, async (req, res) => {
+  try {
+    const unlinked = await telegramBot.unlinkWallet(req.user.wallet)
+    res.json({ ok: true, unlinked })
+  } catch (err) {
+    console.error('[TelegramBot] Unlink error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// POST /api/alerts/discord-link — mint a one-time Discord link code for this wallet (JWT required)
+// Returns { token, command, installUrl, expiresAt } — the user runs `command`
+// (/link code:TOKEN) in Discord within 10 minutes. installUrl adds the bot
+// for users who don't share a server with it yet. See discord_bot.js.
+app.post('/api/alerts/discord-link', requireAuth, async (req, res) => {
+  if (!discordBot.isEnabled()) return res.status(503).json({ error: 'Discord bot not configured' })
+  try {
+    res.json(await discordBot.createLinkToken(req.user.wallet))
+  } catch (err) {
+    console.error('[DiscordBot] Link token error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// DELETE /api/alerts/discord-link — unlink the Discord account from this wallet (JWT required)
+app.delete('/api/alerts/discord-link', requireAuth, async (req, res) => {
+  try {
+    const unlinked = await discordBot.unlinkWallet(req.user.wallet)
+    res.json({ ok: true, unlinked })
+  } catch (err) {
+    console.error('[DiscordBot] Unlink error:', err.message)
+    res.status(500).json({ error: 'DB error' })
+  }
+})
+
+// ─── Webhooks (JWT required) ─────────────────────────────────────────────────
+// Outbound alert events for the wallet's own bots — see webhooks.js for the
+// payload and signature format. Invalid input → 400 { error }.
+
+const webhookError = (res, err, what) => {
+  if (err.code === 'BAD_WEBHOOK') return res.status(400).json({ error: err.message })
+  console.error(`[Webhooks] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// GET /api/webhooks — this wallet's webhooks (secrets are never listed)
+app.get('/api/webhooks', requireAuth, async (req, res) => {
+  try {
+    res.json({ webhooks: await webhooks.list(req.user.wallet), events: webhooks.EVENTS })
+  } catch (err) {
+    webhookError(res, err, 'List')
+  }
+})
+
+// POST /api/webhooks — register an endpoint
+// Body: { url: 'https://…', events: ['new_alpha', 'price_move', …] }
+// Returns the webhook with its signing `secret` — shown only here and on rotate.
+app.post('/api/webhooks', requireAuth, async (req, res) => {
+  try {
+    res.json(await webhooks.create(req.user.wallet, req.body || {}))
+  } catch (err) {
+    webhookError(res, err, 'Create')
+  }
+})
+
+// PATCH /api/webhooks/:id — update { url?, events?, active? }
+// active: true re-enables an auto-disabled webhook and resets its failure count.
+app.patch('/api/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const hook = await webhooks.update(req.user.wallet, parseInt(req.params.id) || 0, req.body || {})
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' })
+    res.json(hook)
+  } catch (err) {
+    webhookError(res, err, 'Update')
+  }
+})
+
+// DELETE /api/webhooks/:id — remove an endpoint and its delivery log
+app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const removed = await webhooks.remove(req.user.wallet, parseInt(req.params.id) || 0)
+    if (!removed) return res.status(404).json({ error: 'Webhook not found' })
+    res.json({ ok: true })
+  } catch (err) {
+    webhookError(res, err, 'Delete')
+  }
+})
+
+// POST /api/webhooks/:id/rotate-secret — issue a new signing secret (old one stops working)
+app.post('/api/webhooks/:id/rotate-secret', requireAuth, async (req, res) => {
+  try {
+    const hook = await webhooks.rotateSecret(req.user.wallet, parseInt(req.params.id) || 0)
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' })
+    res.json(hook)
+  } catch (err) {
+    webhookError(res, err, 'Rotate')
+  }
+})
+
+// POST /api/webhooks/:id/test — send a signed `ping` now and report the result
+// Returns { ok, statusCode, error }. Works on disabled webhooks too.
+app.post('/api/webhooks/:id/test', requireAuth, async (req, res) => {
+  try {
+    const result = await webhooks.sendTest(req.user.wallet, parseInt(req.params.id) || 0)
+    if (!result) return res.status(404).json({ error: 'Webhook not found' })
+    res.json(result)
+  } catch (err) {
+    webhookError(res, err, 'Test')
+  }
+})
+
+// GET /api/webhooks/:id/deliveries?limit=50 — delivery log, newest first
+app.get('/api/webhooks/:id/deliveries', requireAuth, async (req, res) => {
+  try {
+    res.json({ deliveries: await webhooks.deliveries(req.user.wallet, parseInt(req.params.id) || 0, req.query.limit) })
+  } catch (err) {
+    webhookError(res, err, 'Deliveries')
+  }
+})
+
+// ─── Roles + audit log (admin only) ───────────────────────────────────────────
+// Wallet roles behind requireRole, and the log every admin action writes to
+// — see roles.js.
+
+const roleError = (res, err, what) => {
+  if (err.code === 'BAD_ROLE') return res.status(400).json({ error: err.message })
+  console.error(`[Roles] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// GET /api/admin/roles — every grant (root admins flagged root: true)
+app.get('/api/admin/roles', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ roles: roles.ROLES, grants: await roles.listGrants() })
+  } catch (err) {
+    roleError(res, err, 'List')
+  }
+})
+
+// POST /api/admin/roles — grant a role
+// Body: { wallet, role: 'admin' | 'moderator' | 'ads-reviewer' }
+app.post('/api/admin/roles', requireRole('admin'), async (req, res) => {
+  const { wallet, role } = req.body || {}
+  try {
+    const granted = await roles.grant(wallet, role, req.user.wallet)
+    if (granted) await roles.audit(req.user.wallet, 'role.grant', wallet, { role })
+    res.json({ ok: true, granted })
+  } catch (err) {
+    roleError(res, err, 'Grant')
+  }
+})
+
+// DELETE /api/admin/roles/:wallet/:role — revoke a role
+app.delete('/api/admin/roles/:wallet/:role', requireRole('admin'), async (req, res) => {
+  const { wallet, role } = req.params
+  try {
+    const revoked = await roles.revoke(wallet, role)
+    if (!revoked) return res.status(404).json({ error: 'Grant not found' })
+    await roles.audit(req.user.wallet, 'role.revoke', wallet, { role })
+    res.json({ ok: true })
+  } catch (err) {
+    roleError(res, err, 'Revoke')
+  }
+})
+
+// GET /api/admin/audit?limit=100&before=<id>&actor=<wallet>&action=<prefix>
+// Admin action log, newest first. action matches by prefix ('ad.' → ad.*).
+app.get('/api/admin/audit', requireRole('admin'), async (req, res) => {
+  if (!process.env.DATABASE_URL) return res.json({ entries: [] })
+  try {
+    const entries = await roles.listAudit(req.query)
+    res.json({ entries, nextBefore: entries.length ? entries[entries.length - 1].id : null })
+  } catch (err) {
+    roleError(res, err, 'Audit')
+  }
+})
+
+// ─── Telegram channel registry (admin only) ───────────────────────────────────
+// Channels the Vector 10 poller reads, with each one's track record. The
+// poller re-reads the registry every cycle — no restart needed.
+
+const channelError = (res, err, what) => {
+  if (err.code === 'BAD_CHANNEL') return res.status(400).json({ error: err.message })
+  console.error(`[TelegramChannels] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// GET /api/admin/telegram-channels — every channel with weight, hit rate, avg 24h return
+app.get('/api/admin/telegram-channels', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ channels: await telegramChannels.list() })
+  } catch (err) {
+    channelError(res, err, 'List')
+  }
+})
+
+// POST /api/admin/telegram-channels — add a channel
+// Body: { handle: '@name' | 't.me/name', name?, manualWeight? }
+app.post('/api/admin/telegram-channels', requireRole('admin'), async (req, res) => {
+  try {
+    const channel = await telegramChannels.create(req.body || {})
+    await roles.audit(req.user.wallet, 'telegram_channel.create', channel.id, { handle: channel.handle })
+    res.json(channel)
+  } catch (err) {
+    channelError(res, err, 'Create')
+  }
+})
+
+// PATCH /api/admin/telegram-channels/:id — update { name?, active?, manualWeight? }
+// manualWeight pins the weight; null hands it back to the scoring job.
+app.patch('/api/admin/telegram-channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const channel = await telegramChannels.update(parseInt(req.params.id) || 0, req.body || {})
+    if (!channel) return res.status(404).json({ error: 'Channel not found' })
+    await roles.audit(req.user.wallet, 'telegram_channel.update', channel.id, req.body || {})
+    res.json(channel)
+  } catch (err) {
+    channelError(res, err, 'Update')
+  }
+})
+
+// DELETE /api/admin/telegram-channels/:id — stop reading a channel (its signals are kept)
+app.delete('/api/admin/telegram-channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await telegramChannels.remove(parseInt(req.params.id) || 0)
+    if (!removed) return res.status(404).json({ error: 'Channel not found' })
+    await roles.audit(req.user.wallet, 'telegram_channel.remove', req.params.id)
+    res.json({ ok: true })
+  } catch (err) {
+    channelError(res, err, 'Delete')
+  }
+})
+
+// ─── Lore map (GET public, edits admin only) ──────────────────────────────────
+// Versioned server copy of src/data/lore_map.js — see loreStore.js.
+
+const loreError = (res, err, what) => {
+  if (err.code === 'BAD_LORE') return res.status(400).json({ error: err.message })
+  console.error(`[LoreStore] ${what} error:`, err.message)
+  res.status(500).json({ error: 'DB error' })
+}
+
+// GET /api/lore?version=<n>
+// Live lore document: { version, lore: { loreMap, categories, categoryTraits, metaseedBlocked }, createdAt }.
+// version = the client's cached version — when still live, lore is omitted
+// ({ version, unchanged: true }). { version: 0, lore: null } until the first
+// save — clients keep the bundled copy.
+app.get('/api/lore', async (req, res) => {
+  try {
+    const current = await loreStore.getCurrent()
+    if (!current) return res.json({ version: 0, lore: null })
+    if (parseInt(req.query.version) === current.version) return res.json({ version: current.version, unchanged: true })
+    res.set('Cache-Control', 'public, max-age=60')
+    res.json({ version: current.version, lore: current.lore, createdAt: current.createdAt })
+  } catch (err) {
+    loreError(res, err, 'Load')
+  }
+})
+
+// GET /api/admin/lore/versions — version history, newest first (no documents)
+app.get('/api/admin/lore/versions', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ versions: await loreStore.listVersions(req.query.limit) })
+  } catch (err) {
+    loreError(res, err, 'List')
+  }
+})
+
+// GET /api/admin/lore/versions/:version — one full version (diffing / review)
+app.get('/api/admin/lore/versions/:version', requireRole('admin'), async (req, res) => {
+  try {
+    const version = await loreStore.getVersion(parseInt(req.params.version) || 0)
+    if (!version) return res.status(404).json({ error: 'Version not found' })
+    res.json(version)
+  } catch (err) {
+    loreError(res, err, 'Get')
+  }
+})
+
+// POST /api/admin/lore — publish a new version
+// Body: { lore: { loreMap, categories, categoryTraits, metaseedBlocked }, note? }
+// The whole document is replaced; 400 names the first invalid entry.
+app.post('/api/admin/lore', requireRole('admin'), async (req, res) => {
+  try {
+    const version = await loreStore.save(req.body || {}, req.user.wallet)
+    console.log(`[LoreStore] v${version.version} published${version.note ? ` — ${version.note}` : ''}`)
+    await roles.audit(req.user.wallet, 'lore.publish', version.version, { note: version.note })
+    res.json(version)
+  } catch (err) {
+    loreError(res, err, 'Save')
+  }
+})
+
+// POST /api/admin/lore/versions/:version/restore — republish an old version as the newest
+app.post('/api/admin/lore/versions/:version/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const version = await loreStore.restore(parseInt(req.params.version) || 0, req.user.wallet)
+    if (!version) return res.status(404).json({ error: 'Version not found' })
+    await roles.audit(req.user.wallet, 'lore.restore', version.version, { from: parseInt(req.params.version) })
+    res.json(version)
+  } catch (err) {
+    loreError(res, err, 'Restore')
+  }
+})
+
+// POST /api/discord/interactions — Discord's Interactions Endpoint URL
+// Every request is Ed25519-signed by Discord; unsigned or tampered ones get
+// 401 (Discord checks this when the URL is saved). Commands are acked as
+// deferred and answered by followUp() once the response is out.
+app.post('/api/discord/interactions', (req, res) => {
+  const ok = discordBot.verifyRequest(
+    req.rawBody,
+    req.get('X-Signature-Ed25519'),
+    req.get('X-Signature-Timestamp')
+  )
+  if (!ok) return res.status(401).json({ error: 'invalid request signature' })
+
+  const { response, followUp } = discordBot.handleInteraction(req.body)
+  res.json(response)
+  if (followUp) followUp()
+})
+
 // ─── End Notifications & Alerts ──────────────────────────────────────────────
 
 // ─── Expose notification helpers for trigger points ──────────────────────────
@@ -5165,31 +5145,181 @@ async function notifyNarrativeActive (narrative) {
   await notifyWalletsForType('narrative_active', title, body, { narrative })
 }
 
+async function notifyNarrativeRotation (rotation) {
+  const title = `🔄 Rotation: ${rotation.fromLabel} → ${rotation.toLabel}`
+  const body  = `Volume is rotating out of ${rotation.fromLabel} (${rotation.fromShareBefore}% → ${rotation.fromShareNow}% of live runners) into ${rotation.toLabel} (${rotation.toShareBefore}% → ${rotation.toShareNow}%).`
+  await notifyWalletsForType('narrative_rotation', title, body, rotation)
+}
+
 async function notifyTelegramSignal (alphaSymbol, betaSymbol) {
   const title = `📡 Telegram signal: $${betaSymbol}`
   const body  = `$${betaSymbol} spotted alongside $${alphaSymbol} in Telegram alpha calls.`
   await notifyWalletsForType('telegram_signal', title, body, { alphaSymbol, betaSymbol })
 }
 
-// ─── Shared expire interval — boosts / listings / ads ──────────────────────
-// Runs every 5 min to mark expired paid placements inactive.
-// Removes the need to run expiry on every GET request.
-// Cache is cleared after each run so the next GET pulls fresh data.
-setInterval(async () => {
+// ─── Background jobs ───────────────────────────────────────────────────────
+// Every recurring task is registered here (see jobScheduler.js). Locked jobs
+// run on one instance per interval; `lock: false` jobs work on per-instance
+// memory and run everywhere. Run history is served by GET /api/jobs.
+
+jobScheduler.register('price-alerts', runPriceAlertCheck, {
+  everyMs:     5 * 60 * 1000,
+  firstRunMs:  2 * 60 * 1000,
+  description: 'Watchlist price alerts — notification + Telegram DM',
+})
+
+// Marks expired paid placements inactive — removes the need to run expiry on
+// every GET request. activeCache is per instance with a 2min TTL, so the other
+// instances catch up on their own.
+jobScheduler.register('expire-placements', async () => {
+  await expireBoosts()
+  await expireListings()
+  await expireAds()
+  activeCache.del('boosts')
+  activeCache.del('listings')
+  activeCache.del('ads')
+}, {
+  everyMs:     5 * 60 * 1000,
+  description: 'Expire boosts / listings / ads',
+})
+
+// Disabled — re-enable when Groq Developer tier active
+jobScheduler.register('proactive-beta-scan', runProactiveBetaScan, {
+  everyMs:     5 * 60 * 1000,
+  firstRunMs:  60 * 1000,
+  timeoutMs:   30 * 60 * 1000,
+  enabled:     false,
+  description: 'Pre-scan top live alphas into beta_relations',
+})
+
+jobScheduler.register('news-poll', newsService.poll, {
+  everyMs:     30 * 60 * 1000,
+  firstRunMs:  0,
+  description: 'News narratives refresh + narrative_active alerts',
+})
+
+// Per-instance: each instance serves V10 from its own in-memory Telegram cache
+jobScheduler.register('telegram-poll', telegramService.runPollCycle, {
+  everyMs:     telegramService.POLL_INTERVAL_MS,
+  firstRunMs:  45_000,   // after connect + first report-alphas
+  lock:        false,
+  description: 'Telegram alpha channel poll (Vector 10)',
+})
+
+jobScheduler.register('telegram-channel-scoring', telegramChannels.runScoring, {
+  everyMs:     60 * 60 * 1000,
+  firstRunMs:  12 * 60 * 1000,
+  description: 'Score Telegram signals at +24h and recalibrate channel weights',
+})
+
+jobScheduler.register('telegram-archive-prune', telegramArchive.pruneArchive, {
+  everyMs:     24 * 60 * 60 * 1000,
+  firstRunMs:  50 * 60 * 1000,
+  description: 'Drop archived Telegram messages older than 90 days',
+})
+
+// Per-instance: loads betas ingested on any instance into the local cache
+jobScheduler.register('social-signal-refresh', twitterService.refresh, {
+  everyMs:     60 * 1000,
+  lock:        false,
+  description: 'Load ingested social-post betas (Vector 11)',
+})
+
+// Rotation detection reads the snapshots, so it runs right after a write
+jobScheduler.register('narrative-snapshot', async () => {
+  if (await narrativeHistory.snapshot()) await narrativeRotation.detect()
+}, {
+  everyMs:     narrativeHistory.SNAPSHOT_EVERY_MS,
+  firstRunMs:  5 * 60 * 1000,   // after the first client reports its Szn cards
+  description: 'Score reported Szn narratives from DexScreener into the heat timeline + detect rotations',
+})
+
+jobScheduler.register('legend-promotion', legends.runPromotion, {
+  everyMs:     6 * 60 * 60 * 1000,
+  firstRunMs:  15 * 60 * 1000,
+  description: 'Promote tokens meeting the DexScreener-verified legend criteria into legends',
+})
+
+jobScheduler.register('beta-performance', betaPerformance.runSnapshots, {
+  everyMs:     10 * 60 * 1000,
+  firstRunMs:  3 * 60 * 1000,
+  description: 'Snapshot beta + alpha prices at +1h / +6h / +24h / +7d after detection',
+})
+
+jobScheduler.register('folio-peaks', flags.trackFolioPeaks, {
+  everyMs:     30 * 60 * 1000,
+  firstRunMs:  8 * 60 * 1000,
+  description: 'Read live mcap for recent folio calls — flag reputation counts hits on these server-read peaks',
+})
+
+jobScheduler.register('signal-calibration', signalWeights.calibrate, {
+  everyMs:     6 * 60 * 60 * 1000,
+  firstRunMs:  10 * 60 * 1000,
+  description: 'Recompute signal weights from returns + community feedback',
+})
+
+// Per-instance: picks up the table published by whichever instance calibrated
+jobScheduler.register('signal-weights-refresh', signalWeights.refresh, {
+  everyMs:     15 * 60 * 1000,
+  lock:        false,
+  description: 'Load the latest published signal weights',
+})
+
+jobScheduler.register('webhook-retry', webhooks.runRetries, {
+  everyMs:     30 * 1000,
+  firstRunMs:  60 * 1000,
+  description: 'Retry failed webhook deliveries (exponential backoff)',
+})
+
+jobScheduler.register('webhook-log-prune', webhooks.pruneDeliveries, {
+  everyMs:     24 * 60 * 60 * 1000,
+  firstRunMs:  40 * 60 * 1000,
+  description: 'Drop webhook delivery log entries older than 14 days',
+})
+
+jobScheduler.register('discord-feed-prune', discordBot.pruneFeedPosts, {
+  everyMs:     24 * 60 * 60 * 1000,
+  firstRunMs:  30 * 60 * 1000,
+  description: 'Drop old Discord feed post claims',
+})
+
+jobScheduler.register('nonce-cleanup', cleanupNonces, {
+  everyMs:     10 * 60 * 1000,
+  lock:        false,
+  description: 'Drop expired sign-in nonces (in-memory)',
+})
+
+// Per-instance: pushes this instance's LLM counters, pulls cross-instance totals
+jobScheduler.register('llm-usage-flush', llmRouter.flushUsage, {
+  everyMs:     60 * 1000,
+  lock:        false,
+  description: 'Persist per-provider LLM request/token counters',
+})
+
+// Trigger-only — report-alphas fires it when new alphas are queued
+jobScheduler.register('warmup-queue', drainWarmupQueue, {
+  lock:        false,
+  description: 'Background expansion of newly reported alphas',
+})
+
+// GET /api/jobs
+// Registered jobs with schedule, lease and last recorded run (any instance).
+// lastLocalRun is this instance's own last run — useful for lock: false jobs.
+app.get('/api/jobs', async (req, res) => {
   try {
-    await expireBoosts()
-    await expireListings()
-    await expireAds()
-    activeCache.del('boosts')
-    activeCache.del('listings')
-    activeCache.del('ads')
+    res.json({ instance: jobScheduler.INSTANCE_ID, jobs: await jobScheduler.getStatus() })
   } catch (err) {
-    console.warn('[Expire] Scheduled expire error (non-fatal):', err.message)
+    console.error('[Jobs] Status error:', err.message)
+    res.status(500).json({ error: err.message })
   }
-}, 5 * 60 * 1000)
+})
 
+// ─── Boot ─────────────────────────────────────────────────────────
+// `node server/index.js` listens and starts the bots, scheduler, SSE and
+// background services. Requiring this file (replay_scan.js) only builds
+// the app — the caller listens, and nothing else starts.
 const PORT = process.env.PORT || 3001
-app.listen(PORT, async () => {
+const start = () => app.listen(PORT, async () => {
   console.log(`BetaPlays backend on port ${PORT}`)
   // Delay DB init by 15s — gives pool time to settle and avoids EMAXCONN
   // on cold starts where multiple processes race for connections simultaneously.
@@ -5197,17 +5327,46 @@ app.listen(PORT, async () => {
     await db.init()
     // Load persisted expansion cache from Supabase after schema is confirmed ready
     await loadExpansionCache(expansionCache)
+    // Today's LLM quota state — a provider exhausted before a restart stays skipped
+    await llmRouter.loadUsage()
+    // Latest calibrated signal weights — rankings use the constants until loaded
+    await signalWeights.refresh().catch(err =>
+      console.warn('[SignalWeights] Load failed:', err.message)
+    )
   }, 15_000)
   // Initialise Telegram service after server is up
   telegramService.init().catch(err =>
     console.error('[TelegramService] Init failed:', err.message)
   )
-  // Initialise Twitter service (stub — logs status, no-ops until credentials added)
+  // Initialise Twitter service — loads ingested post results; the ingest
+  // worker analyses posts pushed to POST /api/social/ingest
   twitterService.init().catch(err =>
     console.error('[TwitterService] Init failed:', err.message)
   )
   newsService.init()
+  jobScheduler.start()
+  newsService.onNarrativeActive(narrative => {
+    eventStream.publish('narrative', narrative)
+    notifyNarrativeActive(narrative.category).catch(() => {})
+    discordBot.postNarrative(narrative).catch(() => {})
+  })
+  narrativeRotation.onRotation(rotation => {
+    eventStream.publish('rotation', rotation)
+    notifyNarrativeRotation(rotation).catch(() => {})
+  })
+  webhooks.onDisabled(hook => {
+    createNotification(hook.wallet_address, 'webhook_disabled', 'Webhook disabled',
+      `Deliveries to ${new URL(hook.url).host} kept failing. Fix the endpoint, then re-enable it.`,
+      { webhookId: hook.id }
+    ).catch(() => {})
+  })
   telegramBot.init()
+  discordBot.init()
+  eventStream.init()
   console.log('[Warmup] Cache warming driven by live feed via report-alphas')
   console.log('[ProactiveScan] Disabled — re-enable when Groq Developer tier active')
-})
\ No newline at end of file
+})
+
+if (require.main === module) start()
+
+module.exports = { app }
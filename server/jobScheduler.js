@@ -0,0 +1,227 @@
+// ─── Job Scheduler — background jobs with run history + cross-instance locks ──
+// Replaces the ad-hoc setInterval loops in index.js and the services.
+// Each job is registered once with its schedule; the scheduler owns the
+// timers, prevents overlapping runs in-process, and records every run
+// (start, duration, error) in the `jobs` table for GET /api/jobs.
+//
+// Multi-instance: Render runs several instances, each with its own timers.
+// A `lock: true` job runs on ONE instance per interval:
+//   1. BEGIN + pg_try_advisory_xact_lock(job) — serialises the claim
+//   2. skip if another instance holds the lease or started < interval ago
+//   3. write the lease (running_until) + last_started_at, COMMIT
+// The advisory lock is held for the claim only (milliseconds) — a
+// session-level lock would be meaningless through the PgBouncer
+// transaction pooler, and pinning one of our 3 pool connections for a
+// multi-minute job would starve request traffic. The lease covers the run
+// itself; if the instance dies mid-run it expires after timeoutMs.
+//
+// `lock: false` is for jobs over per-instance memory (nonce store, warmup
+// queue, Telegram cache) — every instance must run its own copy.
+//
+// Without DATABASE_URL jobs still run on schedule, just unrecorded.
+// JOBS_DISABLED=true registers everything but never starts the timers —
+// for one-off processes like replay_scan.js.
+
+const os = require('os')
+const { pool } = require('./db')
+
+const INSTANCE_ID = process.env.RENDER_INSTANCE_ID || `${os.hostname()}:${process.pid}`
+const CLAIM_SLACK = 0.8   // another instance started within 80% of the interval → ours is a duplicate
+
+const jobs = new Map()    // name → { name, fn, everyMs, firstRunMs, lock, timeoutMs, enabled, description, running, timers }
+let started = false
+
+// ─── DB helpers ───────────────────────────────────────────────────
+
+// Returns true when this instance may run the job now.
+const claim = async (job) => {
+  if (!process.env.DATABASE_URL || !job.lock) return true
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const { rows: [{ locked }] } = await client.query(
+      'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked', [`job:${job.name}`]
+    )
+    if (!locked) { await client.query('ROLLBACK'); return false }
+
+    const { rows } = await client.query(
+      `SELECT running_until > NOW() AS leased,
+              last_started_at > NOW() - ($2 || ' milliseconds')::INTERVAL AS recent
+       FROM jobs WHERE name = $1`,
+      [job.name, Math.round((job.everyMs || 0) * CLAIM_SLACK)]
+    )
+    if (rows[0]?.leased || (job.everyMs && rows[0]?.recent)) {
+      await client.query('ROLLBACK')
+      return false
+    }
+
+    await client.query(
+      `INSERT INTO jobs (name, last_started_at, running_until, instance)
+       VALUES ($1, NOW(), NOW() + ($2 || ' milliseconds')::INTERVAL, $3)
+       ON CONFLICT (name) DO UPDATE SET
+         last_started_at = EXCLUDED.last_started_at,
+         running_until   = EXCLUDED.running_until,
+         instance        = EXCLUDED.instance`,
+      [job.name, job.timeoutMs, INSTANCE_ID]
+    )
+    await client.query('COMMIT')
+    return true
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+const recordRun = async (job, startedAt, durationMs, error) => {
+  if (!process.env.DATABASE_URL) return
+  await pool.query(
+    `INSERT INTO jobs (name, schedule_ms, last_started_at, last_finished_at, last_duration_ms,
+                      last_status, last_error, run_count, error_count, running_until, instance)
+     VALUES ($1, $2, $3, NOW(), $4, $5, $6, 1, $7, NULL, $8)
+     ON CONFLICT (name) DO UPDATE SET
+       schedule_ms      = EXCLUDED.schedule_ms,
+       last_started_at  = EXCLUDED.last_started_at,
+       last_finished_at = EXCLUDED.last_finished_at,
+       last_duration_ms = EXCLUDED.last_duration_ms,
+       last_status      = EXCLUDED.last_status,
+       last_error       = EXCLUDED.last_error,
+       run_count        = jobs.run_count + 1,
+       error_count      = jobs.error_count + EXCLUDED.error_count,
+       running_until    = NULL,
+       instance         = EXCLUDED.instance`,
+    [
+      job.name, job.everyMs, new Date(startedAt), durationMs,
+      error ? 'error' : 'ok', error ? String(error.message || error).slice(0, 500) : null,
+      error ? 1 : 0, INSTANCE_ID,
+    ]
+  )
+}
+
+// ─── Runner ───────────────────────────────────────────────────────
+
+// Runs a job once if it isn't already running here and (for locked jobs)
+// no other instance has claimed it. Returns 'ran' | 'busy' | 'skipped' | 'error'.
+async function runJob (name) {
+  const job = jobs.get(name)
+  if (!job) throw new Error(`Unknown job: ${name}`)
+  if (job.running) return 'busy'
+
+  job.running = true
+  try {
+    const ok = await claim(job)
+    if (!ok) return 'skipped'
+  } catch (err) {
+    job.running = false
+    console.warn(`[Jobs] ${name} — claim failed, skipping run:`, err.message)
+    return 'skipped'
+  }
+
+  const startedAt = Date.now()
+  let error = null
+  try {
+    await job.fn()
+  } catch (err) {
+    error = err
+    console.error(`[Jobs] ${name} failed:`, err.message)
+  }
+  // Clear before the async record — a trigger arriving meanwhile must not be dropped
+  job.running = false
+  const durationMs = Date.now() - startedAt
+  job.lastLocalRun = { startedAt, durationMs, error: error?.message || null }
+
+  try {
+    await recordRun(job, startedAt, durationMs, error)
+  } catch (err) {
+    console.warn(`[Jobs] ${name} — could not record run:`, err.message)
+  }
+  return error ? 'error' : 'ran'
+}
+
+const schedule = (job) => {
+  if (!job.enabled || !job.everyMs) return
+  const tick = () => runJob(job.name).catch(() => {})
+  job.timers.push(setTimeout(() => {
+    tick()
+    job.timers.push(setInterval(tick, job.everyMs))
+  }, job.firstRunMs))
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+// Register a job. everyMs = null → trigger-only (runNow).
+function register (name, fn, {
+  everyMs     = null,
+  firstRunMs  = everyMs || 0,
+  lock        = true,
+  timeoutMs   = Math.max(everyMs || 0, 10 * 60 * 1000),
+  enabled     = true,
+  description = '',
+} = {}) {
+  if (jobs.has(name)) throw new Error(`Job already registered: ${name}`)
+  const job = { name, fn, everyMs, firstRunMs, lock, timeoutMs, enabled, description, running: false, timers: [], lastLocalRun: null }
+  jobs.set(name, job)
+  if (started) schedule(job)
+}
+
+// Fire a job now (non-blocking). No-op if it's already running here.
+function runNow (name) {
+  runJob(name).catch(() => {})
+}
+
+function start () {
+  if (started) return
+  if (process.env.JOBS_DISABLED === 'true') {
+    console.log('[Jobs] JOBS_DISABLED — scheduler not started')
+    return
+  }
+  started = true
+  for (const job of jobs.values()) schedule(job)
+  const active = [...jobs.values()].filter(j => j.enabled)
+  console.log(`[Jobs] Scheduler started on ${INSTANCE_ID} — ${active.length} jobs: ${active.map(j => j.name).join(', ')}`)
+}
+
+function stop () {
+  for (const job of jobs.values()) {
+    job.timers.forEach(t => clearTimeout(t))
+    job.timers = []
+  }
+  started = false
+}
+
+// Registry merged with the recorded run history — shape served by GET /api/jobs.
+async function getStatus () {
+  let rows = []
+  if (process.env.DATABASE_URL) {
+    try {
+      ({ rows } = await pool.query('SELECT * FROM jobs'))
+    } catch (err) {
+      console.warn('[Jobs] Status query failed:', err.message)
+    }
+  }
+  const byName = new Map(rows.map(r => [r.name, r]))
+  return [...jobs.values()].map(job => {
+    const row = byName.get(job.name)
+    return {
+      name:           job.name,
+      description:    job.description,
+      enabled:        job.enabled,
+      everyMs:        job.everyMs,
+      lock:           job.lock,
+      runningHere:    job.running,
+      runningUntil:   row?.running_until     || null,
+      lastStartedAt:  row?.last_started_at   || null,
+      lastFinishedAt: row?.last_finished_at  || null,
+      lastDurationMs: row?.last_duration_ms  ?? null,
+      lastStatus:     row?.last_status       || null,
+      lastError:      row?.last_error        || null,
+      lastInstance:   row?.instance          || null,
+      runCount:       row?.run_count         || 0,
+      errorCount:     row?.error_count       || 0,
+      lastLocalRun:   job.lastLocalRun,
+    }
+  })
+}
+
+module.exports = { register, runNow, start, stop, getStatus, INSTANCE_ID }
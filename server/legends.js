@@ -0,0 +1,158 @@
+// ─── BetaPlays — Legend Promotion ─────────────────────────────────
+// Server-side OG list. The frontend's LEGENDS (src/data/historical_alphas.js)
+// is a static array; everything promoted here is served by GET /api/legends
+// and merged into it, so adding a legend no longer needs a code change.
+//
+// The 'legend-promotion' job shortlists tokens from the tokens table
+// (recorded peak mcap and beta count), then checks every candidate
+// against DexScreener (betaPerformance.fetchPrices) before promoting.
+// CRITERIA mirrors LEGEND_CRITERIA in historical_alphas.js — peaks, not
+// current price, so a bear market doesn't keep a legend out:
+//   age          oldest DexScreener pair                    ≥ 365 days
+//   mcap         recorded peak (ath_mcap / peak_mcap)       ≥ $20M
+//   betas        distinct betas in beta_relations           ≥ 3
+//   liquidity    peak liquidity the job has read            ≥ $200K
+// DexScreener also proves the token still trades. The verified age and
+// liquidity are written back to tokens (pair_created_at, peak_liquidity)
+// — no client value reaches them.
+//
+// A rejected candidate goes to legend_rejections and leaves the shortlist
+// until retry_at — the day it turns minAgeDays for a too-young token,
+// RECHECK_MS later otherwise — so it doesn't crowd out the ones below it.
+//
+// Qualifiers are inserted into legends and stay there: later dumps, low
+// volume or pruned alpha_runs never revoke one. Only a moderator does
+// (revoke(), audited by the route) — the row is kept with revoked_at so
+// the job never promotes that token again.
+// ──────────────────────────────────────────────────────────────────
+
+const db              = require('./db')
+const { fetchPrices } = require('./betaPerformance')
+
+// ─── Config ───────────────────────────────────────────────────────
+const CRITERIA = {
+  minAgeDays:       365,
+  minPeakMcap:      20_000_000,
+  minBetasSpawned:  3,
+  minPeakLiquidity: 200_000,
+}
+const CACHE_TTL_MS   = 5 * 60 * 1000
+const MAX_CANDIDATES = 300   // DexScreener checks per run, 30 per call
+const RECHECK_MS     = 7 * 24 * 60 * 60 * 1000
+const DAY_MS         = 24 * 60 * 60 * 1000
+
+let cache = null   // { at, legends } — GET /api/legends, per instance
+
+// Shortlist: not yet a legend (or revoked), not waiting out a rejection,
+// recorded peak mcap and betas spawned over the bar. Ordered so the
+// likeliest are checked first.
+const CANDIDATES_SQL = `
+  SELECT t.address, t.symbol, t.name, t.logo_url, t.category,
+         GREATEST(COALESCE(t.ath_mcap, 0), COALESCE(t.peak_mcap, 0))::float8 AS peak_mcap,
+         COALESCE(t.peak_liquidity, 0)::float8 AS peak_liquidity,
+         b.betas::int AS betas_spawned
+  FROM tokens t
+  JOIN LATERAL (SELECT COUNT(DISTINCT beta_address) AS betas FROM beta_relations WHERE alpha_address = t.address) b ON true
+  WHERE NOT EXISTS (SELECT 1 FROM legends l WHERE l.address = t.address)
+    AND NOT EXISTS (SELECT 1 FROM legend_rejections r WHERE r.address = t.address AND r.retry_at > NOW())
+    AND GREATEST(COALESCE(t.ath_mcap, 0), COALESCE(t.peak_mcap, 0)) >= $1
+    AND b.betas >= $2
+  ORDER BY GREATEST(COALESCE(t.ath_mcap, 0), COALESCE(t.peak_mcap, 0)) DESC
+  LIMIT $3`
+
+// Job: every 6h (one instance). Returns the newly promoted legends.
+async function runPromotion () {
+  if (!process.env.DATABASE_URL) return []
+  const { rows: candidates } = await db.query(CANDIDATES_SQL,
+    [CRITERIA.minPeakMcap, CRITERIA.minBetasSpawned, MAX_CANDIDATES])
+  if (!candidates.length) return []
+
+  const { prices, failed } = await fetchPrices(candidates.map(c => c.address))
+  const promoted = []
+  const reject = (c, reason, retryAt = Date.now() + RECHECK_MS) => db.query(`
+    INSERT INTO legend_rejections (address, reason, checked_at, retry_at)
+    VALUES ($1, $2, NOW(), to_timestamp($3 / 1000.0))
+    ON CONFLICT (address) DO UPDATE SET
+      reason = EXCLUDED.reason, checked_at = NOW(), retry_at = EXCLUDED.retry_at
+  `, [c.address, reason, retryAt])
+
+  for (const c of candidates) {
+    if (failed.has(c.address)) continue   // batch failed — next run
+    const live = prices.get(c.address)
+    if (!live) { await reject(c, 'no DexScreener pairs'); continue }
+    await db.query(`
+      UPDATE tokens SET
+        pair_created_at = COALESCE(to_timestamp($2 / 1000.0), pair_created_at),
+        peak_liquidity  = GREATEST(COALESCE(peak_liquidity, 0), $3)
+      WHERE address = $1
+    `, [c.address, live.pairCreatedAt, live.liquidity || 0])
+
+    if (!live.pairCreatedAt) { await reject(c, 'no pair age'); continue }
+    const ageDays = (Date.now() - live.pairCreatedAt) / DAY_MS
+    if (ageDays < CRITERIA.minAgeDays) {
+      await reject(c, `age ${Math.floor(ageDays)}d`, live.pairCreatedAt + CRITERIA.minAgeDays * DAY_MS)
+      continue
+    }
+    const peakLiquidity = Math.max(c.peak_liquidity, live.liquidity || 0)
+    if (peakLiquidity < CRITERIA.minPeakLiquidity) {
+      await reject(c, `peak liquidity $${Math.round(peakLiquidity)}`)
+      continue
+    }
+
+    const metrics = {
+      bornAt:        new Date(live.pairCreatedAt).toISOString(),
+      peakMcap:      c.peak_mcap,
+      peakLiquidity,
+      mcap:          live.mcap,
+      liquidity:     live.liquidity,
+      betasSpawned:  c.betas_spawned,
+      verifiedAt:    new Date().toISOString(),
+    }
+    const { rows } = await db.query(`
+      INSERT INTO legends (address, symbol, name, logo_url, category, promoted_by, metrics)
+      VALUES ($1, $2, $3, $4, $5, 'algorithm', $6::jsonb)
+      ON CONFLICT (address) DO NOTHING
+      RETURNING address, symbol
+    `, [c.address, c.symbol, c.name, c.logo_url, c.category, JSON.stringify(metrics)])
+    if (rows[0]) promoted.push(rows[0])
+  }
+  if (promoted.length) {
+    cache = null
+    console.log(`[Legends] Promoted ${promoted.length}: ${promoted.map(r => '$' + r.symbol).join(', ')}`)
+  }
+  return promoted
+}
+
+// Moderator revoke — keeps the row (revoked_at) so the job can't promote
+// it again. Returns the legend, or null when it isn't an active one.
+async function revoke (address, wallet, reason = null) {
+  const { rows } = await db.query(`
+    UPDATE legends SET revoked_at = NOW(), revoked_by = $2, revoke_reason = $3
+    WHERE address = $1 AND revoked_at IS NULL
+    RETURNING address, symbol, promoted_by AS "promotedBy", metrics
+  `, [address, wallet, reason ? String(reason).slice(0, 280) : null])
+  if (rows[0]) cache = null
+  return rows[0] || null
+}
+
+// Every promoted legend, oldest promotion first
+async function list () {
+  if (!process.env.DATABASE_URL) return []
+  if (cache && Date.now() - cache.at < CACHE_TTL_MS) return cache.legends
+  const { rows } = await db.query(`
+    SELECT address, symbol, name, logo_url AS "logoUrl", category,
+           promoted_by AS "promotedBy", promoted_at AS "promotedAt", metrics
+    FROM legends
+    WHERE revoked_at IS NULL
+    ORDER BY promoted_at, address
+  `)
+  cache = { at: Date.now(), legends: rows }
+  return rows
+}
+
+module.exports = {
+  runPromotion,
+  revoke,
+  list,
+  CRITERIA,
+}
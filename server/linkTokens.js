@@ -0,0 +1,54 @@
+// ─── Chat Account Link Tokens ─────────────────────────────────────
+// One-time tokens that tie a chat account (Telegram chat, Discord user)
+// to a wallet. The app mints one for the JWT wallet; the bot redeems it
+// when the user hands it over (/start TOKEN, /link code:TOKEN).
+//
+// Token = 16-char id + 16-char HMAC(id) keyed by the platform's bot
+// token — base64url, fits Telegram's 64-char start parameter. The
+// signature rejects guessed tokens without a DB hit; the
+// telegram_link_tokens row (shared by every platform, `platform`
+// column) carries the wallet, expiry and used_at.
+
+const crypto = require('crypto')
+const db     = require('./db')
+
+const LINK_TTL_MS = 10 * 60 * 1000
+
+const sign = (secret, id) =>
+  crypto.createHmac('sha256', secret).update(`link:${id}`).digest('base64url').slice(0, 16)
+
+// Mint a token for an authenticated wallet. Earlier unused tokens for the
+// wallet on the same platform are dropped — only the newest one works.
+async function createLinkToken (platform, wallet, secret) {
+  const id        = crypto.randomBytes(12).toString('base64url')
+  const expiresAt = new Date(Date.now() + LINK_TTL_MS)
+  await db.query(
+    `DELETE FROM telegram_link_tokens
+     WHERE (wallet_address = $1 AND platform = $2 AND used_at IS NULL)
+        OR expires_at < NOW() - INTERVAL '1 day'`,
+    [wallet, platform]
+  )
+  await db.query(
+    'INSERT INTO telegram_link_tokens (id, wallet_address, expires_at, platform) VALUES ($1, $2, $3, $4)',
+    [id, wallet, expiresAt, platform]
+  )
+  return { token: `${id}${sign(secret, id)}`, expiresAt: expiresAt.getTime() }
+}
+
+// Returns the wallet for a valid, unexpired, unused token and marks it used.
+async function redeemLinkToken (platform, token, secret) {
+  if (typeof token !== 'string' || token.length !== 32) return null
+  const id       = token.slice(0, 16)
+  const expected = Buffer.from(sign(secret, id))
+  const given    = Buffer.from(token.slice(16))
+  if (given.length !== expected.length || !crypto.timingSafeEqual(expected, given)) return null
+  const { rows } = await db.query(
+    `UPDATE telegram_link_tokens SET used_at = NOW()
+     WHERE id = $1 AND platform = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING wallet_address`,
+    [id, platform]
+  )
+  return rows[0]?.wallet_address || null
+}
+
+module.exports = { createLinkToken, redeemLinkToken, LINK_TTL_MS }
@@ -0,0 +1,378 @@
+// ─── LLM Router — one provider chain per task, persisted quota ───────
+// Every AI call in the server goes through complete(task, request).
+// Replaces the per-endpoint fallback chains (score-betas, categorize-szn,
+// expand-alpha, analyze-vision) and the in-memory Groq 70b limit flag.
+//
+// Providers: one entry per model endpoint. kind 'openai' covers Groq,
+// OpenRouter and any OpenAI-compatible server; kind 'gemini' is Google's
+// generateContent API.
+//
+// Tasks: ordered provider list, strongest/most-available first. A provider
+// is skipped when its key is missing, it can't take images, or it's
+// exhausted for the day. Any error falls through to the next provider.
+//
+// Quota: per-provider daily counters (requests / tokens / errors / 429s)
+// live in memory and are flushed to llm_usage every minute by the
+// 'llm-usage-flush' job. The flush returns the cross-instance totals, so
+// a daily cap hit on one instance is respected by all of them within a
+// minute. A 429 with a per-day signature marks the provider exhausted
+// until UTC midnight — persisted, so a restart doesn't retry it.
+//
+// Local provider: set LOCAL_LLM_URL to an OpenAI-compatible base URL
+// (e.g. http://localhost:8080/v1) to put a self-hosted model first in
+// every chain. LOCAL_LLM_EXCLUSIVE=true routes ONLY to it — point it at a
+// stub server and no real provider is ever called.
+//   LOCAL_LLM_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY (optional),
+//   LOCAL_LLM_VISION=true if the model takes images
+
+const { pool } = require('./db')
+
+const GROQ_URL = 'https://api.groq.com/openai/v1/chat/completions'
+const OR_URL   = 'https://openrouter.ai/api/v1/chat/completions'
+const OR_HEADERS = { 'HTTP-Referer': 'https://betaplays.app', 'X-Title': 'BetaPlays' }
+const GROQ_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']
+const DEFAULT_TIMEOUT_MS = 45_000
+
+// ─── Provider registry ────────────────────────────────────────────
+const PROVIDERS = {
+  'local': {
+    kind: 'openai', label: 'Local',
+    url: process.env.LOCAL_LLM_URL ? `${process.env.LOCAL_LLM_URL.replace(/\/+$/, '')}/chat/completions` : null,
+    keyEnv: 'LOCAL_LLM_API_KEY', keyOptional: true,
+    model: process.env.LOCAL_LLM_MODEL || 'local',
+    vision: process.env.LOCAL_LLM_VISION === 'true',
+  },
+  // Groq free tier caps 70b at ~100K tokens/day — tracked proactively
+  'groq-70b':   { kind: 'openai', label: 'Groq 70b',   url: GROQ_URL, keyEnv: 'GROQ_API_KEY', model: 'llama-3.3-70b-versatile', dailyTokens: 100_000 },
+  'groq-scout': { kind: 'openai', label: 'Groq Scout', url: GROQ_URL, keyEnv: 'GROQ_API_KEY', model: 'meta-llama/llama-4-scout-17b-16e-instruct', vision: true, imageTypes: GROQ_IMAGE_TYPES },
+  // Separate model = separate quota (500K TPD) — too weak for nuanced scoring
+  'groq-8b':    { kind: 'openai', label: 'Groq 8b',    url: GROQ_URL, keyEnv: 'GROQ_API_KEY', model: 'llama-3.1-8b-instant' },
+
+  'or-llama-70b':        { kind: 'openai', label: 'OR llama-70b',     url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'meta-llama/llama-3.3-70b-instruct:free' },
+  // R1:free removed from OR April 2026 — V3 is the replacement
+  'or-deepseek-v3':      { kind: 'openai', label: 'OR deepseek-v3',   url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'deepseek/deepseek-chat-v3-0324:free' },
+  'or-kimi-k2.5':        { kind: 'openai', label: 'Kimi K2.5',        url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'moonshotai/kimi-k2.5' },
+  'or-gemma-4-31b':      { kind: 'openai', label: 'Gemma 4 31B',      url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'google/gemma-4-31b-it', vision: true },
+  // MoE variant — 3.8B active params, much faster than 31B at comparable quality
+  'or-gemma-4-26b':      { kind: 'openai', label: 'Gemma 4 26B MoE',  url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'google/gemma-4-26b-a4b-it' },
+  'or-qwen-72b':         { kind: 'openai', label: 'OR qwen-72b',      url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'qwen/qwen-2.5-72b-instruct:free' },
+  // Formerly "Healer Alpha" / "Hunter Alpha" — replaced March 18 2026
+  'or-mimo-v2-omni':     { kind: 'openai', label: 'MiMo V2 Omni',     url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'xiaomi/mimo-v2-omni', vision: true },
+  'or-gemini-flash-exp': { kind: 'openai', label: 'OR gemini-flash',  url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'google/gemini-2.0-flash-exp:free' },
+  // Best reasoning but slow — needs temp=1.0 for reliability
+  'or-kimi-k2-thinking': { kind: 'openai', label: 'Kimi K2 Thinking', url: OR_URL, keyEnv: 'OPENROUTER_API_KEY', headers: OR_HEADERS, model: 'moonshotai/kimi-k2-thinking', temperature: 1.0 },
+
+  // 15 req/min, 1500/day free
+  'gemini-flash': { kind: 'gemini', label: 'Gemini Flash', keyEnv: 'GEMINI_API_KEY', model: 'gemini-2.0-flash', vision: true, dailyRequests: 1500 },
+}
+
+// ─── Task chains ──────────────────────────────────────────────────
+const TASKS = {
+  // Vector 8 relationship scoring — 8b-instant LAST, too weak for nuance
+  scoring: [
+    'groq-70b', 'groq-scout', 'or-llama-70b', 'or-deepseek-v3', 'or-kimi-k2.5', 'or-gemma-4-31b',
+    'or-qwen-72b', 'or-mimo-v2-omni', 'gemini-flash', 'or-gemini-flash-exp', 'or-kimi-k2-thinking', 'groq-8b',
+  ],
+  // Vector 0A text expansion — empty result is better than broken 8b JSON
+  // cached as 0 terms, so the chain stops at Gemini
+  expansion: ['groq-70b', 'or-gemma-4-26b', 'gemini-flash'],
+  // Vector 0B logo expansion
+  logo: ['gemini-flash', 'or-gemma-4-31b', 'groq-scout'],
+  // /api/analyze-vision classify + compare
+  vision: ['gemini-flash', 'groq-scout', 'or-mimo-v2-omni'],
+  // /api/categorize-szn — same order as scoring minus Gemma
+  szn: [
+    'groq-70b', 'groq-scout', 'or-llama-70b', 'or-deepseek-v3', 'or-kimi-k2.5', 'or-qwen-72b',
+    'or-mimo-v2-omni', 'or-gemini-flash-exp', 'groq-8b', 'gemini-flash', 'or-kimi-k2-thinking',
+  ],
+  // Telegram Layer 3 ticker extraction — tiny prompt, fastest model
+  extraction: ['groq-8b'],
+}
+
+// ─── Usage accounting ─────────────────────────────────────────────
+const usage = new Map()  // provider → { day, total: {requests,tokens}, pending: {...}, exhaustedUntil, dirty }
+
+const utcDay = () => new Date().toISOString().slice(0, 10)
+const nextUtcMidnight = () => {
+  const now = new Date()
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+}
+
+const emptyCounts = () => ({ requests: 0, tokens: 0, errors: 0, rateLimited: 0 })
+
+const usageFor = (id) => {
+  const day = utcDay()
+  let u = usage.get(id)
+  if (!u || u.day !== day) {
+    u = { day, total: emptyCounts(), pending: emptyCounts(), exhaustedUntil: 0, dirty: false }
+    usage.set(id, u)
+  }
+  return u
+}
+
+const count = (id, field, n = 1) => {
+  const u = usageFor(id)
+  u.pending[field] += n
+  u.dirty = true
+}
+
+// Today's counts = last flushed cross-instance total + local unflushed delta
+const todayCounts = (id) => {
+  const { total, pending } = usageFor(id)
+  return {
+    requests:    total.requests    + pending.requests,
+    tokens:      total.tokens      + pending.tokens,
+    errors:      total.errors      + pending.errors,
+    rateLimited: total.rateLimited + pending.rateLimited,
+  }
+}
+
+function markExhausted (id) {
+  const u = usageFor(id)
+  if (u.exhaustedUntil > Date.now()) return
+  u.exhaustedUntil = nextUtcMidnight()
+  u.dirty = true
+  console.warn(`[LLM] ${PROVIDERS[id]?.label || id} daily limit hit — skipping until UTC midnight`)
+}
+
+function isExhausted (id) {
+  const provider = PROVIDERS[id]
+  const u = usageFor(id)
+  if (u.exhaustedUntil > Date.now()) return true
+  const today = todayCounts(id)
+  if (provider?.dailyTokens   && today.tokens   >= provider.dailyTokens)   return true
+  if (provider?.dailyRequests && today.requests >= provider.dailyRequests) return true
+  return false
+}
+
+// ─── Request builders ─────────────────────────────────────────────
+// Requests use Gemini-style parts — { text } | { inline_data: { mime_type, data } } —
+// which is what the vision endpoints already build. `prompt` is shorthand
+// for a single text part.
+
+const requestParts = (req) => req.parts || [{ text: req.prompt }]
+const requestImages = (req) => requestParts(req).filter(p => p.inline_data)
+
+const toOpenAIContent = (parts) => {
+  if (parts.every(p => p.text != null)) return parts.map(p => p.text).join('\n\n')
+  return parts.map(p => p.inline_data
+    ? { type: 'image_url', image_url: { url: `data:${p.inline_data.mime_type};base64,${p.inline_data.data}` } }
+    : { type: 'text', text: p.text })
+}
+
+const parseJSON = (text) => {
+  const clean = (text || '').replace(/```json|```/g, '').trim()
+  if (!clean) throw new Error('empty response')
+  return JSON.parse(clean)
+}
+
+const httpError = async (response, label) => {
+  const body = await response.text()
+  const err  = new Error(`${label} ${response.status}: ${body.slice(0, 200)}`)
+  err.status = response.status
+  // Daily quota signatures: Groq "tokens per day (TPD)", Gemini "PerDay", OR "daily"
+  err.dailyLimit = response.status === 429 && /per.?day|daily|\btpd\b|\brpd\b/i.test(body)
+  return err
+}
+
+const callOpenAI = async (provider, req, key) => {
+  const messages = []
+  if (req.system) messages.push({ role: 'system', content: req.system })
+  messages.push({ role: 'user', content: toOpenAIContent(requestParts(req)) })
+
+  const response = await fetch(provider.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key ? { 'Authorization': `Bearer ${key}` } : {}),
+      ...(provider.headers || {}),
+    },
+    body: JSON.stringify({
+      model:       provider.model,
+      max_tokens:  req.maxTokens,
+      temperature: provider.temperature ?? req.temperature,
+      messages,
+    }),
+    signal: AbortSignal.timeout(req.timeoutMs),
+  })
+  if (!response.ok) throw await httpError(response, provider.label)
+  const data = await response.json()
+  return { text: data.choices?.[0]?.message?.content || '', tokens: data.usage?.total_tokens || 0 }
+}
+
+const callGemini = async (provider, req, key) => {
+  const body = {
+    contents: [{ role: 'user', parts: requestParts(req) }],
+    generationConfig: { temperature: provider.temperature ?? req.temperature, maxOutputTokens: req.maxTokens },
+  }
+  if (req.system) body.systemInstruction = { parts: [{ text: req.system }] }
+
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${provider.model}:generateContent?key=${key}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(req.timeoutMs),
+    }
+  )
+  if (!response.ok) throw await httpError(response, provider.label)
+  const data = await response.json()
+  return {
+    text:   data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    tokens: data.usageMetadata?.totalTokenCount || 0,
+  }
+}
+
+// ─── Routing ──────────────────────────────────────────────────────
+
+// Provider ids for a task, in order, with the local provider applied.
+function chainFor (task) {
+  const chain = TASKS[task]
+  if (!chain) throw new Error(`Unknown LLM task: ${task}`)
+  if (!PROVIDERS.local.url) return chain
+  if (process.env.LOCAL_LLM_EXCLUSIVE === 'true') return ['local']
+  return ['local', ...chain]
+}
+
+// Why a provider can't take this request right now — null if it can.
+const skipReason = (id, req) => {
+  const provider = PROVIDERS[id]
+  if (!provider || (provider.kind === 'openai' && !provider.url)) return 'not configured'
+  if (!provider.keyOptional && !process.env[provider.keyEnv]) return 'no key'
+  const images = requestImages(req)
+  if (images.length) {
+    if (!provider.vision) return 'no vision'
+    if (provider.imageTypes && images.some(p => !provider.imageTypes.includes(p.inline_data.mime_type))) return 'image type'
+  }
+  if (isExhausted(id)) return 'exhausted'
+  return null
+}
+
+// Run a task through its provider chain. Resolves with the parsed JSON
+// result and the provider that produced it. Rejects with code
+// 'LLM_EXHAUSTED' when no provider could be tried or all were rate
+// limited, otherwise with the last provider error.
+//
+// request: { system, prompt | parts, maxTokens = 1000, temperature = 0.1, timeoutMs, tag }
+async function complete (task, request) {
+  const req = { maxTokens: 1000, temperature: 0.1, timeoutMs: DEFAULT_TIMEOUT_MS, ...request }
+  const tag = req.tag || task
+  const chain = chainFor(task)
+  let lastErr = null
+  let onlyQuota = true
+
+  for (const [i, id] of chain.entries()) {
+    if (skipReason(id, req)) continue
+    const provider = PROVIDERS[id]
+    const key = process.env[provider.keyEnv]
+    count(id, 'requests')
+    try {
+      const call = provider.kind === 'gemini' ? callGemini : callOpenAI
+      const { text, tokens } = await call(provider, req, key)
+      if (tokens) count(id, 'tokens', tokens)
+      const result = parseJSON(text)
+      if (i > 0) console.log(`[LLM] ${tag} → ${provider.label} (fallback #${i})`)
+      return { result, provider: id, model: provider.model }
+    } catch (err) {
+      lastErr = err
+      if (err.status === 429) {
+        count(id, 'rateLimited')
+        if (err.dailyLimit) markExhausted(id)
+        else console.warn(`[LLM] ${tag} — ${provider.label} rate limited, falling back`)
+      } else {
+        onlyQuota = false
+        count(id, 'errors')
+        console.warn(`[LLM] ${tag} — ${provider.label} failed:`, err.message)
+      }
+    }
+  }
+
+  if (!lastErr || onlyQuota) {
+    const err = new Error(lastErr
+      ? 'All AI models quota exhausted. Resets at midnight UTC.'
+      : 'No AI provider available — keys missing or daily limits reached.')
+    err.code = 'LLM_EXHAUSTED'
+    throw err
+  }
+  throw lastErr
+}
+
+// ─── Persistence ──────────────────────────────────────────────────
+
+// Push local deltas and pull back cross-instance totals — for every
+// provider, not just the ones used here, so an idle instance still sees
+// a cap another instance hit. Scheduled as the 'llm-usage-flush' job in
+// index.js.
+async function flushUsage () {
+  if (!process.env.DATABASE_URL) return
+  for (const [id, u] of usage.entries()) {
+    if (!u.dirty) continue
+    const sent = { ...u.pending }
+    u.pending  = emptyCounts()
+    u.dirty    = false
+    try {
+      const { rows: [row] } = await pool.query(
+        `INSERT INTO llm_usage (provider, day, requests, tokens, errors, rate_limited, exhausted_until)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (provider, day) DO UPDATE SET
+           requests        = llm_usage.requests     + EXCLUDED.requests,
+           tokens          = llm_usage.tokens       + EXCLUDED.tokens,
+           errors          = llm_usage.errors       + EXCLUDED.errors,
+           rate_limited    = llm_usage.rate_limited + EXCLUDED.rate_limited,
+           exhausted_until = GREATEST(llm_usage.exhausted_until, EXCLUDED.exhausted_until),
+           updated_at      = NOW()
+         RETURNING requests, tokens, errors, rate_limited, exhausted_until`,
+        [id, u.day, sent.requests, sent.tokens, sent.errors, sent.rateLimited,
+         u.exhaustedUntil ? new Date(u.exhaustedUntil) : null]
+      )
+      applyRow(u, row)
+    } catch (err) {
+      // Put the delta back — next flush retries it
+      for (const k of Object.keys(sent)) u.pending[k] += sent[k]
+      u.dirty = true
+      throw err
+    }
+  }
+
+  const { rows } = await pool.query('SELECT * FROM llm_usage WHERE day = $1', [utcDay()])
+  for (const row of rows) applyRow(usageFor(row.provider), row)
+}
+
+const applyRow = (u, row) => {
+  u.total = {
+    requests:    Number(row.requests)     || 0,
+    tokens:      Number(row.tokens)       || 0,
+    errors:      Number(row.errors)       || 0,
+    rateLimited: Number(row.rate_limited) || 0,
+  }
+  const until = row.exhausted_until ? new Date(row.exhausted_until).getTime() : 0
+  if (until > u.exhaustedUntil) u.exhaustedUntil = until
+}
+
+// Load today's totals + exhaustion at boot — called after db.init().
+async function loadUsage () {
+  if (!process.env.DATABASE_URL) return
+  try {
+    const { rows } = await pool.query('SELECT * FROM llm_usage WHERE day = $1', [utcDay()])
+    for (const row of rows) applyRow(usageFor(row.provider), row)
+    const exhausted = rows.filter(r => r.exhausted_until && new Date(r.exhausted_until) > new Date())
+    console.log(`[LLM] Loaded usage for ${rows.length} providers${exhausted.length ? ` — exhausted: ${exhausted.map(r => r.provider).join(', ')}` : ''}`)
+  } catch (err) {
+    console.warn('[LLM] Usage load failed (non-fatal):', err.message)
+  }
+}
+
+// Per-provider snapshot for debug endpoints.
+function getUsage () {
+  return Object.keys(PROVIDERS)
+    .filter(id => !skipReason(id, {}) || isExhausted(id))
+    .map(id => ({
+      provider:  id,
+      model:     PROVIDERS[id].model,
+      ...todayCounts(id),
+      exhausted: isExhausted(id),
+    }))
+}
+
+module.exports = { complete, isExhausted, markExhausted, flushUsage, loadUsage, getUsage, PROVIDERS, TASKS }
@@ -0,0 +1,183 @@
+// ─── BetaPlays — Lore Store ───────────────────────────────────────
+// Server-side copy of the frontend's lore data (src/data/lore_map.js):
+//   loreMap          LORE_MAP — symbol → { terms, concepts, category, universe }
+//   categories       NARRATIVE_CATEGORIES — key → { label, priority, keywords }
+//   categoryTraits   CATEGORY_TRAITS — key → [trait, …]
+//   metaseedBlocked  METASEED_BLOCKED_AS_DOMINANT — [key, …]
+//
+// Versioned and append-only: every admin save (or restore) is a new
+// lore_versions row, and the newest row is live. The bundled copy in
+// lore_map.js stays the fallback — until the first save the store is
+// empty and GET /api/lore answers { version: 0, lore: null }.
+//
+// The frontend loads the live version at startup (loadLore() in
+// lore_map.js) and keeps the last one it got for offline starts.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+
+const CACHE_TTL_MS    = 60 * 1000      // per instance — saves are rare
+const MAX_DOC_BYTES   = 2 * 1024 * 1024
+const MAX_LIST        = 500            // terms / keywords / traits per entry
+const MAX_WORD        = 64
+const SYMBOL_RE       = /^[^\s]{1,32}$/u
+const CATEGORY_KEY_RE = /^[a-z0-9_]{1,40}$/
+
+const badLore = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_LORE'
+  return err
+}
+
+// ─── Validation ───────────────────────────────────────────────────
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v)
+
+const wordList = (raw, where, { required = false } = {}) => {
+  if (raw === undefined || raw === null) {
+    if (required) throw badLore(`${where} required`)
+    return undefined
+  }
+  if (!Array.isArray(raw)) throw badLore(`${where} must be an array of strings`)
+  if (raw.length > MAX_LIST) throw badLore(`${where}: at most ${MAX_LIST} entries`)
+  const words = raw.map(w => {
+    if (typeof w !== 'string' || !w.trim() || w.length > MAX_WORD) throw badLore(`${where}: entries must be 1–${MAX_WORD} char strings`)
+    return w.trim().toLowerCase()
+  })
+  if (required && !words.length) throw badLore(`${where} must not be empty`)
+  return [...new Set(words)]
+}
+
+const optionalKey = (raw, where) => {
+  if (raw === undefined || raw === null) return null
+  if (typeof raw !== 'string' || raw.length > MAX_WORD) throw badLore(`${where} must be a string or null`)
+  return raw
+}
+
+// Returns the cleaned document — same shape, normalised lists
+function validate (doc) {
+  if (!isObject(doc)) throw badLore('lore must be an object')
+  if (JSON.stringify(doc).length > MAX_DOC_BYTES) throw badLore('lore larger than 2MB')
+  const { loreMap, categories, categoryTraits, metaseedBlocked } = doc
+  if (!isObject(loreMap) || !isObject(categories) || !isObject(categoryTraits) || !Array.isArray(metaseedBlocked)) {
+    throw badLore('lore needs loreMap, categories, categoryTraits (objects) and metaseedBlocked (array)')
+  }
+
+  const cleanCategories = {}
+  for (const [key, cat] of Object.entries(categories)) {
+    if (!CATEGORY_KEY_RE.test(key)) throw badLore(`category "${key}": keys are lowercase a-z, 0-9 or _`)
+    if (!isObject(cat)) throw badLore(`category "${key}" must be an object`)
+    if (typeof cat.label !== 'string' || !cat.label.trim() || cat.label.length > 60) throw badLore(`category "${key}": label required (≤ 60 chars)`)
+    if (cat.priority !== undefined && ![1, 2, 3].includes(cat.priority)) throw badLore(`category "${key}": priority must be 1, 2 or 3`)
+    cleanCategories[key] = {
+      label:    cat.label.trim(),
+      ...(cat.priority !== undefined && { priority: cat.priority }),
+      keywords: wordList(cat.keywords, `category "${key}" keywords`, { required: true }),
+    }
+  }
+  if (!Object.keys(cleanCategories).length) throw badLore('at least one category required')
+
+  const knownCategory = (key, where) => {
+    if (key !== null && !cleanCategories[key]) throw badLore(`${where}: unknown category "${key}"`)
+  }
+
+  const cleanLoreMap = {}
+  for (const [symbol, entry] of Object.entries(loreMap)) {
+    if (!SYMBOL_RE.test(symbol) || symbol !== symbol.toUpperCase()) throw badLore(`lore "${symbol}": keys are upper-case symbols without spaces`)
+    if (!isObject(entry)) throw badLore(`lore "${symbol}" must be an object`)
+    // Free-form — lore categories are a wider set than NARRATIVE_CATEGORIES ('tv', …)
+    const category = optionalKey(entry.category, `lore "${symbol}" category`)
+    cleanLoreMap[symbol] = {
+      terms:    wordList(entry.terms, `lore "${symbol}" terms`, { required: true }),
+      ...(entry.concepts !== undefined && { concepts: wordList(entry.concepts, `lore "${symbol}" concepts`) }),
+      category,
+      universe: optionalKey(entry.universe, `lore "${symbol}" universe`),
+    }
+  }
+
+  const cleanTraits = {}
+  for (const [key, traits] of Object.entries(categoryTraits)) {
+    knownCategory(key, 'categoryTraits')
+    cleanTraits[key] = wordList(traits, `categoryTraits "${key}"`, { required: true })
+  }
+
+  const cleanBlocked = wordList(metaseedBlocked, 'metaseedBlocked')
+  cleanBlocked.forEach(key => knownCategory(key, 'metaseedBlocked'))
+
+  return {
+    loreMap:         cleanLoreMap,
+    categories:      cleanCategories,
+    categoryTraits:  cleanTraits,
+    metaseedBlocked: cleanBlocked,
+  }
+}
+
+// ─── Versions ─────────────────────────────────────────────────────
+
+let cache = null   // { at, current: { version, lore, note, createdBy, createdAt } | null }
+
+// Newest version, or null before the first save
+async function getCurrent () {
+  if (!process.env.DATABASE_URL) return null
+  if (cache && Date.now() - cache.at < CACHE_TTL_MS) return cache.current
+  const { rows } = await db.query(`
+    SELECT id AS version, data AS lore, note, created_by AS "createdBy", created_at AS "createdAt"
+    FROM lore_versions
+    ORDER BY id DESC
+    LIMIT 1
+  `)
+  cache = { at: Date.now(), current: rows[0] || null }
+  return cache.current
+}
+
+// History without the documents — newest first
+async function listVersions (limit = 50) {
+  const { rows } = await db.query(`
+    SELECT id AS version, note, created_by AS "createdBy", created_at AS "createdAt",
+           (SELECT COUNT(*) FROM jsonb_object_keys(data->'loreMap'))::int    AS "loreEntries",
+           (SELECT COUNT(*) FROM jsonb_object_keys(data->'categories'))::int AS "categories"
+    FROM lore_versions
+    ORDER BY id DESC
+    LIMIT $1
+  `, [Math.min(Math.max(parseInt(limit) || 50, 1), 200)])
+  return rows
+}
+
+async function getVersion (version) {
+  const { rows } = await db.query(`
+    SELECT id AS version, data AS lore, note, created_by AS "createdBy", created_at AS "createdAt"
+    FROM lore_versions WHERE id = $1
+  `, [version])
+  return rows[0] || null
+}
+
+async function insertVersion (lore, note, wallet) {
+  const { rows } = await db.query(`
+    INSERT INTO lore_versions (data, note, created_by)
+    VALUES ($1::jsonb, $2, $3)
+    RETURNING id AS version, note, created_by AS "createdBy", created_at AS "createdAt"
+  `, [JSON.stringify(lore), note, wallet])
+  cache = null
+  return rows[0]
+}
+
+// Body: { lore, note } — returns the new version (without the document)
+async function save ({ lore, note }, wallet) {
+  const clean = validate(lore)
+  return insertVersion(clean, String(note || '').slice(0, 200) || null, wallet)
+}
+
+// Re-publishes an old version as the newest one — history stays intact
+async function restore (version, wallet) {
+  const old = await getVersion(version)
+  if (!old) return null
+  return insertVersion(old.lore, `Restore of v${old.version}`, wallet)
+}
+
+module.exports = {
+  getCurrent,
+  listVersions,
+  getVersion,
+  save,
+  restore,
+}
@@ -0,0 +1,321 @@
+// ─── BetaPlays — Narrative History ────────────────────────────────
+// Heat timeline for Szn narratives.
+//
+// Szn cards are built in the browser (useNarrativeSzn — keyword, AI,
+// DEXScreener Metas and news passes), so signed-in clients post which
+// tokens make up each card to POST /api/report-narratives. Membership only
+// — one stored report per wallet (narrative_reports), replaced by its next.
+//
+// The 'narrative-snapshot' job, every SNAPSHOT_EVERY_MS:
+//   - merges the reports of the last REPORT_MAX_AGE_MS — a token is a
+//     member when at least half the wallets reporting that narrative list it
+//   - carries narratives snapshotted in the last CARRY_HOURS that no fresh
+//     report mentions forward with their stored members
+//   - fetches every member's volume and 24h change from DexScreener
+//     (betaPerformance.fetchPrices) and scores from those — no client
+//     number reaches a score, heat or volume
+//   - writes one row per narrative to narrative_snapshots, all rows of a
+//     snapshot sharing snapshot_at. live_volume is the combined volume of
+//     every distinct member token (the share denominator), is_dominant the
+//     biggest-volume narrative — both feed narrativeRotation.js.
+//
+// Trend = least-squares slope of the score over the last
+// TREND_WINDOW_HOURS: heating / rolling_over / steady.
+// ──────────────────────────────────────────────────────────────────
+
+const db              = require('./db')
+const { fetchPrices } = require('./betaPerformance')
+
+// ─── Config ───────────────────────────────────────────────────────
+const SNAPSHOT_EVERY_MS   = 15 * 60 * 1000
+const REPORT_MAX_AGE_MS   = 30 * 60 * 1000   // no fresh report → no snapshot (feed idle)
+const REPORT_PERSIST_MS   = 60 * 1000        // a wallet's report replaced at most once a minute
+const MAX_REPORTS         = 500              // newest wallets merged per snapshot
+const CARRY_HOURS         = 3                // = narrativeRotation WINDOW_HOURS
+const RETENTION_DAYS      = 30
+const MAX_NARRATIVES      = 40
+const MAX_TOKENS          = 50               // scored per narrative
+const STORED_TOKENS       = 20               // kept per snapshot row
+const MAX_HISTORY_HOURS   = RETENTION_DAYS * 24
+const TREND_WINDOW_HOURS  = 6
+const TREND_MIN_POINTS    = 3
+const TREND_SLOPE         = 2                // score points / hour
+const TRENDS_TTL_MS       = 5 * 60 * 1000
+const MIN_TOKENS_FOR_SZN  = 2
+
+const KEY_RE     = /^[a-z0-9_-]{1,64}$/i
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+
+const badNarratives = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_NARRATIVES'
+  return err
+}
+
+// ─── Scoring (mirrors useNarrativeSzn) ────────────────────────────
+// 40% volume · 30% momentum · 20% leader gain · 10% depth
+const calcSznScore = (tokens, totalVolume) => {
+  if (!tokens || tokens.length === 0) return 0
+  const changes     = tokens.map(t => t.priceChange24h)
+  const momentum    = changes.filter(c => c > 0).length / tokens.length
+  const leaderScore = Math.min(Math.max(...changes) / 1000, 1)
+  const depth       = Math.min(tokens.length / 10, 1)
+  const volScore    = Math.min(totalVolume / 10_000_000, 1)
+  return Math.round((volScore * 0.40 + momentum * 0.30 + leaderScore * 0.20 + depth * 0.10) * 100)
+}
+
+const getHeat = (score) => {
+  if (score >= 70) return 'EXPLODING'
+  if (score >= 50) return 'HOT'
+  if (score >= 30) return 'WARMING'
+  return 'MILD'
+}
+
+// ─── Report ───────────────────────────────────────────────────────
+const num = (v) => {
+  const n = parseFloat(v)
+  return Number.isFinite(n) ? n : 0
+}
+
+// [{ key, label, source, tokens: [{ address }] }] → one entry per key with
+// its member addresses. Metrics in the payload are ignored.
+function normaliseNarratives (raw) {
+  if (!Array.isArray(raw)) throw badNarratives('narratives array required')
+  const byKey = new Map()
+  for (const n of raw.slice(0, MAX_NARRATIVES * 2)) {
+    if (!n || typeof n !== 'object' || !KEY_RE.test(n.key || '') || !Array.isArray(n.tokens)) continue
+    if (byKey.has(n.key)) continue
+    const addresses = [...new Set(n.tokens
+      .map(t => t?.address)
+      .filter(a => typeof a === 'string' && ADDRESS_RE.test(a)))]
+      .slice(0, MAX_TOKENS)
+    if (addresses.length < MIN_TOKENS_FOR_SZN) continue
+    byKey.set(n.key, {
+      key:    n.key,
+      label:  String(n.label || n.key).slice(0, 100),
+      source: String(n.source || 'keyword').slice(0, 16),
+      addresses,
+    })
+  }
+  return [...byKey.values()].slice(0, MAX_NARRATIVES)
+}
+
+// Body: { narratives } from the JWT wallet — replaces that wallet's last
+// report, at most once per REPORT_PERSIST_MS. Returns how many were kept.
+async function report ({ narratives: raw } = {}, wallet) {
+  const narratives = normaliseNarratives(raw)
+  if (!process.env.DATABASE_URL || !narratives.length) return narratives.length
+  await db.query(`
+    INSERT INTO narrative_reports (wallet_address, narratives, reported_at)
+    VALUES ($1, $2::jsonb, NOW())
+    ON CONFLICT (wallet_address) DO UPDATE SET
+      narratives  = EXCLUDED.narratives,
+      reported_at = NOW()
+    WHERE narrative_reports.reported_at < NOW() - ($3 || ' seconds')::INTERVAL
+  `, [wallet, JSON.stringify(narratives), REPORT_PERSIST_MS / 1000])
+  return narratives.length
+}
+
+// ─── Snapshot job ─────────────────────────────────────────────────
+
+const tally = (map, value) => map.set(value, (map.get(value) || 0) + 1)
+const mostCommon = (map) => [...map.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]
+
+// reports: one narratives array per wallet → [{ key, label, source, addresses }]
+// A token is a member when at least half the wallets reporting the key list it.
+function mergeReports (reports) {
+  const byKey = new Map()
+  for (const narratives of reports) {
+    for (const n of narratives) {
+      let agg = byKey.get(n.key)
+      if (!agg) byKey.set(n.key, agg = { reporters: 0, labels: new Map(), sources: new Map(), votes: new Map() })
+      agg.reporters++
+      tally(agg.labels, n.label)
+      tally(agg.sources, n.source)
+      for (const address of n.addresses) tally(agg.votes, address)
+    }
+  }
+  return [...byKey.entries()].map(([key, agg]) => ({
+    key,
+    label:     mostCommon(agg.labels),
+    source:    mostCommon(agg.sources),
+    addresses: [...agg.votes.entries()]
+      .filter(([, votes]) => votes * 2 >= agg.reporters)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TOKENS)
+      .map(([address]) => address),
+  })).filter(n => n.addresses.length >= MIN_TOKENS_FOR_SZN)
+}
+
+// Job: every SNAPSHOT_EVERY_MS (one instance). Returns rows written.
+async function snapshot () {
+  if (!process.env.DATABASE_URL) return 0
+  const { rows: reports } = await db.query(`
+    SELECT narratives FROM narrative_reports
+    WHERE reported_at > NOW() - ($1 || ' seconds')::INTERVAL
+    ORDER BY reported_at DESC
+    LIMIT $2
+  `, [REPORT_MAX_AGE_MS / 1000, MAX_REPORTS])
+  const fresh = mergeReports(reports.map(r => r.narratives))
+  if (!fresh.length) return 0
+
+  // Recently tracked narratives no report mentions this round keep their
+  // members, so a gap in the reports isn't a drop to zero
+  const { rows: carried } = await db.query(`
+    SELECT DISTINCT ON (key) key, label, source, members AS addresses
+    FROM narrative_snapshots
+    WHERE snapshot_at > NOW() - ($1 || ' hours')::INTERVAL AND members IS NOT NULL
+    ORDER BY key, snapshot_at DESC
+  `, [CARRY_HOURS])
+  const freshKeys = new Set(fresh.map(n => n.key))
+  const tracked   = [...fresh, ...carried.filter(n => !freshKeys.has(n.key))]
+
+  const { prices, failed } = await fetchPrices([...new Set(tracked.flatMap(n => n.addresses))])
+
+  const rows = []
+  for (const n of tracked) {
+    // A failed batch leaves the narrative's volume unknown — skip it this round
+    if (n.addresses.some(a => failed.has(a))) continue
+    const tokens = n.addresses
+      .filter(a => prices.has(a))   // no pairs left — dead token
+      .map(a => {
+        const p = prices.get(a)
+        return { address: a, symbol: p.symbol || '', volume24h: num(p.volume24h), priceChange24h: num(p.priceChange24h) }
+      })
+    if (tokens.length < MIN_TOKENS_FOR_SZN) continue
+    const totalVolume = tokens.reduce((s, t) => s + t.volume24h, 0)
+    const score       = calcSznScore(tokens, totalVolume)
+    rows.push({
+      ...n,
+      score,
+      heat:   getHeat(score),
+      totalVolume,
+      tokens: tokens.sort((a, b) => b.priceChange24h - a.priceChange24h),
+    })
+  }
+  if (!rows.length) return 0
+
+  const counted    = new Set()
+  const liveVolume = rows.flatMap(n => n.tokens).reduce((s, t) => {
+    if (counted.has(t.address)) return s
+    counted.add(t.address)
+    return s + t.volume24h
+  }, 0)
+  const dominant = rows.reduce((best, n) => n.totalVolume > best.totalVolume ? n : best, rows[0]).key
+
+  await db.query(`
+    INSERT INTO narrative_snapshots
+      (key, label, source, score, heat, token_count, total_volume, tokens, members, live_volume, is_dominant, server_metrics, snapshot_at)
+    SELECT v.key, v.label, v.source, v.score, v.heat, v.token_count, v.total_volume, v.tokens,
+           ARRAY(SELECT jsonb_array_elements_text(v.members)), $10::numeric, v.key = $11::text, true, NOW()
+    FROM unnest($1::text[], $2::text[], $3::text[], $4::int[], $5::text[], $6::int[], $7::numeric[], $8::jsonb[], $9::jsonb[])
+      AS v(key, label, source, score, heat, token_count, total_volume, tokens, members)
+  `, [
+    rows.map(n => n.key),
+    rows.map(n => n.label),
+    rows.map(n => n.source),
+    rows.map(n => n.score),
+    rows.map(n => n.heat),
+    rows.map(n => n.tokens.length),
+    rows.map(n => Math.round(n.totalVolume)),
+    rows.map(n => JSON.stringify(n.tokens.slice(0, STORED_TOKENS))),
+    rows.map(n => JSON.stringify(n.addresses)),
+    Math.round(liveVolume) || null,
+    dominant,
+  ])
+
+  const { rowCount } = await db.query(
+    `DELETE FROM narrative_snapshots WHERE snapshot_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  )
+  await db.query(`DELETE FROM narrative_reports WHERE reported_at < NOW() - INTERVAL '1 day'`)
+  console.log(`[NarrativeHistory] Snapshot: ${rows.length} narratives (${reports.length} reports)${rowCount ? `, pruned ${rowCount}` : ''}`)
+  return rows.length
+}
+
+// ─── Timeline + trend ─────────────────────────────────────────────
+
+// points: [{ ts (ms), score, totalVolume }] oldest first
+function computeTrend (points) {
+  const cutoff = Date.now() - TREND_WINDOW_HOURS * 60 * 60 * 1000
+  const recent = points.filter(p => p.ts >= cutoff)
+  if (recent.length < TREND_MIN_POINTS) return { direction: 'steady', slope: 0, scoreDelta: 0, volumeDelta: 0, points: recent.length }
+
+  const xs    = recent.map(p => (p.ts - recent[0].ts) / 3_600_000)
+  const meanX = xs.reduce((s, x) => s + x, 0) / xs.length
+  const meanY = recent.reduce((s, p) => s + p.score, 0) / recent.length
+  const varX  = xs.reduce((s, x) => s + (x - meanX) ** 2, 0)
+  const slope = varX ? xs.reduce((s, x, i) => s + (x - meanX) * (recent[i].score - meanY), 0) / varX : 0
+
+  const first = recent[0]
+  const last  = recent[recent.length - 1]
+  return {
+    direction:   slope >= TREND_SLOPE ? 'heating' : slope <= -TREND_SLOPE ? 'rolling_over' : 'steady',
+    slope:       Math.round(slope * 10) / 10,
+    scoreDelta:  last.score - first.score,
+    volumeDelta: first.totalVolume ? Math.round((last.totalVolume / first.totalVolume - 1) * 1000) / 10 : null,
+    points:      recent.length,
+  }
+}
+
+// Returns null when the key has no snapshots in the window
+async function history (key, hours = 48) {
+  if (!KEY_RE.test(key || '')) throw badNarratives('invalid narrative key')
+  const span = Math.min(Math.max(parseInt(hours) || 48, 1), MAX_HISTORY_HOURS)
+  const { rows } = await db.query(`
+    SELECT label, source, score, heat, token_count, total_volume::float8 AS total_volume, tokens, snapshot_at
+    FROM narrative_snapshots
+    WHERE key = $1 AND snapshot_at > NOW() - ($2 || ' hours')::INTERVAL
+    ORDER BY snapshot_at
+  `, [key, span])
+  if (!rows.length) return null
+
+  const points = rows.map(r => ({
+    ts:          new Date(r.snapshot_at).getTime(),
+    score:       r.score,
+    heat:        r.heat,
+    tokenCount:  r.token_count,
+    totalVolume: r.total_volume,
+    tokens:      r.tokens,
+  }))
+  const last = rows[rows.length - 1]
+  return {
+    key,
+    label:  last.label,
+    source: last.source,
+    hours:  span,
+    peak:   points.reduce((best, p) => p.score > best.score ? p : best, points[0]),
+    trend:  computeTrend(points),
+    points,
+  }
+}
+
+// key → trend for every narrative snapshotted in the trend window.
+// Cached per instance — GET /api/narratives/trends polls it.
+let trendsCache = null
+async function trends () {
+  if (!process.env.DATABASE_URL) return {}
+  if (trendsCache && Date.now() - trendsCache.at < TRENDS_TTL_MS) return trendsCache.trends
+  const { rows } = await db.query(`
+    SELECT key, score, total_volume::float8 AS total_volume, snapshot_at
+    FROM narrative_snapshots
+    WHERE snapshot_at > NOW() - ($1 || ' hours')::INTERVAL
+    ORDER BY snapshot_at
+  `, [TREND_WINDOW_HOURS])
+  const byKey = {}
+  for (const r of rows) {
+    (byKey[r.key] ||= []).push({ ts: new Date(r.snapshot_at).getTime(), score: r.score, totalVolume: r.total_volume })
+  }
+  const result = {}
+  for (const [key, points] of Object.entries(byKey)) result[key] = computeTrend(points)
+  trendsCache = { at: Date.now(), trends: result }
+  return result
+}
+
+module.exports = {
+  report,
+  snapshot,
+  history,
+  trends,
+  SNAPSHOT_EVERY_MS,
+}
@@ -0,0 +1,197 @@
+// ─── BetaPlays — Narrative Rotation Detector ──────────────────────
+// Catches capital rotating from one meta to the next (dogs → cats → AI).
+//
+// Runs after every narrative snapshot ('narrative-snapshot' job) over the
+// last WINDOW_HOURS of narrative_snapshots — only server_metrics rows,
+// whose volumes narrativeHistory.js fetched from DexScreener itself; no
+// client-reported number can trigger a rotation. A narrative's share is
+// its total volume over the combined volume of every tracked token
+// (live_volume) at that snapshot — narratives can share tokens, so shares
+// don't sum to 100. A snapshot without the narrative is a gap in its
+// series, not a 0% share: slopes are fitted over the points it has, and
+// it needs MIN_POINTS in each half of the window to count.
+//
+// Previous leader: the biggest-volume narrative (is_dominant) at the
+// start of the window. A rotation is flagged when
+//   - a challenger's share is rising (≥ MIN_RISE_PP pp/h over the recent
+//     half) and accelerating (recent half steeper than the earlier half),
+//     holds ≥ MIN_SHARE_PP and is within MIN_LEADER_RATIO of the leader
+//   - while the leader's share decays (≤ -MIN_DECAY_PP pp/h).
+// The same challenger isn't flagged again within COOLDOWN_HOURS.
+//
+// Rotations are stored in narrative_rotations; onRotation listeners
+// (index.js) fan them out as narrative_rotation notifications and SSE.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+
+// ─── Config ───────────────────────────────────────────────────────
+const WINDOW_HOURS     = 3
+const MIN_SNAPSHOTS    = 6       // ≈ 1.5h at one snapshot / 15 min
+const MIN_POINTS       = 2       // per half-window, for leader and challenger
+const MIN_RISE_PP      = 2       // challenger share, pp / hour
+const MIN_DECAY_PP     = 1       // leader share, pp / hour
+const MIN_SHARE_PP     = 10
+const MIN_LEADER_RATIO = 0.5     // challenger share ≥ half the leader's
+const COOLDOWN_HOURS   = 6
+const BANNER_HOURS     = 3       // GET /api/narratives/rotation window
+
+const listeners = []
+const onRotation = (fn) => { listeners.push(fn) }
+
+// Least-squares slope of ys over xs (hours) — pp / hour
+const slope = (xs, ys) => {
+  if (xs.length < 2) return 0
+  const mx  = xs.reduce((s, x) => s + x, 0) / xs.length
+  const my  = ys.reduce((s, y) => s + y, 0) / ys.length
+  const vx  = xs.reduce((s, x) => s + (x - mx) ** 2, 0)
+  return vx ? xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / vx : 0
+}
+
+const round1 = (n) => Math.round(n * 10) / 10
+
+// rows: narrative_snapshots rows, oldest first → [{ at, dominant, shares: Map<key, pp> }]
+function toSeries (rows) {
+  const snaps  = []
+  const labels = new Map()
+  for (const r of rows) {
+    const at = new Date(r.snapshot_at).getTime()
+    let snap = snaps[snaps.length - 1]
+    if (!snap || snap.at !== at) {
+      snap = { at, dominant: null, shares: new Map() }
+      snaps.push(snap)
+    }
+    snap.shares.set(r.key, (r.total_volume / r.live_volume) * 100)
+    if (r.is_dominant) snap.dominant = r.key
+    labels.set(r.key, r.label)
+  }
+  return { snaps, labels }
+}
+
+// The detector's decision over a window of snapshots.
+// Returns { fromKey, toKey, shares and rates } or null.
+function findRotation (snaps, labels) {
+  if (snaps.length < MIN_SNAPSHOTS) return null
+
+  const half    = Math.floor(snaps.length / 2)
+  const splitAt = snaps[half].at
+  const last    = snaps[snaps.length - 1]
+
+  // A key's share series over the snapshots that include it, split at the
+  // window's midpoint. null when either half is too thin to fit a slope.
+  const series = (key) => {
+    const xs = [], ys = []
+    for (const s of snaps) {
+      if (!s.shares.has(key)) continue
+      xs.push((s.at - snaps[0].at) / 3_600_000)
+      ys.push(s.shares.get(key))
+    }
+    const mid = snaps.filter(s => s.at < splitAt && s.shares.has(key)).length
+    if (mid < MIN_POINTS || xs.length - mid < MIN_POINTS) return null
+    return { xs, ys, mid }
+  }
+
+  // Leader at the start — first dominant in the earlier half
+  const leader = snaps.slice(0, half).find(s => s.dominant)?.dominant
+  if (!leader || !last.shares.has(leader)) return null
+
+  const leaderSeries = series(leader)
+  if (!leaderSeries) return null
+  const leaderShares = leaderSeries.ys
+  const leaderSlope  = slope(leaderSeries.xs, leaderShares)
+  if (leaderSlope > -MIN_DECAY_PP) return null
+  const leaderNow    = last.shares.get(leader)
+
+  let best = null
+  for (const key of labels.keys()) {
+    if (key === leader || !last.shares.has(key)) continue
+    const line = series(key)
+    if (!line) continue
+    const { xs, ys: shares, mid } = line
+    const now = shares[shares.length - 1]
+    if (now < MIN_SHARE_PP || now < leaderNow * MIN_LEADER_RATIO) continue
+
+    const early  = slope(xs.slice(0, mid), shares.slice(0, mid))
+    const recent = slope(xs.slice(mid), shares.slice(mid))
+    if (recent < MIN_RISE_PP || recent <= early) continue
+    if (!best || recent > best.riseRate) {
+      best = { key, riseRate: recent, acceleration: recent - early, shareBefore: shares[0], shareNow: now }
+    }
+  }
+  if (!best) return null
+
+  return {
+    fromKey:         leader,
+    fromLabel:       labels.get(leader) || leader,
+    fromShareBefore: round1(leaderShares[0]),
+    fromShareNow:    round1(leaderNow),
+    fromDecayRate:   round1(leaderSlope),
+    toKey:           best.key,
+    toLabel:         labels.get(best.key) || best.key,
+    toShareBefore:   round1(best.shareBefore),
+    toShareNow:      round1(best.shareNow),
+    toRiseRate:      round1(best.riseRate),
+    acceleration:    round1(best.acceleration),
+  }
+}
+
+const COLUMNS = `id, from_key AS "fromKey", from_label AS "fromLabel", to_key AS "toKey", to_label AS "toLabel",
+  from_share_before::float8 AS "fromShareBefore", from_share_now::float8 AS "fromShareNow",
+  to_share_before::float8 AS "toShareBefore", to_share_now::float8 AS "toShareNow",
+  detected_at AS "detectedAt"`
+
+// Job step: after each snapshot (one instance — inside 'narrative-snapshot')
+async function detect () {
+  if (!process.env.DATABASE_URL) return null
+  const { rows } = await db.query(`
+    SELECT key, label, total_volume::float8 AS total_volume, live_volume::float8 AS live_volume,
+           is_dominant, snapshot_at
+    FROM narrative_snapshots
+    WHERE snapshot_at > NOW() - ($1 || ' hours')::INTERVAL
+      AND server_metrics AND live_volume > 0
+    ORDER BY snapshot_at
+  `, [WINDOW_HOURS])
+  const { snaps, labels } = toSeries(rows)
+  const found = findRotation(snaps, labels)
+  if (!found) return null
+
+  const { rows: recent } = await db.query(
+    `SELECT 1 FROM narrative_rotations WHERE to_key = $1 AND detected_at > NOW() - ($2 || ' hours')::INTERVAL`,
+    [found.toKey, COOLDOWN_HOURS]
+  )
+  if (recent.length) return null
+
+  const { rows: [rotation] } = await db.query(`
+    INSERT INTO narrative_rotations
+      (from_key, from_label, to_key, to_label, from_share_before, from_share_now, to_share_before, to_share_now, details)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb)
+    RETURNING ${COLUMNS}
+  `, [
+    found.fromKey, found.fromLabel, found.toKey, found.toLabel,
+    found.fromShareBefore, found.fromShareNow, found.toShareBefore, found.toShareNow,
+    JSON.stringify({ fromDecayRate: found.fromDecayRate, toRiseRate: found.toRiseRate, acceleration: found.acceleration }),
+  ])
+  console.log(`[NarrativeRotation] ${found.fromKey} → ${found.toKey} (${found.fromShareNow}% ↓, ${found.toShareNow}% ↑ ${found.toRiseRate}pp/h)`)
+  for (const fn of listeners) {
+    try { fn(rotation) } catch { /* listener errors are the caller's problem */ }
+  }
+  return rotation
+}
+
+// Most recent rotation inside the banner window, or null
+async function latest () {
+  if (!process.env.DATABASE_URL) return null
+  const { rows } = await db.query(`
+    SELECT ${COLUMNS} FROM narrative_rotations
+    WHERE detected_at > NOW() - ($1 || ' hours')::INTERVAL
+    ORDER BY detected_at DESC
+    LIMIT 1
+  `, [BANNER_HOURS])
+  return rows[0] || null
+}
+
+module.exports = {
+  detect,
+  latest,
+  onRotation,
+}
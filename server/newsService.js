@@ -14,6 +14,7 @@
 
 const axios     = require('axios')
 const RSSParser = require('rss-parser')
+const { cacheGet, cacheSet } = require('./db')
 
 const rssParser = new RSSParser({ timeout: 8000 })
 
@@ -184,6 +185,37 @@ let cachedResult = null
 let cacheExpiry  = 0
 let isFetching   = false
 
+let lastFetchOk  = false
+
+// ─── Activation listeners ──────────────────────────────────────────
+// Fired once per category when it flips from inactive → active — only from
+// the scheduled poll(), never from on-demand getNewsNarratives() calls.
+// The last announced set lives in server_cache so whichever instance runs
+// the poll diffs against the same state; in-memory copy is the no-DB fallback.
+// The first poll only seeds the set — a restart shouldn't re-announce
+// every narrative that was already active.
+const ACTIVE_CACHE_KEY    = 'news:active_categories'
+const activationListeners = []
+let   activeCategories    = null  // null until the first poll completes
+
+const onNarrativeActive = (fn) => { activationListeners.push(fn) }
+
+const emitActivations = async (active) => {
+  const stored = await cacheGet(ACTIVE_CACHE_KEY)
+  const prev   = Array.isArray(stored) ? stored : activeCategories
+  if (prev) {
+    const prevSet = new Set(prev)
+    for (const narrative of active) {
+      if (prevSet.has(narrative.category)) continue
+      for (const fn of activationListeners) {
+        try { fn(narrative) } catch { /* listener errors are the caller's problem */ }
+      }
+    }
+  }
+  activeCategories = active.map(a => a.category)
+  await cacheSet(ACTIVE_CACHE_KEY, activeCategories, 7 * 24)
+}
+
 const getNewsNarratives = async () => {
   const now = Date.now()
   if (cachedResult && now < cacheExpiry) return cachedResult
@@ -212,8 +244,10 @@ const getNewsNarratives = async () => {
 
     cachedResult = active
     cacheExpiry  = Date.now() + CACHE_TTL_MS
+    lastFetchOk  = true
     return active
   } catch (err) {
+    lastFetchOk  = false
     console.warn('[NewsService] Fetch failed (non-fatal):', err.message)
     return cachedResult || []
   } finally {
@@ -221,13 +255,21 @@ const getNewsNarratives = async () => {
   }
 }
 
+// ─── Scheduled poll ────────────────────────────────────────────────
+// Registered as the 'news-poll' job in index.js (every 30min, one instance
+// per cycle). A failed fetch throws so the job records it — and so an empty
+// fallback result never overwrites the announced set.
+const poll = async () => {
+  const active = await getNewsNarratives()
+  if (!lastFetchOk) throw new Error('news fetch failed')
+  await emitActivations(active)
+}
+
 // ─── Init ──────────────────────────────────────────────────────────
 const init = () => {
   const sources = ['RSS (Reuters/BBC/NYT/SkyNews)', 'CryptoPanic']
   if (NEWS_API_KEY) sources.push('NewsAPI')
   console.log(`[NewsService] Initialised — sources: ${sources.join(', ')} — polling every 30min`)
-  getNewsNarratives().catch(() => {})
-  setInterval(() => getNewsNarratives().catch(() => {}), CACHE_TTL_MS)
 }
 
-module.exports = { getNewsNarratives, init }
\ No newline at end of file
+module.exports = { getNewsNarratives, onNarrativeActive, poll, init }
\ No newline at end of file
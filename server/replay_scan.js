@@ -0,0 +1,131 @@
+// ─── BetaPlays — Record / replay a beta scan ──────────────────────
+// Reproduces a server-side beta scan (betaScanService.runScan) for one
+// alpha from taped upstream HTTP (see httpTape.js), so a bad scan can be
+// re-run offline and diffed against what it produced at record time.
+//
+// Run from project root:
+//   node server/replay_scan.js <alphaAddress> --record   # live network, writes fixtures
+//   node server/replay_scan.js <alphaAddress>            # offline, compares to recording
+//
+// Options:
+//   --dir <path>   fixture directory (default server/fixtures/http/<alphaAddress>)
+//   --port <n>     port for the in-process server (default 3901)
+//
+// What it does:
+//   1. Builds the Express app in-process (require('./index') without
+//      booting it — no bots, scheduler, SSE or MTProto) with HTTP_TAPE set
+//      and no database, and listens on --port. The scan's loopback calls
+//      (/api/expand-alpha, /api/score-betas, /api/pumpfun) hit the real
+//      handlers; their upstream calls hit the tape
+//   2. Runs one scan for the alpha
+//   3. record: saves manifest.json (clock) + scan.json (ranked result)
+//      replay: pins Date.now() to the recording's clock so age/recency
+//      scoring matches, then prints added / removed / re-ranked betas
+//
+// Exits 1 on replay when the result differs from the recording.
+// ──────────────────────────────────────────────────────────────────
+
+const fs   = require('fs')
+const path = require('path')
+
+const args    = process.argv.slice(2)
+const address = args.find(a => !a.startsWith('--'))
+const flag    = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : null }
+const isRecord = args.includes('--record')
+
+if (!address) {
+  console.error('Usage: node server/replay_scan.js <alphaAddress> [--record] [--dir <path>] [--port <n>]')
+  process.exit(1)
+}
+
+const DIR      = path.resolve(flag('--dir') || path.join(__dirname, 'fixtures', 'http', address))
+const PORT     = flag('--port') || '3901'
+const MANIFEST = path.join(DIR, 'manifest.json')
+const RESULT   = path.join(DIR, 'scan.json')
+
+if (!isRecord && !fs.existsSync(MANIFEST)) {
+  console.error(`No recording at ${DIR} — run with --record first`)
+  process.exit(1)
+}
+
+// Must be set before server/index.js loads dotenv — existing keys win,
+// so an empty DATABASE_URL keeps the DB off even if server/.env sets it.
+// DB-backed signals (known OGs from beta_relations) are therefore not
+// part of a taped scan; everything else is.
+process.env.HTTP_TAPE     = isRecord ? 'record' : 'replay'
+process.env.HTTP_TAPE_DIR = DIR
+process.env.DATABASE_URL  = ''
+
+if (!isRecord) {
+  const { recordedAt } = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'))
+  const offset  = recordedAt - Date.now()
+  const realNow = Date.now
+  Date.now = () => realNow() + offset
+}
+
+// Summarise by address — the fields that decide what a user sees
+const summarise = (scan) => (scan?.betas || []).map((b, i) => ({
+  rank:     i + 1,
+  address:  b.address,
+  symbol:   b.symbol,
+  betaRank: b.betaRank,
+  signals:  [...(b.signalSources || [])].sort().join(','),
+}))
+
+const compare = (before, after) => {
+  const prev = new Map(summarise(before).map(b => [b.address, b]))
+  const next = new Map(summarise(after).map(b => [b.address, b]))
+  const diffs = []
+  for (const [addr, b] of prev) {
+    if (!next.has(addr)) diffs.push(`  - $${b.symbol} (was #${b.rank})`)
+  }
+  for (const [addr, b] of next) {
+    const p = prev.get(addr)
+    if (!p) { diffs.push(`  + $${b.symbol} (#${b.rank})`); continue }
+    if (p.rank !== b.rank || p.betaRank !== b.betaRank || p.signals !== b.signals) {
+      diffs.push(`  ~ $${b.symbol} #${p.rank} → #${b.rank}  rank ${p.betaRank} → ${b.betaRank}${p.signals !== b.signals ? `  signals [${p.signals}] → [${b.signals}]` : ''}`)
+    }
+  }
+  return diffs
+}
+
+const listen = (app) => new Promise((resolve, reject) => {
+  const server = app.listen(PORT, () => resolve(server))
+  server.on('error', reject)
+})
+
+const main = async () => {
+  const startedAt = Date.now()
+  const { app } = require('./index')
+  const betaScanService = require('./betaScanService')
+  await listen(app)
+
+  const scan = await betaScanService.runScan(address, `http://localhost:${PORT}`)
+  if (!scan) throw new Error(`alpha ${address} could not be resolved`)
+  console.log(`\n$${scan.alpha.symbol} — ${scan.betas.length} betas`)
+  for (const b of summarise(scan)) console.log(`  #${b.rank} $${b.symbol}  ${b.betaRank}  [${b.signals}]`)
+
+  if (isRecord) {
+    fs.writeFileSync(MANIFEST, JSON.stringify({ address, recordedAt: startedAt }, null, 2))
+    fs.writeFileSync(RESULT, JSON.stringify(scan, null, 2))
+    console.log(`\nRecorded to ${DIR}`)
+    return 0
+  }
+
+  const recorded = JSON.parse(fs.readFileSync(RESULT, 'utf8'))
+  const diffs = compare(recorded, scan)
+  if (diffs.length === 0) {
+    console.log('\nReplay matches the recording')
+    return 0
+  }
+  console.log(`\nReplay differs from the recording (${diffs.length}):`)
+  diffs.forEach(d => console.log(d))
+  return 1
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('[ReplayScan] Failed:', err.message)
+    process.exit(1)
+  })
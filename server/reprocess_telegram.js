@@ -0,0 +1,85 @@
+// ─── BetaPlays — Re-run Telegram extraction over the archive ──────
+// Replays the current extraction rules (telegramService.reprocessArchive)
+// over archived messages (telegram_messages) and prints how the result
+// differs from what was archived — run it before and after touching
+// extractDollarTokens / findKnownAlphasInText / findAlphaInTerms
+// (socialSignals.js).
+//
+// Run from project root (needs DATABASE_URL in server/.env):
+//   node server/reprocess_telegram.js --since 7d
+//   node server/reprocess_telegram.js --from 2026-10-01 --to 2026-10-08 --channel WordsGC
+//
+// Options:
+//   --since <n>h|<n>d   window ending now (default 48h)
+//   --from / --to       explicit window (ISO dates) — overrides --since
+//   --channel <handle>  one channel only
+//   --limit <n>         max messages (default 20000)
+//   --samples <n>       changed messages to print (default 25)
+//   --ai                call Layer 3 (LLM) again instead of reusing archived AI terms
+//   --json              print the full report as JSON
+//
+// Read-only — nothing is written to the DB or the live caches.
+// ──────────────────────────────────────────────────────────────────
+
+const path = require('path')
+require('dotenv').config({ path: path.join(__dirname, '.env') })
+
+const args = process.argv.slice(2)
+const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : null }
+
+const parseSince = (raw) => {
+  const m = /^(\d+)([hd])$/.exec(raw || '48h')
+  if (!m) return null
+  return parseInt(m[1]) * (m[2] === 'd' ? 24 : 1) * 60 * 60 * 1000
+}
+
+const to      = flag('--to') ? new Date(flag('--to')) : new Date()
+const sinceMs = parseSince(flag('--since'))
+const from    = flag('--from') ? new Date(flag('--from')) : new Date(to.getTime() - (sinceMs || 0))
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL not set — the archive lives in Postgres')
+  process.exit(1)
+}
+if (isNaN(from) || isNaN(to) || !sinceMs && !flag('--from') || from >= to) {
+  console.error('Usage: node server/reprocess_telegram.js [--since 48h|7d] [--from <date> --to <date>] [--channel <handle>] [--limit <n>] [--samples <n>] [--ai] [--json]')
+  process.exit(1)
+}
+
+const fmtOutcomes = (t) => Object.entries(t.outcomes).sort().map(([k, n]) => `${k} ${n}`).join(' · ') || '—'
+const fmtSide     = (s) => `${s.outcome}${s.alpha ? ` alpha=$${s.alpha}` : ''}${s.betaTerms.length ? ` betas=[${s.betaTerms.map(t => t.term).join(', ')}]` : ''}`
+
+const main = async () => {
+  const telegramService = require('./telegramService')
+  const report = await telegramService.reprocessArchive({
+    from,
+    to,
+    channel: flag('--channel'),
+    limit:   parseInt(flag('--limit')) || undefined,
+    samples: parseInt(flag('--samples')) || 25,
+    ai:      args.includes('--ai'),
+  })
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2))
+    return 0
+  }
+
+  console.log(`\n${report.messages} messages ${from.toISOString()} → ${to.toISOString()}${report.channel ? ` @${report.channel}` : ''} (${report.knownAlphas} known alphas)`)
+  console.log(`  archived: ${fmtOutcomes(report.before)} — ${report.before.alphas} alphas, ${report.before.betaTerms} beta terms`)
+  console.log(`  now:      ${fmtOutcomes(report.after)} — ${report.after.alphas} alphas, ${report.after.betaTerms} beta terms`)
+  console.log(`\n${report.changed} message(s) changed${report.samples.length < report.changed ? ` — first ${report.samples.length}` : ''}`)
+  for (const c of report.samples) {
+    console.log(`\n  @${c.channel} ${new Date(c.messageTs).toISOString()}  ${JSON.stringify(c.text.slice(0, 120))}`)
+    console.log(`    - ${fmtSide(c.before)}`)
+    console.log(`    + ${fmtSide(c.after)}`)
+  }
+  return 0
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('[ReprocessTelegram] Failed:', err.message)
+    process.exit(1)
+  })
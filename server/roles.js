@@ -0,0 +1,123 @@
+// ─── BetaPlays — Admin Roles + Audit Log ──────────────────────────
+// Wallet-keyed roles for everything that used to be "treasury wallet
+// only" (or, for OG nominations, a password in the frontend bundle):
+//   admin          everything below, plus roles, lore, Telegram channels
+//   moderator      OG nominations, community lore, community flags
+//   ads-reviewer   ad approval, boost / listing removal
+// admin passes every role check. Root admins (the treasury wallet, set by
+// index.js) are admin without a row, so roles can't lock everyone out.
+//
+// requireRole (index.js) gates the routes; every admin action they take is
+// written to admin_audit_log, readable at GET /api/admin/audit.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+
+const ROLES         = ['admin', 'moderator', 'ads-reviewer']
+const ROLES_TTL_MS  = 60 * 1000          // per instance — grants apply within a minute elsewhere
+const WALLET_RE     = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+
+let rootAdmins = new Set()
+const rolesCache = new Map()   // wallet → { at, roles }
+
+const badRole = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_ROLE'
+  return err
+}
+
+const setRootAdmins = (wallets) => { rootAdmins = new Set(wallets.filter(Boolean)) }
+
+// held: the wallet's roles, allowed: any of these passes
+const allows = (held, allowed) => held.includes('admin') || allowed.some(r => held.includes(r))
+
+async function getRoles (wallet) {
+  const root = rootAdmins.has(wallet) ? ['admin'] : []
+  if (!process.env.DATABASE_URL) return root
+  const hit = rolesCache.get(wallet)
+  if (hit && Date.now() - hit.at < ROLES_TTL_MS) return hit.roles
+  const { rows } = await db.query(`SELECT role FROM wallet_roles WHERE wallet = $1`, [wallet])
+  const roles = [...new Set([...root, ...rows.map(r => r.role)])]
+  rolesCache.set(wallet, { at: Date.now(), roles })
+  return roles
+}
+
+// ─── Grants ───────────────────────────────────────────────────────
+
+const validate = (wallet, role) => {
+  if (!WALLET_RE.test(wallet || '')) throw badRole('wallet must be a Solana address')
+  if (!ROLES.includes(role)) throw badRole(`role must be one of ${ROLES.join(', ')}`)
+}
+
+// Every grant, root admins included (grantedBy null)
+async function listGrants () {
+  const root = [...rootAdmins].map(wallet => ({ wallet, role: 'admin', grantedBy: null, grantedAt: null, root: true }))
+  if (!process.env.DATABASE_URL) return root
+  const { rows } = await db.query(`
+    SELECT wallet, role, granted_by AS "grantedBy", granted_at AS "grantedAt"
+    FROM wallet_roles
+    ORDER BY granted_at
+  `)
+  return [...root, ...rows]
+}
+
+// Returns false when the wallet already had the role
+async function grant (wallet, role, actor) {
+  validate(wallet, role)
+  const { rowCount } = await db.query(`
+    INSERT INTO wallet_roles (wallet, role, granted_by) VALUES ($1, $2, $3)
+    ON CONFLICT (wallet, role) DO NOTHING
+  `, [wallet, role, actor])
+  rolesCache.delete(wallet)
+  return rowCount > 0
+}
+
+// Returns false when the wallet didn't have the role
+async function revoke (wallet, role) {
+  validate(wallet, role)
+  if (role === 'admin' && rootAdmins.has(wallet)) throw badRole('root admin (treasury wallet) can\'t be revoked')
+  const { rowCount } = await db.query(`DELETE FROM wallet_roles WHERE wallet = $1 AND role = $2`, [wallet, role])
+  rolesCache.delete(wallet)
+  return rowCount > 0
+}
+
+// ─── Audit log ────────────────────────────────────────────────────
+
+// action: '<area>.<verb>' (e.g. 'nomination.status'), target: what it acted on.
+// Never throws — the action has already happened; a lost entry is logged.
+async function audit (actor, action, target = null, details = null) {
+  if (!process.env.DATABASE_URL) return
+  try {
+    await db.query(`
+      INSERT INTO admin_audit_log (actor, action, target, details) VALUES ($1, $2, $3, $4::jsonb)
+    `, [actor, action, target === null ? null : String(target), details ? JSON.stringify(details) : null])
+  } catch (err) {
+    console.error(`[Audit] ${action} by ${actor} not recorded:`, err.message)
+  }
+}
+
+// Newest first. before = id cursor from the previous page.
+async function listAudit ({ limit, before, actor, action } = {}) {
+  const { rows } = await db.query(`
+    SELECT id, actor, action, target, details, created_at AS "createdAt"
+    FROM admin_audit_log
+    WHERE ($1::bigint IS NULL OR id < $1)
+      AND ($2::text   IS NULL OR actor = $2)
+      AND ($3::text   IS NULL OR action LIKE $3 || '%')
+    ORDER BY id DESC
+    LIMIT $4
+  `, [parseInt(before) || null, actor || null, action || null, Math.min(Math.max(parseInt(limit) || 100, 1), 500)])
+  return rows
+}
+
+module.exports = {
+  ROLES,
+  setRootAdmins,
+  allows,
+  getRoles,
+  listGrants,
+  grant,
+  revoke,
+  audit,
+  listAudit,
+}
@@ -0,0 +1,303 @@
+// ─── BetaPlays — On-chain Token Safety ────────────────────────────
+// Reads the token straight from Solana RPC instead of trusting DexScreener
+// (pair.info rarely carries mint / freeze authority) or Birdeye (holders
+// needs a paid plan):
+//   mint account        mint / freeze authority, Token-2022 extensions
+//                       (permanent delegate, transfer hook / fee, frozen
+//                       by default)
+//   largest accounts    top-10 / top-1 holder share, grouped by owner —
+//                       pool vaults, the bonding curve and the incinerator
+//                       don't count as holders
+//   pool                LP status: pump.fun curve, PumpSwap (LP burned at
+//                       migration), Raydium AMM v4 / CPMM (share of the LP
+//                       mint burned), concentrated-liquidity positions
+//
+// Each finding adds POINTS to a 0–100 risk score (≥ HIGH_SCORE HIGH,
+// ≥ MED_SCORE MED, else LOW). Results are cached per instance and in
+// server_cache, so every client shares one scan per token per CACHE_TTL.
+//
+// RPC: solanaRpc.js (SOLANA_RPC_URL — a local test validator works).
+// ──────────────────────────────────────────────────────────────────
+
+const { PublicKey } = require('@solana/web3.js')
+const db = require('./db')
+const { connection, createLimiter } = require('./solanaRpc')
+
+// ─── Config ───────────────────────────────────────────────────────
+const CACHE_TTL_MS   = 15 * 60 * 1000
+const MAX_SCANS      = 3                 // concurrent scans per instance — public RPCs rate-limit hard
+const MED_SCORE      = 25
+const HIGH_SCORE     = 50
+const LP_BURNED_PCT  = 95
+const LP_PARTIAL_PCT = 50
+
+const POINTS = {
+  mintAuthority:     30,
+  freezeAuthority:   25,
+  permanentDelegate: 25,
+  frozenByDefault:   20,
+  transferHook:      10,
+  transferFee:       10,
+  lpUnlocked:        25,
+  lpPartial:         10,
+  lpPosition:        10,
+  lpUnknown:         5,
+  top10High:         20,   // top 10 holders > 50%
+  top10Med:          10,   // top 10 holders > 30%
+  top1:              10,   // one holder > 20%
+}
+
+const TOKEN_2022 = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111'
+
+// Program that owns the pool / curve account → how its liquidity is held.
+// lpMint / lpAmount: byte offsets of the LP mint and LP minted in the pool
+// account (Raydium LIQUIDITY_STATE_LAYOUT_V4 lpMint / lpReserve, CPMM
+// PoolState lp_mint / lp_supply). mints: offsets of the pool's two token
+// mints (v4 baseMint / quoteMint, CPMM token_0_mint / token_1_mint, …) —
+// a client pair hint only counts when one of them is the scanned mint.
+// curveSeed: the account is a PDA of [seed, mint] instead.
+const POOL_PROGRAMS = {
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { dex: 'pumpfun',        lp: 'bonding_curve', curveSeed: 'bonding-curve' },
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': { dex: 'pumpswap',       lp: 'burned',   mints: [43, 75] },
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { dex: 'raydium',        lp: 'lp_mint',  mints: [400, 432], lpMint: 464, lpAmount: 720 },
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': { dex: 'raydium-cpmm',   lp: 'lp_mint',  mints: [168, 200], lpMint: 136, lpAmount: 333 },
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { dex: 'raydium-clmm',   lp: 'position', mints: [73, 105] },
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc':  { dex: 'orca',           lp: 'position', mints: [101, 181] },
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo':  { dex: 'meteora-dlmm',   lp: 'position', mints: [88, 120] },
+  'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG':  { dex: 'meteora-damm',   lp: 'position' },
+}
+// Vault owners that are program PDAs with no account of their own
+const POOL_AUTHORITIES = {
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',   // Raydium AMM v4
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',   // Raydium CPMM
+}
+
+const cache    = new Map()   // address → { at, result }
+const inFlight = new Map()   // address → Promise
+const limited  = createLimiter(MAX_SCANS)
+
+const badSafety = (message, code = 'BAD_SAFETY') => {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+const toKey = (address) => {
+  try { return new PublicKey(address) }
+  catch { throw badSafety('address must be a Solana mint address') }
+}
+
+// The pair hint comes from the client — a bad one is ignored, not an error
+const validPair = (pair) => {
+  try { return new PublicKey(pair).toBase58() }
+  catch { return null }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// ─── Mint ─────────────────────────────────────────────────────────
+
+async function readMint (mint) {
+  const { value } = await connection.getParsedAccountInfo(mint)
+  if (!value) throw badSafety('mint account not found', 'NO_MINT')
+  const parsed = value.data?.parsed
+  if (parsed?.type !== 'mint') throw badSafety('address is not a token mint')
+  const info = parsed.info
+  const ext  = Object.fromEntries((info.extensions || []).map(e => [e.extension, e.state || {}]))
+  const fee  = ext.transferFeeConfig?.newerTransferFee?.transferFeeBasisPoints || 0
+  return {
+    program:           value.owner.toBase58() === TOKEN_2022 ? 'token-2022' : 'spl-token',
+    decimals:          info.decimals,
+    supply:            BigInt(info.supply),
+    mintAuthority:     info.mintAuthority || null,
+    freezeAuthority:   info.freezeAuthority || null,
+    extensions:        Object.keys(ext),
+    permanentDelegate: ext.permanentDelegate?.delegate || null,
+    transferHook:      ext.transferHook?.programId || null,
+    transferFeeBps:    fee,
+    frozenByDefault:   ext.defaultAccountState?.accountState === 'frozen',
+  }
+}
+
+// ─── Holders ──────────────────────────────────────────────────────
+
+// Top token accounts → owners → each owner's program, so pool vaults and
+// the bonding curve can be told apart from wallets
+async function readHolders (mint, supply) {
+  const { value: largest } = await connection.getTokenLargestAccounts(mint)
+  if (!largest.length || supply === 0n) return { holders: [], pools: [] }
+
+  const { value: accounts } = await connection.getMultipleParsedAccounts(largest.map(a => a.address))
+  const owners = largest.map((a, i) => ({
+    owner:  accounts[i]?.data?.parsed?.info?.owner || null,
+    amount: BigInt(a.amount),
+  })).filter(a => a.owner)
+
+  const ownerKeys = [...new Set(owners.map(o => o.owner))]
+  const ownerInfo = await connection.getMultipleAccountsInfo(ownerKeys.map(o => new PublicKey(o)))
+  const programOf = Object.fromEntries(ownerKeys.map((o, i) => [o, POOL_AUTHORITIES[o] || ownerInfo[i]?.owner?.toBase58() || null]))
+
+  const byOwner = new Map()
+  for (const { owner, amount } of owners) byOwner.set(owner, (byOwner.get(owner) || 0n) + amount)
+
+  const holders = []
+  const pools   = []
+  for (const [owner, amount] of byOwner) {
+    // Percent with two decimals, without losing precision on u64 supplies
+    const pct = Number((amount * 10000n) / supply) / 100
+    const program = programOf[owner]
+    if (POOL_PROGRAMS[program]) pools.push({ owner, program, pct, ...POOL_PROGRAMS[program] })
+    else if (owner !== INCINERATOR) holders.push({ owner, pct })
+  }
+  holders.sort((a, b) => b.pct - a.pct)
+  pools.sort((a, b) => b.pct - a.pct)
+  return { holders, pools }
+}
+
+// ─── LP ───────────────────────────────────────────────────────────
+
+// Does this pool / curve account trade the mint? Unverifiable layouts → no.
+function poolHoldsMint (mint, address, data, program) {
+  const { mints, curveSeed } = POOL_PROGRAMS[program]
+  if (curveSeed) {
+    const [curve] = PublicKey.findProgramAddressSync([Buffer.from(curveSeed), mint.toBuffer()], new PublicKey(program))
+    return curve.toBase58() === address
+  }
+  return (mints || []).some(at =>
+    data.length >= at + 32 && new PublicKey(data.subarray(at, at + 32)).equals(mint))
+}
+
+// pair: DexScreener pairAddress, when the caller has one — Raydium vaults
+// are owned by a shared authority, so the pool itself can't be found from
+// the holders. The hint comes from the client and the result is shared,
+// so it's ignored unless the pool's own mints include this token.
+async function readLp (mint, pair, pools) {
+  let pool = null
+  if (pair) {
+    const info = await connection.getAccountInfo(new PublicKey(pair)).catch(() => null)
+    const program = info?.owner?.toBase58()
+    if (POOL_PROGRAMS[program] && poolHoldsMint(mint, pair, info.data, program)) {
+      pool = { address: pair, data: info.data, program, ...POOL_PROGRAMS[program] }
+    }
+  }
+  if (!pool && pools[0]) pool = { address: pools[0].owner, data: null, ...pools[0] }
+  if (!pool) return { status: 'unknown', dex: null, pool: null, burnedPct: null }
+
+  const lp = { status: pool.lp, dex: pool.dex, pool: pool.address, burnedPct: pool.lp === 'burned' ? 100 : null }
+  if (pool.lp !== 'lp_mint') return lp
+  if (!pool.data || pool.data.length < pool.lpAmount + 8) return { ...lp, status: 'unknown' }
+
+  // Share of the LP ever minted into the pool that has since been burned
+  const lpMint   = new PublicKey(pool.data.subarray(pool.lpMint, pool.lpMint + 32))
+  const lpAmount = pool.data.readBigUInt64LE(pool.lpAmount)
+  const { value: { amount } } = await connection.getTokenSupply(lpMint)
+  const burnedPct = lpAmount > 0n
+    ? Math.min(Math.max(100 - Number((BigInt(amount) * 10000n) / lpAmount) / 100, 0), 100)
+    : 0
+  return {
+    ...lp,
+    burnedPct: round2(burnedPct),
+    status:    burnedPct >= LP_BURNED_PCT ? 'burned' : burnedPct >= LP_PARTIAL_PCT ? 'partial' : 'unlocked',
+  }
+}
+
+// ─── Score ────────────────────────────────────────────────────────
+
+function score (mint, lp, holders) {
+  const risks = []
+  const add = (key, label) => risks.push({ key, label, points: POINTS[key] })
+
+  if (mint.mintAuthority)     add('mintAuthority',     'Mint authority not revoked — supply can be inflated')
+  if (mint.freezeAuthority)   add('freezeAuthority',   'Freeze authority not revoked — holders can be frozen')
+  if (mint.permanentDelegate) add('permanentDelegate', 'Permanent delegate — tokens can be moved from any wallet')
+  if (mint.frozenByDefault)   add('frozenByDefault',   'New token accounts start frozen')
+  if (mint.transferHook)      add('transferHook',      'Transfer hook — a program runs on every transfer')
+  if (mint.transferFeeBps)    add('transferFee',       `Transfer fee ${mint.transferFeeBps / 100}%`)
+
+  if (lp.status === 'unlocked')      add('lpUnlocked', 'LP not burned — liquidity can be pulled')
+  else if (lp.status === 'partial')  add('lpPartial',  `Only ${lp.burnedPct}% of LP burned`)
+  else if (lp.status === 'position') add('lpPosition', 'Concentrated liquidity — positions can be withdrawn')
+  else if (lp.status === 'unknown')  add('lpUnknown',  'Pool not identified')
+
+  const top1Pct  = holders[0]?.pct || 0
+  const top10Pct = round2(holders.slice(0, 10).reduce((sum, h) => sum + h.pct, 0))
+  if (top10Pct > 50)      add('top10High', `Top 10 holders own ${top10Pct}%`)
+  else if (top10Pct > 30) add('top10Med',  `Top 10 holders own ${top10Pct}%`)
+  if (top1Pct > 20)       add('top1',      `One wallet holds ${top1Pct}%`)
+
+  const total = Math.min(risks.reduce((sum, r) => sum + r.points, 0), 100)
+  return {
+    score: total,
+    level: total >= HIGH_SCORE ? 'HIGH' : total >= MED_SCORE ? 'MED' : 'LOW',
+    risks,
+    top1Pct,
+    top10Pct,
+  }
+}
+
+// ─── Scan ─────────────────────────────────────────────────────────
+
+async function runScan (address, pair) {
+  const mintKey = toKey(address)
+  const mint    = await readMint(mintKey)
+  const { holders, pools } = await readHolders(mintKey, mint.supply)
+  const lp      = await readLp(mintKey, pair && pair !== address ? validPair(pair) : null, pools)
+  const s       = score(mint, lp, holders)
+  return {
+    address,
+    scannedAt:       Date.now(),
+    score:           s.score,
+    level:           s.level,
+    risks:           s.risks,
+    program:         mint.program,
+    decimals:        mint.decimals,
+    mintAuthority:   mint.mintAuthority,
+    freezeAuthority: mint.freezeAuthority,
+    extensions:      mint.extensions,
+    lp,
+    holders: {
+      top1Pct:  s.top1Pct,
+      top10Pct: s.top10Pct,
+      top:      holders.slice(0, 10),
+      pools:    pools.map(p => ({ owner: p.owner, dex: p.dex, pct: p.pct })),
+    },
+  }
+}
+
+// Cached scan — per instance, then server_cache, then RPC. Concurrent
+// requests for the same token share one scan.
+async function scan (address, { pair = null } = {}) {
+  toKey(address)
+  const hit = cache.get(address)
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.result
+  if (inFlight.has(address)) return inFlight.get(address)
+
+  const job = (async () => {
+    const shared = await db.cacheGet(`safety:${address}`)
+    const result = shared || await limited(() => runScan(address, pair))
+    if (!shared) {
+      db.cacheSet(`safety:${address}`, result, CACHE_TTL_MS / 3_600_000)
+      console.log(`[Safety] ${address.slice(0, 6)}… ${result.level} (${result.score}) — ${result.risks.map(r => r.key).join(', ') || 'no risks'}`)
+    }
+    cache.set(address, { at: Date.now(), result })
+    return result
+  })().finally(() => inFlight.delete(address))
+  inFlight.set(address, job)
+  return job
+}
+
+// Cached result without scanning, or null — lets the route's rate limit
+// count only requests that reach the RPC
+function peek (address) {
+  const hit = cache.get(address)
+  return hit && Date.now() - hit.at < CACHE_TTL_MS ? hit.result : null
+}
+
+module.exports = {
+  scan,
+  peek,
+  POINTS,
+  MED_SCORE,
+  HIGH_SCORE,
+}
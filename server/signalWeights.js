@@ -0,0 +1,150 @@
+// ─── Signal Weight Calibration ────────────────────────────────────
+// Replaces gut-feel signal tiers with measured precision. A periodic job
+// scores every recorded beta_relation against what actually happened and
+// publishes a weight table (signal_weights, GET /api/signal-weights) that
+// the ranking functions apply on top of their constants at runtime.
+//
+// Outcomes, per relation (last WINDOW_DAYS):
+//   return    — 24h beta return > WIN_RETURN_PCT is a win, anything else
+//               (including a rug) a loss. Needs a beta_snapshots row.
+//   community — per beta address, using useBetaFeedback's rule: any hit
+//               (watchlist add / DEXScreener click, beta_hits) with more
+//               hits than weighted not_beta flags (flags.js) is a win; a
+//               not_beta score of 2+ and no hits is a loss. Binary per
+//               beta, so spam can't outvote returns.
+//
+// Precision is smoothed toward the overall precision (PRIOR_WEIGHT virtual
+// samples) so a source seen 5 times can't swing its tier. The published
+// value is a multiplier, not a tier — precision relative to the overall
+// average, clamped to [MIN_MULT, MAX_MULT]:
+//   sources — per signal source; computeBetaRank multiplies each source's
+//             tier (server: betaScanService, client: useBetas.js)
+//   combos  — per exact signal set ('ai_match+keyword'); computeBetaRank
+//             multiplies the whole rank for that set (server + client)
+// Anything missing from the table is 1 — i.e. the current constants.
+// SIGNAL_WEIGHTS=off serves no table at all.
+
+const db = require('./db')
+
+const WINDOW_DAYS    = 60
+const WIN_RETURN_PCT = 0
+const MIN_SAMPLES    = 30     // below this a source / combo isn't published
+const MIN_TOTAL      = 200    // below this nothing is published
+const PRIOR_WEIGHT   = 20
+const MIN_MULT       = 0.5
+const MAX_MULT       = 2.0
+const DISABLED       = process.env.SIGNAL_WEIGHTS === 'off'
+
+let current = null   // latest published table, shared by every ranking call on this instance
+
+const comboKey = (signals) => [...new Set(signals)].filter(s => s !== 'sibling').sort().join('+')
+
+// ─── Calibration ──────────────────────────────────────────────────
+
+const loadOutcomes = async () => {
+  const { rows } = await db.query(`
+    WITH feedback AS (
+      SELECT br.beta_address,
+             (SELECT COUNT(*) FROM beta_hits h WHERE h.address = br.beta_address) AS hits,
+             (SELECT COALESCE(SUM(f.weight), 0) FROM token_flags f
+               WHERE f.address = br.beta_address AND f.flag_type = 'not_beta'
+                 AND f.wallet IS NOT NULL AND f.outcome IS DISTINCT FROM 'dismissed') AS misses
+      FROM (SELECT DISTINCT beta_address FROM beta_relations
+            WHERE first_seen > NOW() - ($1 || ' days')::INTERVAL) br
+    )
+    SELECT
+      br.signals,
+      CASE
+        WHEN bs.relation_id IS NULL THEN NULL
+        WHEN bs.beta_price IS NULL  THEN FALSE
+        ELSE (bs.beta_price / br.beta_price_at_detection - 1) * 100 > $2
+      END                                                   AS return_win,
+      fb.hits::int                                          AS hits,
+      fb.misses::float8                                     AS misses
+    FROM beta_relations br
+    JOIN feedback fb ON fb.beta_address = br.beta_address
+    LEFT JOIN beta_snapshots bs ON bs.relation_id = br.id AND bs.horizon = '24h'
+    WHERE br.first_seen > NOW() - ($1 || ' days')::INTERVAL
+      AND br.beta_price_at_detection > 0
+  `, [WINDOW_DAYS, WIN_RETURN_PCT])
+
+  return rows.map(r => {
+    const outcomes = []
+    if (r.return_win !== null) outcomes.push(r.return_win)
+    if (r.hits > 0 && r.hits > r.misses)   outcomes.push(true)
+    else if (r.misses >= 2 && r.hits === 0) outcomes.push(false)
+    return { signals: (r.signals || []).filter(s => s !== 'sibling'), outcomes }
+  }).filter(r => r.outcomes.length > 0 && r.signals.length > 0)
+}
+
+const tally = (map, key, outcomes) => {
+  const t = map.get(key) || { wins: 0, samples: 0 }
+  for (const win of outcomes) { t.samples++; if (win) t.wins++ }
+  map.set(key, t)
+}
+
+const toWeights = (map, basePrecision) => Object.fromEntries(
+  [...map.entries()]
+    .filter(([, t]) => t.samples >= MIN_SAMPLES)
+    .sort((a, b) => b[1].samples - a[1].samples)
+    .map(([key, t]) => {
+      const smoothed   = (t.wins + PRIOR_WEIGHT * basePrecision) / (t.samples + PRIOR_WEIGHT)
+      const multiplier = Math.min(Math.max(smoothed / basePrecision, MIN_MULT), MAX_MULT)
+      return [key, {
+        precision:  Math.round((t.wins / t.samples) * 1000) / 1000,
+        samples:    t.samples,
+        multiplier: Math.round(multiplier * 100) / 100,
+      }]
+    })
+)
+
+// Job: recompute and publish a new table. Skips publishing while there
+// isn't enough history — the previous table (or the constants) stays live.
+async function calibrate () {
+  if (!process.env.DATABASE_URL || DISABLED) return
+
+  const rows = await loadOutcomes()
+  const sources = new Map()
+  const combos  = new Map()
+  let wins = 0
+  let samples = 0
+  for (const row of rows) {
+    for (const s of new Set(row.signals)) tally(sources, s, row.outcomes)
+    tally(combos, comboKey(row.signals), row.outcomes)
+    samples += row.outcomes.length
+    wins    += row.outcomes.filter(Boolean).length
+  }
+
+  if (samples < MIN_TOTAL || wins === 0) {
+    console.log(`[SignalWeights] ${samples} outcomes — below ${MIN_TOTAL}, not publishing`)
+    return
+  }
+
+  const basePrecision = wins / samples
+  const table = {
+    computedAt:    new Date().toISOString(),
+    windowDays:    WINDOW_DAYS,
+    samples,
+    basePrecision: Math.round(basePrecision * 1000) / 1000,
+    sources:       toWeights(sources, basePrecision),
+    combos:        toWeights(combos, basePrecision),
+  }
+  await db.query('INSERT INTO signal_weights (weights) VALUES ($1)', [JSON.stringify(table)])
+  current = table
+  console.log(`[SignalWeights] Published — ${samples} outcomes, ${Object.keys(table.sources).length} sources, ${Object.keys(table.combos).length} combos`)
+}
+
+// Job (every instance): pick up a table published by another instance.
+async function refresh () {
+  if (!process.env.DATABASE_URL || DISABLED) return
+  const { rows } = await db.query('SELECT weights FROM signal_weights ORDER BY computed_at DESC LIMIT 1')
+  if (rows[0]) current = rows[0].weights
+}
+
+// ─── Runtime lookups ──────────────────────────────────────────────
+
+const getWeights = () => (DISABLED ? null : current)
+
+const sourceMultiplier = (source) => current?.sources?.[source]?.multiplier ?? 1
+
+module.exports = { calibrate, refresh, getWeights, sourceMultiplier, comboKey }
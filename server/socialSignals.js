@@ -0,0 +1,522 @@
+// ─── BetaPlays — Social Signal Engine ─────────────────────────────
+// Vectors 10 + 11 — Social Signal Intelligence
+//
+// The extraction → quality filter → concept grouping → runner selection
+// pipeline shared by every social source (Telegram, Twitter/X, …). A
+// source only fetches posts; the engine turns them into betas:
+//
+//   const source = socialSignals.createSource({
+//     name:   'telegram',
+//     signal: 'telegram_signal',          // tag on every result
+//     config: { minLiquidity: 2000, … },  // overrides DEFAULT_CONFIG
+//   })
+//   const result = await source.ingest({ text, weight, meta })
+//   source.getBetas('WIF')               // cached results for an alpha
+//
+// ingest() returns { outcome, terms, alpha, betaTerms, confidence, betas };
+// outcome 'held' (betas named, alpha not known yet) is left to the source
+// — Telegram keeps a holding pool, Twitter drops them. The lower-level
+// steps (extractSignal, resolveBetaTerm, store) are on the source too.
+//
+// Extraction Rules (the key design decision):
+//   - ALPHA identification: must have $ prefix OR already in known alpha list
+//   - BETA identification: $ prefix OR any text term (loose, quality filter handles noise)
+//   - Bare words WITHOUT $ are NEVER treated as unknown alphas
+//   - This kills "lol", "gc", "all" false positives without any blocklist
+//
+// Per-concept Runner Selection:
+//   momentumScore = (1hVol×0.4) + (1hChange%×0.3) + (liq×0.2) + (txnVelocity×0.1)
+//   TIED: show 2 tokens if within 10% momentum of each other
+//
+// The known alpha list is shared by every source (updateKnownAlphas, fed
+// by /api/report-alphas).
+// ──────────────────────────────────────────────────────────────────
+
+const llmRouter = require('./llmRouter')
+
+// ─── Per-source config ────────────────────────────────────────────
+const DEFAULT_CONFIG = {
+  minLiquidity:           2000,
+  minTokenAgeMs:          60 * 60 * 1000,   // 1 hour
+  // Tiered txn count minimums (mirrors isActiveBeta) — [mcap below, min 24h txns]
+  minTxnTiers:            [[100_000, 3], [1_000_000, 8], [10_000_000, 15], [Infinity, 30]],
+  maxBetaTermsPerMessage: 3,
+  maxBetasPerAlpha:       10,               // hard cap per alpha
+  resultTtlMs:            30 * 60 * 1000,   // cached results expire after this
+  // Layer 3 LLM fallback for posts with < 2 tokens — spends the shared
+  // 'extraction' quota, so sources fed in bulk (ingest) turn it off
+  aiFallback:             true,
+}
+
+const DEX_BATCH_SIZE = 30
+
+// ─── Generic words stripped during concept grouping ───────────────
+const GENERIC_STRIP = new Set([
+  'inu', 'coin', 'token', '2.0', 'v2', 'v3', 'the', 'a', 'of',
+  'on', 'solana', 'sol', 'meme', 'baby', 'mini', 'little', 'og',
+  'official', 'real', 'based', 'ai', 'dao', 'fi', 'defi', 'nft',
+])
+
+// ─── Relationship keywords (confidence boost) ─────────────────────
+const RELATIONSHIP_KEYWORDS = [
+  'beta', 'beta play', 'sister', 'sister token', 'derivative',
+  'related', 'follow', 'next', 'evil twin', 'twin', 'if.*runs',
+  'when.*pumps', 'watch', 'baby', 'mini', 'spin.?off', 'echo',
+]
+
+// ─── Pure hype — skip entire message ─────────────────────────────
+const HYPE_ONLY_PATTERNS = [
+  /^\s*[🚀💎🔥👀]+\s*$/,
+  /^(wen|when|gm|gn|wagmi|ngmi|ser|fren|based|cope|rekt)\s*$/i,
+  /^(buy|sell|hold|hodl|moon|pump|dump|rug|100x|1000x)\s*[🚀💎🔥👀]*\s*$/i,
+]
+
+// ─── Known alpha index ────────────────────────────────────────────
+// The live index comes from the frontend (updateKnownAlphas); a replay
+// can build its own (telegramService.reprocessArchive).
+//   alphaSet:  lowercase symbol + name lookup
+//   symbolSet: lowercase symbols only (for single-word matching)
+function buildAlphaIndex (alphas) {
+  const alphaSet  = new Set()
+  const symbolSet = new Set()
+  for (const a of alphas) {
+    if (a.symbol) {
+      alphaSet.add(a.symbol.toLowerCase())
+      symbolSet.add(a.symbol.toLowerCase())
+    }
+    if (a.name) alphaSet.add(a.name.toLowerCase())
+  }
+  return { alphas, alphaSet, symbolSet }
+}
+
+let alphaIndex = buildAlphaIndex([])
+
+function updateKnownAlphas (alphas) {
+  alphaIndex = buildAlphaIndex(alphas)
+}
+
+const getKnownAlphas = () => alphaIndex.alphas
+
+// ─── Extract $TICKER tokens ───────────────────────────────────────
+// ONLY tokens with explicit $ prefix (or contract addresses).
+// Greedy lookahead: "$Chibi Elon" → extracts "Chibi Elon" as one term.
+// This is the ONLY source of unknown alpha identification.
+function extractDollarTokens (text) {
+  const found = []
+  let m
+
+  // Contract addresses (base58, 32–44 chars)
+  const caPattern = /\b([1-9A-HJ-NP-Za-km-z]{32,44})\b/g
+  while ((m = caPattern.exec(text)) !== null) {
+    found.push({ term: m[1], type: 'address', confidence: 0.9 })
+  }
+
+  // $TICKER with greedy lookahead for spaced names
+  const tickerPattern = /\$([A-Za-z][A-Za-z0-9]*)/g
+  const words = text.split(/\s+/)
+
+  while ((m = tickerPattern.exec(text)) !== null) {
+    const base   = m[1]
+    const pos    = text.indexOf('$' + base)
+    const before = text.slice(0, pos).split(/\s+/).length - 1
+    const w1 = words[before]?.replace(/^\$/, '') || ''
+    const w2 = words[before + 1] || ''
+    const w3 = words[before + 2] || ''
+
+    const w2IsName = w2 && /^[A-Za-z][a-z]+$/.test(w2) && !w2.startsWith('$')
+    const w3IsName = w3 && /^[A-Za-z][a-z]+$/.test(w3) && !w3.startsWith('$') && w2IsName
+
+    if (w3IsName) {
+      found.push({ term: (w1 + ' ' + w2 + ' ' + w3).trim(), type: 'dollar_ticker', confidence: 0.9 })
+    } else if (w2IsName) {
+      found.push({ term: (w1 + ' ' + w2).trim(), type: 'dollar_ticker', confidence: 0.9 })
+    } else {
+      found.push({ term: w1.trim(), type: 'dollar_ticker', confidence: 0.9 })
+    }
+  }
+
+  return dedupTerms(found)
+}
+
+// ─── Find known alphas in text (no $ required) ───────────────────
+// Matches ONLY against our verified known runner list.
+// Single-word: symbol only, min 3 chars.
+// Multi-word: symbol or name match.
+// No false positives possible — every match is a verified runner.
+function findKnownAlphasInText (text, index = alphaIndex) {
+  const found = []
+  const lower = text.toLowerCase()
+  const words = lower.split(/\s+/).map(w => w.replace(/[^a-z0-9]/g, ''))
+
+  for (let i = 0; i < words.length; i++) {
+    const w1 = words[i]
+    const w2 = words[i + 1] || ''
+    const w3 = words[i + 2] || ''
+
+    // Try multi-word first (most specific)
+    let matched = false
+    for (const phrase of [
+      (w1 + ' ' + w2 + ' ' + w3).trim(),
+      (w1 + ' ' + w2).trim(),
+      w1 + w2 + w3,
+      w1 + w2,
+    ]) {
+      if (phrase.length < 4) continue
+      if (index.alphaSet.has(phrase)) {
+        found.push({ term: phrase, type: 'known_match', confidence: 0.8 })
+        matched = true
+        break
+      }
+    }
+    if (matched) continue
+
+    // Single word — symbol only, min 3 chars
+    // Short symbols safe now because BLOCKED_ALPHA_TERMS handles common words
+    if (w1.length >= 3 && index.symbolSet.has(w1)) {
+      found.push({ term: w1, type: 'known_match', confidence: 0.75 })
+    }
+  }
+
+  return dedupTerms(found)
+}
+
+// ─── Layer 3: AI inference (only when < 2 tokens found) ──────────
+async function extractLayer3 (text, index = alphaIndex) {
+  const alphaList = index.alphas.slice(0, 50).map(a => a.symbol).join(', ')
+  const prompt = `Crypto Telegram message from Solana trading group:
+"${text}"
+
+Known running tokens: ${alphaList || 'unknown'}
+
+Extract any crypto token tickers mentioned. Which is the alpha (running) and which are betas (derivatives)?
+Tokens may lack $ prefix or be lowercase. Only return clearly mentioned tokens — no guessing.
+Return JSON only: { "alpha": "SYMBOL or null", "betas": ["SYMBOL1"] }`
+
+  try {
+    // llmRouter task 'extraction' (Groq 8b) — rejects when no key is configured
+    const { result: parsed } = await llmRouter.complete('extraction', {
+      prompt, maxTokens: 150, timeoutMs: 8000, tag: 'TelegramL3',
+    })
+    const results = []
+    if (parsed.alpha) results.push({ term: parsed.alpha, type: 'ai_extracted', confidence: 0.75 })
+    for (const b of (parsed.betas || [])) results.push({ term: b, type: 'ai_extracted', confidence: 0.75 })
+    return results
+  } catch { return [] }
+}
+
+// ─── Dedup terms ──────────────────────────────────────────────────
+function dedupTerms (terms) {
+  const seen = new Set()
+  return terms.filter(t => {
+    const key = t.term.toLowerCase().replace(/\s+/g, '')
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+// ─── Terms that must never be treated as alphas ───────────────────
+// Chain names, platform names, and generic crypto terms that happen
+// to be token names but appear constantly in normal messages
+const BLOCKED_ALPHA_TERMS = new Set([
+  'solana', 'sol', 'ethereum', 'bitcoin', 'binance', 'coinbase',
+  'pumpfun', 'raydium', 'jupiter', 'phantom', 'metamask',
+  'yes', 'no', 'not', 'now', 'new', 'old', 'all', 'any',
+])
+
+// ─── Find alpha from extracted terms ─────────────────────────────
+function findAlphaInTerms (terms, index = alphaIndex) {
+  for (const t of terms) {
+    const lower = t.term.toLowerCase().replace(/\s+/g, '')
+    if (BLOCKED_ALPHA_TERMS.has(lower)) continue  // never an alpha
+    for (const alpha of index.alphas) {
+      const sym  = (alpha.symbol || '').toLowerCase()
+      const name = (alpha.name   || '').toLowerCase().replace(/\s+/g, '')
+      if (lower === sym || lower === name) return alpha
+    }
+  }
+  return null
+}
+
+// ─── Extract core concept words ───────────────────────────────────
+function extractCoreWords (term) {
+  return term.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/[\s_]+/)
+    .filter(w => w.length > 1 && !GENERIC_STRIP.has(w))
+}
+
+// ─── Group terms by concept ───────────────────────────────────────
+function groupByConcept (terms) {
+  const concepts = []
+  for (const term of terms) {
+    const coreWords = extractCoreWords(term)
+    if (!coreWords.length) continue
+    const existing = concepts.find(c =>
+      c.coreWords.length === coreWords.length &&
+      coreWords.every(w => c.coreWords.includes(w))
+    )
+    if (existing) existing.terms.push(term)
+    else concepts.push({ coreWords, terms: [term] })
+  }
+  return concepts
+}
+
+// ─── DEX batch fetch ──────────────────────────────────────────────
+async function fetchDEXBatch (addresses) {
+  const results = []
+  for (let i = 0; i < addresses.length; i += DEX_BATCH_SIZE) {
+    try {
+      const url = `https://api.dexscreener.com/tokens/v1/solana/${addresses.slice(i, i + DEX_BATCH_SIZE).join(',')}`
+      const res = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) })
+      if (!res.ok) continue
+      const data = await res.json()
+      if (Array.isArray(data)) results.push(...data)
+    } catch (err) { console.warn('[SocialSignals] DEX batch error:', err.message) }
+  }
+  return results
+}
+
+// ─── DEX search ───────────────────────────────────────────────────
+async function searchDEX (term) {
+  try {
+    const res = await fetch(
+      `https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(term)}`,
+      { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(10000) }
+    )
+    if (!res.ok) return []
+    return ((await res.json())?.pairs || []).filter(p => p.chainId === 'solana')
+  } catch (err) { console.warn(`[SocialSignals] DEX search error "${term}":`, err.message); return [] }
+}
+
+// ─── Momentum score ───────────────────────────────────────────────
+function momentumScore (pair) {
+  return (
+    Math.min((pair.volume?.h1 || 0)                         / 50_000,  1) * 0.4 +
+    Math.min(Math.max(pair.priceChange?.h1 || 0, 0)         / 100,     1) * 0.3 +
+    Math.min((pair.liquidity?.usd || 0)                     / 100_000, 1) * 0.2 +
+    Math.min(((pair.txns?.h1?.buys || 0) + (pair.txns?.h1?.sells || 0)) / 200, 1) * 0.1
+  )
+}
+
+
+// ─── Format pair ──────────────────────────────────────────────────
+function formatPair (pair) {
+  return {
+    address:     pair.baseToken?.address || '',
+    symbol:      pair.baseToken?.symbol  || '',
+    name:        pair.baseToken?.name    || '',
+    priceUsd:    pair.priceUsd           || '0',
+    liquidity:   pair.liquidity?.usd     || 0,
+    volume24h:   pair.volume?.h24        || 0,
+    priceChange: { h1: pair.priceChange?.h1 || 0, h24: pair.priceChange?.h24 || 0 },
+    fdv:         pair.fdv                || 0,
+    pairAddress: pair.pairAddress        || '',
+    dexId:       pair.dexId              || '',
+    url:         pair.url                || '',
+  }
+}
+
+// ─── Sources ──────────────────────────────────────────────────────
+// Confidence: channel/author weight × (0.85 with a relationship keyword,
+// else 0.70) + 0.10 keyword bonus. Calibrated weights go above 1.0 for
+// sources that outperform — capped at 1.
+const signalConfidence = (hasRelKw, weight = 1.0) =>
+  Math.min(1, weight * (hasRelKw ? 0.85 : 0.70) + (hasRelKw ? 0.10 : 0))
+
+function createSource ({ name, signal, config = {} }) {
+  const cfg   = { ...DEFAULT_CONFIG, ...config }
+  const tag   = `[SocialSignals/${name}]`
+  const cache = new Map()   // { [alphaSymbol_lower]: [result, …] } — newest first
+
+  const minTxnCount = (mcap) => cfg.minTxnTiers.find(([below]) => mcap < below)[1]
+
+  // ─── Quality filter ─────────────────────────────────────────────
+  function passesQualityFilter (pair) {
+    const liq  = pair.liquidity?.usd || 0
+    const mcap = pair.fdv || pair.marketCap || 0
+    const txns = (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0)
+    const age  = pair.pairCreatedAt ? Date.now() - pair.pairCreatedAt : Infinity
+    if (liq  < cfg.minLiquidity)              return false
+    if (age  < cfg.minTokenAgeMs)             return false
+    if (pair.info?.freezeAuthority)           return false
+    if (pair.info?.mintAuthority)             return false
+    if (txns < minTxnCount(mcap))             return false
+    if (mcap > 1_000_000 && (pair.volume?.h24 || 0) < 100) return false
+    return true
+  }
+
+  // ─── Select runner(s) per concept ───────────────────────────────
+  function selectRunner (pairs) {
+    if (!pairs.length) return []
+    const scored = pairs.filter(passesQualityFilter)
+      .map(p => ({ pair: p, score: momentumScore(p) }))
+      .sort((a, b) => b.score - a.score)
+    if (!scored.length) return []
+    const winner = scored[0]
+    if (scored.length > 1) {
+      const gap = winner.score > 0 ? (winner.score - scored[1].score) / winner.score : 1
+      if (gap <= 0.10) return [
+        { ...formatPair(winner.pair), tied: true },
+        { ...formatPair(scored[1].pair), tied: true },
+      ]
+    }
+    return [{ ...formatPair(winner.pair), tied: false }]
+  }
+
+  // ─── Extract a signal from one post ─────────────────────────────
+  // Pure extraction — no DEX calls, no cache or DB writes — so it can be
+  // replayed over history (telegramService.reprocessArchive). Returns
+  // { outcome, terms, alpha, betaTerms, hasRelKw } where outcome is one of
+  // 'hype' | 'too_few_terms' | 'no_beta' | 'held' (betas, no alpha yet) | 'matched'.
+  // opts.index: known alpha index (default: live); opts.layer3: AI fallback
+  // (default: extractLayer3 when cfg.aiFallback, else none)
+  async function extractSignal (text, { index = alphaIndex, layer3 = cfg.aiFallback ? extractLayer3 : null } = {}) {
+    const none = { terms: [], alpha: null, betaTerms: [], hasRelKw: false }
+    if (HYPE_ONLY_PATTERNS.some(p => p.test(text.replace(/[^\w\s$]/g, '').trim()))) return { ...none, outcome: 'hype' }
+
+    // Step 1: Extract all $ tokens from message
+    const dollarTokens = extractDollarTokens(text)
+
+    // Step 2: Find known alphas mentioned without $ (already verified runners)
+    const knownMatches = findKnownAlphasInText(text, index)
+
+    // Merge — dollar tokens first
+    let extracted = dedupTerms([...dollarTokens, ...knownMatches])
+
+    // Step 3: AI fallback only if < 2 tokens found
+    if (extracted.length < 2 && layer3) {
+      extracted = dedupTerms([...extracted, ...await layer3(text, index)])
+    }
+
+    // Need at least 2 to proceed
+    if (extracted.length < 2) return { ...none, terms: extracted, outcome: 'too_few_terms' }
+
+    // Step 4: Identify alpha
+    // Alpha must: have $ prefix in original text OR be in known alpha list
+    // Known matches are already verified runners — no $ needed
+    // Dollar tokens from unknown sources need to match known list to be alpha
+    const alpha = findAlphaInTerms(extracted, index)
+
+    const hasRelKw = RELATIONSHIP_KEYWORDS.some(kw => new RegExp(kw, 'i').test(text))
+
+    // Step 5: Beta candidates MUST have $ prefix or be a contract address
+    // Known alpha list matching is for ALPHA identification only — not betas
+    // This is the key rule: degens use $ when they mean a token intentionally
+    // "if believe runs, $LOLZ is the play" → BELIEVE=alpha, $LOLZ=beta ✅
+    // "if believe runs, fish may follow" → BELIEVE=alpha, fish rejected ✅
+    // Layer 3 AI handles edge cases where neither token has $
+    const betaTerms = extracted
+      .filter(t => {
+        // Only explicitly $ prefixed tokens or contract addresses as betas
+        if (t.type !== 'dollar_ticker' && t.type !== 'address' && t.type !== 'ai_extracted') return false
+        // Must not be the alpha
+        if (!alpha) return true
+        const lower = t.term.toLowerCase().replace(/\s+/g, '')
+        return lower !== (alpha.symbol || '').toLowerCase() &&
+               lower !== (alpha.name   || '').toLowerCase().replace(/\s+/g, '')
+      })
+      .slice(0, cfg.maxBetaTermsPerMessage)
+
+    const outcome = !betaTerms.length ? 'no_beta' : alpha ? 'matched' : 'held'
+    return { outcome, terms: extracted, alpha, betaTerms, hasRelKw }
+  }
+
+  // ─── Resolve a beta term to runner(s) ───────────────────────────
+  // DEX lookup → quality filter → concept grouping → runner selection.
+  // Returns one runner list per concept; no cache or DB writes.
+  async function resolveBetaTerm (bt) {
+    if (bt.type === 'address') return [selectRunner(await fetchDEXBatch([bt.term]))]
+    const pairs = await searchDEX(bt.term)
+    if (!pairs.length) return []
+    const concepts = groupByConcept(pairs.map(p => p.baseToken?.name || p.baseToken?.symbol || ''))
+    return concepts.map(concept => selectRunner(pairs.filter(p => {
+      const n = (p.baseToken?.name || '').toLowerCase()
+      const s = (p.baseToken?.symbol || '').toLowerCase()
+      return concept.coreWords.every(w => n.includes(w) || s.includes(w))
+    })))
+  }
+
+  // ─── Store results ──────────────────────────────────────────────
+  // One entry per beta address per alpha; a repeat refreshes it (new ts).
+  // meta is merged into every result (channel, author, url, …).
+  // ts: when the result's TTL starts — default now.
+  // Returns the number of betas not already cached.
+  function store (alphaSymbol, runners, { confidence, meta = {}, ts = Date.now() } = {}) {
+    const key      = alphaSymbol.toLowerCase()
+    const existing = cache.get(key) || []
+    let added      = 0
+    for (const runner of runners) {
+      if (!runner.address) continue
+      const prev = existing.findIndex(r => r.address === runner.address)
+      if (prev >= 0 && existing[prev].ts > ts) continue
+      if (prev >= 0) existing.splice(prev, 1)
+      else added++
+      existing.push({ ...runner, ...meta, alpha: alphaSymbol, signal, confidence, tied: runner.tied || false, ts })
+    }
+    existing.sort((a, b) => b.ts - a.ts)
+    cache.set(key, existing.slice(0, cfg.maxBetasPerAlpha))
+    if (added) console.log(`${tag} Stored ${added} new beta(s) for ${alphaSymbol} (total: ${Math.min(existing.length, cfg.maxBetasPerAlpha)})`)
+    return added
+  }
+
+  // ─── Ingest one post ────────────────────────────────────────────
+  // post: { text, weight?, meta?, ts? } — weight scales confidence (channel
+  // weight; 1.0 when the source has none). Matched betas are cached.
+  async function ingest ({ text, weight = 1.0, meta, ts }) {
+    const result = await extractSignal(text)
+    if (result.outcome !== 'held' && result.outcome !== 'matched') return { ...result, betas: [] }
+    const confidence = signalConfidence(result.hasRelKw, weight)
+    if (result.outcome === 'held') return { ...result, confidence, betas: [] }
+
+    const betas = []
+    for (const bt of result.betaTerms) {
+      for (const runners of await resolveBetaTerm(bt)) {
+        store(result.alpha.symbol, runners, { confidence, meta, ts })
+        betas.push(...runners)
+      }
+    }
+    return { ...result, confidence, betas }
+  }
+
+  // ─── Cached betas for a symbol ──────────────────────────────────
+  function getBetas (symbol) {
+    if (!symbol) return []
+    const cutoff = Date.now() - cfg.resultTtlMs
+    return (cache.get(symbol.toLowerCase()) || []).filter(r => r.ts >= cutoff)
+  }
+
+  // Drop expired results — call from the source's poll/refresh cycle
+  function prune () {
+    const cutoff = Date.now() - cfg.resultTtlMs
+    for (const [key, results] of cache) {
+      const fresh = results.filter(r => r.ts >= cutoff)
+      if (fresh.length) cache.set(key, fresh)
+      else cache.delete(key)
+    }
+  }
+
+  return {
+    name,
+    signal,
+    config: cfg,
+    extractSignal,
+    resolveBetaTerm,
+    passesQualityFilter,
+    selectRunner,
+    store,
+    ingest,
+    getBetas,
+    prune,
+    cacheSize: () => cache.size,
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createSource,
+  buildAlphaIndex,
+  updateKnownAlphas,
+  getKnownAlphas,
+  extractLayer3,
+  extractCoreWords,
+  signalConfidence,
+}
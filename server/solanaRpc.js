@@ -0,0 +1,35 @@
+// ─── BetaPlays — Solana RPC ───────────────────────────────────────
+// One Connection for the on-chain readers (safety.js, bundles.js).
+//
+// SOLANA_RPC_URL picks the RPC (a local test validator works:
+// http://127.0.0.1:8899); defaults to Helius when HELIUS_API_KEY is set,
+// else the public mainnet endpoint.
+// ──────────────────────────────────────────────────────────────────
+
+const { Connection } = require('@solana/web3.js')
+
+const RPC_URL = process.env.SOLANA_RPC_URL
+  || (process.env.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : 'https://api.mainnet-beta.solana.com')
+
+const connection = new Connection(RPC_URL, 'confirmed')
+
+// limit(fn) runs at most `max` fns at once; the rest wait their turn.
+// Public RPCs rate-limit hard — each reader caps its own scans.
+function createLimiter (max) {
+  let running = 0
+  const waiting = []
+  return async function limit (fn) {
+    if (running >= max) await new Promise(resolve => waiting.push(resolve))
+    running++
+    try { return await fn() }
+    finally {
+      running--
+      waiting.shift()?.()
+    }
+  }
+}
+
+module.exports = {
+  connection,
+  createLimiter,
+}
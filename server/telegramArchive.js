@@ -0,0 +1,157 @@
+// ─── BetaPlays — Telegram Message Archive ─────────────────────────
+// Vector 10 — Social Signal Intelligence
+//
+// Storage for telegramService:
+//   telegram_messages      every polled message — text plus what the
+//                          extraction rules made of it (terms, alpha, beta
+//                          terms, resulting betas, outcome). One row per
+//                          (channel, message_id); re-polls update it in place.
+//   telegram_holding_pool  beta terms waiting for their alpha to show up,
+//                          so the pool survives a restart. Memory stays the
+//                          working copy — each instance polls on its own and
+//                          this table only seeds the pool at init().
+//
+// reprocess_telegram.js re-runs the current extraction rules over a window
+// of the archive (telegramService.reprocessArchive) and diffs the result
+// against what was archived.
+// ──────────────────────────────────────────────────────────────────
+
+const db = require('./db')
+
+const ARCHIVE_RETENTION_DAYS = 90
+const REPROCESS_MAX_ROWS     = 20_000
+
+const enabled = () => !!process.env.DATABASE_URL
+
+// Only the fields the diff needs — { term, type } per term
+const slimTerms = (terms) => (terms || []).map(t => ({ term: t.term, type: t.type }))
+
+// ─── Messages ─────────────────────────────────────────────────────
+
+// result: processMessage's return value — { outcome, terms, alpha, betaTerms, betas }
+async function archiveMessage ({ channel, messageId, msgTs, text, result }) {
+  if (!enabled() || messageId == null) return
+  await db.query(`
+    INSERT INTO telegram_messages AS m
+      (channel, channel_id, message_id, message_ts, text, terms, alpha_symbol, beta_terms, betas, outcome)
+    VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8::jsonb, $9::jsonb, $10)
+    ON CONFLICT (channel, message_id) DO UPDATE SET
+      text         = EXCLUDED.text,
+      terms        = EXCLUDED.terms,
+      alpha_symbol = EXCLUDED.alpha_symbol,
+      beta_terms   = EXCLUDED.beta_terms,
+      betas        = EXCLUDED.betas,
+      outcome      = EXCLUDED.outcome,
+      processed_at = NOW()
+    WHERE (m.text, m.terms, m.alpha_symbol, m.beta_terms, m.betas, m.outcome)
+      IS DISTINCT FROM
+          (EXCLUDED.text, EXCLUDED.terms, EXCLUDED.alpha_symbol, EXCLUDED.beta_terms, EXCLUDED.betas, EXCLUDED.outcome)
+  `, [
+    channel.handle,
+    channel.id,
+    messageId,
+    new Date(msgTs),
+    text,
+    JSON.stringify(slimTerms(result.terms)),
+    result.alpha?.symbol || null,
+    JSON.stringify(slimTerms(result.betaTerms)),
+    JSON.stringify((result.betas || []).map(b => ({ address: b.address, symbol: b.symbol }))),
+    result.outcome,
+  ])
+}
+
+// Archived messages in [from, to), oldest first
+async function readWindow ({ from, to, channel, limit = REPROCESS_MAX_ROWS }) {
+  const params = [from, to, Math.min(limit, REPROCESS_MAX_ROWS)]
+  if (channel) params.push(channel)
+  const { rows } = await db.query(`
+    SELECT id, channel, message_id AS "messageId", message_ts AS "messageTs", text,
+           terms, alpha_symbol AS "alphaSymbol", beta_terms AS "betaTerms", outcome
+    FROM telegram_messages
+    WHERE message_ts >= $1 AND message_ts < $2
+      ${channel ? 'AND LOWER(channel) = LOWER($4)' : ''}
+    ORDER BY message_ts
+    LIMIT $3
+  `, params)
+  return rows
+}
+
+// Stand-in for the live known-alpha list (fed by the frontend, never
+// stored): tokens that ran from a day before the window to its end.
+async function alphasInWindow (from, to) {
+  const { rows } = await db.query(`
+    SELECT DISTINCT t.address, t.symbol, t.name
+    FROM alpha_runs r
+    JOIN tokens t ON t.address = r.token_address
+    WHERE r.timestamp >= $1::timestamptz - INTERVAL '24 hours'
+      AND r.timestamp <  $2
+      AND t.symbol IS NOT NULL
+  `, [from, to])
+  return rows
+}
+
+// Job: daily
+async function pruneArchive () {
+  if (!enabled()) return
+  const { rowCount } = await db.query(
+    `DELETE FROM telegram_messages WHERE message_ts < NOW() - ($1 || ' days')::INTERVAL`,
+    [ARCHIVE_RETENTION_DAYS]
+  )
+  if (rowCount) console.log(`[TelegramArchive] Pruned ${rowCount} archived messages`)
+}
+
+// ─── Holding pool ─────────────────────────────────────────────────
+
+async function holdTerm (item) {
+  if (!enabled()) return
+  await db.query(`
+    INSERT INTO telegram_holding_pool (term, type, channel, channel_id, confidence, message_ts, held_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (channel, term, message_ts) DO NOTHING
+  `, [item.term, item.type, item.channel.handle, item.channel.id, item.confidence, new Date(item.msgTs), new Date(item.ts)])
+}
+
+// Promoted or expired items — also sweeps anything older than the TTL
+async function releaseTerms (items, ttlMs) {
+  if (!enabled()) return
+  await db.query(`
+    DELETE FROM telegram_holding_pool p
+    USING unnest($1::text[], $2::text[], $3::timestamptz[]) AS v(channel, term, message_ts)
+    WHERE p.channel = v.channel AND p.term = v.term AND p.message_ts = v.message_ts
+  `, [
+    items.map(i => i.channel.handle),
+    items.map(i => i.term),
+    items.map(i => new Date(i.msgTs)),
+  ])
+  await db.query('DELETE FROM telegram_holding_pool WHERE held_at < $1', [new Date(Date.now() - ttlMs)])
+}
+
+// Pool items in telegramService's in-memory shape, oldest first
+async function loadHoldingPool (ttlMs) {
+  if (!enabled()) return []
+  const { rows } = await db.query(`
+    SELECT term, type, channel, channel_id, confidence::float8 AS confidence, message_ts, held_at
+    FROM telegram_holding_pool
+    WHERE held_at >= $1
+    ORDER BY held_at
+  `, [new Date(Date.now() - ttlMs)])
+  return rows.map(r => ({
+    term:       r.term,
+    type:       r.type,
+    channel:    { id: r.channel_id, handle: r.channel },
+    confidence: r.confidence,
+    msgTs:      new Date(r.message_ts).getTime(),
+    ts:         new Date(r.held_at).getTime(),
+  }))
+}
+
+module.exports = {
+  archiveMessage,
+  readWindow,
+  alphasInWindow,
+  pruneArchive,
+  holdTerm,
+  releaseTerms,
+  loadHoldingPool,
+  ARCHIVE_RETENTION_DAYS,
+}
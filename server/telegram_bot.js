@@ -2,14 +2,36 @@
 // @betaplaysbot — sends alert DMs to users who link their wallet
 //
 // Flow:
-//   1. User taps "Link Telegram" in app → opens t.me/betaplaysbot?start=WALLET
-//   2. Bot receives /start WALLET → saves telegram_chat_id to alert_settings
+//   1. User taps "Link" in app settings → POST /api/alerts/telegram-link
+//      mints a one-time token for the JWT wallet → opens t.me/betaplaysbot?start=TOKEN
+//   2. Bot receives /start TOKEN in a DM → checks the signature, redeems the
+//      token (single use, 10 minutes) → saves telegram_chat_id to alert_settings
 //   3. When alerts fire, sendAlert() looks up chat_id and sends DM
+//   4. /stop in the bot or DELETE /api/alerts/telegram-link in the app unlinks
+//
+// Link tokens are minted and redeemed by linkTokens.js (platform 'telegram',
+// signed with the bot token). A bare wallet in /start is no longer accepted —
+// anyone could type someone else's address and receive (or spam) their alerts.
+//
+// Query commands (any chat, read from the DB — botCommands.js, shared with
+// the Discord bot):
+//   /betas $SYM|CA   top-ranked betas from beta_relations
+//   /alpha $SYM|CA   token summary — latest run, ATH, run count, betas
+//   /top             current live runners (alpha_runs, last 2h)
+//   /szn             active narratives (news + novel Szn cards)
+//   /watch [$SYM|CA] add to the linked wallet's watchlist (no arg = list it)
+//   /unwatch $SYM|CA remove from the linked wallet's watchlist
 //
 // Uses long-polling (no webhook needed — works fine on Render)
 // Env: TELEGRAM_BOT_TOKEN
 
-const db = require('./db')
+const db          = require('./db')
+const eventStream = require('./eventStream')
+const linkTokens  = require('./linkTokens')
+const { createCommands, formats, ADDRESS_RE } = require('./botCommands')
+
+const APP_URL = 'https://betaplays.fun/app'
+const BOT_URL = 'https://t.me/betaplaysbot'
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN
 const BASE_URL  = BOT_TOKEN ? `https://api.telegram.org/bot${BOT_TOKEN}` : null
@@ -37,6 +59,69 @@ async function sendMessage (chatId, text) {
   }
 }
 
+const HELP_TEXT =
+  '<b>BetaPlays bot</b>\n\n' +
+  '/betas $SYMBOL or CA — top beta plays\n' +
+  '/alpha $SYMBOL or CA — token summary\n' +
+  '/top — live runners right now\n' +
+  '/szn — active narratives\n' +
+  '/watch $SYMBOL or CA — add to your watchlist (no arg lists it)\n' +
+  '/unwatch $SYMBOL or CA — remove from your watchlist\n' +
+  '/stop — unlink alerts\n\n' +
+  `Link your wallet via the app at <a href="${APP_URL}">betaplays.fun</a> for alerts and /watch.`
+
+// ─── Query commands ──────────────────────────────────────────────────────────
+
+async function linkedWallet (chatId) {
+  const { rows } = await db.query(
+    'SELECT wallet_address FROM alert_settings WHERE telegram_chat_id = $1 LIMIT 1',
+    [String(chatId)]
+  )
+  return rows[0]?.wallet_address || null
+}
+
+const commands = createCommands({
+  fmt:       formats.html,
+  notLinked: 'Link your wallet first — tap <b>Link</b> under <b>Settings → Alerts</b> in the app.',
+})
+
+const COMMANDS = {
+  '/betas':   (chatId, arg) => commands.betas(arg),
+  '/alpha':   (chatId, arg) => commands.alpha(arg),
+  '/top':     ()            => commands.top(),
+  '/szn':     ()            => commands.szn(),
+  '/watch':   async (chatId, arg) => commands.watch(await linkedWallet(chatId), arg),
+  '/unwatch': async (chatId, arg) => commands.unwatch(await linkedWallet(chatId), arg),
+}
+
+// ─── Link tokens ─────────────────────────────────────────────────────────────
+
+// Mint a link for an authenticated wallet (POST /api/alerts/telegram-link).
+async function createLinkToken (wallet) {
+  if (!BOT_TOKEN) throw new Error('Telegram bot not configured')
+  const { token, expiresAt } = await linkTokens.createLinkToken('telegram', wallet, BOT_TOKEN)
+  return { token, url: `${BOT_URL}?start=${token}`, expiresAt }
+}
+
+// App-side unlink (DELETE /api/alerts/telegram-link). Tells the chat so a
+// user isn't left wondering why alerts stopped. Returns true if a chat was linked.
+async function unlinkWallet (wallet) {
+  const { rows } = await db.query(
+    `UPDATE alert_settings AS a
+     SET telegram_chat_id = NULL, telegram_username = NULL, telegram_linked_at = NULL, updated_at = now()
+     FROM (SELECT telegram_chat_id FROM alert_settings WHERE wallet_address = $1) AS prev
+     WHERE a.wallet_address = $1 AND prev.telegram_chat_id IS NOT NULL
+     RETURNING prev.telegram_chat_id`,
+    [wallet]
+  )
+  if (!rows.length) return false
+  await sendMessage(rows[0].telegram_chat_id,
+    `🔕 Wallet <code>${wallet.slice(0, 4)}…${wallet.slice(-4)}</code> was unlinked from the app. Alerts stopped.`
+  )
+  eventStream.publish('telegram', { linked: false }, { wallet })
+  return true
+}
+
 // ─── Process a single incoming update ────────────────────────────────────────
 async function handleUpdate (update) {
   const msg = update.message
@@ -45,34 +130,44 @@ async function handleUpdate (update) {
   const chatId = msg.chat.id
   const text   = msg.text.trim()
 
-  // /start WALLET — links wallet to this chat
+  // /start TOKEN — links the token's wallet to this chat
   if (text.startsWith('/start')) {
-    const parts  = text.split(' ')
-    const wallet = parts[1]?.trim()
+    const param = text.split(/\s+/)[1]?.trim()
 
-    if (!wallet || wallet.length < 32) {
+    if (!param) {
       await sendMessage(chatId,
-        '👋 Welcome to <b>BetaPlays</b>!\n\nTo receive alerts, tap <b>Link Telegram</b> inside the app at betaplays.fun — it will generate a unique link for you.'
+        '👋 Welcome to <b>BetaPlays</b>!\n\nTo receive alerts, tap <b>Link</b> under <b>Settings → Alerts</b> in the app at betaplays.fun — it will generate a one-time link for you.\n\nSend /help for commands.'
       )
       return
     }
+    if (msg.chat.type !== 'private') {
+      await sendMessage(chatId, '🔒 Alerts can only be linked in a direct message with the bot.')
+      return
+    }
 
-    // Upsert alert_settings row with this chat_id
     try {
-      console.log(`[TelegramBot] Linking wallet ${wallet.slice(0, 8)}… to chat ${chatId}`)
+      const wallet = ADDRESS_RE.test(param) ? null : await linkTokens.redeemLinkToken('telegram', param, BOT_TOKEN)
+      if (!wallet) {
+        await sendMessage(chatId,
+          '⚠️ This link is invalid or has expired. Tap <b>Link</b> in the app again to get a fresh one.'
+        )
+        return
+      }
+      const username = msg.from?.username || null
       await db.query(
-        `INSERT INTO alert_settings (wallet_address, telegram_chat_id)
-         VALUES ($1, $2)
+        `INSERT INTO alert_settings (wallet_address, telegram_chat_id, telegram_username, telegram_linked_at)
+         VALUES ($1, $2, $3, now())
          ON CONFLICT (wallet_address)
-         DO UPDATE SET telegram_chat_id = $2, updated_at = now()`,
-        [wallet, String(chatId)]
+         DO UPDATE SET telegram_chat_id = $2, telegram_username = $3, telegram_linked_at = now(), updated_at = now()`,
+        [wallet, String(chatId), username]
       )
+      eventStream.publish('telegram', { linked: true, username }, { wallet })
       await sendMessage(chatId,
         `✅ <b>Linked!</b>\n\nYour wallet <code>${wallet.slice(0, 4)}…${wallet.slice(-4)}</code> is now connected.\n\nYou'll get notified here when:\n• New alpha runners appear\n• Beta plays are found for your watchlist\n• Narratives go active\n• Telegram signals hit\n\nManage alerts inside the app under <b>☰ Menu → Alerts</b>.`
       )
-      console.log(`[TelegramBot] Successfully linked wallet ${wallet.slice(0, 8)}… to chat ${chatId}`)
+      console.log(`[TelegramBot] Linked wallet ${wallet.slice(0, 8)}… to chat ${chatId}`)
     } catch (err) {
-      console.error('[TelegramBot] DB link error:', err.message, err.stack)
+      console.error('[TelegramBot] DB link error:', err.message)
       await sendMessage(chatId, '⚠️ Something went wrong linking your wallet. Please try again.')
     }
     return
@@ -81,11 +176,16 @@ async function handleUpdate (update) {
   // /stop — unlink
   if (text === '/stop') {
     try {
-      await db.query(
-        `UPDATE alert_settings SET telegram_chat_id = NULL, updated_at = now()
-         WHERE telegram_chat_id = $1`,
+      const { rows } = await db.query(
+        `UPDATE alert_settings
+         SET telegram_chat_id = NULL, telegram_username = NULL, telegram_linked_at = NULL, updated_at = now()
+         WHERE telegram_chat_id = $1
+         RETURNING wallet_address`,
         [String(chatId)]
       )
+      for (const { wallet_address: wallet } of rows) {
+        eventStream.publish('telegram', { linked: false }, { wallet })
+      }
       await sendMessage(chatId, '🔕 Telegram alerts unlinked. You can re-link anytime from the app.')
     } catch (err) {
       console.error('[TelegramBot] Unlink error:', err.message)
@@ -93,10 +193,27 @@ async function handleUpdate (update) {
     return
   }
 
-  // Unknown command
-  await sendMessage(chatId,
-    'BetaPlays bot. Link your wallet via the app at <a href="https://betaplays.fun">betaplays.fun</a>.'
-  )
+  // Query commands — "/betas@betaplaysbot $WIF" in groups, "/betas $WIF" in DMs
+  const [rawCmd, ...rest] = text.split(/\s+/)
+  const handler = COMMANDS[rawCmd.split('@')[0].toLowerCase()]
+  if (handler) {
+    if (!process.env.DATABASE_URL) {
+      await sendMessage(chatId, '⚠️ Data is unavailable right now — try again later.')
+      return
+    }
+    try {
+      await sendMessage(chatId, await handler(chatId, rest.join(' ')))
+    } catch (err) {
+      console.error(`[TelegramBot] ${rawCmd} error:`, err.message)
+      await sendMessage(chatId, '⚠️ Something went wrong. Please try again.')
+    }
+    return
+  }
+
+  // /help, unknown commands and DMs — in groups, plain chatter gets no reply
+  if (text.startsWith('/') || msg.chat.type === 'private') {
+    await sendMessage(chatId, HELP_TEXT)
+  }
 }
 
 // ─── Long-poll loop ───────────────────────────────────────────────────────────
@@ -131,7 +248,7 @@ async function poll () {
 
 // sendAlert — called from index.js when an event fires
 // wallet: the wallet address to notify
-// type: 'new_alpha' | 'new_beta' | 'narrative_active' | 'telegram_signal'
+// type: 'new_alpha' | 'new_beta' | 'narrative_active' | 'narrative_rotation' | 'telegram_signal'
 // title + body: human-readable strings
 async function sendAlert (wallet, type, title, body) {
   if (!BASE_URL) return
@@ -145,10 +262,11 @@ async function sendAlert (wallet, type, title, body) {
 
     const chatId = result.rows[0].telegram_chat_id
     const icon   = {
-      new_alpha:        '🚀',
-      new_beta:         '💎',
-      narrative_active: '📡',
-      telegram_signal:  '📢',
+      new_alpha:          '🚀',
+      new_beta:           '💎',
+      narrative_active:   '📡',
+      narrative_rotation: '🔄',
+      telegram_signal:    '📢',
     }[type] || '🔔'
 
     await sendMessage(chatId,
@@ -167,6 +285,20 @@ function init () {
   if (isRunning) return
   isRunning = true
   console.log('[TelegramBot] Starting @betaplaysbot long-poll...')
+  // Command menu shown in the Telegram client
+  fetch(`${BASE_URL}/setMyCommands`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify({ commands: [
+      { command: 'betas',   description: 'Top beta plays for $SYMBOL or CA' },
+      { command: 'alpha',   description: 'Token summary for $SYMBOL or CA' },
+      { command: 'top',     description: 'Live runners right now' },
+      { command: 'szn',     description: 'Active narratives' },
+      { command: 'watch',   description: 'Add to your watchlist (no arg lists it)' },
+      { command: 'unwatch', description: 'Remove from your watchlist' },
+      { command: 'stop',    description: 'Unlink alerts' },
+    ] }),
+  }).catch(err => console.warn('[TelegramBot] setMyCommands failed:', err.message))
   // Poll immediately then every 3s (long-poll timeout=25s, so gaps are fine)
   poll()
   pollInterval = setInterval(poll, 3_000)
@@ -177,4 +309,4 @@ function stop () {
   isRunning = false
 }
 
-module.exports = { init, stop, sendAlert }
\ No newline at end of file
+module.exports = { init, stop, sendAlert, createLinkToken, unlinkWallet }
\ No newline at end of file
@@ -1,36 +1,257 @@
 // ─── BetaPlays — Telegram Channel Registry ────────────────────────
 // Vector 10 — Social Signal Intelligence
 //
-// Add or remove channels here at any time.
-// 'handle' must be the exact @username of the public channel/group.
-// 'weight' affects confidence scoring: 1.0 = fully trusted, 0.5 = experimental.
-// All channels currently set to 1.0 — tune after observing signal quality.
+// Channels live in Postgres (telegram_channels), managed through the
+// admin routes in index.js (/api/admin/telegram-channels). DEFAULT_CHANNELS
+// seeds the table on first boot and is the registry when there's no DB.
 //
-// To add a new channel:
-//   { handle: 'channelhandle', name: 'Display Name', weight: 1.0 }
+// 'handle' is the exact @username of the public channel/group.
+// 'weight' scales confidence in telegramService.processMessage:
+//   1.0 = average channel, < 1 = its calls underperform, > 1 = outperform.
+// It's recalibrated by the 'telegram-channel-scoring' job from the
+// channel's own track record — how often the betas it called were up 24h
+// after the message (telegram_signals.beta_return_24h). An admin can pin
+// a channel with manual_weight; that wins over the calibrated weight.
+//
+// Scoring only counts signals priced within SCORE_MAX_LAG_MS of the
+// message (beta_price_at_signal is NULL otherwise) — a 40h-old call
+// processed after a restart would be scored from the wrong starting price.
 // ──────────────────────────────────────────────────────────────────
 
-const TELEGRAM_CHANNELS = [
-  {
-    handle: 'charliedegens',
-    name:   'Charlie Degens',
-    weight: 1.0,
-  },
-  {
-    handle: 'WordsGC',
-    name:   "Word's Public Memecoin Chat",
-    weight: 1.0,
-  },
-  {
-    handle: 'realsolanahome',
-    name:   'Solana Home',
-    weight: 1.0,
-  },
-  {
-    handle: 'Blessedmemecalls',
-    name:   'Blessed Meme Calls',
-    weight: 1.0,
-  },
+const db = require('./db')
+const { fetchPrices } = require('./betaPerformance')
+
+const DEFAULT_CHANNELS = [
+  { handle: 'charliedegens',    name: 'Charlie Degens',                weight: 1.0 },
+  { handle: 'WordsGC',          name: "Word's Public Memecoin Chat",   weight: 1.0 },
+  { handle: 'realsolanahome',   name: 'Solana Home',                   weight: 1.0 },
+  { handle: 'Blessedmemecalls', name: 'Blessed Meme Calls',            weight: 1.0 },
 ]
 
-module.exports = { TELEGRAM_CHANNELS }
\ No newline at end of file
+const HANDLE_RE        = /^[A-Za-z][A-Za-z0-9_]{4,31}$/
+const SCORE_MAX_LAG_MS = 2 * 60 * 60 * 1000   // signal priced > 2h after the message → not scored
+const SCORE_BATCH      = 500
+const WINDOW_DAYS      = 30
+const MIN_SAMPLES      = 10     // below this a channel keeps weight 1.0
+const PRIOR_WEIGHT     = 15     // virtual samples at the overall hit rate
+const MIN_WEIGHT       = 0.25
+const MAX_WEIGHT       = 1.25
+
+const badChannel = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_CHANNEL'
+  return err
+}
+
+// ─── Registry ─────────────────────────────────────────────────────
+
+const COLUMNS = `id, handle, name, active,
+  COALESCE(manual_weight, weight)::float8 AS weight,
+  weight::float8        AS "calibratedWeight",
+  manual_weight::float8 AS "manualWeight",
+  signals_scored        AS "signalsScored",
+  hit_rate::float8      AS "hitRate",
+  avg_return::float8    AS "avgReturn",
+  scored_at             AS "scoredAt",
+  created_at            AS "createdAt"`
+
+// Channels the poller should read — [{ id, handle, name, weight }]
+async function getActive () {
+  if (!process.env.DATABASE_URL) return DEFAULT_CHANNELS.map(c => ({ id: null, ...c }))
+  const { rows } = await db.query(`SELECT ${COLUMNS} FROM telegram_channels WHERE active ORDER BY id`)
+  return rows
+}
+
+async function list () {
+  const { rows } = await db.query(`SELECT ${COLUMNS} FROM telegram_channels ORDER BY active DESC, id`)
+  return rows
+}
+
+// Accepts @handle, t.me/handle or https://t.me/handle
+const parseHandle = (raw) => {
+  const handle = String(raw ?? '').trim().replace(/^(https?:\/\/)?t\.me\//i, '').replace(/^@/, '').replace(/\/$/, '')
+  if (!HANDLE_RE.test(handle)) throw badChannel('handle must be a public Telegram @username (5–32 letters, digits or _)')
+  return handle
+}
+
+const parseManualWeight = (raw) => {
+  if (raw === null) return null
+  const w = Number(raw)
+  if (!Number.isFinite(w) || w < 0 || w > 2) throw badChannel('manualWeight must be a number between 0 and 2, or null')
+  return w
+}
+
+async function create ({ handle, name, manualWeight }) {
+  const clean = parseHandle(handle)
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO telegram_channels (handle, name, manual_weight)
+       VALUES ($1, $2, $3)
+       RETURNING ${COLUMNS}`,
+      [clean, (name || clean).toString().slice(0, 100), manualWeight === undefined ? null : parseManualWeight(manualWeight)]
+    )
+    return rows[0]
+  } catch (err) {
+    if (err.code === '23505') throw badChannel(`@${clean} is already registered`)
+    throw err
+  }
+}
+
+// Body: any of { name, active, manualWeight } — manualWeight: null unpins
+async function update (id, body) {
+  const sets   = []
+  const params = [id]
+  if (body.name !== undefined) {
+    params.push(String(body.name).slice(0, 100))
+    sets.push(`name = $${params.length}`)
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw badChannel('active must be a boolean')
+    params.push(body.active)
+    sets.push(`active = $${params.length}`)
+  }
+  if (body.manualWeight !== undefined) {
+    params.push(parseManualWeight(body.manualWeight))
+    sets.push(`manual_weight = $${params.length}`)
+  }
+  if (!sets.length) throw badChannel('nothing to update — send name, active or manualWeight')
+  const { rows } = await db.query(
+    `UPDATE telegram_channels SET ${sets.join(', ')} WHERE id = $1 RETURNING ${COLUMNS}`,
+    params
+  )
+  return rows[0] || null
+}
+
+// Signals keep their channel handle; channel_id is set NULL by the FK
+async function remove (id) {
+  const { rowCount } = await db.query('DELETE FROM telegram_channels WHERE id = $1', [id])
+  return rowCount > 0
+}
+
+// ─── Signals ──────────────────────────────────────────────────────
+
+// One row per (channel, alpha, beta, message) — the poller re-reads the
+// last 48h every cycle on every instance, the unique index absorbs repeats.
+async function recordSignal ({ channel, alphaSymbol, beta, confidence, msgTs }) {
+  if (!process.env.DATABASE_URL || !beta.address) return
+  const fresh = Date.now() - msgTs <= SCORE_MAX_LAG_MS
+  await db.query(`
+    INSERT INTO telegram_signals
+      (alpha_symbol, beta_symbol, beta_address, channel, channel_id, message_ts, confidence, beta_price_at_signal)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT DO NOTHING
+  `, [
+    alphaSymbol,
+    beta.symbol || null,
+    beta.address,
+    channel.handle,
+    channel.id,
+    new Date(msgTs),
+    confidence,
+    fresh ? parseFloat(beta.priceUsd) || null : null,
+  ])
+}
+
+// ─── Scoring job ──────────────────────────────────────────────────
+
+// Step 1: price signals that reached +24h. A token with no pairs left
+// scores -100 (rug), same as betaPerformance / backtest. Signals not
+// priced within a day of becoming due are left unscored.
+async function scoreSignals () {
+  const { rows } = await db.query(`
+    SELECT id, beta_address, beta_price_at_signal::float8 AS price
+    FROM telegram_signals
+    WHERE beta_return_24h IS NULL
+      AND beta_price_at_signal > 0
+      AND message_ts <= NOW() - INTERVAL '24 hours'
+      AND message_ts >  NOW() - INTERVAL '48 hours'
+    ORDER BY message_ts
+    LIMIT ${SCORE_BATCH}
+  `)
+  if (!rows.length) return 0
+
+  const { prices, failed } = await fetchPrices([...new Set(rows.map(r => r.beta_address))])
+  const scored = rows.filter(r => !failed.has(r.beta_address))
+  if (!scored.length) return 0
+
+  const returns = scored.map(r => {
+    const now = prices.get(r.beta_address)?.price
+    return now ? (now / r.price - 1) * 100 : -100
+  })
+  await db.query(`
+    UPDATE telegram_signals s SET beta_return_24h = v.ret, scored_at = NOW()
+    FROM unnest($1::int[], $2::float8[]) AS v(id, ret)
+    WHERE s.id = v.id
+  `, [scored.map(r => r.id), returns])
+  return scored.length
+}
+
+// Step 2: per-channel hit rate (24h return > 0) over WINDOW_DAYS, smoothed
+// toward the overall rate, becomes the weight relative to that rate.
+async function recalibrate () {
+  const { rows } = await db.query(`
+    SELECT channel_id,
+           COUNT(*)::int                                    AS samples,
+           COUNT(*) FILTER (WHERE beta_return_24h > 0)::int AS wins,
+           AVG(beta_return_24h)::float8                     AS avg_return
+    FROM telegram_signals
+    WHERE channel_id IS NOT NULL
+      AND beta_return_24h IS NOT NULL
+      AND message_ts > NOW() - ($1 || ' days')::INTERVAL
+    GROUP BY channel_id
+  `, [WINDOW_DAYS])
+  const samples = rows.reduce((n, r) => n + r.samples, 0)
+  const wins    = rows.reduce((n, r) => n + r.wins, 0)
+  if (!samples || !wins) return []
+
+  const baseRate = wins / samples
+  const updates  = rows.map(r => {
+    const smoothed = (r.wins + PRIOR_WEIGHT * baseRate) / (r.samples + PRIOR_WEIGHT)
+    const weight   = r.samples < MIN_SAMPLES
+      ? 1.0
+      : Math.min(Math.max(smoothed / baseRate, MIN_WEIGHT), MAX_WEIGHT)
+    return {
+      id:        r.channel_id,
+      weight:    Math.round(weight * 100) / 100,
+      samples:   r.samples,
+      hitRate:   Math.round((r.wins / r.samples) * 1000) / 1000,
+      avgReturn: Math.round(r.avg_return * 100) / 100,
+    }
+  })
+  await db.query(`
+    UPDATE telegram_channels c
+    SET weight = v.weight, signals_scored = v.samples, hit_rate = v.hit_rate,
+        avg_return = v.avg_return, scored_at = NOW()
+    FROM unnest($1::int[], $2::numeric[], $3::int[], $4::numeric[], $5::numeric[])
+      AS v(id, weight, samples, hit_rate, avg_return)
+    WHERE c.id = v.id
+  `, [
+    updates.map(u => u.id),
+    updates.map(u => u.weight),
+    updates.map(u => u.samples),
+    updates.map(u => u.hitRate),
+    updates.map(u => u.avgReturn),
+  ])
+  return updates
+}
+
+// Job: runs hourly — scoring is cheap and the +24h mark passes continuously
+async function runScoring () {
+  if (!process.env.DATABASE_URL) return
+  const scored  = await scoreSignals()
+  const updates = await recalibrate()
+  if (scored || updates.length) {
+    console.log(`[TelegramChannels] Scored ${scored} signals — weights: ${updates.map(u => `${u.id}=${u.weight}`).join(', ') || 'unchanged'}`)
+  }
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  getActive,
+  list,
+  create,
+  update,
+  remove,
+  recordSignal,
+  runScoring,
+}
@@ -1,24 +1,13 @@
 // ─── BetaPlays — Twitter/X Service (Vector 11) ────────────────────
 // Social Signal Intelligence — Twitter/X beta signal
 //
-// STATUS: STUB ONLY — returns [] until credentials added to .env
+// Posts are pushed in by external collectors through
+// POST /api/social/ingest (API key — SOCIAL_INGEST_KEYS in server/.env),
+// so the signal logic doesn't depend on how the posts are obtained:
+// X API, a twscrape sidecar, a browser bot, a manual list.
 //
-// Same architecture as telegramService (Vector 10).
-// Activates automatically when any of these are added to server/.env:
-//
-//   Option A — X API Basic ($100/mo):
-//     TWITTER_BEARER_TOKEN=your_bearer_token
-//
-//   Option B — twscrape Python sidecar (free, grey area):
-//     TWITTER_SCRAPER_MODE=true
-//
-//   Option C — Playwright browser automation (last resort):
-//     TWITTER_PLAYWRIGHT_MODE=true
-//
-// Until then, /api/twitter-betas returns { symbol, results: [] }
-// and the frontend simply gets no Twitter signal — no errors, no crashes.
-//
-// When activated, extraction logic mirrors Vector 10 exactly:
+// Each post runs through the shared social-signal engine (socialSignals.js)
+// — exactly what Vector 10 runs:
 //   - $ prefix required for beta identification
 //   - Known alpha list for alpha identification (no $ needed)
 //   - Same quality filters (liq, mint, freeze, txns, age)
@@ -26,56 +15,242 @@
 //   - Same momentum score formula
 //   - Signal tag: twitter_signal
 //   - Badge: 🐦 TWITTER (pulsing blue)
+// Unlike Telegram there's no holding pool — a post whose alpha isn't
+// known yet is dropped — and no Layer 3 AI fallback for posts with fewer
+// than 2 tokens.
+//
+// Ingest queues posts in memory and answers at once; a single worker
+// analyses them in order. Found betas go to social_signals, and every
+// instance loads them into its cache (refresh(), 'social-signal-refresh'
+// job), so getTwitterBetas() answers the same on every instance.
+// Until anything is ingested /api/twitter-betas returns
+// { symbol, results: [] } — no errors, no crashes.
 // ──────────────────────────────────────────────────────────────────
 
+const crypto        = require('crypto')
+const db            = require('./db')
+const socialSignals = require('./socialSignals')
+
+// ─── Config ───────────────────────────────────────────────────────
+const POST_MAX_AGE_MS     = 48 * 60 * 60 * 1000  // same window as Telegram messages
+const POST_MAX_SKEW_MS    = 5 * 60 * 1000        // collector clock ahead of ours
+const RESULT_TTL_MS       = 24 * 60 * 60 * 1000  // a post's betas stay listed for 24h
+const MAX_BATCH           = 100
+const MAX_QUEUE           = 2000
+const MAX_TEXT            = 4000
+
+// Posts are one-shot (no re-polling), so results live from the post's
+// time instead of being refreshed every cycle like Telegram's. No Layer 3
+// LLM fallback — one key can queue MAX_QUEUE posts, which would burn the
+// 'extraction' quota Telegram relies on; posts need their $ tickers.
+const source = socialSignals.createSource({
+  name:   'twitter',
+  signal: 'twitter_signal',
+  config: { resultTtlMs: RESULT_TTL_MS, aiFallback: false },
+})
+
+const SOURCE_RE = /^[a-z0-9_-]{1,32}$/
+
+// ─── State ────────────────────────────────────────────────────────
+const seenPosts = new Map()   // postKey → ts, drops re-sent posts
+const queue     = []
+let draining    = false
+let lastRowId   = 0           // refresh() high-water mark
+const stats     = { received: 0, duplicates: 0, analysed: 0, matched: 0, failed: 0 }
+
+const badPosts = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_POSTS'
+  return err
+}
+
 // ─── Activation check ────────────────────────────────────────────
+const ingestKeys = () => (process.env.SOCIAL_INGEST_KEYS || '').split(',').map(k => k.trim()).filter(Boolean)
+
 function isActivated () {
-  return !!(
-    process.env.TWITTER_BEARER_TOKEN ||
-    process.env.TWITTER_SCRAPER_MODE ||
-    process.env.TWITTER_PLAYWRIGHT_MODE
-  )
+  return ingestKeys().length > 0
 }
 
-// ─── Stub state ───────────────────────────────────────────────────
-let knownAlphas = []
+// Constant-time match against every configured key
+function checkIngestKey (given) {
+  if (typeof given !== 'string' || !given) return false
+  const digest = (k) => crypto.createHash('sha256').update(k).digest()
+  const g      = digest(given)
+  return ingestKeys().reduce((ok, k) => crypto.timingSafeEqual(digest(k), g) || ok, false)
+}
 
-// ─── Public interface (mirrors telegramService exactly) ───────────
+// ─── Validation ───────────────────────────────────────────────────
 
-function updateKnownAlphas (alphas) {
-  if (!Array.isArray(alphas)) return
-  knownAlphas = alphas
-  // When activated: feed alpha list to whichever scraper/API is running
+// ISO string, epoch ms or epoch seconds
+const parseTimestamp = (raw) => {
+  if (typeof raw === 'number') return raw < 1e12 ? raw * 1000 : raw
+  const ms = Date.parse(raw)
+  return Number.isNaN(ms) ? null : ms
 }
 
+// Returns { post } or { error }
+function normalisePost (raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'post must be an object' }
+  const text = typeof raw.text === 'string' ? raw.text.trim() : ''
+  if (!text) return { error: 'text required' }
+  if (text.length > MAX_TEXT) return { error: `text longer than ${MAX_TEXT} chars` }
+
+  const source = String(raw.source || 'twitter').toLowerCase()
+  if (!SOURCE_RE.test(source)) return { error: 'source must be 1–32 chars of a-z, 0-9, _ or -' }
+
+  const ts = parseTimestamp(raw.timestamp)
+  if (!ts) return { error: 'timestamp required (ISO 8601 or epoch)' }
+  if (ts > Date.now() + POST_MAX_SKEW_MS) return { error: 'timestamp is in the future' }
+  if (Date.now() - ts > POST_MAX_AGE_MS) return { error: 'post older than 48h' }
+
+  let url = null
+  if (raw.url) {
+    try {
+      const u = new URL(String(raw.url))
+      if (u.protocol !== 'https:' && u.protocol !== 'http:') throw new Error()
+      url = u.toString()
+    } catch { return { error: 'url must be http(s)' } }
+  }
+
+  const author = raw.author ? String(raw.author).replace(/^@/, '').slice(0, 64) : null
+  // The post's URL identifies it; without one, author + time + text does
+  const key = url || crypto.createHash('sha256').update(`${author}|${ts}|${text}`).digest('hex')
+  return { post: { source, author, text, ts, url, key: `${source}:${key}` } }
+}
+
+// ─── Ingest ───────────────────────────────────────────────────────
+// posts: [{ source, author, text, timestamp, url }]
+// Returns { accepted, duplicates, rejected: [{ index, error }] } —
+// analysis happens after the response (see drain()).
+function ingest (posts) {
+  if (!Array.isArray(posts) || !posts.length) throw badPosts('posts must be a non-empty array')
+  if (posts.length > MAX_BATCH) throw badPosts(`at most ${MAX_BATCH} posts per request`)
+  if (queue.length + posts.length > MAX_QUEUE) {
+    const err = new Error('Ingest queue full — retry shortly')
+    err.code = 'QUEUE_FULL'
+    throw err
+  }
+
+  const rejected = []
+  let accepted   = 0
+  let duplicates = 0
+  posts.forEach((raw, index) => {
+    const { post, error } = normalisePost(raw)
+    if (error) { rejected.push({ index, error }); return }
+    if (seenPosts.has(post.key)) { duplicates++; return }
+    seenPosts.set(post.key, post.ts)
+    queue.push(post)
+    accepted++
+  })
+  stats.received   += accepted
+  stats.duplicates += duplicates
+
+  const cutoff = Date.now() - POST_MAX_AGE_MS
+  for (const [key, ts] of seenPosts) { if (ts < cutoff) seenPosts.delete(key) }
+
+  if (accepted) drain().catch(err => console.error('[TwitterService] Drain error:', err.message))
+  return { accepted, duplicates, rejected }
+}
+
+async function drain () {
+  if (draining) return
+  draining = true
+  try {
+    while (queue.length) {
+      const post = queue.shift()
+      try {
+        await analyse(post)
+      } catch (err) {
+        stats.failed++
+        console.warn(`[TwitterService] Post ${post.key} failed:`, err.message)
+      }
+    }
+  } finally {
+    draining = false
+  }
+}
+
+async function analyse (post) {
+  const meta   = { source: post.source, author: post.author, url: post.url }
+  const result = await source.ingest({ text: post.text, meta, ts: post.ts })
+  stats.analysed++
+  if (!result.betas.length) return
+  stats.matched++
+
+  // Same shape as the cached result, so refresh() can store it as-is
+  const rows = result.betas.filter((b, i, all) => b.address && all.findIndex(x => x.address === b.address) === i).map(beta => ({
+    ...beta,
+    ...meta,
+    alpha:      result.alpha.symbol,
+    signal:     source.signal,
+    confidence: result.confidence,
+    tied:       beta.tied || false,
+    ts:         post.ts,
+  }))
+  console.log(`[TwitterService] ${rows.length} beta(s) for ${result.alpha.symbol} from ${post.source}${post.author ? ` @${post.author}` : ''}`)
+
+  if (!process.env.DATABASE_URL) return
+  for (const r of rows) {
+    await db.query(`
+      INSERT INTO social_signals (source, post_key, author, post_url, post_ts, alpha_symbol, beta_address, result, confidence)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9)
+      ON CONFLICT (source, post_key, beta_address) DO NOTHING
+    `, [post.source, post.key, post.author, post.url, new Date(post.ts), r.alpha, r.address, JSON.stringify(r), r.confidence])
+      .catch(err => console.warn('[TwitterService] Signal write failed:', err.message))
+  }
+}
+
+// Job: per-instance, every minute — picks up betas ingested on any instance
+async function refresh () {
+  if (!process.env.DATABASE_URL) return
+  const { rows } = await db.query(`
+    SELECT id, result
+    FROM social_signals
+    WHERE id > $1 AND post_ts > NOW() - ($2 || ' milliseconds')::INTERVAL
+    ORDER BY id
+  `, [lastRowId, RESULT_TTL_MS])
+  for (const { id, result } of rows) {
+    source.store(result.alpha, [result], { confidence: result.confidence, ts: result.ts })
+    lastRowId = Math.max(lastRowId, Number(id))
+  }
+  source.prune()
+}
+
+// ─── Public interface (mirrors telegramService) ───────────────────
+
+// The known alpha list is shared by every source — telegramService
+// feeds it; kept for interface parity with /api/report-alphas.
+function updateKnownAlphas () {}
+
 function getTwitterBetas (symbol) {
-  if (!symbol) return []
-  if (!isActivated()) return []
-  // When activated: read from in-memory cache, same pattern as telegramService
-  return []
+  return source.getBetas(symbol)
+}
+
+function getStats () {
+  return { ...stats, queued: queue.length, cachedAlphas: source.cacheSize() }
 }
 
 async function init () {
   if (!isActivated()) {
-    console.log('[TwitterService] No credentials found — Vector 11 standing by (stub mode)')
-    console.log('[TwitterService] To activate, add one of these to server/.env:')
-    console.log('  TWITTER_BEARER_TOKEN=...  (X API Basic — $100/mo)')
-    console.log('  TWITTER_SCRAPER_MODE=true (twscrape — free, grey area)')
+    console.log('[TwitterService] No SOCIAL_INGEST_KEYS — Vector 11 standing by (POST /api/social/ingest disabled)')
     return
   }
-
-  // Placeholder for when credentials are added
-  console.log('[TwitterService] Credentials detected — activation logic not yet implemented')
-  console.log('[TwitterService] Build out the scraper/API integration here when ready')
+  console.log('[TwitterService] ✅ Accepting posts on POST /api/social/ingest')
+  await refresh().catch(err => console.warn('[TwitterService] Initial refresh failed:', err.message))
 }
 
 async function shutdown () {
-  // Nothing to clean up in stub mode
+  if (queue.length) console.warn(`[TwitterService] Shutting down with ${queue.length} post(s) unanalysed`)
 }
 
 module.exports = {
   init,
   shutdown,
+  ingest,
+  refresh,
+  isActivated,
+  checkIngestKey,
+  getStats,
   getTwitterBetas,
   updateKnownAlphas,
-}
\ No newline at end of file
+}
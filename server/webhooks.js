@@ -0,0 +1,387 @@
+// ─── Outbound Webhooks ────────────────────────────────────────────
+// Wallets register HTTPS endpoints that receive alert events as signed
+// JSON — for their own bots and trading scripts. Lives alongside
+// alert_settings: the toggles there govern in-app / Telegram / Discord
+// alerts, a webhook's `events` list is its own opt-in.
+//
+// Events: new_alpha, new_beta, narrative_active, narrative_rotation, telegram_signal, price_move
+// (plus `ping` from the test endpoint). index.js calls dispatch() from
+// createNotification (per-wallet events) and notifyWalletsForType
+// (broadcast events — every webhook subscribed to the type).
+//
+// Request:
+//   POST <url>
+//   X-BetaPlays-Event:     new_alpha
+//   X-BetaPlays-Delivery:  dlv_123         (same across retries — dedupe on it)
+//   X-BetaPlays-Signature: t=<unix>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+//   { "id": "dlv_123", "event": "new_alpha", "createdAt": "...", "data": { title, body, ... } }
+// Receivers should recompute v1 over the raw body and reject stale t.
+//
+// Delivery: every dispatch is a webhook_deliveries row (the delivery log).
+// The first attempt runs immediately; failures retry from the
+// 'webhook-retry' job with exponential backoff (RETRY_BASE_MS × 2^n) up to
+// MAX_ATTEMPTS. A webhook whose last DISABLE_AFTER attempts all failed is
+// disabled — onDisabled listeners tell the owner. Rows claimed for an
+// attempt get a LEASE so a crashed instance's attempts are picked up later
+// instead of lost, and never run twice concurrently.
+//
+// Only public HTTPS hosts — the URL is checked on save and its DNS on every
+// attempt, redirects aren't followed. Keeps webhooks from reaching Render's
+// private network.
+
+const crypto = require('crypto')
+const dns    = require('dns').promises
+const net    = require('net')
+const db     = require('./db')
+
+const EVENTS         = ['new_alpha', 'new_beta', 'narrative_active', 'narrative_rotation', 'telegram_signal', 'price_move']
+const MAX_PER_WALLET = 5
+const MAX_URL_LENGTH = 500
+const TIMEOUT_MS     = 10_000
+const MAX_ATTEMPTS   = 6
+const RETRY_BASE_MS  = 30_000       // 30s, 1m, 2m, 4m, 8m
+const LEASE          = '2 minutes'
+const DISABLE_AFTER  = 15           // consecutive failed attempts
+const RETRY_BATCH    = 50
+const LOG_RETENTION_DAYS = 14
+
+const disabledListeners = []
+const onDisabled = (fn) => { disabledListeners.push(fn) }
+
+const badWebhook = (message) => {
+  const err = new Error(message)
+  err.code = 'BAD_WEBHOOK'
+  return err
+}
+
+// ─── Validation ───────────────────────────────────────────────────
+
+const isPrivateIp = (ip) => {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number)
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+  }
+  const v6 = ip.toLowerCase()
+  // IPv4-mapped — the hex form (::ffff:7f00:1) is refused outright
+  if (v6.startsWith('::ffff:')) return net.isIPv4(v6.slice(7)) ? isPrivateIp(v6.slice(7)) : true
+  return v6 === '::' || v6 === '::1' || v6.startsWith('fc') || v6.startsWith('fd') || v6.startsWith('fe80')
+}
+
+function parseUrl (raw) {
+  if (typeof raw !== 'string' || !raw.trim() || raw.length > MAX_URL_LENGTH) {
+    throw badWebhook(`url must be a string of at most ${MAX_URL_LENGTH} characters`)
+  }
+  let url
+  try { url = new URL(raw.trim()) } catch { throw badWebhook('url is not a valid URL') }
+  if (url.protocol !== 'https:') throw badWebhook('url must use https')
+  if (url.username || url.password) throw badWebhook('url must not contain credentials')
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') ||
+      (net.isIP(host) && isPrivateIp(host))) {
+    throw badWebhook('url must point to a public host')
+  }
+  return url.toString()
+}
+
+function parseEvents (raw) {
+  if (!Array.isArray(raw) || !raw.length) throw badWebhook(`events must be a non-empty array of: ${EVENTS.join(', ')}`)
+  const unknown = raw.filter(e => !EVENTS.includes(e))
+  if (unknown.length) throw badWebhook(`unknown event: ${unknown.join(', ')}`)
+  return [...new Set(raw)]
+}
+
+// Checked per attempt — a hostname can be re-pointed after it was saved
+async function assertPublicHost (url) {
+  const host  = new URL(url).hostname.replace(/^\[|\]$/g, '')
+  const addrs = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true })
+  if (!addrs.length || addrs.some(a => isPrivateIp(a.address))) {
+    throw new Error('host resolves to a private address')
+  }
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+// ─── Delivery ─────────────────────────────────────────────────────
+
+// row: { id, webhook_id, event, payload, attempts, url, secret }
+// retry: false makes a failure final instead of scheduling the next attempt.
+async function attempt (row, { retry = true } = {}) {
+  const deliveryId = `dlv_${row.id}`
+  const body       = JSON.stringify({ id: deliveryId, ...row.payload })
+  const timestamp  = Math.floor(Date.now() / 1000)
+  let statusCode = null
+  let error      = null
+
+  try {
+    await assertPublicHost(row.url)
+    const res = await fetch(row.url, {
+      method:   'POST',
+      headers:  {
+        'Content-Type':          'application/json',
+        'User-Agent':            'BetaPlays-Webhooks/1.0',
+        'X-BetaPlays-Event':     row.event,
+        'X-BetaPlays-Delivery':  deliveryId,
+        'X-BetaPlays-Signature': `t=${timestamp},v1=${sign(row.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal:   AbortSignal.timeout(TIMEOUT_MS),
+    })
+    statusCode = res.status
+    if (!res.ok) error = `HTTP ${res.status}`
+    res.body?.cancel().catch(() => {})
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS / 1000}s` : err.message
+  }
+
+  return error ? recordFailure(row, statusCode, error, retry) : recordSuccess(row, statusCode)
+}
+
+async function recordSuccess (row, statusCode) {
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'succeeded', attempts = attempts + 1, last_status_code = $2,
+         last_error = NULL, next_attempt_at = NULL, delivered_at = NOW()
+     WHERE id = $1`,
+    [row.id, statusCode]
+  )
+  await db.query(
+    `UPDATE webhooks SET failure_count = 0, last_delivery_at = NOW(), last_status_code = $2 WHERE id = $1`,
+    [row.webhook_id, statusCode]
+  )
+  return { ok: true, statusCode, error: null }
+}
+
+async function recordFailure (row, statusCode, error, retry) {
+  const attempts = row.attempts + 1
+  const final    = !retry || attempts >= MAX_ATTEMPTS
+  const delayMs  = RETRY_BASE_MS * 2 ** (attempts - 1)
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+         next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $6) END
+     WHERE id = $1`,
+    [row.id, final ? 'failed' : 'pending', attempts, statusCode, error.slice(0, 300), delayMs / 1000]
+  )
+  const { rows: [hook] } = await db.query(
+    `UPDATE webhooks SET failure_count = failure_count + 1, last_delivery_at = NOW(), last_status_code = $2
+     WHERE id = $1
+     RETURNING failure_count`,
+    [row.webhook_id, statusCode]
+  )
+  if (hook && hook.failure_count >= DISABLE_AFTER) await disable(row.webhook_id, error)
+  return { ok: false, statusCode, error }
+}
+
+async function disable (webhookId, lastError) {
+  const reason = `${DISABLE_AFTER} consecutive failed deliveries — last: ${lastError}`.slice(0, 300)
+  const { rows } = await db.query(
+    `UPDATE webhooks SET active = false, disabled_at = NOW(), disabled_reason = $2
+     WHERE id = $1 AND active
+     RETURNING id, wallet_address, url`,
+    [webhookId, reason]
+  )
+  if (!rows.length) return   // already disabled by a concurrent attempt
+  await db.query(
+    `UPDATE webhook_deliveries SET status = 'failed', next_attempt_at = NULL, last_error = 'webhook disabled'
+     WHERE webhook_id = $1 AND status = 'pending'`,
+    [webhookId]
+  )
+  console.warn(`[Webhooks] Disabled webhook ${webhookId} (${rows[0].url}) — ${reason}`)
+  for (const fn of disabledListeners) {
+    try { fn(rows[0]) } catch { /* listener errors are the caller's problem */ }
+  }
+}
+
+// Small worker pool — one slow receiver shouldn't hold up the rest
+async function attemptAll (rows, concurrency = 5) {
+  const queue = [...rows]
+  const worker = async () => {
+    while (queue.length) {
+      const row = queue.shift()
+      await attempt(row).catch(err => console.error(`[Webhooks] Delivery ${row.id} error:`, err.message))
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker))
+}
+
+// Queue an event for every active webhook subscribed to `type` — the
+// wallet's own when `wallet` is given, every wallet's otherwise — and make
+// the first attempt right away. Rows are inserted already leased, so the
+// retry job leaves them alone while that attempt is in flight.
+async function dispatch (type, data, { wallet } = {}) {
+  if (!process.env.DATABASE_URL) return
+  try {
+    const payload = { event: type, createdAt: new Date().toISOString(), data }
+    const { rows } = await db.query(`
+      WITH ins AS (
+        INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+        SELECT w.id, $1::text, $2::jsonb, NOW() + INTERVAL '${LEASE}'
+        FROM webhooks w
+        WHERE w.active AND $1 = ANY(w.events) ${wallet ? 'AND w.wallet_address = $3' : ''}
+        RETURNING id, webhook_id, event, payload, attempts
+      )
+      SELECT ins.*, w.url, w.secret FROM ins JOIN webhooks w ON w.id = ins.webhook_id
+    `, wallet ? [type, JSON.stringify(payload), wallet] : [type, JSON.stringify(payload)])
+    if (rows.length) await attemptAll(rows)
+  } catch (err) {
+    console.error(`[Webhooks] dispatch ${type} error:`, err.message)
+  }
+}
+
+// Job: retry due deliveries. Claiming pushes next_attempt_at out by LEASE,
+// so an attempt that dies mid-flight is retried once the lease runs out.
+async function runRetries () {
+  if (!process.env.DATABASE_URL) return
+  const { rows } = await db.query(`
+    UPDATE webhook_deliveries d SET next_attempt_at = NOW() + INTERVAL '${LEASE}'
+    FROM webhooks w
+    WHERE w.id = d.webhook_id AND w.active
+      AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ${RETRY_BATCH}
+        FOR UPDATE SKIP LOCKED
+      )
+    RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+  `)
+  if (!rows.length) return
+  await attemptAll(rows)
+  console.log(`[Webhooks] Retried ${rows.length} deliveries`)
+}
+
+// Job: the delivery log only needs to cover recent debugging
+async function pruneDeliveries () {
+  if (!process.env.DATABASE_URL) return
+  await db.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status <> 'pending' AND created_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [LOG_RETENTION_DAYS]
+  )
+}
+
+// ─── Management (per wallet) ──────────────────────────────────────
+// Secrets are returned only by create() and rotateSecret().
+
+const PUBLIC_COLUMNS = `id, url, events, active, failure_count AS "failureCount",
+  disabled_at AS "disabledAt", disabled_reason AS "disabledReason",
+  last_delivery_at AS "lastDeliveryAt", last_status_code AS "lastStatusCode",
+  created_at AS "createdAt"`
+
+async function list (wallet) {
+  const { rows } = await db.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE wallet_address = $1 ORDER BY created_at`,
+    [wallet]
+  )
+  return rows
+}
+
+async function create (wallet, { url, events }) {
+  const cleanUrl    = parseUrl(url)
+  const cleanEvents = parseEvents(events)
+  const secret      = newSecret()
+  // Count + insert in one statement so parallel requests can't exceed the cap
+  const { rows } = await db.query(`
+    INSERT INTO webhooks (wallet_address, url, events, secret)
+    SELECT $1::text, $2::text, $3::text[], $4::text
+    WHERE (SELECT COUNT(*) FROM webhooks WHERE wallet_address = $1) < ${MAX_PER_WALLET}
+    RETURNING ${PUBLIC_COLUMNS}
+  `, [wallet, cleanUrl, cleanEvents, secret])
+  if (!rows.length) throw badWebhook(`at most ${MAX_PER_WALLET} webhooks per wallet`)
+  return { ...rows[0], secret }
+}
+
+// Body: any of { url, events, active }. Re-enabling resets the failure count.
+async function update (wallet, id, body) {
+  const sets   = []
+  const params = [id, wallet]
+  if (body.url !== undefined) {
+    params.push(parseUrl(body.url))
+    sets.push(`url = $${params.length}`)
+  }
+  if (body.events !== undefined) {
+    params.push(parseEvents(body.events))
+    sets.push(`events = $${params.length}`)
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw badWebhook('active must be a boolean')
+    params.push(body.active)
+    sets.push(`active = $${params.length}`)
+    if (body.active) sets.push('failure_count = 0', 'disabled_at = NULL', 'disabled_reason = NULL')
+  }
+  if (!sets.length) throw badWebhook('nothing to update — send url, events or active')
+  const { rows } = await db.query(
+    `UPDATE webhooks SET ${sets.join(', ')} WHERE id = $1 AND wallet_address = $2 RETURNING ${PUBLIC_COLUMNS}`,
+    params
+  )
+  return rows[0] || null
+}
+
+async function remove (wallet, id) {
+  const { rowCount } = await db.query('DELETE FROM webhooks WHERE id = $1 AND wallet_address = $2', [id, wallet])
+  return rowCount > 0
+}
+
+async function rotateSecret (wallet, id) {
+  const secret = newSecret()
+  const { rows } = await db.query(
+    `UPDATE webhooks SET secret = $3 WHERE id = $1 AND wallet_address = $2 RETURNING ${PUBLIC_COLUMNS}`,
+    [id, wallet, secret]
+  )
+  return rows[0] ? { ...rows[0], secret } : null
+}
+
+async function deliveries (wallet, id, limit = 50) {
+  const { rows } = await db.query(`
+    SELECT d.id, d.event, d.status, d.attempts, d.last_status_code AS "lastStatusCode",
+           d.last_error AS "lastError", d.next_attempt_at AS "nextAttemptAt",
+           d.created_at AS "createdAt", d.delivered_at AS "deliveredAt"
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.webhook_id = $1 AND w.wallet_address = $2
+    ORDER BY d.created_at DESC
+    LIMIT $3
+  `, [id, wallet, Math.min(Math.max(parseInt(limit) || 50, 1), 200)])
+  return rows
+}
+
+// Sends a `ping` to one webhook (even a disabled one — that's how an owner
+// checks a fix before re-enabling) and waits for the result. Logged and
+// counted like any other delivery, but never retried — the caller is waiting.
+async function sendTest (wallet, id) {
+  const payload = { event: 'ping', createdAt: new Date().toISOString(), data: { message: 'BetaPlays webhook test' } }
+  const { rows } = await db.query(`
+    WITH ins AS (
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+      SELECT id, 'ping', $3::jsonb, NULL
+      FROM webhooks WHERE id = $1 AND wallet_address = $2
+      RETURNING id, webhook_id, event, payload, attempts
+    )
+    SELECT ins.*, w.url, w.secret FROM ins JOIN webhooks w ON w.id = ins.webhook_id
+  `, [id, wallet, JSON.stringify(payload)])
+  if (!rows.length) return null
+  return attempt(rows[0], { retry: false })
+}
+
+module.exports = {
+  EVENTS,
+  dispatch,
+  runRetries,
+  pruneDeliveries,
+  onDisabled,
+  list,
+  create,
+  update,
+  remove,
+  rotateSecret,
+  deliveries,
+  sendTest,
+}
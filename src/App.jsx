@@ -4,13 +4,17 @@ import { createPortal } from 'react-dom'
 import { useWallet } from '@solana/wallet-adapter-react'
 import { useWalletModal } from '@solana/wallet-adapter-react-ui'
 import useAlphas from './hooks/useAlphas'
-import LEGENDS, { submitNomination, getNominations, syncNominationsFromDB, NOMINATIONS_KEY } from './data/historical_alphas'
+import { submitNomination, getNominations, syncNominationsFromDB, NOMINATIONS_KEY, isLegend } from './data/historical_alphas'
 import useBetas, { getSignal, getWavePhase, getMcapRatio } from './hooks/useBetas'
 import useSubscription from './hooks/useSubscription'
 import useNotifications from './hooks/useNotifications'
 import useParentAlpha from './hooks/useParentAlpha'
 import useNarrativeSzn from './hooks/useNarrativeSzn'
+import useEventStream from './hooks/useEventStream'
+import { loadLore, getLoreVersion, getCurrentLore, getBundledLore, getCommunityTerms, loadCommunityLore } from './data/lore_map'
 import useBirdeye from './hooks/useBirdeye'
+import useSafety, { SAFETY_COLORS } from './hooks/useSafety'
+import useBundle from './hooks/useBundle'
 import { recordHit, recordMiss } from './hooks/useBetaFeedback'
 import './index.css'
 
@@ -387,8 +391,19 @@ const LatencyDot = () => {
 // Scrolling marquee strip showing live runners and active narratives.
 // Runners: symbol + 24h% change. Narratives: emoji + label + total vol.
 // Auto-scrolls, pauses on hover.
+// Rotation banner: pinned left while a meta rotation (narrativeRotation.js)
+// is fresh — loaded on mount, then pushed over SSE. Dismissable.
 const NarrativeTicker = ({ liveAlphas = [], sznCards = [] }) => {
   const tickerRef = useRef(null)
+  const [rotation,    setRotation]    = useState(null)
+  const [dismissedId, setDismissedId] = useState(null)
+  useEffect(() => {
+    fetch(`${BACKEND_URL}/api/narratives/rotation`)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => { if (data?.rotation) setRotation(data.rotation) })
+      .catch(() => {})
+  }, [])
+  useEventStream('rotation', setRotation)
   useEffect(() => {
     const el = tickerRef.current
     if (!el) return
@@ -437,6 +452,7 @@ const NarrativeTicker = ({ liveAlphas = [], sznCards = [] }) => {
   const items = [...runnerItems, separator, ...narrativeItems]
   // Duplicate for seamless loop
   const allItems = [...items, ...items]
+  const showRotation = rotation && rotation.id !== dismissedId
 
   return (
     <div
@@ -454,6 +470,25 @@ const NarrativeTicker = ({ liveAlphas = [], sznCards = [] }) => {
         fontFamily: "'Syne', var(--font-display), sans-serif",
       }}
     >
+      {showRotation && (
+        <Tooltip text={`Volume share of live runners — ${rotation.fromLabel}: ${rotation.fromShareBefore}% → ${rotation.fromShareNow}%, ${rotation.toLabel}: ${rotation.toShareBefore}% → ${rotation.toShareNow}%.`}>
+          <div style={{
+            display: 'flex', alignItems: 'center', gap: 6, height: 30, padding: '0 10px',
+            flexShrink: 0, position: 'relative', zIndex: 1,
+            background: 'rgba(255,184,0,0.12)', borderRight: '1px solid rgba(255,184,0,0.35)',
+            whiteSpace: 'nowrap',
+          }}>
+            <span style={{ fontSize: 9, fontWeight: 800, letterSpacing: '0.08em', color: 'var(--amber)' }}>🔄 ROTATION</span>
+            <span style={{ fontSize: 11, fontWeight: 800, color: 'var(--text-muted)' }}>{rotation.fromLabel}</span>
+            <span style={{ fontSize: 10, color: 'var(--amber)' }}>→</span>
+            <span style={{ fontSize: 11, fontWeight: 800, color: 'var(--cyan)' }}>{rotation.toLabel}</span>
+            <button
+              onClick={() => setDismissedId(rotation.id)}
+              style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: 11, padding: '0 0 0 4px' }}
+            >×</button>
+          </div>
+        </Tooltip>
+      )}
       <div ref={tickerRef} style={{
         display: 'inline-flex',
         alignItems: 'center',
@@ -524,7 +559,7 @@ const useSettings = () => {
   return { settings, updateSetting, resetSettings }
 }
 
-const SettingsPanel = ({ settings, onUpdate, onReset, onClose, isAuthed, authWallet, alertSettings, saveAlertSettings }) => {
+const SettingsPanel = ({ settings, onUpdate, onReset, onClose, isAuthed, alertSettings, saveAlertSettings, onLinkTelegram, onUnlinkTelegram, discordLink, onLinkDiscord, onUnlinkDiscord }) => {
   const overlay = {
     position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.7)',
     zIndex: 9999, display: 'flex', alignItems: 'center', justifyContent: 'center',
@@ -704,6 +739,7 @@ const SettingsPanel = ({ settings, onUpdate, onReset, onClose, isAuthed, authWal
                 { key: 'new_alpha',        labelText: 'New runners',      sub: 'When a new token enters the live feed'       },
                 { key: 'new_beta',         labelText: 'Beta found',       sub: 'When betas found for your watchlist tokens'  },
                 { key: 'narrative_active', labelText: 'Narratives',       sub: 'When a narrative goes active'                },
+                { key: 'narrative_rotation', labelText: 'Rotations',      sub: 'When volume rotates into a new meta'         },
                 { key: 'telegram_signal',  labelText: 'Telegram signals', sub: 'When V10 hits a new signal'                  },
               ].map(({ key, labelText, sub }) => (
                 <div key={key} style={row}>
@@ -730,23 +766,81 @@ const SettingsPanel = ({ settings, onUpdate, onReset, onClose, isAuthed, authWal
               <div style={row}>
                 <div>
                   <div style={label}>Telegram bot</div>
-                  <div style={sublabel}>{alertSettings?.telegram_chat_id ? '✅ Linked' : 'Link to receive DMs'}</div>
+                  <div style={sublabel}>
+                    {alertSettings?.telegram_chat_id
+                      ? `✅ Linked${alertSettings.telegram_username ? ` to @${alertSettings.telegram_username}` : ''}`
+                      : 'Link to receive DMs'}
+                  </div>
                 </div>
-                <a
-                  href={alertSettings?.telegram_chat_id ? undefined : `https://t.me/betaplaysbot?start=${authWallet}`}
-                  target="_blank" rel="noreferrer"
+                <button
+                  onClick={alertSettings?.telegram_chat_id ? onUnlinkTelegram : onLinkTelegram}
                   style={{
                     padding: '4px 10px', borderRadius: 6, fontFamily: 'var(--font-display)',
-                    fontSize: 10, fontWeight: 700, textDecoration: 'none',
-                    background: alertSettings?.telegram_chat_id ? 'rgba(57,255,20,0.08)' : 'rgba(0,212,255,0.08)',
-                    border: `1px solid ${alertSettings?.telegram_chat_id ? 'rgba(57,255,20,0.3)' : 'rgba(0,212,255,0.3)'}`,
-                    color: alertSettings?.telegram_chat_id ? 'var(--neon-green)' : 'var(--cyan)',
-                    pointerEvents: alertSettings?.telegram_chat_id ? 'none' : 'auto',
+                    fontSize: 10, fontWeight: 700, cursor: 'pointer',
+                    background: alertSettings?.telegram_chat_id ? 'rgba(255,68,102,0.08)' : 'rgba(0,212,255,0.08)',
+                    border: `1px solid ${alertSettings?.telegram_chat_id ? 'rgba(255,68,102,0.3)' : 'rgba(0,212,255,0.3)'}`,
+                    color: alertSettings?.telegram_chat_id ? 'var(--red)' : 'var(--cyan)',
                   }}
                 >
-                  {alertSettings?.telegram_chat_id ? 'Linked' : '📡 Link'}
-                </a>
+                  {alertSettings?.telegram_chat_id ? 'Unlink' : '📡 Link'}
+                </button>
+              </div>
+              <div style={row}>
+                <div>
+                  <div style={label}>Discord bot</div>
+                  <div style={sublabel}>
+                    {alertSettings?.discord_user_id
+                      ? `✅ Linked${alertSettings.discord_username ? ` to ${alertSettings.discord_username}` : ''}`
+                      : 'Link to receive DMs'}
+                  </div>
+                </div>
+                <button
+                  onClick={alertSettings?.discord_user_id ? onUnlinkDiscord : onLinkDiscord}
+                  style={{
+                    padding: '4px 10px', borderRadius: 6, fontFamily: 'var(--font-display)',
+                    fontSize: 10, fontWeight: 700, cursor: 'pointer',
+                    background: alertSettings?.discord_user_id ? 'rgba(255,68,102,0.08)' : 'rgba(0,212,255,0.08)',
+                    border: `1px solid ${alertSettings?.discord_user_id ? 'rgba(255,68,102,0.3)' : 'rgba(0,212,255,0.3)'}`,
+                    color: alertSettings?.discord_user_id ? 'var(--red)' : 'var(--cyan)',
+                  }}
+                >
+                  {alertSettings?.discord_user_id ? 'Unlink' : discordLink ? 'New code' : '🎮 Link'}
+                </button>
               </div>
+              {discordLink && !alertSettings?.discord_user_id && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                  <div style={sublabel}>
+                    Run this in a DM with the bot or any server it&apos;s in — valid for 10 minutes:
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <code style={{
+                      flex: 1, padding: '6px 8px', borderRadius: 6, userSelect: 'all',
+                      fontFamily: 'var(--font-mono)', fontSize: 10, wordBreak: 'break-all',
+                      background: 'rgba(255,255,255,0.05)', border: '1px solid var(--border)',
+                      color: 'var(--text-primary)',
+                    }}>
+                      {discordLink.command}
+                    </code>
+                    <button
+                      onClick={() => navigator.clipboard.writeText(discordLink.command).catch(() => {})}
+                      style={{
+                        padding: '4px 8px', borderRadius: 6, fontFamily: 'var(--font-display)',
+                        fontSize: 10, fontWeight: 700, cursor: 'pointer',
+                        background: 'rgba(0,212,255,0.08)', border: '1px solid rgba(0,212,255,0.3)',
+                        color: 'var(--cyan)',
+                      }}
+                    >
+                      Copy
+                    </button>
+                  </div>
+                  {discordLink.installUrl && (
+                    <a href={discordLink.installUrl} target="_blank" rel="noreferrer"
+                      style={{ ...sublabel, color: 'var(--cyan)' }}>
+                      Not in a server with the bot? Add it to your account →
+                    </a>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -909,6 +1003,7 @@ const SznCard = ({ szn, isSelected, onClick }) => {
   const heat        = szn.heat || { label: 'MILD', color: '#888888', emoji: '😴' }
   const sznScore    = szn.sznScore || 0
   const momentum    = szn.momentum || 0
+  const trend       = szn.trend   // heat timeline — only after a few snapshots
   const leader      = szn.leader
   const topThree    = szn.tokens.slice(0, 3)
 
@@ -965,6 +1060,16 @@ const SznCard = ({ szn, isSelected, onClick }) => {
             fontFamily: 'var(--font-display)', fontSize: 8, fontWeight: 700,
             color: heat.color, letterSpacing: 0.3,
           }}>{heat.emoji} {heat.label}</span>
+          {trend && trend.direction !== 'steady' && (
+            <Tooltip text={`Score ${trend.scoreDelta >= 0 ? '+' : ''}${trend.scoreDelta} over the last 6h (${trend.slope >= 0 ? '+' : ''}${trend.slope}/h)${trend.volumeDelta != null ? `, volume ${trend.volumeDelta >= 0 ? '+' : ''}${trend.volumeDelta}%` : ''}.`}>
+              <span style={{
+                fontFamily: 'var(--font-mono)', fontSize: 8, fontWeight: 700, cursor: 'default',
+                color: trend.direction === 'heating' ? 'var(--neon-green)' : 'var(--red)',
+              }}>
+                {trend.direction === 'heating' ? '▲ heating up' : '▼ rolling over'}
+              </span>
+            </Tooltip>
+          )}
           <Tooltip text="Narrative score (0–100): combines total volume, number of tokens, avg price change, and momentum. Higher = more active narrative right now.">
             <span style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--text-muted)', cursor: 'default', borderBottom: '1px dotted rgba(255,255,255,0.2)' }}>
               score {sznScore}/100
@@ -1609,14 +1714,12 @@ const AlphaCard = ({ alpha, isSelected, onClick, isWatched, onToggleWatch, isCal
 // ─── Alpha Board ─────────────────────────────────────────────────
 
 // ─── Admin Nomination Panel ───────────────────────────────────────
-// Hidden. Access via Ctrl+Shift+A — only you know this exists.
-// Shows pending nominations with stats for approve/reject decisions.
-const ADMIN_PASSWORD = 'betaplays_og_2025'
-
-const AdminNominationPanel = ({ onClose }) => {
-  const [authed, setAuthed]           = useState(() => sessionStorage.getItem('bp_admin') === '1')
-  const [pwInput, setPwInput]         = useState('')
-  const [pwError, setPwError]         = useState(false)
+// Hidden. Access via Ctrl+Shift+A — needs a signed-in wallet with the
+// moderator (or admin) role; the server checks it on every status change.
+// Shows pending nominations with stats for approve/reject decisions, and
+// the contested community flags queue (server/flags.js).
+const AdminNominationPanel = ({ authToken, onClose }) => {
+  const [roles, setRoles]             = useState(null)   // null = checking
   const [nominations, setNominations] = useState([])
   const [nomLoading, setNomLoading]   = useState(false)
 
@@ -1639,29 +1742,52 @@ const AdminNominationPanel = ({ onClose }) => {
     }
   }
 
-  const handleAuth = () => {
-    if (pwInput === ADMIN_PASSWORD) {
-      sessionStorage.setItem('bp_admin', '1')
-      setAuthed(true)
-      loadNominations()
-    } else {
-      setPwError(true)
-      setPwInput('')
-      setTimeout(() => setPwError(false), 2000)
+  // Role check — /api/auth/me returns the wallet's roles
+  useEffect(() => {
+    if (!authToken) { setRoles([]); return }
+    fetch(`${BACKEND_URL}/api/auth/me`, { headers: { Authorization: `Bearer ${authToken}` } })
+      .then(r => r.ok ? r.json() : { roles: [] })
+      .then(me => setRoles(me.roles || []))
+      .catch(() => setRoles([]))
+  }, [authToken])
+
+  const authed = !!roles && (roles.includes('moderator') || roles.includes('admin'))
+
+  // Contested flags — tokens whose weighted flag score reached the queue threshold
+  const [flagQueue, setFlagQueue] = useState([])
+  const loadFlagQueue = async () => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/flags/queue`, { headers: { Authorization: `Bearer ${authToken}` } })
+      if (res.ok) setFlagQueue((await res.json()).reviews || [])
+    } catch { /* queue stays as is */ }
+  }
+
+  const reviewFlag = async (review, status) => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/flags/queue/${review.id}`, {
+        method:  'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+        body:    JSON.stringify({ status }),
+      })
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`)
+      setFlagQueue(prev => prev.filter(r => r.id !== review.id))
+      loadAllFlags()
+    } catch (err) {
+      console.warn('[Flags] Review failed:', err.message)
     }
   }
 
-  // Re-load when already authed on mount
-  useEffect(() => { if (authed) loadNominations() }, [authed])
+  useEffect(() => { if (authed) { loadNominations(); loadFlagQueue() } }, [authed]) // eslint-disable-line react-hooks/exhaustive-deps
 
   const updateStatus = async (address, status) => {
     try {
       // Write to Supabase
-      await fetch(`${BACKEND_URL}/api/nominations/${address}`, {
+      const res = await fetch(`${BACKEND_URL}/api/nominations/${address}`, {
         method:  'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
         body:    JSON.stringify({ status }),
       })
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`)
       // Optimistic local update
       setNominations(prev => prev.map(n => n.address === address ? { ...n, status } : n))
     } catch (err) {
@@ -1771,51 +1897,313 @@ const AdminNominationPanel = ({ onClose }) => {
           }}>✕</button>
         </div>
 
-        {/* Password gate */}
+        {/* Role gate */}
         {!authed ? (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: 8, padding: '8px 0' }}>
-            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)' }}>
-              Admin access required
+          <div style={{ fontFamily: 'var(--font-mono)', fontSize: 10, color: 'var(--text-muted)', padding: '16px 0' }}>
+            {!authToken ? 'Connect and sign in with a moderator wallet to review nominations.'
+              : roles === null ? 'Checking wallet roles…'
+              : 'This wallet has no moderator role.'}
+          </div>
+        ) : nominations.length === 0 ? (
+          <div style={{
+            fontFamily: 'var(--font-mono)', fontSize: 10,
+            color: 'var(--text-muted)', textAlign: 'center', padding: '24px 0',
+          }}>
+            No nominations yet. They'll appear here when users nominate tokens.
+          </div>
+        ) : (
+          [...pending, ...approved, ...rejected].map(nom => (
+            <NomCard key={nom.address} nom={nom} />
+          ))
+        )}
+
+        {authed && flagQueue.length > 0 && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 6, borderTop: '1px solid var(--border)', paddingTop: 10 }}>
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--amber)', letterSpacing: 1 }}>
+              🚩 CONTESTED FLAGS ({flagQueue.length})
+            </div>
+            {flagQueue.map(r => (
+              <div key={r.id} style={{
+                display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap',
+                background: 'var(--surface-2)', border: '1px solid var(--border)', borderRadius: 6, padding: '8px 10px',
+              }}>
+                <span style={{ fontFamily: 'var(--font-number)', fontSize: 11, color: 'var(--text-primary)', fontWeight: 600 }}>${r.symbol}</span>
+                <span style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--red)' }}>{r.flagType}</span>
+                <span style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--text-muted)', flex: 1 }}>
+                  score {Number(r.score).toFixed(1)} · {r.flaggers} wallet{r.flaggers === 1 ? '' : 's'} · {r.hits} hits 7d
+                </span>
+                <a href={`https://dexscreener.com/solana/${r.address}`} target="_blank" rel="noreferrer"
+                  style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--cyan)', textDecoration: 'none' }}>
+                  DEX ↗
+                </a>
+                <button onClick={() => reviewFlag(r, 'upheld')} style={{
+                  background: 'rgba(255,68,102,0.1)', border: '1px solid rgba(255,68,102,0.3)',
+                  borderRadius: 4, padding: '2px 10px', cursor: 'pointer',
+                  fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--red)',
+                }}>✓ Uphold</button>
+                <button onClick={() => reviewFlag(r, 'dismissed')} style={{
+                  background: 'rgba(0,255,136,0.1)', border: '1px solid rgba(0,255,136,0.3)',
+                  borderRadius: 4, padding: '2px 10px', cursor: 'pointer',
+                  fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--neon-green)',
+                }}>✕ Dismiss</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body
+  )
+}
+
+// ─── Admin Lore Editor ────────────────────────────────────────────
+// Hidden. Access via Ctrl+Shift+L — publishing needs a wallet with the
+// admin role signed in (server checks it). Edits the versioned lore map served by
+// GET /api/lore; each section is raw JSON. Publishing replaces the whole
+// document as a new version, Restore republishes an old one.
+const LORE_SECTIONS = [
+  ['categories',      'Categories'],
+  ['loreMap',         'Lore map'],
+  ['categoryTraits',  'Traits'],
+  ['metaseedBlocked', 'MetaSeed blocked'],
+]
+
+const loreToTexts = (lore) =>
+  Object.fromEntries(LORE_SECTIONS.map(([key]) => [key, JSON.stringify(lore[key], null, 2)]))
+
+const AdminLorePanel = ({ authToken, onClose }) => {
+  const [texts,    setTexts]    = useState(() => loreToTexts(getCurrentLore()))
+  const [section,  setSection]  = useState('categories')
+  const [note,     setNote]     = useState('')
+  const [versions, setVersions] = useState([])
+  const [queue,    setQueue]    = useState([])     // pending community lore
+  const [busy,     setBusy]     = useState(false)
+  const [msg,      setMsg]      = useState(null)   // { ok, text }
+
+  const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` }
+
+  const loadVersions = async () => {
+    if (!authToken) return
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/admin/lore/versions`, { headers: authHeaders })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setVersions(data.versions || [])
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    }
+  }
+  // Voted-through (queued) entries first — they wait on a moderator — then pending
+  const loadQueue = async () => {
+    if (!authToken) return
+    try {
+      const lists = await Promise.all(['queued', 'pending'].map(async status => {
+        const res  = await fetch(`${BACKEND_URL}/api/community-lore/submissions?status=${status}`, { headers: authHeaders })
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+        return data.submissions || []
+      }))
+      setQueue(lists.flat())
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    }
+  }
+  useEffect(() => { loadVersions(); loadQueue() }, [authToken]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Live lore re-applied in this tab, then the editor reloads from it
+  const refreshLive = async () => {
+    await loadLore()
+    setTexts(loreToTexts(getCurrentLore()))
+    loadVersions()
+  }
+
+  const publish = async () => {
+    const lore = {}
+    for (const [key, label] of LORE_SECTIONS) {
+      try { lore[key] = JSON.parse(texts[key]) } catch (err) {
+        setSection(key)
+        setMsg({ ok: false, text: `${label}: invalid JSON — ${err.message}` })
+        return
+      }
+    }
+    setBusy(true)
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/admin/lore`, {
+        method: 'POST', headers: authHeaders, body: JSON.stringify({ lore, note }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setMsg({ ok: true, text: `Published v${data.version}` })
+      setNote('')
+      await refreshLive()
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const restore = async (version) => {
+    setBusy(true)
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/admin/lore/versions/${version}/restore`, { method: 'POST', headers: authHeaders })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setMsg({ ok: true, text: `v${version} republished as v${data.version}` })
+      await refreshLive()
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Community lore moderation — the only way an entry reaches search
+  const moderate = async (entry, status) => {
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/community-lore/${entry.id}`, {
+        method: 'PATCH', headers: authHeaders, body: JSON.stringify({ status }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setQueue(prev => prev.filter(e => e.id !== entry.id))
+      setMsg({ ok: true, text: `$${entry.symbol} #${entry.id} ${status}` })
+      if (status === 'approved') loadCommunityLore()
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    }
+  }
+
+  const smallBtn = {
+    background: 'transparent', border: '1px solid var(--border)', borderRadius: 4,
+    padding: '2px 8px', cursor: 'pointer', fontFamily: 'var(--font-mono)', fontSize: 8,
+    color: 'var(--text-muted)',
+  }
+
+  return createPortal(
+    <div style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.75)', zIndex: 2000,
+      display: 'flex', alignItems: 'center', justifyContent: 'center',
+    }} onClick={onClose}>
+      <div style={{
+        background: 'var(--surface-1)', border: '1px solid var(--border)',
+        borderRadius: 10, padding: 20, width: 720, maxHeight: '85vh',
+        overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 10,
+      }} onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <div style={{ fontFamily: 'var(--font-number)', fontSize: 14, color: 'var(--amber)', fontWeight: 600, letterSpacing: '-0.3px' }}>
+              📚 LORE MAP EDITOR
+            </div>
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)', marginTop: 2 }}>
+              {getLoreVersion() ? `live v${getLoreVersion()}` : 'bundled copy (nothing published)'}
+            </div>
+          </div>
+          <button onClick={onClose} style={{
+            background: 'rgba(255,255,255,0.08)', border: '1px solid rgba(255,255,255,0.15)',
+            borderRadius: 4, padding: '2px 8px',
+            color: 'var(--text-secondary)', cursor: 'pointer', fontSize: 13,
+            fontFamily: 'var(--font-mono)',
+          }}>✕</button>
+        </div>
+
+        {!authToken ? (
+          <div style={{ fontFamily: 'var(--font-mono)', fontSize: 10, color: 'var(--text-muted)', padding: '16px 0' }}>
+            Connect and sign in with an admin wallet to edit the lore map.
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', alignItems: 'center' }}>
+              {LORE_SECTIONS.map(([key, label]) => (
+                <button key={key} onClick={() => setSection(key)} style={{
+                  ...smallBtn,
+                  color:       section === key ? 'var(--cyan)' : 'var(--text-muted)',
+                  borderColor: section === key ? 'var(--cyan)' : 'var(--border)',
+                }}>{label}</button>
+              ))}
+              <span style={{ flex: 1 }} />
+              <button onClick={() => setTexts(loreToTexts(getCurrentLore()))} style={smallBtn}>↺ Live</button>
+              <button onClick={() => setTexts(loreToTexts(getBundledLore()))} style={smallBtn}>↺ Bundled</button>
             </div>
+            <textarea
+              value={texts[section]}
+              onChange={e => setTexts(prev => ({ ...prev, [section]: e.target.value }))}
+              spellCheck={false}
+              style={{
+                height: 340, resize: 'vertical', background: 'var(--surface-2)',
+                border: '1px solid var(--border)', borderRadius: 4, padding: 8,
+                color: 'var(--text-primary)', fontFamily: 'var(--font-mono)', fontSize: 10,
+                outline: 'none', whiteSpace: 'pre',
+              }}
+            />
             <div style={{ display: 'flex', gap: 8 }}>
               <input
-                type="password"
-                value={pwInput}
-                onChange={e => setPwInput(e.target.value)}
-                onKeyDown={e => e.key === 'Enter' && handleAuth()}
-                placeholder="Password"
-                autoFocus
+                value={note}
+                onChange={e => setNote(e.target.value)}
+                placeholder="What changed (optional)"
+                maxLength={200}
                 style={{
-                  flex: 1, background: 'var(--surface-2)',
-                  border: `1px solid ${pwError ? 'var(--red)' : 'var(--border)'}`,
+                  flex: 1, background: 'var(--surface-2)', border: '1px solid var(--border)',
                   borderRadius: 4, padding: '5px 10px', color: 'var(--text-primary)',
                   fontFamily: 'var(--font-mono)', fontSize: 10, outline: 'none',
-                  transition: 'border-color 0.2s',
                 }}
               />
-              <button onClick={handleAuth} style={{
+              <button onClick={publish} disabled={busy} style={{
                 background: 'rgba(255,184,0,0.1)', border: '1px solid rgba(255,184,0,0.3)',
-                borderRadius: 4, padding: '5px 12px', cursor: 'pointer',
+                borderRadius: 4, padding: '5px 12px', cursor: busy ? 'default' : 'pointer',
                 fontFamily: 'var(--font-mono)', fontSize: 10, color: 'var(--amber)',
-              }}>Enter</button>
+              }}>{busy ? 'Publishing…' : 'Publish'}</button>
             </div>
-            {pwError && (
-              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--red)' }}>
-                Incorrect password
+            {msg && (
+              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: msg.ok ? 'var(--neon-green)' : 'var(--red)' }}>
+                {msg.text}
               </div>
             )}
-          </div>
-        ) : nominations.length === 0 ? (
-          <div style={{
-            fontFamily: 'var(--font-mono)', fontSize: 10,
-            color: 'var(--text-muted)', textAlign: 'center', padding: '24px 0',
-          }}>
-            No nominations yet. They'll appear here when users nominate tokens.
-          </div>
-        ) : (
-          [...pending, ...approved, ...rejected].map(nom => (
-            <NomCard key={nom.address} nom={nom} />
-          ))
+
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)', letterSpacing: 1, marginTop: 4 }}>
+              VERSIONS
+            </div>
+            {versions.length === 0 ? (
+              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)' }}>
+                None yet — the first publish becomes v1.
+              </div>
+            ) : versions.map((v, i) => (
+              <div key={v.version} style={{
+                display: 'flex', alignItems: 'center', gap: 10,
+                fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-secondary)',
+              }}>
+                <span style={{ color: i === 0 ? 'var(--neon-green)' : 'var(--text-primary)', minWidth: 34 }}>v{v.version}</span>
+                <span style={{ color: 'var(--text-muted)', minWidth: 110 }}>{new Date(v.createdAt).toLocaleString()}</span>
+                <span style={{ color: 'var(--text-muted)' }}>{v.categories} cats · {v.loreEntries} lore</span>
+                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{v.note || ''}</span>
+                {i > 0 && <button onClick={() => restore(v.version)} disabled={busy} style={smallBtn}>Restore</button>}
+              </div>
+            ))}
+
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)', letterSpacing: 1, marginTop: 4 }}>
+              COMMUNITY SUBMISSIONS
+            </div>
+            {queue.length === 0 ? (
+              <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)' }}>
+                Nothing pending.
+              </div>
+            ) : queue.map(entry => (
+              <div key={entry.id} style={{
+                display: 'flex', alignItems: 'center', gap: 10,
+                fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-secondary)',
+              }}>
+                <span style={{ color: 'var(--text-primary)', minWidth: 70 }}>${entry.symbol}</span>
+                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={entry.note || ''}>
+                  {[...entry.terms, ...entry.concepts].join(', ')}{entry.universe ? ` · ${entry.universe}` : ''}
+                </span>
+                <span style={{ color: entry.status === 'queued' ? 'var(--neon-green)' : 'var(--text-muted)' }} title={entry.status === 'queued' ? 'Voted through — awaiting a moderator' : 'Still in voting'}>
+                  {entry.score > 0 ? `+${entry.score}` : entry.score}
+                </span>
+                <button onClick={() => moderate(entry, 'approved')} style={{ ...smallBtn, color: 'var(--neon-green)' }}>Approve</button>
+                <button onClick={() => moderate(entry, 'rejected')} style={{ ...smallBtn, color: 'var(--red)' }}>Reject</button>
+              </div>
+            ))}
+          </>
         )}
       </div>
     </div>,
@@ -1988,6 +2376,7 @@ const AlphaBoard = ({ selectedAlpha, onSelect, onNewRunners, onLiveAlphas, onSzn
     if (onRegisterSwitchTab) onRegisterSwitchTab((tab) => setActiveTab(tab))
   }, [])
   const [showAdminPanel,   setShowAdminPanel]   = useState(false)
+  const [showLorePanel,    setShowLorePanel]    = useState(false)
   // ── Folio state ───────────────────────────────────────────────
   const [coolingTimeframe, setCoolingTimeframe] = useState('24h')
   const [volumeRising,     setVolumeRising]     = useState(false)
@@ -2048,7 +2437,7 @@ const AlphaBoard = ({ selectedAlpha, onSelect, onNewRunners, onLiveAlphas, onSzn
   }, [])
 
   const { liveAlphas, coolingAlphas: localCoolingAlphas, positioningAlphas: localPositioningAlphas, legends, loading, isRefreshing, error, lastUpdated, refresh } = useAlphas()
-  const sznCards = useNarrativeSzn(liveAlphas)
+  const sznCards = useNarrativeSzn(liveAlphas, authToken)
 
   // ── Cooling/Positioning: Neon DB cutover ──────────────────────
   // Local (useAlphas) data shows instantly from localStorage.
@@ -2185,7 +2574,7 @@ const AlphaBoard = ({ selectedAlpha, onSelect, onNewRunners, onLiveAlphas, onSzn
       const next = isWatched
         ? prev.filter(a => a.address !== alpha.address)
         : [{ ...alpha, watchedAt: Date.now() }, ...prev]
-      if (!isWatched) recordHit(alpha.address)
+      if (!isWatched) recordHit(alpha.address, authToken)
       saveWatchlistRaw(next)
       // Sync to Supabase if authed
       if (isAuthed && authToken) {
@@ -2230,12 +2619,17 @@ const AlphaBoard = ({ selectedAlpha, onSelect, onNewRunners, onLiveAlphas, onSzn
   const userIsScrolling   = useRef(false)  // true while user is actively browsing the list
   const scrollIdleTimer   = useRef(null)   // resets userIsScrolling after idle period
   // Ctrl+Shift+A → open admin nomination review panel
+  // Ctrl+Shift+L → open admin lore map editor
   useEffect(() => {
     const handler = (e) => {
       if (e.ctrlKey && e.shiftKey && e.key === 'A') {
         e.preventDefault()
         setShowAdminPanel(p => !p)
       }
+      if (e.ctrlKey && e.shiftKey && e.key === 'L') {
+        e.preventDefault()
+        setShowLorePanel(p => !p)
+      }
     }
     window.addEventListener('keydown', handler)
     return () => window.removeEventListener('keydown', handler)
@@ -2562,7 +2956,8 @@ const AlphaBoard = ({ selectedAlpha, onSelect, onNewRunners, onLiveAlphas, onSzn
 
   return (
     <aside className="alpha-board">
-      {showAdminPanel && <AdminNominationPanel onClose={() => setShowAdminPanel(false)} />}
+      {showAdminPanel && <AdminNominationPanel authToken={authToken} onClose={() => setShowAdminPanel(false)} />}
+      {showLorePanel && <AdminLorePanel authToken={authToken} onClose={() => setShowLorePanel(false)} />}
       <div className="alpha-board-header">
         <span className="alpha-board-title">🎯 Runners</span>
       </div>
@@ -3498,6 +3893,7 @@ const SignalBadge = ({ beta }) => {
     AI:       'badge-verified',
     TELEGRAM: 'badge-telegram',
     TWITTER:  'badge-twitter',
+    COMMUNITY: 'badge-strong',
   }
 
   // Emoji-only in badge, full description in tooltip
@@ -3505,6 +3901,7 @@ const SignalBadge = ({ beta }) => {
     CABAL:    '⚡', MULTI:    '⚡', TRENDING: '🔥', LP_PAIR:  '🔗',
     AI:       '🤖', KEYWORD:  '🔍', VISUAL:   '👁', TELEGRAM: '📡',
     TWITTER:  '🐦', STRONG:   '💪', OG:       '👑', WEAK:     '〰️',
+    COMMUNITY: '👥',
   }
   const signalLabel = {
     CABAL:    'Multi-Signal — found by 2 or more detection methods simultaneously. Highest confidence.',
@@ -3516,6 +3913,7 @@ const SignalBadge = ({ beta }) => {
     VISUAL:   "Visual Match — logo visually mirrors or references the alpha's logo.",
     TELEGRAM: 'Telegram Signal — spotted in degen channels being discussed alongside the alpha.',
     TWITTER:  'Twitter Signal — mentioned on CT in context with the alpha.',
+    COMMUNITY: 'Community Lore — a connection submitted by holders, voted up by the community and approved by a moderator.',
     STRONG:   'Strong — high-confidence match from multiple text-based signals.',
     OG:       'OG — this is the original token of its concept. The narrative starter.',
     WEAK:     'Weak — low-confidence match. Worth watching but treat with caution.',
@@ -3738,9 +4136,7 @@ const NominateSearchBar = () => {
       const resultAddr = best.baseToken?.address
       const resultSym  = best.baseToken?.symbol?.toUpperCase()
       // Check if already a confirmed OG
-      const alreadyOG  = LEGENDS.some(l =>
-        l.address === resultAddr || l.symbol === resultSym
-      )
+      const alreadyOG  = isLegend(resultAddr, resultSym)
       setResult({
         address:   resultAddr,
         symbol:    best.baseToken?.symbol,
@@ -3840,6 +4236,166 @@ const NominateSearchBar = () => {
   )
 }
 
+// ─── Community lore ──────────────────────────────────────────────
+// Lives under the beta list — signed-in wallets propose terms for this
+// alpha and vote on other wallets' pending ones (server/communityLore.js).
+// Approved terms are searched as the 'community_lore' signal.
+const splitWords = (text) => text.split(',').map(w => w.trim()).filter(Boolean)
+
+const CommunityLoreBox = ({ alpha, isAuthed, authToken, authWallet }) => {
+  const [open,      setOpen]      = useState(false)
+  const [pending,   setPending]   = useState([])
+  const [terms,     setTerms]     = useState('')
+  const [concepts,  setConcepts]  = useState('')
+  const [universe,  setUniverse]  = useState('')
+  const [note,      setNote]      = useState('')
+  const [busy,      setBusy]      = useState(false)
+  const [msg,       setMsg]       = useState(null)   // { ok, text }
+  const approvedTerms = getCommunityTerms(alpha.symbol, alpha.address)
+
+  const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` }
+
+  const loadPending = async () => {
+    if (!isAuthed) return
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/community-lore/submissions?status=pending&symbol=${encodeURIComponent(alpha.symbol)}`, { headers: authHeaders })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setPending(data.submissions || [])
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    }
+  }
+  useEffect(() => { if (open) loadPending() }, [open, alpha.symbol, isAuthed]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const submit = async () => {
+    setBusy(true); setMsg(null)
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/community-lore`, {
+        method: 'POST', headers: authHeaders,
+        body: JSON.stringify({
+          symbol: alpha.symbol, address: alpha.address,
+          terms: splitWords(terms), concepts: splitWords(concepts), universe, note,
+        }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setMsg({ ok: true, text: 'Submitted — goes to a moderator once other wallets vote it up.' })
+      setTerms(''); setConcepts(''); setUniverse(''); setNote('')
+      loadPending()
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const vote = async (entry, value) => {
+    const next = entry.myVote === value ? 0 : value   // same button again takes the vote back
+    try {
+      const res  = await fetch(`${BACKEND_URL}/api/community-lore/${entry.id}/vote`, {
+        method: 'POST', headers: authHeaders, body: JSON.stringify({ vote: next }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      if (data.status === 'queued') {
+        setMsg({ ok: true, text: `Voted through — [${data.terms.join(', ')}] goes live once a moderator approves it.` })
+      }
+      setPending(prev => data.status === 'pending'
+        ? prev.map(e => (e.id === data.id ? data : e))
+        : prev.filter(e => e.id !== data.id))
+    } catch (err) {
+      setMsg({ ok: false, text: err.message })
+    }
+  }
+
+  const input = {
+    background: 'var(--surface-2)', border: '1px solid var(--border)',
+    borderRadius: 4, padding: '5px 10px', color: 'var(--text-primary)',
+    fontFamily: 'var(--font-mono)', fontSize: 10, outline: 'none',
+  }
+  const voteBtn = (active, color) => ({
+    background: active ? `${color}22` : 'transparent', border: `1px solid ${active ? color : 'var(--border)'}`,
+    borderRadius: 4, padding: '1px 6px', cursor: 'pointer',
+    fontFamily: 'var(--font-mono)', fontSize: 9, color: active ? color : 'var(--text-muted)',
+  })
+
+  return (
+    <div style={{ marginTop: 10, borderTop: '1px solid var(--border)', paddingTop: 8 }}>
+      <button onClick={() => setOpen(o => !o)} style={{
+        background: 'transparent', border: 'none', padding: 0, cursor: 'pointer',
+        fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)', letterSpacing: 1,
+      }}>
+        👥 COMMUNITY LORE {open ? '▾' : '▸'}
+        <span style={{ letterSpacing: 0, marginLeft: 6 }}>Know a play we missed?</span>
+      </button>
+
+      {open && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 8 }}>
+          {approvedTerms.length > 0 && (
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-secondary)' }}>
+              Live for ${alpha.symbol}: {approvedTerms.join(', ')}
+            </div>
+          )}
+
+          {!isAuthed ? (
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)' }}>
+              Connect and sign in to propose terms or vote on pending ones.
+            </div>
+          ) : (
+            <>
+              {pending.map(entry => (
+                <div key={entry.id} style={{
+                  display: 'flex', alignItems: 'center', gap: 8,
+                  fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-secondary)',
+                }}>
+                  <span style={{ flex: 1 }}>
+                    {entry.terms.join(', ')}
+                    {entry.concepts.length > 0 && <span style={{ color: 'var(--text-muted)' }}> · {entry.concepts.join(', ')}</span>}
+                    {entry.universe && <span style={{ color: 'var(--text-muted)' }}> · {entry.universe}</span>}
+                  </span>
+                  <span style={{ color: entry.score > 0 ? 'var(--neon-green)' : entry.score < 0 ? 'var(--red)' : 'var(--text-muted)', minWidth: 18, textAlign: 'right' }}>
+                    {entry.score > 0 ? `+${entry.score}` : entry.score}
+                  </span>
+                  {entry.submittedBy === authWallet ? (
+                    <span style={{ color: 'var(--text-muted)' }}>yours</span>
+                  ) : (
+                    <>
+                      <button onClick={() => vote(entry, 1)}  style={voteBtn(entry.myVote === 1, '#00ff88')}>▲</button>
+                      <button onClick={() => vote(entry, -1)} style={voteBtn(entry.myVote === -1, '#ff5050')}>▼</button>
+                    </>
+                  )}
+                </div>
+              ))}
+
+              <input value={terms} onChange={e => setTerms(e.target.value)} placeholder="Related terms, comma-separated (e.g. wif, hat)" style={input} />
+              <div style={{ display: 'flex', gap: 6 }}>
+                <input value={concepts} onChange={e => setConcepts(e.target.value)} placeholder="Concepts (optional)" style={{ ...input, flex: 1 }} />
+                <input value={universe} onChange={e => setUniverse(e.target.value)} placeholder="Universe (optional)" maxLength={40} style={{ ...input, width: 120 }} />
+              </div>
+              <div style={{ display: 'flex', gap: 6 }}>
+                <input value={note} onChange={e => setNote(e.target.value)} placeholder="Why? (optional)" maxLength={280} style={{ ...input, flex: 1 }} />
+                <button onClick={submit} disabled={busy || !splitWords(terms).length} style={{
+                  background: 'rgba(255,184,0,0.1)', border: '1px solid rgba(255,184,0,0.3)',
+                  borderRadius: 4, padding: '5px 12px', cursor: busy ? 'default' : 'pointer',
+                  fontFamily: 'var(--font-mono)', fontSize: 10, color: 'var(--amber)',
+                  opacity: busy || !splitWords(terms).length ? 0.5 : 1,
+                }}>{busy ? '...' : 'Submit'}</button>
+              </div>
+            </>
+          )}
+
+          {msg && (
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: msg.ok ? 'var(--neon-green)' : 'var(--red)' }}>
+              {msg.text}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // ─── Jupiter Swap Helper ─────────────────────────────────────────
 // Jupiter Plugin v4 — Ultra mode, RPC-less.
 // No referralAccount for now — causes init error until properly registered
@@ -3898,6 +4454,8 @@ const BetaRow = ({ beta, alpha, isPinned, isBoosted, isListed, trenchOnly, onOpe
             {isTwitterSig   && <Tooltip text="Twitter signal — spotted on CT"><span className="badge" style={{ fontSize: 11, padding: '1px 3px', background: 'rgba(29,161,242,0.15)', borderColor: 'rgba(29,161,242,0.4)', color: 'rgb(29,161,242)', animation: 'pulse 2s infinite', cursor: 'default' }}>🐦</span></Tooltip>}
             {isTied         && <Tooltip text="Tied — two tokens with similar momentum for this concept"><span className="badge badge-strong" style={{ fontSize: 11, padding: '1px 3px', cursor: 'default' }}>⚡</span></Tooltip>}
             <FlagWarningBadge address={beta.address} />
+            <SafetyBadge address={beta.address} pair={beta.pairAddress} />
+            <BundleBadge beta={beta} />
             {beta.decayCount >= 2 && (
               <Tooltip text={`⚠️ ${beta.decayCount}/5 decay signals: ${(beta.decaySignals || []).join(', ')}`}>
                 <span style={{
@@ -3956,6 +4514,8 @@ const BetaRow = ({ beta, alpha, isPinned, isBoosted, isListed, trenchOnly, onOpe
               {isTied        && <span className="badge badge-strong" style={{ fontSize: 9, padding: '1px 4px' }}>⚡ TIED</span>}
               {beta.isSibling && <span className="badge badge-cabal" style={{ fontSize: 9, padding: '1px 4px' }}>👥 SIBLING</span>}
               <FlagWarningBadge address={beta.address} />
+              <SafetyBadge address={beta.address} pair={beta.pairAddress} />
+              <BundleBadge beta={beta} />
             </div>
           </div>
         </div>
@@ -5134,10 +5694,10 @@ const BetaPanel = ({ alpha, liveAlphas, onListBeta, onOpenDrawer, onSwap, onScro
       const aLP = a.signalSources?.includes('lp_pair') ? 1 : 0
       const bLP = b.signalSources?.includes('lp_pair') ? 1 : 0
       if (bLP !== aLP) return bLP - aLP
-      // Deprioritise: 2+ not_beta flags AND 0 hits → sink to bottom of organic
+      // Deprioritise: not_beta confirmed by a moderator → sink to bottom of organic
       const flags = getFlags()
-      const aDep = (flags[a.address]?.not_beta || 0) >= 2 ? 1 : 0
-      const bDep = (flags[b.address]?.not_beta || 0) >= 2 ? 1 : 0
+      const aDep = flags[a.address]?.confirmed?.includes('not_beta') ? 1 : 0
+      const bDep = flags[b.address]?.confirmed?.includes('not_beta') ? 1 : 0
       if (bDep !== aDep) return aDep - bDep
       let aVal, bVal
       if (sortBy === 'mcap')        { aVal = a.marketCap  || 0; bVal = b.marketCap  || 0 }
@@ -5447,6 +6007,8 @@ const BetaPanel = ({ alpha, liveAlphas, onListBeta, onOpenDrawer, onSwap, onScro
                 <div className="empty-state-sub">All detected betas are above $30K mcap.</div>
               </div>
             )}
+
+            <CommunityLoreBox alpha={alpha} isAuthed={isAuthed} authToken={authToken} authWallet={authWallet} />
           </div>
         </>
       )}
@@ -5502,10 +6064,12 @@ const saveWatchlistRaw = (list) => {
 }
 
 // ─── Community Flag Store ─────────────────────────────────────────
-// Simple localStorage-backed flagging system.
-// Users flag a token as RUG, HONEYPOT, or LEGIT.
-// Flags are shown to everyone — local majority vote surface pattern.
-const FLAG_STORE_KEY = 'betaplays_flags_v1'
+// Users flag a token as RUG, HONEYPOT, or NOT A BETA from a signed-in
+// wallet — one flag per wallet per token per type. The server weights
+// each flag by the flagger's track record (server/flags.js), so the
+// numbers here are weighted scores, not vote counts.
+const FLAG_STORE_KEY  = 'betaplays_flags_v2'
+const MY_FLAGS_KEY    = 'betaplays_my_flags_v1'   // { [address]: [flagType] } — this browser's flags
 
 // ─── Flags — Supabase-backed, localStorage as session cache ──────
 // getFlags() reads from the in-memory cache populated by loadAllFlags()
@@ -5517,10 +6081,9 @@ const loadAllFlags = async () => {
     const res = await fetch(`${BACKEND_URL}/api/flags`)
     if (!res.ok) throw new Error('flags fetch failed')
     const { flags } = await res.json()
-    if (flags && Object.keys(flags).length > 0) {
-      // Merge with localStorage — Supabase wins on conflict
-      const local  = JSON.parse(localStorage.getItem(FLAG_STORE_KEY) || '{}')
-      _flagsCache  = { ...local, ...flags }
+    if (flags) {
+      // Server is authoritative — the weights only exist there
+      _flagsCache = flags
       localStorage.setItem(FLAG_STORE_KEY, JSON.stringify(_flagsCache))
       return _flagsCache
     }
@@ -5538,56 +6101,61 @@ const getFlags = () => {
   catch { return {} }
 }
 
-const submitFlag = (address, flagType, symbol) => {
-  try {
-    // Optimistic local update — UI responds instantly
-    const flags = getFlags()
-    if (!flags[address]) flags[address] = { rug: 0, honeypot: 0, not_beta: 0, symbol }
-    flags[address][flagType] = (flags[address][flagType] || 0) + 1
-    flags[address].lastFlagged = Date.now()
-    _flagsCache = flags
-    localStorage.setItem(FLAG_STORE_KEY, JSON.stringify(flags))
-
-    // Write to Supabase — fire and forget
-    fetch(`${BACKEND_URL}/api/flag-token`, {
-      method:  'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ address, symbol, flagType }),
-    }).catch(err => console.warn('[Flags] Supabase write failed:', err.message))
-
-    return flags[address]
-  } catch { return null }
+const getMyFlags = (address) => {
+  try { return JSON.parse(localStorage.getItem(MY_FLAGS_KEY) || '{}')[address] || [] }
+  catch { return [] }
 }
 
-const FlagButton = ({ address, symbol }) => {
-  const [counts, setCounts] = useState(() => getFlags()[address] || null)
-  const [voted,  setVoted]  = useState(() => {
-    const f = getFlags()[address]
-    return !!(f && (f.rug > 0 || f.honeypot > 0 || f.not_beta > 0))
+// Resolves to the token's updated scores, or throws with the server's error
+const submitFlag = async (address, flagType, symbol, authToken) => {
+  const res = await fetch(`${BACKEND_URL}/api/flag-token`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+    body:    JSON.stringify({ address, symbol, flagType }),
   })
-  const [votedType, setVotedType] = useState(() => {
-    const f = getFlags()[address]
-    if (!f) return null
-    if (f.not_beta > 0) return 'not_beta'
-    if (f.rug > 0)      return 'rug'
-    if (f.honeypot > 0) return 'honeypot'
-    return null
-  })
-  const [open, setOpen] = useState(false)
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+
+  try {
+    const mine = JSON.parse(localStorage.getItem(MY_FLAGS_KEY) || '{}')
+    mine[address] = [...new Set([...(mine[address] || []), flagType])]
+    localStorage.setItem(MY_FLAGS_KEY, JSON.stringify(mine))
+  } catch { /* storage full / disabled — only the "flagged" marker is lost */ }
+
+  const flags = getFlags()
+  if (data.flags) flags[address] = data.flags
+  _flagsCache = flags
+  localStorage.setItem(FLAG_STORE_KEY, JSON.stringify(flags))
+  return data.flags || flags[address] || null
+}
+
+const FlagButton = ({ address, symbol, authToken }) => {
+  const [counts, setCounts]       = useState(() => getFlags()[address] || null)
+  const [votedType, setVotedType] = useState(() => getMyFlags(address)[0] || null)
+  const [open, setOpen]           = useState(false)
+  const [error, setError]         = useState(null)
 
-  const handleFlag = (e, flagType) => {
+  const handleFlag = async (e, flagType) => {
     e.stopPropagation()
-    const result = submitFlag(address, flagType, symbol)
-    setCounts(result)
-    setVoted(true)
-    setVotedType(flagType)
     setOpen(false)
-    if (flagType === 'not_beta') recordMiss(address)
+    setError(null)
+    try {
+      setCounts(await submitFlag(address, flagType, symbol, authToken))
+      setVotedType(flagType)
+      if (flagType === 'not_beta') recordMiss(address)
+    } catch (err) {
+      setError(err.message)
+    }
   }
 
   const total = counts
     ? (counts.rug || 0) + (counts.honeypot || 0) + (counts.not_beta || 0)
     : 0
+  const confirmed = counts?.confirmed || []
+  const scoreLine = (type) => {
+    const n = counts?.flaggers?.[type] || 0
+    return `${(counts[type] || 0).toFixed(1)}${n ? ` · ${n} wallet${n === 1 ? '' : 's'}` : ''}${confirmed.includes(type) ? ' · ✓ confirmed' : ''}`
+  }
 
   const LABEL_MAP = {
     rug:      { emoji: '🪤', label: 'Rug pull',  color: 'var(--red)'        },
@@ -5603,22 +6171,24 @@ const FlagButton = ({ address, symbol }) => {
 
   return (
     <div style={{ position: 'relative', display: 'inline-block' }}>
-      {/* Current counts */}
+      {/* Current weighted scores */}
       {total > 0 && (
         <div style={{ display: 'flex', gap: 10, marginBottom: 8, flexWrap: 'wrap' }}>
-          {(counts?.rug      || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--red)'        }}>🪤 Rug: {counts.rug}</span>}
-          {(counts?.honeypot || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--amber)'      }}>🍯 Honeypot: {counts.honeypot}</span>}
-          {(counts?.not_beta || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--text-muted)' }}>❌ Not a beta: {counts.not_beta}</span>}
+          {(counts?.rug      || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--red)'        }}>🪤 Rug: {scoreLine('rug')}</span>}
+          {(counts?.honeypot || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--amber)'      }}>🍯 Honeypot: {scoreLine('honeypot')}</span>}
+          {(counts?.not_beta || 0) > 0 && <span style={{ fontFamily: 'var(--font-number)', fontSize: 10, color: 'var(--text-muted)' }}>❌ Not a beta: {scoreLine('not_beta')}</span>}
         </div>
       )}
 
       {/* Voted state — shows what they picked, persists across drawer opens */}
-      {voted && votedType ? (
+      {votedType ? (
         <span style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: LABEL_MAP[votedType]?.color || 'var(--neon-green)' }}>
           ✓ Flagged as {LABEL_MAP[votedType]?.label}
         </span>
-      ) : voted ? (
-        <span style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--neon-green)' }}>✓ Flagged</span>
+      ) : !authToken ? (
+        <span style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)' }}>
+          Sign in with your wallet to flag this token
+        </span>
       ) : (
         <>
           <button
@@ -5629,6 +6199,9 @@ const FlagButton = ({ address, symbol }) => {
               fontFamily: 'var(--font-mono)', fontSize: 9, padding: '5px 10px',
             }}
           >🚩 Flag this token</button>
+          {error && (
+            <div style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--red)', marginTop: 4 }}>{error}</div>
+          )}
 
           {open && (
             <div style={{
@@ -5656,13 +6229,15 @@ const FlagButton = ({ address, symbol }) => {
   )
 }
 
-// Used inline in BetaRow to show warning badge only
+// Used inline in BetaRow to show warning badge only — for a type a
+// moderator upheld. Weighted scores only queue a review (server/flags.js).
 const FlagWarningBadge = ({ address }) => {
   const flags = getFlags()[address] || null
   if (!flags) return null
-  const rugWarn      = (flags.rug      || 0) >= 3
-  const honeyWarn    = (flags.honeypot || 0) >= 3
-  const notBetaWarn  = (flags.not_beta || 0) >= 3
+  const warn = (type) => (flags.confirmed || []).includes(type)
+  const rugWarn      = warn('rug')
+  const honeyWarn    = warn('honeypot')
+  const notBetaWarn  = warn('not_beta')
   if (!rugWarn && !honeyWarn && !notBetaWarn) return null
   return (
     <span className="badge" style={{
@@ -5676,17 +6251,77 @@ const FlagWarningBadge = ({ address }) => {
   )
 }
 
+// ─── Safety badge ─────────────────────────────────────────────────
+// BetaRow: on-chain risk level from /api/safety (useSafety). LOW shows
+// nothing — only tokens worth a second look get a badge.
+const LP_STATUS_LABELS = {
+  bonding_curve: 'BONDING CURVE',
+  burned:        'BURNED',
+  partial:       'PARTIAL',
+  unlocked:      'UNLOCKED',
+  position:      'CLMM POSITIONS',
+  unknown:       'UNKNOWN',
+}
+
+const SafetyBadge = ({ address, pair }) => {
+  const safety = useSafety(address, pair)
+  if (!safety || safety.level === 'LOW') return null
+  const high = safety.level === 'HIGH'
+  return (
+    <Tooltip text={`On-chain risk ${safety.score}/100 — ${safety.risks.map(r => r.label).join(' · ')}`}>
+      <span className="badge" style={{
+        fontSize: 7, padding: '1px 4px', cursor: 'default',
+        background:  high ? 'rgba(255,68,102,0.15)' : 'rgba(255,170,0,0.1)',
+        borderColor: high ? 'rgba(255,68,102,0.4)'  : 'rgba(255,170,0,0.3)',
+        color:       SAFETY_COLORS[safety.level],
+      }}>🛡️ {safety.level}</span>
+    </Tooltip>
+  )
+}
+
+// ─── Bundle badge ─────────────────────────────────────────────────
+// BetaRow: launch bundle check for betas under BUNDLE_CHECK_AGE_MS.
+// Server scans attach beta.launch (and drop HIGH bundles outright);
+// client-scanned betas fetch /api/bundles (useBundle). LOW shows nothing.
+const BUNDLE_CHECK_AGE_MS = 3 * 24 * 60 * 60 * 1000   // NEW_BETA_MS in betaScanService.js
+
+const BundleBadge = ({ beta }) => {
+  const isNew   = !!beta.ageMs && beta.ageMs < BUNDLE_CHECK_AGE_MS
+  const fetched = useBundle(isNew && !beta.launch ? beta.address : null)
+  const launch  = beta.launch || (['ok', 'partial'].includes(fetched?.status) ? fetched : null)
+  if (!isNew || !launch || launch.level === 'LOW') return null
+  const high = launch.level === 'HIGH'
+  const detail = [
+    `${launch.supplyPct}% of supply bought at launch`,
+    launch.deployerPct > 0      && `deployer ${launch.deployerPct}%`,
+    launch.fundedByDeployer > 0 && `${launch.fundedByDeployer} buyer${launch.fundedByDeployer > 1 ? 's' : ''} funded by the deployer`,
+    launch.linkedBuyers > 0     && `${launch.linkedBuyers} linked wallet${launch.linkedBuyers > 1 ? 's' : ''} (${launch.linkedPct}% with the deployer)`,
+  ].filter(Boolean)
+  return (
+    <Tooltip text={`Launch ${high ? 'bundled' : 'sniped'} — ${detail.join(' · ')}`}>
+      <span className="badge" style={{
+        fontSize: 7, padding: '1px 4px', cursor: 'default',
+        background:  high ? 'rgba(255,68,102,0.15)' : 'rgba(255,170,0,0.1)',
+        borderColor: high ? 'rgba(255,68,102,0.4)'  : 'rgba(255,170,0,0.3)',
+        color:       SAFETY_COLORS[launch.level],
+      }}>📦 {high ? 'BUNDLED' : 'SNIPED'}</span>
+    </Tooltip>
+  )
+}
+
 // ─── Token Detail Drawer ──────────────────────────────────────────
 // Slide-in panel showing full token intel when a beta row is clicked:
 //   - Live price + 24h, 7d, 30d change
 //   - Holder count + concentration risk
 //   - Buy/sell pressure
 //   - Description
+//   - On-chain safety (authorities, LP, holder concentration)
 //   - Community flags
 //   - Quick links: DEX, Birdeye, PumpFun
 
-const TokenDrawer = ({ token, alpha, onClose, onSwap }) => {
+const TokenDrawer = ({ token, alpha, authToken, onClose, onSwap }) => {
   const { birdeye } = useBirdeye(token?.address)
+  const safety      = useSafety(token?.address, token?.pairAddress)
 
   if (!token) return null
 
@@ -5777,6 +6412,37 @@ const TokenDrawer = ({ token, alpha, onClose, onSwap }) => {
           </div>
         </div>
 
+        {/* On-chain safety — server/safety.js */}
+        {safety && (
+          <div style={{ background: 'var(--surface-2)', borderRadius: 8, padding: '12px 14px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+              <span style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--text-muted)', letterSpacing: 1 }}>🛡️ ON-CHAIN SAFETY</span>
+              <span style={{ fontFamily: 'var(--font-number)', fontSize: 11, fontWeight: 700, color: SAFETY_COLORS[safety.level] }}>
+                {safety.level} RISK <span style={{ fontSize: 8, opacity: 0.8 }}>{safety.score}/100</span>
+              </span>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8, marginBottom: safety.risks.length ? 8 : 0 }}>
+              {[
+                ['MINT AUTH',   safety.mintAuthority   ? 'ACTIVE' : 'REVOKED', !safety.mintAuthority],
+                ['FREEZE AUTH', safety.freezeAuthority ? 'ACTIVE' : 'REVOKED', !safety.freezeAuthority],
+                ['LP',          (LP_STATUS_LABELS[safety.lp.status] || safety.lp.status) + (safety.lp.burnedPct != null && safety.lp.status !== 'burned' ? ` ${safety.lp.burnedPct}% burned` : ''),
+                  ['burned', 'bonding_curve'].includes(safety.lp.status)],
+                ['TOP 10 OWN',  `${safety.holders.top10Pct}%`, safety.holders.top10Pct <= 30],
+              ].map(([label, value, ok]) => (
+                <div key={label}>
+                  <div style={{ fontFamily: 'var(--font-mono)', fontSize: 8, color: 'var(--text-muted)' }}>{label}</div>
+                  <div style={{ fontFamily: 'var(--font-number)', fontSize: 11, fontWeight: 700, color: ok ? 'var(--neon-green)' : 'var(--amber)' }}>{value}</div>
+                </div>
+              ))}
+            </div>
+            {safety.risks.map(r => (
+              <div key={r.key} style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-secondary)', lineHeight: 1.5 }}>
+                ⚠️ {r.label} <span style={{ color: 'var(--text-muted)' }}>+{r.points}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Birdeye intel */}
         {birdeye?.hasData && (birdeye.holderCount != null || birdeye.buyRatio != null) && (
           <div style={{ background: 'var(--surface-2)', borderRadius: 8, padding: '12px 14px' }}>
@@ -5886,7 +6552,7 @@ const TokenDrawer = ({ token, alpha, onClose, onSwap }) => {
           {totalFlags === 0 && (
             <div style={{ fontFamily: 'var(--font-mono)', fontSize: 9, color: 'var(--text-muted)', marginBottom: 8 }}>No flags yet — be the first</div>
           )}
-          <FlagButton address={token.address} symbol={token.symbol} />
+          <FlagButton address={token.address} symbol={token.symbol} authToken={authToken} />
         </div>
 
         {/* Nominate for OG — compact version */}
@@ -5967,7 +6633,7 @@ const TokenDrawer = ({ token, alpha, onClose, onSwap }) => {
             }}
             onMouseEnter={e => e.currentTarget.style.background = 'rgba(0,212,255,0.1)'}
             onMouseLeave={e => e.currentTarget.style.background = 'none'}
-            onClick={() => { if (label === 'DEXScreener') recordHit(token.address) }}
+            onClick={() => { if (label === 'DEXScreener') recordHit(token.address, authToken) }}
             >{label} ↗</a>
           ))}
           <a
@@ -6122,6 +6788,8 @@ export default function App() {
   const {
     notifications, unreadCount, markAllRead,
     alertSettings, saveAlertSettings, settingsSaving,
+    linkTelegram, unlinkTelegram,
+    discordLink, linkDiscord, unlinkDiscord,
   } = useNotifications({ authToken, isAuthed })
   const [showNotifPanel, setShowNotifPanel] = useState(false)
 
@@ -6620,6 +7288,7 @@ export default function App() {
           <TokenDrawer
             token={drawerToken}
             alpha={selectedAlpha}
+            authToken={authToken}
             onClose={() => setDrawerToken(null)}
             onSwap={(t) => { setDrawerToken(null); openJupiterSwap(t) }}
           />
@@ -6692,9 +7361,13 @@ export default function App() {
           onReset={resetSettings}
           onClose={() => setShowSettings(false)}
           isAuthed={isAuthed}
-          authWallet={authWallet}
           alertSettings={alertSettings}
           saveAlertSettings={saveAlertSettings}
+          onLinkTelegram={linkTelegram}
+          onUnlinkTelegram={unlinkTelegram}
+          discordLink={discordLink}
+          onLinkDiscord={linkDiscord}
+          onUnlinkDiscord={unlinkDiscord}
         />
       )}
     </div>
@@ -11,8 +11,9 @@
 //   4. Still liquid — volume ≥ $500K/day + liquidity ≥ $500K
 //
 // Community nominations feed into a review queue.
-// Final promotion is manual (admin) or algorithmic — never automatic
-// from community votes alone.
+// Final promotion is manual (admin, this file) or algorithmic (the
+// server's legend-promotion job — see Promoted legends below) — never
+// automatic from community votes alone.
 
 export const LEGEND_CRITERIA = {
   // Age — must have survived at least one full market cycle
@@ -241,10 +242,7 @@ export const submitNomination = (addressOrToken, symbol = '', name = '', note =
     if (!address) return null
 
     // Already a confirmed Legend
-    const alreadyLegend = LEGENDS.some(
-      l => l.address === address || l.symbol === sym?.toUpperCase()
-    )
-    if (alreadyLegend) return { status: 'already_legend' }
+    if (isLegend(address, sym)) return { status: 'already_legend' }
 
     if (nominations[address]) {
       nominations[address].nominationCount = (nominations[address].nominationCount || 1) + 1
@@ -302,4 +300,53 @@ export const checkLegendCriteria = (token) => {
     failing,
     missingBetaCheck: true, // betasSpawned checked separately
   }
-}
\ No newline at end of file
+}
+
+// ─── Promoted legends (GET /api/legends) ────────────────────────
+// Tokens the server's legend-promotion job has promoted (server/legends.js)
+// — same criteria as LEGEND_CRITERIA, checked against the tokens table.
+// Merged after the static LEGENDS above; a static entry wins on address.
+let promotedLegends = []
+
+const toLegend = (row) => ({
+  id:             `legend-${row.address}`,
+  symbol:         row.symbol,
+  name:           row.name || row.symbol,
+  address:        row.address,
+  priceUsd:       null,
+  priceChange24h: null,
+  volume24h:      null,
+  marketCap:      null,
+  liquidity:      null,
+  logoUrl:        row.logoUrl || null,
+  pairCreatedAt:  row.metrics?.bornAt ? row.metrics.bornAt.split('T')[0] : null,
+  isHistorical:   false,
+  isLegend:       true,
+  category:       row.category || null,
+  universe:       null,
+  dexUrl:         `https://dexscreener.com/solana/${row.address}`,
+  nominationCount: 0,
+  nominatedBy:    [],
+  promotedBy:     row.promotedBy,
+  promotedAt:     row.promotedAt ? row.promotedAt.split('T')[0] : null,
+})
+
+// Static + promoted, static first
+export const getAllLegends = () => {
+  const known = new Set(LEGENDS.map(l => l.address))
+  return [...LEGENDS, ...promotedLegends.filter(l => !known.has(l.address))]
+}
+
+export const isLegend = (address, symbol = '') =>
+  getAllLegends().some(l => l.address === address || (symbol && l.symbol === symbol.toUpperCase()))
+
+// Resolves to getAllLegends(). Never throws — offline keeps the last list.
+export const syncLegendsFromDB = async () => {
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/legends`)
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    const { legends: rows } = await res.json()
+    if (Array.isArray(rows)) promotedLegends = rows.filter(r => r?.address && r.symbol).map(toLegend)
+  } catch { /* static LEGENDS stay */ }
+  return getAllLegends()
+}
@@ -453,13 +453,16 @@ export const inferCategoryFromTerms = (terms = []) => {
 export const getSearchTerms = (symbol) => {
   const upper = symbol.toUpperCase()
   const entry = LORE_MAP[upper]
-  if (entry) return entry.terms
-  return [symbol.toLowerCase()]
+  const base  = entry ? entry.terms : [symbol.toLowerCase()]
+  const extra = COMMUNITY_LORE[upper]?.terms
+  return extra ? [...new Set([...base, ...extra])] : base
 }
 
 export const getConcepts = (symbol) => {
   const upper = symbol.toUpperCase()
-  return LORE_MAP[upper]?.concepts || [symbol.toLowerCase()]
+  const base  = LORE_MAP[upper]?.concepts || [symbol.toLowerCase()]
+  const extra = COMMUNITY_LORE[upper]?.concepts
+  return extra ? [...new Set([...base, ...extra])] : base
 }
 
 export const getCategory = (symbol) => {
@@ -469,15 +472,19 @@ export const getCategory = (symbol) => {
 
 export const getUniverse = (symbol) => {
   const upper = symbol.toUpperCase()
-  return LORE_MAP[upper]?.universe || null
+  return LORE_MAP[upper]?.universe || COMMUNITY_LORE[upper]?.universe || null
 }
 
 // ─── Category detection ───────────────────────────────────────────
 // Checks symbol, name, and description against NARRATIVE_CATEGORIES keywords.
 // Returns the first matching category key or null.
 // Priority-sorted so specific categories match before generic ones.
-const SORTED_CATEGORIES = Object.entries(NARRATIVE_CATEGORIES)
+// Rebuilt by applyLore() when a live lore version is loaded.
+const sortCategories = () => Object.entries(NARRATIVE_CATEGORIES)
   .sort((a, b) => (a[1].priority || 2) - (b[1].priority || 2))
+let SORTED_CATEGORIES = sortCategories()
+
+export const getSortedCategories = () => SORTED_CATEGORIES
 
 // ─── CT Misspelling → Category Map ───────────────────────────────
 // Crypto Twitter deliberately misspells political/celebrity names.
@@ -519,4 +526,135 @@ export const detectCategory = (symbol, name = '', description = '') => {
   return null
 }
 
+// ─── Live lore (GET /api/lore) ───────────────────────────────────
+// Everything above is the bundled copy. loadLore() (main.jsx, at startup)
+// swaps in the server's live version — edited in the admin lore panel —
+// in place: same objects, so every importer sees it without re-importing.
+// The last live version is kept in localStorage for offline starts; no
+// server and nothing cached → the bundled copy stays.
+// Memoised results (Szn cards) pick it up on their next recompute.
+const BACKEND_URL    = import.meta.env?.VITE_BACKEND_URL || 'http://localhost:3001'
+const LORE_CACHE_KEY = 'betaplays_lore'
+
+const BUNDLED_LORE = structuredClone({
+  loreMap:         LORE_MAP,
+  categories:      NARRATIVE_CATEGORIES,
+  categoryTraits:  CATEGORY_TRAITS,
+  metaseedBlocked: [...METASEED_BLOCKED_AS_DOMINANT],
+})
+let loreVersion = 0   // 0 = bundled copy
+
+const replaceContents = (target, source) => {
+  Object.keys(target).forEach(k => delete target[k])
+  Object.assign(target, structuredClone(source))
+}
+
+const applyLore = (lore, version) => {
+  if (!lore?.loreMap || !lore.categories || !lore.categoryTraits || !Array.isArray(lore.metaseedBlocked)) return false
+  replaceContents(LORE_MAP, lore.loreMap)
+  replaceContents(NARRATIVE_CATEGORIES, lore.categories)
+  replaceContents(CATEGORY_TRAITS, lore.categoryTraits)
+  METASEED_BLOCKED_AS_DOMINANT.clear()
+  lore.metaseedBlocked.forEach(key => METASEED_BLOCKED_AS_DOMINANT.add(key))
+  SORTED_CATEGORIES = sortCategories()
+  loreVersion = version
+  return true
+}
+
+export const getLoreVersion = () => loreVersion
+
+// Copies for the admin editor — { loreMap, categories, categoryTraits, metaseedBlocked }
+export const getBundledLore = () => structuredClone(BUNDLED_LORE)
+export const getCurrentLore = () => structuredClone({
+  loreMap:         LORE_MAP,
+  categories:      NARRATIVE_CATEGORIES,
+  categoryTraits:  CATEGORY_TRAITS,
+  metaseedBlocked: [...METASEED_BLOCKED_AS_DOMINANT],
+})
+
+// Resolves to the version in use (0 = bundled). Never throws.
+export const loadLore = async () => {
+  if (!loreVersion) {
+    try {
+      const cached = JSON.parse(localStorage.getItem(LORE_CACHE_KEY) || 'null')
+      if (cached?.version) applyLore(cached.lore, cached.version)
+    } catch { /* corrupt cache — bundled copy stays */ }
+  }
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/lore${loreVersion ? `?version=${loreVersion}` : ''}`)
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    const data = await res.json()
+    if (data.unchanged) return loreVersion
+    if (!data.lore) {
+      // Nothing published — back to the bundled copy
+      if (loreVersion) applyLore(BUNDLED_LORE, 0)
+      localStorage.removeItem(LORE_CACHE_KEY)
+      return 0
+    }
+    if (applyLore(data.lore, data.version)) {
+      localStorage.setItem(LORE_CACHE_KEY, JSON.stringify({ version: data.version, lore: data.lore }))
+      console.log(`[Lore] Live lore v${data.version} — ${Object.keys(data.lore.loreMap).length} entries, ${Object.keys(data.lore.categories).length} categories`)
+    }
+  } catch (err) {
+    console.warn(`[Lore] Offline — using ${loreVersion ? `cached v${loreVersion}` : 'bundled copy'}:`, err.message)
+  }
+  return loreVersion
+}
+
+// ─── Community lore (GET /api/community-lore) ────────────────────
+// Wallet-submitted entries, voted up and moderator-approved (see
+// server/communityLore.js). Kept apart from LORE_MAP — a live lore publish
+// replaces LORE_MAP wholesale — and merged in by the getters above.
+// Entries are keyed by symbol; entries submitted with an address also
+// match that mint when the symbol differs (getCommunityTerms).
+const COMMUNITY_CACHE_KEY = 'betaplays_community_lore'
+
+const COMMUNITY_LORE    = {}   // SYMBOL  → { terms, concepts, universe }
+const COMMUNITY_BY_MINT = {}   // address → { terms, concepts, universe }
+
+const mergeEntry = (target, key, e) => {
+  const cur = target[key] || (target[key] = { terms: [], concepts: [], universe: null })
+  cur.terms    = [...new Set([...cur.terms, ...(e.terms || [])])]
+  cur.concepts = [...new Set([...cur.concepts, ...(e.concepts || [])])]
+  cur.universe = cur.universe || e.universe || null
+}
+
+const applyCommunityLore = (entries) => {
+  if (!Array.isArray(entries)) return false
+  replaceContents(COMMUNITY_LORE, {})
+  replaceContents(COMMUNITY_BY_MINT, {})
+  for (const e of entries) {
+    if (!e?.symbol || !Array.isArray(e.terms)) continue
+    mergeEntry(COMMUNITY_LORE, e.symbol.toUpperCase(), e)
+    if (e.address) mergeEntry(COMMUNITY_BY_MINT, e.address, e)
+  }
+  return true
+}
+
+// Community terms + concepts for an alpha — useBetas' 'community_lore' source
+export const getCommunityTerms = (symbol, address = '') => {
+  const bySymbol = COMMUNITY_LORE[symbol.toUpperCase()]
+  const byMint   = address ? COMMUNITY_BY_MINT[address] : null
+  return [...new Set([bySymbol, byMint].flatMap(e => (e ? [...e.terms, ...e.concepts] : [])))]
+}
+
+// Resolves to the number of approved entries in use. Never throws.
+export const loadCommunityLore = async () => {
+  try {
+    applyCommunityLore(JSON.parse(localStorage.getItem(COMMUNITY_CACHE_KEY) || 'null'))
+  } catch { /* corrupt cache — starts empty */ }
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/community-lore`)
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    const { entries } = await res.json()
+    if (applyCommunityLore(entries)) {
+      localStorage.setItem(COMMUNITY_CACHE_KEY, JSON.stringify(entries))
+      if (entries.length) console.log(`[Lore] Community lore — ${entries.length} approved entries`)
+    }
+  } catch (err) {
+    console.warn('[Lore] Community lore offline:', err.message)
+  }
+  return Object.keys(COMMUNITY_LORE).length
+}
+
 export default LORE_MAP
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import axios from 'axios'
-import LEGENDS, { LEGEND_CRITERIA, checkLegendCriteria } from '../data/historical_alphas'
+import LEGENDS, { LEGEND_CRITERIA, checkLegendCriteria, getAllLegends, syncLegendsFromDB } from '../data/historical_alphas'
+import useEventStream from './useEventStream'
 
 const DEXSCREENER_BASE = 'https://api.dexscreener.com'
 const BACKEND_URL      = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
@@ -12,6 +13,10 @@ const COOLING_MIN_VOLUME =  1_000  // Lowered — small tokens that dump still d
 const COOLING_MIN_MCAP   =  1_000  // Lowered — catches $1.8K mcap tokens like $KARATECHUCK
 const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000
 
+// ─── Push refresh ────────────────────────────────────────────────
+const STREAM_POLL_MS         = 3 * 60_000  // poll interval while the event stream is up
+const ALPHA_PUSH_THROTTLE_MS = 20_000      // min gap between push-triggered refreshes
+
 // ─── localStorage ────────────────────────────────────────────────
 const STORAGE_KEY = 'betaplays_seen_alphas'
 
@@ -1067,35 +1072,42 @@ const fetchGainersAlphas = async () => {
 
 // ─── Main hook ───────────────────────────────────────────────────
 // ─── Legend price refresh ────────────────────────────────────────
-// Legends had hardcoded stale prices. This fetches live data for each
-// legend from DEXScreener and updates state — same pattern as historical tokens.
+// Legends had hardcoded stale prices. This fetches live data for every
+// legend from DEXScreener and updates state — one tokens/v1 call per 30
+// legends (DEX limit), however many the promotion job has added.
+// The list itself comes from the server first: static LEGENDS plus
+// whatever the legend-promotion job has promoted (GET /api/legends).
+const LEGEND_BATCH = 30
+
 const refreshLegendPrices = async (setLegends) => {
   try {
-    const updated = await Promise.all(
-      LEGENDS.map(async (legend) => {
-        try {
-          // Use token endpoint — works with mint/token addresses across chains
-          const res = await axios.get(
-            `https://api.dexscreener.com/latest/dex/tokens/${legend.address}`,
-            { timeout: 5000 }
-          )
-          // Pick highest-liquidity pair as canonical price source
-          const pairs = res.data?.pairs || []
-          if (!pairs.length) return legend
-          const best = pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0]
-          return {
-            ...legend,
-            priceUsd:       best.priceUsd         || legend.priceUsd,
-            priceChange24h: best.priceChange?.h24 || 0,
-            volume24h:      best.volume?.h24      || legend.volume24h,
-            marketCap:      best.marketCap        || legend.marketCap,
-            liquidity:      best.liquidity?.usd   || legend.liquidity,
-            logoUrl:        best.info?.imageUrl   || legend.logoUrl,
-          }
-        } catch { return legend }
-      })
-    )
-    setLegends(updated)
+    const all  = await syncLegendsFromDB()
+    const best = {}   // address → highest-liquidity pair (canonical price source)
+    for (let i = 0; i < all.length; i += LEGEND_BATCH) {
+      const addrs = all.slice(i, i + LEGEND_BATCH).map(l => l.address).filter(Boolean)
+      if (!addrs.length) continue
+      try {
+        const res = await axios.get(`${DEXSCREENER_BASE}/tokens/v1/solana/${addrs.join(',')}`, { timeout: 8000 })
+        ;(Array.isArray(res.data) ? res.data : []).forEach(p => {
+          const addr = p.baseToken?.address
+          if (!addr) return
+          if (!best[addr] || (p.liquidity?.usd || 0) > (best[addr].liquidity?.usd || 0)) best[addr] = p
+        })
+      } catch { /* batch failed — those legends keep their last prices */ }
+    }
+    setLegends(all.map(legend => {
+      const pair = best[legend.address]
+      if (!pair) return legend
+      return {
+        ...legend,
+        priceUsd:       pair.priceUsd         || legend.priceUsd,
+        priceChange24h: pair.priceChange?.h24 || 0,
+        volume24h:      pair.volume?.h24      || legend.volume24h,
+        marketCap:      pair.marketCap        || legend.marketCap,
+        liquidity:      pair.liquidity?.usd   || legend.liquidity,
+        logoUrl:        pair.info?.imageUrl   || legend.logoUrl,
+      }
+    }))
   } catch {}
 }
 
@@ -1107,7 +1119,7 @@ const refreshLegendPrices = async (setLegends) => {
 export const checkLegendCandidates = (alphas) => {
   const now = Date.now()
   const ONE_YEAR = 365 * 24 * 60 * 60 * 1000
-  const existingAddresses = new Set(LEGENDS.map(l => l.address))
+  const existingAddresses = new Set(getAllLegends().map(l => l.address))
 
   return alphas.filter(alpha => {
     if (existingAddresses.has(alpha.address)) return false  // already a legend
@@ -1425,6 +1437,7 @@ const useAlphas = () => {
                   priceChange24h: a.priceChange24h,
                   source:         a.source,
                   price:          a.priceUsd,
+                  liquidity:      a.liquidity,
                 }))
             }),
           }).catch(() => {})
@@ -1805,10 +1818,25 @@ const useAlphas = () => {
     }, 20_000)  // 20s delay — only fires if cache is cold or no localStorage data
   }, [fetchLive])
 
+  // New alphas arrive as 'alpha' stream events (another client's feed saw
+  // them first). Refresh on push, throttled — a burst of reports after a
+  // server restart shouldn't fan out into a burst of DexScreener scans.
+  const lastPushRefreshRef = useRef(0)
+  const onAlphaPushed = useCallback((alpha) => {
+    if (!alpha?.address) return
+    if (liveAlphasRef.current.some(a => a.address === alpha.address)) return
+    if (Date.now() - lastPushRefreshRef.current < ALPHA_PUSH_THROTTLE_MS) return
+    lastPushRefreshRef.current = Date.now()
+    fetchLive()
+  }, [fetchLive])
+  const { connected } = useEventStream('alpha', onAlphaPushed)
+
+  // Prices and momentum still drift without new-alpha events, so keep
+  // polling — just less often while the stream is delivering new entries.
   useEffect(() => {
-    const interval = setInterval(fetchLive, 60_000)
+    const interval = setInterval(fetchLive, connected ? STREAM_POLL_MS : 60_000)
     return () => clearInterval(interval)
-  }, [fetchLive])
+  }, [fetchLive, connected])
 
   return {
     liveAlphas,
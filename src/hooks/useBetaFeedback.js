@@ -6,8 +6,13 @@
 //
 // Storage key: bp_beta_feedback_v1
 // Shape: { [address]: { hits: number, misses: number, lastUpdated: number } }
+//
+// Hits are also sent to /api/beta-hit for signal calibration — misses
+// already reach the server as not_beta flags via /api/flag-token. The
+// server counts one hit per beta per wallet (authToken) or IP.
 
 const FEEDBACK_KEY = 'bp_beta_feedback_v1'
+const BACKEND_URL  = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
 
 const load = () => {
   try { return JSON.parse(localStorage.getItem(FEEDBACK_KEY) || '{}') }
@@ -19,12 +24,17 @@ const save = (data) => {
   catch { /* storage full — silent */ }
 }
 
-export const recordHit = (address) => {
+export const recordHit = (address, authToken) => {
   if (!address) return
   const data = load()
   const entry = data[address] || { hits: 0, misses: 0 }
   data[address] = { ...entry, hits: entry.hits + 1, lastUpdated: Date.now() }
   save(data)
+  fetch(`${BACKEND_URL}/api/beta-hit`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...(authToken && { Authorization: `Bearer ${authToken}` }) },
+    body:    JSON.stringify({ address }),
+  }).catch(() => { /* non-fatal — local feedback still recorded */ })
 }
 
 export const recordMiss = (address) => {
@@ -1,9 +1,11 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import axios from 'axios'
-import { getSearchTerms, getConcepts, generateTickerVariants, NARRATIVE_CATEGORIES, areCategoriesCompatible, inferCategoryFromTerms } from '../data/lore_map'
+import { getSearchTerms, getConcepts, getCommunityTerms, generateTickerVariants, NARRATIVE_CATEGORIES, areCategoriesCompatible, inferCategoryFromTerms } from '../data/lore_map'
 import classifyRelationships from './useAIBetaScoring'
 import { compareLogos, shouldRunVision } from './useImageAnalysis'
 import { hasNamingAnchor } from './useParentAlpha'
+import useEventStream from './useEventStream'
+import { fetchBundle, peekBundle } from './useBundle'
 
 
 const DEXSCREENER_BASE = 'https://api.dexscreener.com'
@@ -1158,6 +1160,22 @@ const classifyTokens = (betas, alphaSymbol = '') => {
   return [...classified, ...unclassified]
 }
 
+// ─── Calibrated signal weights ──────────────────────────────────
+// Multipliers published by the server from realised returns + community
+// feedback (server/signalWeights.js). Loaded once per page; until it
+// arrives — or if the server has no table yet — every multiplier is 1,
+// i.e. the constants below.
+//   sources → computeBetaRank, per signal source's tier
+//   combos  → computeBetaRank, whole rank per exact signal set ('ai_match+keyword')
+let signalWeights = null
+
+fetch(`${BACKEND_URL}/api/signal-weights`)
+  .then(r => (r.ok ? r.json() : null))
+  .then(data => { signalWeights = data?.weights || null })
+  .catch(() => { /* constants stay in effect */ })
+
+const signalComboKey = (sources) => [...new Set(sources)].filter(s => s !== 'sibling').sort().join('+')
+
 // ─── Signal scoring ──────────────────────────────────────────────
 export const getSignal = (beta) => {
   const s = beta.signalSources || []
@@ -1174,6 +1192,9 @@ export const getSignal = (beta) => {
                                                                   return { label: 'MULTI',    tier: 5 }
   if (s.includes('twitter_signal')  && (s.includes('keyword') || s.includes('ai_match') || s.includes('morphology') || s.includes('og_match')))
                                                                   return { label: 'MULTI',    tier: 5 }
+  // Community lore + an independent signal = MULTI tier
+  if (s.includes('community_lore')  && (s.includes('ai_match') || s.includes('morphology') || s.includes('og_match') || s.includes('telegram_signal') || s.includes('twitter_signal')))
+                                                                  return { label: 'MULTI',    tier: 5 }
   // Visual match alone = STRONG (image comparison, not just text)
   if (s.includes('visual_match'))                                 return { label: 'VISUAL',   tier: 3 }
   if (s.includes('pumpfun')    && s.includes('keyword'))         return { label: 'MULTI',    tier: 4 }
@@ -1188,6 +1209,7 @@ export const getSignal = (beta) => {
   // Social signals alone — their own tier
   if (s.includes('telegram_signal'))                             return { label: 'TELEGRAM', tier: 2.5 }
   if (s.includes('twitter_signal'))                              return { label: 'TWITTER',  tier: 2.5 }
+  if (s.includes('community_lore'))                              return { label: 'COMMUNITY', tier: 2.5 }
   if (s.includes('ai_match'))                                    return { label: 'AI',       tier: 3 }
   if (s.includes('description'))                                 return { label: 'KEYWORD',  tier: 2 }
   if (s.includes('morphology'))                                  return { label: 'KEYWORD',  tier: 2 }
@@ -1241,13 +1263,15 @@ export const computeBetaRank = (beta) => {
 
   // Signal tier: highest among all sources
   let signalTier = 1
+  // Each tier is scaled by the source's calibrated multiplier (1 = constant)
   sources.forEach(s => {
+    const multiplier = signalWeights?.sources?.[s]?.multiplier ?? 1
     if (s === 'ai_match') {
       // ai_match tier depends on score quality
       const aiTier = (beta.aiScore || 0) >= 0.75 ? 3 : 2
-      signalTier = Math.max(signalTier, aiTier)
+      signalTier = Math.max(signalTier, aiTier * multiplier)
     } else {
-      signalTier = Math.max(signalTier, SIGNAL_TIER_MAP[s] || 1)
+      signalTier = Math.max(signalTier, (SIGNAL_TIER_MAP[s] || 1) * multiplier)
     }
   })
 
@@ -1263,7 +1287,11 @@ export const computeBetaRank = (beta) => {
   const ageMs = beta.ageMs || (beta.pairCreatedAt ? Date.now() - beta.pairCreatedAt : null)
   const recencyFactor = ageMs && ageMs < 7 * 24 * 60 * 60 * 1000 ? 1.2 : 1.0
 
-  const rank = signalTier * relTier * (1 + convergenceBonus) * recencyFactor
+  // Calibrated multiplier for this exact signal set — combos that pay out
+  // outrank the same tiers in a combination that doesn't
+  const comboFactor = signalWeights?.combos?.[signalComboKey(sources)]?.multiplier ?? 1
+
+  const rank = signalTier * relTier * (1 + convergenceBonus) * recencyFactor * comboFactor
   return Math.round(rank * 10) / 10
 }
 
@@ -1441,6 +1469,25 @@ const scoreDescriptionMatch = (betas, alphaSymbol, alphaName, alphaKeywords) =>
 //
 // Also incorporates V0B visual terms (direct + counter) as additional
 // search signals with their own source tags.
+// Entry gates for one search term's pairs — shared by the unified search
+// and the server-path MetaSeed search (fetchSeedBetas).
+const filterSearchHits = (pairs, alpha, term, srcs) => {
+  const isLiteralSourceOnly = srcs.every(s => s === 'keyword' || s === 'description')
+  const termLower = term.toLowerCase()
+  return pairs.filter(p =>
+    p.chainId === 'solana' &&
+    (p.liquidity?.usd || 0) >= MIN_LIQUIDITY &&
+    isHealthyBetaLiquidity(p) &&
+    isActiveBeta(p) &&
+    p.baseToken?.address !== alpha.address &&
+    !['SOL','USDC','USDT'].includes(p.baseToken?.symbol) &&
+    (!isLiteralSourceOnly || (
+      p.baseToken?.symbol?.toLowerCase().includes(termLower) ||
+      p.baseToken?.name?.toLowerCase().includes(termLower)
+    ))
+  )
+}
+
 const fetchDEXSearchBetas = async (alpha, descKeywords = [], extraTerms = [], visualTerms = [], visualCounters = [], onHit = null) => {
   const alphaSymbol = alpha.symbol
   const alphaName   = alpha.name || ''
@@ -1455,9 +1502,15 @@ const fetchDEXSearchBetas = async (alpha, descKeywords = [], extraTerms = [], vi
     }
   }
 
+  // Community lore — approved wallet submissions (server/communityLore.js).
+  // getSearchTerms already merges them in, so they're kept out of the
+  // keyword origin below: one human-vetted source, not a fake convergence.
+  const communityTerms = getCommunityTerms(alphaSymbol, alpha.address)
+  addTerms(communityTerms,                       'community_lore')
+
   // V1 keyword origins
   addTerms(getNameTerms(alphaSymbol, alphaName), 'keyword')
-  addTerms(getSearchTerms(alphaSymbol),          'keyword')
+  addTerms(getSearchTerms(alphaSymbol).filter(t => !communityTerms.includes(t)), 'keyword')
   addTerms(decomposeSymbol(alphaSymbol),         'keyword')
   addTerms(expandTickerForSearch(alphaSymbol),   'keyword')
   addTerms(extraTerms,                           'keyword')
@@ -1486,7 +1539,7 @@ const fetchDEXSearchBetas = async (alpha, descKeywords = [], extraTerms = [], vi
   addTerms(searchableCounters, 'visual_counter')
 
   const uniqueTerms = Array.from(termSources.keys())
-  console.log(`[V1+V1b+V2] $${alphaSymbol} unified search: ${uniqueTerms.length} unique terms (keyword+desc+lore${searchableVisual.length ? '+visual' : ''})`)
+  console.log(`[V1+V1b+V2] $${alphaSymbol} unified search: ${uniqueTerms.length} unique terms (keyword+desc+lore${communityTerms.length ? '+community' : ''}${searchableVisual.length ? '+visual' : ''})`)
   console.log(`  [V1+V2] terms: [${uniqueTerms.slice(0,12).join(', ')}${uniqueTerms.length > 12 ? '...' : ''}]`)
 
   const results = []
@@ -1495,24 +1548,9 @@ const fetchDEXSearchBetas = async (alpha, descKeywords = [], extraTerms = [], vi
       const res  = await DEX_QUEUE.get(`${DEXSCREENER_BASE}/latest/dex/search?q=${encodeURIComponent(term)}`)
       const srcs = Array.from(termSources.get(term))
       // V1 relevance filter: keyword/description terms must literally appear
-      // in the beta's symbol or name. Lore, visual, and counter terms are
+      // in the beta's symbol or name. Lore, community, visual, and counter terms are
       // concept-based (not literal) — they bypass this check intentionally.
-      const isLiteralSourceOnly = srcs.every(s => s === 'keyword' || s === 'description')
-      const termLower = term.toLowerCase()
-
-      const hits = (res.data?.pairs || [])
-        .filter(p =>
-          p.chainId === 'solana' &&
-          (p.liquidity?.usd || 0) >= MIN_LIQUIDITY &&
-          isHealthyBetaLiquidity(p) &&
-          isActiveBeta(p) &&
-          p.baseToken?.address !== alpha.address &&
-          !['SOL','USDC','USDT'].includes(p.baseToken?.symbol) &&
-          (!isLiteralSourceOnly || (
-            p.baseToken?.symbol?.toLowerCase().includes(termLower) ||
-            p.baseToken?.name?.toLowerCase().includes(termLower)
-          ))
-        )
+      const hits = filterSearchHits(res.data?.pairs || [], alpha, term, srcs)
       if (hits.length > 0) {
         console.log(`  [V1+V2] "${term}" [${srcs.join('+')}] → ${hits.length} hits: [${hits.slice(0,5).map(p => '$'+p.baseToken?.symbol).join(', ')}${hits.length > 5 ? '...' : ''}]`)
         const newHits = hits.map(p => ({ pair: p, sources: srcs }))
@@ -1985,6 +2023,189 @@ const fetchTwitterBetas = async (alphaSymbol) => {
   }
 }
 
+// ─── Server-side scan ────────────────────────────────────────────
+// The backend runs the same vectors once per alpha and serves the ranked
+// list to every client (GET /api/betas/:address). 202 = first scan still
+// running on the server — wait retryAfter and ask again, a few times.
+// Returns [] when the server has nothing, which triggers the local scan.
+const SERVER_SCAN_MAX_POLLS = 4
+
+const fetchServerBetas = async (address, isStale) => {
+  for (let attempt = 0; attempt < SERVER_SCAN_MAX_POLLS; attempt++) {
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/betas/${address}`, { signal: AbortSignal.timeout(30000) })
+      if (res.status === 202) {
+        const { retryAfter = 10 } = await res.json()
+        await new Promise(r => setTimeout(r, retryAfter * 1000))
+        if (isStale()) return []
+        continue
+      }
+      if (!res.ok) return []
+      const data = await res.json()
+      const betas = Array.isArray(data?.betas) ? data.betas : []
+      if (betas.length > 0) {
+        console.log(`[ServerScan] ${betas.length} betas from server (${data.status}${data.fromCache ? ', cached' : ''})`)
+      }
+      return betas
+    } catch (err) {
+      console.warn('[ServerScan] fetch failed (non-fatal — falling back to local scan):', err.message)
+      return []
+    }
+  }
+  return []
+}
+
+// ─── MetaSeed ────────────────────────────────────────────────────
+// Terms from the dominant narrative in this viewer's szn cache, injected
+// into a compatible alpha's search. Speculative — only used when V8 runs.
+// Returns [] when blocked (unknown / same / incompatible category).
+const getMetaSeeds = ({ v0Category, v0SearchTerms, hasOwnTerms, existingTerms }) => {
+  try {
+    let detectedCat = v0Category[0] || null
+    if (!detectedCat && v0SearchTerms.length > 0) {
+      detectedCat = inferCategoryFromTerms(v0SearchTerms)
+      if (detectedCat) console.log(`[MetaSeed] Inferred category "${detectedCat}" from V0 terms`)
+    }
+
+    const sznRaw = localStorage.getItem('betaplays_szn_cache_v1')
+    if (!sznRaw) return []
+    const sznCache = JSON.parse(sznRaw)
+    const categoryCounts = {}
+    Object.values(sznCache).forEach(entry => {
+      if (entry?.category) categoryCounts[entry.category] = (categoryCounts[entry.category] || 0) + 1
+    })
+    const dominant = Object.entries(categoryCounts)
+      .sort((a, b) => b[1] - a[1])
+      .find(([, count]) => count >= 3)
+    if (!dominant) return []
+
+    const [dominantCat, dominantCount] = dominant
+    if (!hasOwnTerms) {
+      console.log(`[MetaSeed] Skipped — no own identity terms`)
+    } else if (!detectedCat) {
+      console.log(`[MetaSeed] Blocked — token category unknown`)
+    } else if (dominantCat === detectedCat) {
+      console.log(`[MetaSeed] Skipped — already in dominant category "${dominantCat}"`)
+    } else if (areCategoriesCompatible(detectedCat, dominantCat)) {
+      const metaSeeds = (NARRATIVE_CATEGORIES[dominantCat]?.keywords || [])
+        .filter(k => !existingTerms.includes(k) && isValidSearchTerm(k))
+        .slice(0, 6)
+      if (metaSeeds.length > 0) {
+        console.log(`[MetaSeed] "${dominantCat}" (${dominantCount} runners) compatible with "${detectedCat}" → [${metaSeeds.join(', ')}]`)
+      }
+      return metaSeeds
+    } else {
+      console.log(`[MetaSeed] Blocked — "${detectedCat}" and "${dominantCat}" incompatible`)
+    }
+  } catch { /* silent — meta seeding is non-fatal */ }
+  return []
+}
+
+// MetaSeed terms searched on their own — same tags they get when they ride
+// along in the unified search (keyword + lore)
+const fetchSeedBetas = async (alpha, seeds) => {
+  const results = []
+  for (const term of seeds) {
+    try {
+      const res  = await DEX_QUEUE.get(`${DEXSCREENER_BASE}/latest/dex/search?q=${encodeURIComponent(term)}`)
+      const hits = filterSearchHits(res.data?.pairs || [], alpha, term, ['keyword', 'lore'])
+      hits.forEach(p => results.push({ pair: p, sources: ['keyword', 'lore'] }))
+    } catch { /* silent */ }
+  }
+  return results
+}
+
+// ─── Server scan + viewer vectors ────────────────────────────────
+// The server list covers everything that's the same for every viewer.
+// What depends on the viewer runs here on top of it:
+//   MetaSeed — this viewer's szn cache; new hits go through V8 like the
+//              local scan's would
+//   Vision   — Pro only (V7), Gemini quota is per request
+// Siblings merge in afterwards via the post-scan sibling enrichment, same
+// as when the parent resolves after a local scan.
+// Only called when V8 may run for this viewer (Pro or free quota left).
+const enrichServerBetas = async (alpha, serverBetas, { isPro, metaSeedEnabled }) => {
+  let list = serverBetas
+
+  let expansion = {}
+  try { expansion = await fetchAlphaExpansion(alpha) } catch { /* server-cached; skip seeds without it */ }
+
+  if (metaSeedEnabled) {
+    const v0SearchTerms = expandSearchTerms(expansion.searchTerms || [])
+    const seeds = getMetaSeeds({
+      v0Category:    expansion.categories || [],
+      v0SearchTerms,
+      hasOwnTerms:   v0SearchTerms.length > 0,
+      existingTerms: v0SearchTerms,
+    })
+    if (seeds.length > 0) {
+      try {
+        const known = new Set(list.map(b => b.address))
+        const fresh = mergeAndScore(await fetchSeedBetas(alpha, seeds), alpha.symbol, alpha.marketCap)
+          .filter(b => !known.has(b.address))
+        if (fresh.length > 0) {
+          const { results, rejectedAddresses } = await classifyRelationships(alpha, fresh, expansion.relationshipHints || {})
+          const ai = new Map(results.map(b => [b.address, b]))
+          const kept = fresh
+            .map(b => ai.has(b.address) ? { ...b, ...ai.get(b.address), relationshipType: ai.get(b.address).relationshipType || b.relationshipType || null } : b)
+            .filter(b => {
+              if (rejectedAddresses.has(b.address)) return false
+              const noRelationship = !b.relationshipType || b.relationshipType === 'SPIN'
+              return !(noRelationship && (b.aiScore || 0) < 0.45) && !isDeadBeta(b).isDead
+            })
+          console.log(`[MetaSeed] ${fresh.length} new candidates → ${kept.length} kept alongside the server list`)
+          list = [...list, ...kept]
+        }
+      } catch (err) {
+        console.warn('[MetaSeed] Server-path seed search failed (non-fatal):', err.message)
+      }
+    }
+  }
+
+  if (alpha.logoUrl && isPro) {
+    try {
+      const candidates = list
+        .filter(b => b.logoUrl && !b.signalSources?.includes('lp_pair') && !b.signalSources?.includes('og_match'))
+        .slice(0, 20)
+      const visualMatches = candidates.length > 0
+        ? await compareLogos({ ...alpha, visualTerms: expansion.visualTerms || [], visualCounters: expansion.visualCounters || [] }, candidates)
+        : []
+      if (visualMatches.length > 0) {
+        const visualMap = new Map(visualMatches.map(b => [b.address, b]))
+        list = list.map(b => visualMap.has(b.address)
+          ? { ...b, ...visualMap.get(b.address), signalSources: [...new Set([...(b.signalSources || []), 'visual_match'])] }
+          : b)
+        console.log(`[Vision] ${visualMatches.length} visual matches on the server list`)
+      }
+    } catch (visionErr) {
+      console.warn('[Vision] Logo comparison failed (non-fatal):', visionErr.message)
+    }
+  }
+
+  if (list === serverBetas) return list
+  return list
+    .map(b => ({ ...b, betaRank: computeBetaRank(b) }))
+    .sort((a, b) => {
+      const aIsLP = a.signalSources?.includes('lp_pair') ? 1 : 0
+      const bIsLP = b.signalSources?.includes('lp_pair') ? 1 : 0
+      if (bIsLP !== aIsLP) return bIsLP - aIsLP
+      return b.betaRank - a.betaRank
+    })
+    .slice(0, 40)
+}
+
+// ─── Launch bundles ──────────────────────────────────────────────
+// The server scan drops HIGH-bundled launches (betaScanService.js
+// isCleanLaunch). Client scans have no RPC, so they read /api/bundles via
+// useBundle's cache — a beta.launch summary from the server wins.
+const NEW_BETA_MS = 3 * 24 * 60 * 60 * 1000   // betaScanService NEW_BETA_MS
+
+const isBundledLaunch  = (b) => (b.launch?.level || peekBundle(b.address)?.level) === 'HIGH'
+const needsLaunchCheck = (b) => {
+  const ageMs = b.ageMs || (b.pairCreatedAt ? Date.now() - b.pairCreatedAt : null)
+  return !!ageMs && ageMs < NEW_BETA_MS && !b.launch && !peekBundle(b.address)
+}
+
 // ─── Merge + dedupe ──────────────────────────────────────────────
 const mergeAndScore = (rawResults, alphaSymbol, alphaMcap) => {
   const seen = new Map()
@@ -2000,7 +2221,7 @@ const mergeAndScore = (rawResults, alphaSymbol, alphaMcap) => {
   })
 
   const deduped = Array.from(seen.values())
-    .filter(b => !['SOL','USDC','USDT'].includes(b.symbol))
+    .filter(b => !['SOL','USDC','USDT'].includes(b.symbol) && !isBundledLaunch(b))
 
   // Second-pass dedup by token contract address (b.address).
   // mergeAndScore keys by pair.baseToken?.address || pair.pairAddress, so
@@ -2067,6 +2288,12 @@ const bumpFreeAiCount = () => {
   const count = getFreeAiCount()
   localStorage.setItem(AI_GATE_KEY, JSON.stringify({ count: count + 1, day: todayUTC() }))
 }
+// Shown to free users past their AI quota in place of AI-only results
+const buildLockedPlaceholders = () => Array.from({ length: 3 }, (_, i) => ({
+  address: `locked_${i}`, symbol: '???', name: 'Unlock with Pro',
+  locked: true, lockedReason: 'ai', signalSources: ['ai_match'],
+  relationshipType: 'TWIN', aiScore: null,
+}))
 
 const useBetas = (alpha, parentAlpha = null, options = {}) => {
   const { metaSeedEnabled = true, isPro = false } = options
@@ -2117,6 +2344,22 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
       fetchIdRef.current !== myFetchId ||
       activeAlphaRef.current !== myAddress
 
+    // Launch check (fire-and-forget) — new betas nobody has analysed yet
+    // are queued on /api/bundles; any that come back HIGH are pruned from
+    // the screen and the session cache. Covers server betas whose analysis
+    // missed the scan's wait too. record-betas runs the same check.
+    const checkLaunches = (list) => {
+      const unchecked = list.filter(needsLaunchCheck)
+      if (unchecked.length === 0) return
+      Promise.all(unchecked.map(b => fetchBundle(b.address))).then(() => {
+        const bundled = new Set(unchecked.filter(isBundledLaunch).map(b => b.address))
+        if (bundled.size === 0) return
+        console.log(`[Bundles] Dropping ${bundled.size} HIGH-bundled launch(es) for $${alpha.symbol}`)
+        saveStoredBetas(myAddress, loadStoredBetas(myAddress).filter(b => !bundled.has(b.address)))
+        if (!isStale()) setBetas(prev => prev.filter(b => !bundled.has(b.address)))
+      })
+    }
+
     // ── Preload parent map from Supabase ────────────────────────────
     // Pre-loaded once here and passed into sibling detection below.
     // Avoids multiple async calls inside the scan loop — one fetch,
@@ -2175,6 +2418,7 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
               const srcs = b.signalSources
               return srcs.includes('ai_match') || srcs.includes('lp_pair') || srcs.includes('og_match')
             })
+            .filter(b => !isBundledLaunch(b))
           if (shaped.length > 0) {
             storedNow = shaped
             if (!isStale()) {
@@ -2214,6 +2458,44 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
       }).catch(() => {})
     }
 
+    // ── Server-side scan first ──────────────────────────────────────
+    // The server result already went through V0–V11 + V8 + ranking; the
+    // viewer-specific vectors run on top of it (enrichServerBetas). A server
+    // hit isn't an AI scan — the free quota only counts local V8 runs — but
+    // free users past it still see the list without AI fields plus the
+    // locked placeholders, same as the local pre-AI path. Local scan below
+    // only runs if this is empty.
+    if (!isStale()) setScanPhase('searching')
+    const serverBetas = await fetchServerBetas(myAddress, isStale)
+    if (isStale()) return
+    if (serverBetas.length > 0) {
+      const canRunAI = isPro || getFreeAiCount() < 2
+      const launches = serverBetas.filter(b => !isBundledLaunch(b))
+      let visible = canRunAI
+        ? launches
+        : launches.map(b => ({ ...b, aiScore: null, aiReason: null, relationshipType: null }))
+
+      if (canRunAI) {
+        setBetas(visible)
+        setScanPhase('scoring')
+        visible = await enrichServerBetas(alpha, visible, { isPro, metaSeedEnabled })
+        if (isStale()) return
+      }
+
+      saveStoredBetas(myAddress, visible)
+      try {
+        const spawnCounts = JSON.parse(localStorage.getItem('betaplays_beta_spawn_counts') || '{}')
+        spawnCounts[myAddress] = Math.max(spawnCounts[myAddress] || 0, visible.length)
+        localStorage.setItem('betaplays_beta_spawn_counts', JSON.stringify(spawnCounts))
+      } catch { /* non-fatal */ }
+
+      setBetas(canRunAI ? visible : [...visible, ...buildLockedPlaceholders()])
+      checkLaunches(visible)
+      setLoading(false)
+      setScanPhase('complete')
+      return
+    }
+
     try {
       // Fetch description keywords first — feeds into multiple signals
       const { keywords: descKeywords, description: alphaDescription } =
@@ -2460,47 +2742,13 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
       // Speculative by nature — results have no quality filter without AI scoring.
       // Gate: canRunAI must be true. MetaSeed runs in the term-building phase
       // (before DEX search), so this check correctly prevents unscored hits.
-      if (canRunAI && metaSeedEnabled) try {
-        let detectedCat = v0Category[0] || null
-        if (!detectedCat && v0SearchTerms.length > 0) {
-          detectedCat = inferCategoryFromTerms(v0SearchTerms)
-          if (detectedCat) console.log(`[MetaSeed] Inferred category "${detectedCat}" from V0 terms`)
-        }
-
-        const sznRaw = localStorage.getItem('betaplays_szn_cache_v1')
-        if (sznRaw) {
-          const sznCache = JSON.parse(sznRaw)
-          const categoryCounts = {}
-          Object.values(sznCache).forEach(entry => {
-            if (entry?.category) categoryCounts[entry.category] = (categoryCounts[entry.category] || 0) + 1
-          })
-          const dominant = Object.entries(categoryCounts)
-            .sort((a, b) => b[1] - a[1])
-            .find(([, count]) => count >= 3)
-
-          if (dominant) {
-            const [dominantCat, dominantCount] = dominant
-            const hasOwnTerms = v0SearchTerms.length > 0 || descKeywords.length > 0 || categorySeeds.length > 0
-            if (!hasOwnTerms) {
-              console.log(`[MetaSeed] Skipped — no own identity terms`)
-            } else if (!detectedCat) {
-              console.log(`[MetaSeed] Blocked — token category unknown`)
-            } else if (dominantCat === detectedCat) {
-              console.log(`[MetaSeed] Skipped — already in dominant category "${dominantCat}"`)
-            } else if (areCategoriesCompatible(detectedCat, dominantCat)) {
-              const metaSeeds = (NARRATIVE_CATEGORIES[dominantCat]?.keywords || [])
-                .filter(k => !allV0Terms.includes(k) && isValidSearchTerm(k))
-                .slice(0, 6)
-              if (metaSeeds.length > 0) {
-                console.log(`[MetaSeed] "${dominantCat}" (${dominantCount} runners) compatible with "${detectedCat}" → [${metaSeeds.join(', ')}]`)
-                allV0Terms = [...new Set([...allV0Terms, ...metaSeeds])]
-              }
-            } else {
-              console.log(`[MetaSeed] Blocked — "${detectedCat}" and "${dominantCat}" incompatible`)
-            }
-          }
-        }
-      } catch { /* silent — meta seeding is non-fatal */ }
+      if (canRunAI && metaSeedEnabled) {
+        const metaSeeds = getMetaSeeds({
+          v0Category, v0SearchTerms, existingTerms: allV0Terms,
+          hasOwnTerms: v0SearchTerms.length > 0 || descKeywords.length > 0 || categorySeeds.length > 0,
+        })
+        if (metaSeeds.length > 0) allV0Terms = [...new Set([...allV0Terms, ...metaSeeds])]
+      }
 
       // ── Approach A: Progressive beta population ──────────────────
       // Signals run in parallel. As each DEX term resolves, hits are pushed
@@ -3014,6 +3262,7 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
           sibling_stored:    8,
           telegram_signal:   6,
           twitter_signal:    6,
+          community_lore:    5,
           // desc_match split by matchType — see below
           visual_match:      4,
           morphology:        4,
@@ -3200,9 +3449,13 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
         }
         return true
       })
-      const mergedForStorage = [...(finalList || []), ...validStored].slice(0, 50)
+      const mergedForStorage = [...(finalList || []), ...validStored]
+        .filter(b => !isBundledLaunch(b))
+        .slice(0, 50)
       saveStoredBetas(myAddress, mergedForStorage)
 
+      checkLaunches(mergedForStorage)
+
       // ── Record beta relationships to Neon DB (fire-and-forget) ───
       // Non-blocking — swallowed silently. Failure = that scan not recorded.
       // confirmed_count increments on the server every time a pair is seen again.
@@ -3223,16 +3476,14 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
               betaPriceAtDetection:  b.priceUsd              || null,
               betaMcapAtDetection:   b.marketCap             || null,
               alphaPriceAtDetection: alpha?.priceUsd         || null,
+              aiScore:               b.aiScore               ?? null,
+              pairCreatedAt:         b.pairCreatedAt         || null,
             })),
           }),
         }).catch(() => {})
       }
       if (!isStale()) {
-        const LOCKED_PLACEHOLDERS = !canRunAI ? Array.from({ length: 3 }, (_, i) => ({
-          address: `locked_${i}`, symbol: '???', name: 'Unlock with Pro',
-          locked: true, lockedReason: 'ai', signalSources: ['ai_match'],
-          relationshipType: 'TWIN', aiScore: null,
-        })) : []
+        const LOCKED_PLACEHOLDERS = !canRunAI ? buildLockedPlaceholders() : []
         if (mergedForStorage.length === 0 && LOCKED_PLACEHOLDERS.length === 0)
           setError('No beta plays detected yet. Trenches might be cooked.')
         else setBetas([...mergedForStorage, ...LOCKED_PLACEHOLDERS])
@@ -3370,6 +3621,32 @@ const useBetas = (alpha, parentAlpha = null, options = {}) => {
     return () => clearInterval(interval)
   }, [alpha?.address, loading])
 
+  // ── Pushed beta discoveries ──────────────────────────────────
+  // Another client (or the server scanner) recorded new betas for the alpha
+  // we're showing. Pull the server list and merge in anything we don't have —
+  // existing rows keep their live prices. Skipped mid-scan: the scan itself
+  // will pick them up. Locked (free, over quota) lists get new rows without
+  // AI fields, same as the scan path.
+  const onBetasPushed = useCallback(async (event) => {
+    const myAddress = activeAlphaRef.current
+    if (!myAddress || event?.alphaAddress !== myAddress || loading) return
+    const serverBetas = await fetchServerBetas(myAddress, () => activeAlphaRef.current !== myAddress)
+    if (activeAlphaRef.current !== myAddress || serverBetas.length === 0) return
+    setBetas(prev => {
+      const existingAddrs = new Set(prev.map(b => b.address))
+      const isLocked = prev.some(b => b.locked)
+      const fresh = serverBetas
+        .filter(b => !existingAddrs.has(b.address))
+        .map(b => isLocked ? { ...b, aiScore: null, aiReason: null, relationshipType: null } : b)
+      if (fresh.length === 0) return prev
+      console.log(`[BetaPanel] +${fresh.length} pushed betas merged`)
+      const unlocked = prev.filter(b => !b.locked)
+      const locked   = prev.filter(b => b.locked)
+      return [...[...unlocked, ...fresh].sort((a, b) => (b.betaRank || 0) - (a.betaRank || 0)), ...locked]
+    })
+  }, [loading])
+  useEventStream('betas', onBetasPushed)
+
   return { betas, loading, error, scanPhase, refresh: fetchBetas, resolvedDescription }
 }
 
@@ -0,0 +1,78 @@
+// ─── Launch Bundles ───────────────────────────────────────────────
+// Reads GET /api/bundles/:address — the server walks the token's launch
+// block(s) over Solana RPC (server/bundles.js) and caches the result for
+// days. Server-scanned betas already carry a `launch` summary, so BetaRow
+// only calls this for new betas that arrived without one. useBetas reads
+// the same cache (fetchBundle / peekBundle) to drop HIGH-bundled launches
+// from client scans.
+//
+// An uncached analysis can take a while, so only MAX_PARALLEL run at a
+// time — the server caps its own RPC load too.
+
+import { useState, useEffect } from 'react'
+
+const BACKEND_URL  = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
+const CACHE_TTL_MS = 60 * 60 * 1000   // launch history doesn't change
+const MAX_PARALLEL = 2
+const cache    = new Map()   // address → { ts, data }
+const inFlight = new Map()   // address → Promise
+const queue    = []
+let   active   = 0
+
+const next = () => {
+  while (active < MAX_PARALLEL && queue.length) {
+    const run = queue.shift()
+    active++
+    run().finally(() => { active--; next() })
+  }
+}
+
+export const fetchBundle = (address) => {
+  const cached = cache.get(address)
+  if (cached && Date.now() - cached.ts < CACHE_TTL_MS) return Promise.resolve(cached.data)
+  if (inFlight.has(address)) return inFlight.get(address)
+
+  const job = new Promise(resolve => {
+    queue.push(async () => {
+      try {
+        const res = await fetch(`${BACKEND_URL}/api/bundles/${address}`)
+        if (!res.ok) throw new Error(`bundles ${res.status}`)
+        const data = await res.json()
+        cache.set(address, { ts: Date.now(), data })
+        resolve(data)
+      } catch (err) {
+        console.warn(`[Bundles] ${address} failed:`, err.message)
+        resolve(null)
+      } finally {
+        inFlight.delete(address)
+      }
+    })
+    next()
+  })
+  inFlight.set(address, job)
+  return job
+}
+
+// Cached analysis or null — never fetches
+export const peekBundle = (address) => {
+  const cached = cache.get(address)
+  return cached && Date.now() - cached.ts < CACHE_TTL_MS ? cached.data : null
+}
+
+// Launch analysis for a token, or null until it arrives (or when it
+// failed). Pass a null address to skip the request.
+const useBundle = (address) => {
+  const [result, setResult] = useState(null)   // { address, data }
+
+  useEffect(() => {
+    if (!address) return
+    let cancelled = false
+    fetchBundle(address).then(data => { if (!cancelled) setResult({ address, data }) })
+    return () => { cancelled = true }
+  }, [address])
+
+  if (!address) return null
+  return result?.address === address ? result.data : cache.get(address)?.data || null
+}
+
+export default useBundle
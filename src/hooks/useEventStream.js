@@ -0,0 +1,174 @@
+// src/hooks/useEventStream.js
+// Shared Server-Sent Events connection to /api/stream — one per tab, no
+// matter how many hooks subscribe. Hooks use `connected` to decide whether
+// to poll: while the stream is up they rely on pushed events, when it drops
+// they fall back to their old polling interval.
+//
+// Events: alpha | betas | narrative | rotation | notification (authed only)
+// Reconnect: EventSource retries on its own for transient drops; if the
+// browser gives up (readyState CLOSED) we reopen with backoff, 5s → 60s.
+//
+// Auth: the session JWT never goes in the stream URL (access logs). Each
+// open() swaps it for a short-lived stream ticket (POST /api/stream/ticket).
+// Once the ticket expires the browser's own retry gets a 401 → CLOSED →
+// open() fetches a fresh one, passing the last event id along so nothing
+// broadcast in between is lost.
+//
+// Usage: const { connected } = useEventStream('notification', onEvent, { authToken })
+
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+
+const BACKEND_URL     = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
+const RETRY_BASE_MS   = 5_000
+const RETRY_MAX_MS    = 60_000
+
+const stream = {
+  source:     null,
+  token:      null,
+  opening:    0,         // open() generation — a newer call abandons an older one's ticket fetch
+  lastId:     null,      // last event id seen — replayed from on a fresh EventSource
+  ticketPending: false,  // open() is waiting on a ticket — ensureOpen() leaves it be
+  connected:  false,
+  retryMs:    RETRY_BASE_MS,
+  retryTimer: null,
+  handlers:   new Map(),   // eventType → Set<fn>
+  authed:     new Map(),   // authToken → subscribers mounted with it
+  bound:      new Set(),   // eventTypes with a listener on the current source
+  statusSubs: new Set(),   // fn() — useSyncExternalStore listeners
+}
+
+const setConnected = (value) => {
+  if (stream.connected === value) return
+  stream.connected = value
+  stream.statusSubs.forEach(fn => fn())
+}
+
+const dispatch = (type) => (e) => {
+  if (e.lastEventId) stream.lastId = e.lastEventId
+  let data = null
+  try { data = JSON.parse(e.data) } catch { return }
+  stream.handlers.get(type)?.forEach(fn => fn(data))
+}
+
+const bindType = (type) => {
+  if (!stream.source || stream.bound.has(type)) return
+  stream.source.addEventListener(type, dispatch(type))
+  stream.bound.add(type)
+}
+
+const subscribeStatus = (fn) => {
+  stream.statusSubs.add(fn)
+  return () => stream.statusSubs.delete(fn)
+}
+const getConnected = () => stream.connected
+
+const hasSubscribers = () =>
+  [...stream.handlers.values()].some(set => set.size > 0)
+
+const close = () => {
+  stream.opening++
+  stream.ticketPending = false
+  clearTimeout(stream.retryTimer)
+  stream.retryTimer = null
+  if (stream.source) stream.source.close()
+  stream.source = null
+  stream.bound.clear()
+  setConnected(false)
+}
+
+const retryLater = () => {
+  stream.retryTimer = setTimeout(() => { stream.retryTimer = null; if (hasSubscribers()) open() }, stream.retryMs)
+  stream.retryMs = Math.min(stream.retryMs * 2, RETRY_MAX_MS)
+}
+
+const fetchTicket = async (authToken) => {
+  const res = await fetch(`${BACKEND_URL}/api/stream/ticket`, {
+    method:  'POST',
+    headers: { Authorization: `Bearer ${authToken}` },
+  })
+  if (!res.ok) throw new Error(`ticket ${res.status}`)
+  return (await res.json()).ticket
+}
+
+const open = async () => {
+  if (typeof EventSource === 'undefined') return  // no SSE — hooks stay on polling
+  close()
+  const generation = stream.opening
+
+  const params = new URLSearchParams()
+  if (stream.token) {
+    stream.ticketPending = true
+    try {
+      params.set('ticket', await fetchTicket(stream.token))
+    } catch (err) {
+      if (generation !== stream.opening) return
+      console.warn('[EventStream] stream ticket failed:', err.message)
+      retryLater()
+      return
+    } finally {
+      if (generation === stream.opening) stream.ticketPending = false
+    }
+    if (generation !== stream.opening) return  // closed or reopened meanwhile
+  }
+  if (stream.lastId) params.set('lastEventId', stream.lastId)
+  const qs  = params.toString() ? `?${params}` : ''
+  const src = new EventSource(`${BACKEND_URL}/api/stream${qs}`)
+  stream.source = src
+
+  src.onopen = () => {
+    stream.retryMs = RETRY_BASE_MS
+    setConnected(true)
+  }
+  src.onerror = () => {
+    setConnected(false)
+    if (src.readyState !== EventSource.CLOSED) return  // browser is retrying
+    stream.source = null
+    stream.bound.clear()
+    retryLater()
+  }
+
+  stream.handlers.forEach((_, type) => bindType(type))
+}
+
+// Authed subscribers upgrade the shared stream; a token change reconnects.
+// open() re-binds every registered event type on the new source.
+const ensureOpen = (authToken) => {
+  if (authToken) stream.authed.set(authToken, (stream.authed.get(authToken) || 0) + 1)
+  if (authToken && authToken !== stream.token) {
+    stream.token = authToken
+    open()
+    return
+  }
+  if (!stream.source && !stream.retryTimer && !stream.ticketPending) open()
+}
+
+export default function useEventStream (eventType, onEvent, { authToken = null } = {}) {
+  const connected  = useSyncExternalStore(subscribeStatus, getConnected)
+  const handlerRef = useRef(onEvent)
+  useEffect(() => { handlerRef.current = onEvent }, [onEvent])
+
+  useEffect(() => {
+    const handler = (data) => handlerRef.current?.(data)
+    if (!stream.handlers.has(eventType)) stream.handlers.set(eventType, new Set())
+    stream.handlers.get(eventType).add(handler)
+
+    ensureOpen(authToken)
+    bindType(eventType)
+
+    return () => {
+      stream.handlers.get(eventType)?.delete(handler)
+      const left = authToken ? (stream.authed.get(authToken) || 1) - 1 : 0
+      if (left > 0) stream.authed.set(authToken, left)
+      else if (authToken) stream.authed.delete(authToken)
+      if (!hasSubscribers()) { close(); return }
+      // Last subscriber on this token gone (logout / token swap) — move to
+      // a token still in use, else drop to an anonymous stream
+      if (authToken && left === 0 && stream.token === authToken) {
+        stream.token = stream.authed.keys().next().value || null
+        open()
+      }
+    }
+  }, [eventType, authToken])
+
+  return { connected }
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo, useRef } from 'react'
-import { NARRATIVE_CATEGORIES } from '../data/lore_map'
+import { NARRATIVE_CATEGORIES, getSortedCategories } from '../data/lore_map'
 import { categorizeWithAI } from './useAISznCategorization'
 import { classifyLogos, shouldRunVision } from './useImageAnalysis'
 
@@ -20,6 +20,7 @@ import { classifyLogos, shouldRunVision } from './useImageAnalysis'
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
 const MIN_TOKENS_FOR_SZN = 2
+const REPORT_INTERVAL_MS = 5 * 60 * 1000  // heat timeline snapshots every 15 min server-side
 
 // ─── DEXScreener slug → lore_map category key ────────────────────
 // Maps DEXScreener meta slugs to our exact lore_map category keys.
@@ -172,12 +173,10 @@ const slugToCategory = (slug) => {
 }
 
 // ─── Priority-aware keyword detection ────────────────────────────
-const SORTED_CATEGORIES = Object.entries(NARRATIVE_CATEGORIES)
-  .sort((a, b) => (a[1].priority || 2) - (b[1].priority || 2))
-
+// Sorted list lives in lore_map — it's rebuilt when live lore loads.
 export const detectCategory = (symbol, name = '', description = '') => {
   const haystack = `${symbol} ${name} ${description}`.toLowerCase()
-  for (const [key, cat] of SORTED_CATEGORIES) {
+  for (const [key, cat] of getSortedCategories()) {
     if (cat.keywords.some((kw) => haystack.includes(kw))) return key
   }
   return null
@@ -238,12 +237,14 @@ const buildSznCard = (key, label, tokens, source = 'keyword', extra = {}) => {
 }
 
 // ─── Hook ─────────────────────────────────────────────────────────
-const useNarrativeSzn = (liveAlphas) => {
+const useNarrativeSzn = (liveAlphas, authToken) => {
   const [aiCards,        setAiCards]        = useState([])
   const [aiEnrichments,  setAiEnrichments]  = useState({})
   const [metaEnrichments, setMetaEnrichments] = useState({})  // catKey → tokens from Metas
   const [novelMetaCards,  setNovelMetaCards]  = useState([])  // new metas not in our categories
   const [newsEnrichments, setNewsEnrichments] = useState({})   // catKey → { headline, confidence }
+  const [trends,          setTrends]          = useState({})   // key → { direction, slope, … } from heat timeline
+  const lastReportRef = useRef(0)
   const liveAlphasRef = useRef(liveAlphas)
   liveAlphasRef.current = liveAlphas
 
@@ -578,7 +579,40 @@ const useNarrativeSzn = (liveAlphas) => {
     return [...merged, ...allNovel].sort((a, b) => b.sznScore - a.sznScore)
   }, [keywordCards, aiEnrichments, aiCards, metaEnrichments, novelMetaCards, newsEnrichments])
 
-  return sznCards
+  // ── Heat timeline: report cards, get each narrative's trend back ──
+  // Signed-in clients report which tokens make up each card; the server
+  // scores the members itself every 15 min (narrative_snapshots), watches
+  // for meta rotations (narrativeRotation.js) and serves heating /
+  // rolling_over / steady per key. Throttled — the cards rebuild on every
+  // feed refresh but snapshots are only 15 min apart.
+  useEffect(() => {
+    if (sznCards.length === 0) return
+    if (Date.now() - lastReportRef.current < REPORT_INTERVAL_MS) return
+    lastReportRef.current = Date.now()
+    if (authToken) {
+      fetch(`${BACKEND_URL}/api/report-narratives`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+        body: JSON.stringify({
+          narratives: sznCards.map(c => ({
+            key:    c.key,
+            label:  c.label,
+            source: c.source,
+            tokens: c.tokens.map(t => ({ address: t.address })),
+          })),
+        }),
+      }).catch(() => {})  // silent — non-fatal
+    }
+    fetch(`${BACKEND_URL}/api/narratives/trends`)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => { if (data?.trends) setTrends(data.trends) })
+      .catch(() => {})  // silent — non-fatal
+  }, [sznCards, authToken])
+
+  return useMemo(
+    () => sznCards.map(c => trends[c.key] ? { ...c, trend: trends[c.key] } : c),
+    [sznCards, trends]
+  )
 }
 
 export default useNarrativeSzn
\ No newline at end of file
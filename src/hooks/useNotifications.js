@@ -1,8 +1,11 @@
 // src/hooks/useNotifications.js
-// Polls /api/notifications every 60s when authed.
-// Returns: { notifications, unreadCount, markAllRead, alertSettings, saveAlertSettings }
+// Receives notifications over the shared event stream when authed; polls
+// /api/notifications every 60s only while the stream is down.
+// Returns: { notifications, unreadCount, markAllRead, alertSettings, saveAlertSettings,
+//            linkTelegram, unlinkTelegram, discordLink, linkDiscord, unlinkDiscord }
 
 import { useState, useEffect, useCallback, useRef } from 'react'
+import useEventStream from './useEventStream'
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
 const POLL_MS     = 60_000
@@ -11,6 +14,7 @@ export default function useNotifications ({ authToken, isAuthed }) {
   const [notifications,  setNotifications]  = useState([])
   const [alertSettings,  setAlertSettings]  = useState(null)
   const [settingsSaving, setSettingsSaving] = useState(false)
+  const [discordLink,    setDiscordLink]    = useState(null)   // { command, installUrl, expiresAt, authToken } while a code is pending
   const intervalRef = useRef(null)
 
   const fetchNotifications = useCallback(async () => {
@@ -37,7 +41,29 @@ export default function useNotifications ({ authToken, isAuthed }) {
     } catch { /* silent */ }
   }, [authToken])
 
-  // Start polling when authed
+  // Pushed notifications — same row shape as GET /api/notifications
+  const onPushed = useCallback((n) => {
+    if (!n?.id) return
+    setNotifications(prev => prev.some(p => p.id === n.id) ? prev : [n, ...prev].slice(0, 50))
+  }, [])
+  const { connected } = useEventStream('notification', onPushed, {
+    authToken: isAuthed ? authToken : null,
+  })
+
+  // Bot linked / unlinked (possibly from another tab or the bot's /stop)
+  useEventStream('telegram', fetchAlertSettings, {
+    authToken: isAuthed ? authToken : null,
+  })
+  const onDiscordLinkChange = useCallback(() => {
+    setDiscordLink(null)
+    fetchAlertSettings()
+  }, [fetchAlertSettings])
+  useEventStream('discord', onDiscordLinkChange, {
+    authToken: isAuthed ? authToken : null,
+  })
+
+  // Initial load when authed; (re)fetch on every stream (re)connect to pick
+  // up anything created while we were disconnected. Poll only as a fallback.
   useEffect(() => {
     if (!isAuthed || !authToken) {
       setNotifications([])
@@ -47,9 +73,17 @@ export default function useNotifications ({ authToken, isAuthed }) {
     }
     fetchNotifications()
     fetchAlertSettings()
+  }, [isAuthed, authToken, fetchNotifications, fetchAlertSettings])
+
+  useEffect(() => {
+    if (!isAuthed || !authToken) return
+    if (connected) {
+      fetchNotifications()
+      return
+    }
     intervalRef.current = setInterval(fetchNotifications, POLL_MS)
     return () => clearInterval(intervalRef.current)
-  }, [isAuthed, authToken, fetchNotifications, fetchAlertSettings])
+  }, [isAuthed, authToken, connected, fetchNotifications])
 
   const unreadCount = notifications.filter(n => !n.read).length
 
@@ -80,6 +114,67 @@ export default function useNotifications ({ authToken, isAuthed }) {
     finally { setSettingsSaving(false) }
   }, [authToken])
 
+  // Telegram link — the server mints a one-time bot link for this wallet.
+  // The tab is opened before the request so popup blockers allow it.
+  const linkTelegram = useCallback(async () => {
+    if (!authToken) return
+    const tab = window.open('', '_blank')
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/alerts/telegram-link`, {
+        method:  'POST',
+        headers: { Authorization: `Bearer ${authToken}` },
+      })
+      if (!res.ok) throw new Error(`link ${res.status}`)
+      const { url } = await res.json()
+      if (tab) tab.location.href = url
+      else window.location.href = url
+    } catch {
+      tab?.close()
+    }
+  }, [authToken])
+
+  const unlinkTelegram = useCallback(async () => {
+    if (!authToken) return
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/alerts/telegram-link`, {
+        method:  'DELETE',
+        headers: { Authorization: `Bearer ${authToken}` },
+      })
+      if (res.ok) {
+        setAlertSettings(prev => ({ ...prev, telegram_chat_id: null, telegram_username: null, telegram_linked_at: null }))
+      }
+    } catch { /* silent */ }
+  }, [authToken])
+
+  // Discord link — Discord has no deep link that carries a payload into a
+  // DM, so the server mints a one-time code and the user runs the /link
+  // command it returns. The 'discord' stream event clears it once redeemed.
+  const linkDiscord = useCallback(async () => {
+    if (!authToken) return
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/alerts/discord-link`, {
+        method:  'POST',
+        headers: { Authorization: `Bearer ${authToken}` },
+      })
+      if (!res.ok) return
+      const { command, installUrl, expiresAt } = await res.json()
+      setDiscordLink({ command, installUrl, expiresAt, authToken })
+    } catch { /* silent */ }
+  }, [authToken])
+
+  const unlinkDiscord = useCallback(async () => {
+    if (!authToken) return
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/alerts/discord-link`, {
+        method:  'DELETE',
+        headers: { Authorization: `Bearer ${authToken}` },
+      })
+      if (res.ok) {
+        setAlertSettings(prev => ({ ...prev, discord_user_id: null, discord_username: null, discord_linked_at: null }))
+      }
+    } catch { /* silent */ }
+  }, [authToken])
+
   return {
     notifications,
     unreadCount,
@@ -87,6 +182,12 @@ export default function useNotifications ({ authToken, isAuthed }) {
     alertSettings,
     saveAlertSettings,
     settingsSaving,
+    linkTelegram,
+    unlinkTelegram,
+    // A code minted for another session's wallet is never shown
+    discordLink: discordLink?.authToken === authToken ? discordLink : null,
+    linkDiscord,
+    unlinkDiscord,
     refetch: fetchNotifications,
   }
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+// ─── On-chain Safety ──────────────────────────────────────────────
+// Reads POST /api/safety — the server scans the mint account, largest
+// holders and pool over Solana RPC (server/safety.js) and caches the
+// result, so this hook only keeps a short local copy.
+//
+// BetaRow mounts one per row, so rows that mount together share one batch
+// request instead of spending the visitor's /api/ rate limit row by row.
+// The server scans a few uncached tokens per batch and returns the rest as
+// `pending`; those are asked for again after RETRY_MS.
+
+import { useState, useEffect } from 'react'
+
+const BACKEND_URL    = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001'
+const CACHE_TTL_MS   = 10 * 60 * 1000
+const BATCH_DELAY_MS = 100
+const MAX_BATCH      = 60       // SAFETY_BATCH_MAX in server/index.js
+const RETRY_MS       = 20_000
+const MAX_RETRIES    = 6
+const cache    = new Map()   // address → { ts, data }
+const inFlight = new Map()   // address → Promise
+const waiting  = new Map()   // address → { pair, tries, resolve }
+let   timer    = null
+
+export const SAFETY_COLORS = { LOW: 'var(--neon-green)', MED: 'var(--amber)', HIGH: 'var(--red)' }
+
+const schedule = () => {
+  if (!timer) timer = setTimeout(flush, BATCH_DELAY_MS)
+}
+
+const settle = (address, entry, data) => {
+  inFlight.delete(address)
+  entry.resolve(data)
+}
+
+const flush = async () => {
+  timer = null
+  const batch = [...waiting.entries()].slice(0, MAX_BATCH)
+  batch.forEach(([address]) => waiting.delete(address))
+  if (waiting.size) schedule()
+
+  let body = null
+  let limited = false
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/safety`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ tokens: batch.map(([address, { pair }]) => ({ address, pair })) }),
+    })
+    limited = res.status === 429
+    if (!res.ok) throw new Error(`safety ${res.status}`)
+    body = await res.json()
+  } catch (err) {
+    console.warn(`[Safety] batch of ${batch.length} failed:`, err.message)
+  }
+
+  const pending = new Set(limited ? batch.map(([address]) => address) : body?.pending || [])
+  for (const [address, entry] of batch) {
+    const data = body?.results?.[address]
+    if (data) {
+      cache.set(address, { ts: Date.now(), data })
+      settle(address, entry, data)
+    } else if (pending.has(address) && entry.tries < MAX_RETRIES) {
+      entry.tries++
+      setTimeout(() => { waiting.set(address, entry); schedule() }, RETRY_MS)
+    } else {
+      settle(address, entry, null)
+    }
+  }
+}
+
+const fetchSafety = (address, pair) => {
+  const cached = cache.get(address)
+  if (cached && Date.now() - cached.ts < CACHE_TTL_MS) return Promise.resolve(cached.data)
+  if (inFlight.has(address)) return inFlight.get(address)
+
+  const job = new Promise(resolve => {
+    waiting.set(address, { pair: pair && pair !== address ? pair : null, tries: 0, resolve })
+    schedule()
+  })
+  inFlight.set(address, job)
+  return job
+}
+
+// Latest scan for a token, or null until it arrives (or when it failed)
+const useSafety = (address, pair) => {
+  const [result, setResult] = useState(null)   // { address, data }
+
+  useEffect(() => {
+    if (!address) return
+    let cancelled = false
+    fetchSafety(address, pair).then(data => { if (!cancelled) setResult({ address, data }) })
+    return () => { cancelled = true }
+  }, [address, pair])
+
+  if (!address) return null
+  return result?.address === address ? result.data : cache.get(address)?.data || null
+}
+
+export default useSafety
@@ -4,6 +4,7 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
 import LandingPage from './LandingPage.jsx'
+import { loadLore, loadCommunityLore } from './data/lore_map'
 import { ConnectionProvider, WalletProvider } from '@solana/wallet-adapter-react'
 import { WalletModalProvider } from '@solana/wallet-adapter-react-ui'
 import { PhantomWalletAdapter, SolflareWalletAdapter, WalletConnectWalletAdapter } from '@solana/wallet-adapter-wallets'
@@ -26,6 +27,11 @@ class ErrorBoundary extends Component {
 
 const RPC_ENDPOINT = 'https://api.mainnet-beta.solana.com'
 
+// Live lore map + narrative categories — bundled copy until it resolves
+loadLore()
+// Approved community lore entries — merged in by getSearchTerms & co.
+loadCommunityLore()
+
 function Root () {
   const wallets = useMemo(() => {
     const list = [new PhantomWalletAdapter(), new SolflareWalletAdapter()]